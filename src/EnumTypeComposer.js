@@ -20,6 +20,7 @@ import type {
   ExtensionsDirective,
   DirectiveArgs,
 } from './utils/definitions';
+import { printTypeComposer, type TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type EnumTypeComposerDefinition =
   | TypeAsString
@@ -559,4 +560,15 @@ export class EnumTypeComposer<TContext> {
     if (!directive) return undefined;
     return directive.args;
   }
+
+  // -----------------------------------------------
+  // Misc methods
+  // -----------------------------------------------
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  toSDL(opts?: TypeComposerPrinterOptions): string {
+    return printTypeComposer(this, opts);
+  }
 }
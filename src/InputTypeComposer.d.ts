@@ -12,6 +12,7 @@ import {
   DirectiveArgs,
   ObjMapReadOnly,
 } from './utils/definitions';
+import { ValidateDefinition } from './utils/validation';
 import { SchemaComposer } from './SchemaComposer';
 import { TypeAsString, TypeDefinitionString } from './TypeMapper';
 import { TypeInPath } from './utils/typeByPath';
@@ -23,6 +24,7 @@ import {
 import { ThunkComposer } from './ThunkComposer';
 import { ListComposer } from './ListComposer';
 import { NonNullComposer } from './NonNullComposer';
+import { TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type InputTypeComposerDefinition =
   | TypeAsString
@@ -52,6 +54,7 @@ export type InputTypeComposerFieldConfigAsObjectDefinition = {
   defaultValue?: any;
   description?: string | null;
   extensions?: Extensions;
+  validate?: ValidateDefinition;
   [key: string]: any;
 };
 
@@ -61,6 +64,7 @@ export type InputTypeComposerFieldConfig = {
   description?: string | null;
   astNode?: InputValueDefinitionNode | null;
   extensions?: Extensions;
+  validate?: ValidateDefinition;
   [key: string]: any;
 };
 
@@ -286,4 +290,9 @@ export class InputTypeComposer<TContext = any> {
    * -----------------------------------------------
    */
   public get(path: string | string[]): TypeInPath<TContext> | void;
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  public toSDL(opts?: TypeComposerPrinterOptions): string;
 }
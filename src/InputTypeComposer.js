@@ -13,6 +13,7 @@ import type {
   ExtensionsDirective,
   DirectiveArgs,
 } from './utils/definitions';
+import type { ValidateDefinition } from './utils/validation';
 import { SchemaComposer } from './SchemaComposer';
 import { TypeMapper } from './TypeMapper';
 import { ListComposer } from './ListComposer';
@@ -33,6 +34,7 @@ import type {
   ComposeNamedInputType,
   ComposeInputTypeDefinition,
 } from './utils/typeHelpers';
+import { printTypeComposer, type TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type InputTypeComposerDefinition =
   | TypeAsString
@@ -62,6 +64,7 @@ export type InputTypeComposerFieldConfigAsObjectDefinition = {
   defaultValue?: any,
   description?: string | null,
   extensions?: Extensions,
+  validate?: ValidateDefinition,
   [key: string]: any,
 };
 
@@ -71,6 +74,7 @@ export type InputTypeComposerFieldConfig = {
   description?: string | null,
   astNode?: InputValueDefinitionNode | null,
   extensions?: Extensions,
+  validate?: ValidateDefinition,
   [key: string]: any,
 };
 
@@ -728,4 +732,11 @@ export class InputTypeComposer<TContext> {
   get(path: string | string[]): TypeInPath<TContext> | void {
     return typeByPath(this, path);
   }
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  toSDL(opts?: TypeComposerPrinterOptions): string {
+    return printTypeComposer(this, opts);
+  }
 }
@@ -40,6 +40,8 @@ import {
 import { ListComposer } from './ListComposer';
 import { NonNullComposer } from './NonNullComposer';
 import { TypeInPath } from './utils/typeByPath';
+import { TypeComposerPrinterOptions } from './utils/schemaPrinter';
+import { ResolverMiddleware } from './Resolver';
 
 export type InterfaceTypeComposerDefinition<TSource, TContext> =
   | TypeAsString
@@ -140,6 +142,22 @@ export class InterfaceTypeComposer<TSource = any, TContext = any> {
     partialFieldConfig: Partial<ObjectTypeComposerFieldConfigAsObjectDefinition<TSource, TContext>>
   ): this;
 
+  /**
+   * Wrap `resolve` method of the field with middleware `(resolve, source, args, context, info) => any`.
+   * Field without `resolve` gets wrapped `defaultFieldResolver`. Thunked fields
+   * (eg. relations) are wrapped lazily on first access.
+   */
+  public wrapFieldResolve(fieldName: string, mw: ResolverMiddleware<TSource, TContext>): this;
+
+  /**
+   * Add middlewares to the field, or to all fields with `*` as field name.
+   * The first middleware in array will be called first.
+   */
+  public addFieldMiddlewares(
+    fieldName: string,
+    middlewares: Array<ResolverMiddleware<TSource, TContext>>
+  ): this;
+
   public getFieldConfig(fieldName: string): GraphQLFieldConfig<TSource, TContext>;
 
   public getFieldType(fieldName: string): GraphQLOutputType;
@@ -420,4 +438,9 @@ export class InterfaceTypeComposer<TSource = any, TContext = any> {
    */
 
   public get(path: string | string[]): TypeInPath<TContext> | void;
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  public toSDL(opts?: TypeComposerPrinterOptions): string;
 }
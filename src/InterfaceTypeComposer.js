@@ -1,7 +1,7 @@
 /* @flow strict */
 /* eslint-disable no-use-before-define */
 
-import { GraphQLInterfaceType, GraphQLObjectType } from './graphql';
+import { GraphQLInterfaceType, GraphQLObjectType, defaultFieldResolver } from './graphql';
 import { isObject, isString, isFunction } from './utils/is';
 import { resolveMaybeThunk, inspect, mapEachKey } from './utils/misc';
 import { ObjectTypeComposer } from './ObjectTypeComposer';
@@ -49,6 +49,9 @@ import type {
   ComposeNamedOutputType,
   ComposeOutputType,
 } from './utils/typeHelpers';
+import { printTypeComposer, type TypeComposerPrinterOptions } from './utils/schemaPrinter';
+import { createThunkedObjectProxy } from './utils/createThunkedObjectProxy';
+import type { ResolverMiddleware } from './Resolver';
 
 export type InterfaceTypeComposerDefinition<TSource, TContext> =
   | TypeAsString
@@ -321,6 +324,49 @@ export class InterfaceTypeComposer<TSource, TContext> {
     return this;
   }
 
+  /**
+   * Wrap `resolve` method of the field with middleware `(resolve, source, args, context, info) => any`.
+   * Field without `resolve` gets wrapped `defaultFieldResolver`. Thunked fields
+   * (eg. relations) are wrapped lazily on first access.
+   */
+  wrapFieldResolve(
+    fieldName: string,
+    mw: ResolverMiddleware<TSource, TContext, ArgsMap>
+  ): InterfaceTypeComposer<TSource, TContext> {
+    const prevFieldConfig = this.getField(fieldName);
+    this._gqcFields[fieldName] = createThunkedObjectProxy(() => {
+      const resolve = prevFieldConfig.resolve || defaultFieldResolver;
+      return {
+        ...prevFieldConfig,
+        resolve: (source, args, context, info) => mw(resolve, source, args, context, info),
+      };
+    });
+    return this;
+  }
+
+  /**
+   * Add middlewares to the field, or to all fields with `*` as field name.
+   * The first middleware in array will be called first.
+   */
+  addFieldMiddlewares(
+    fieldName: string,
+    middlewares: Array<ResolverMiddleware<TSource, TContext, ArgsMap>>
+  ): InterfaceTypeComposer<TSource, TContext> {
+    if (!Array.isArray(middlewares)) {
+      throw new Error(
+        `You should provide array of middlewares '(resolve, source, args, context, info) => any', but provided ${inspect(
+          middlewares
+        )}.`
+      );
+    }
+
+    const fieldNames = fieldName === '*' ? this.getFieldNames() : [fieldName];
+    fieldNames.forEach(name => {
+      [...middlewares].reverse().forEach(mw => this.wrapFieldResolve(name, mw));
+    });
+    return this;
+  }
+
   getFieldConfig(fieldName: string): GraphQLFieldConfig<TSource, TContext> {
     const { type, args, ...rest } = this.getField(fieldName);
     return ({
@@ -1267,4 +1313,11 @@ export class InterfaceTypeComposer<TSource, TContext> {
   get(path: string | string[]): TypeInPath<TContext> | void {
     return typeByPath(this, path);
   }
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  toSDL(opts?: TypeComposerPrinterOptions): string {
+    return printTypeComposer(this, opts);
+  }
 }
@@ -16,6 +16,7 @@ import {
   Resolver,
   ResolverNextRpCb,
   ResolverDefinition,
+  ResolverResolveParams,
   ResolverWrapCb,
   ResolverMiddleware,
 } from './Resolver';
@@ -28,6 +29,7 @@ import {
   DirectiveArgs,
   ObjMapReadOnly,
 } from './utils/definitions';
+import { ValidateDefinition } from './utils/validation';
 import { ProjectionType } from './utils/projection';
 import { TypeDefinitionString, TypeAsString } from './TypeMapper';
 import {
@@ -48,6 +50,8 @@ import { InputTypeComposer } from './InputTypeComposer';
 import { NonNullComposer } from './NonNullComposer';
 import { ListComposer } from './ListComposer';
 import { TypeInPath } from './utils/typeByPath';
+import { TypeComposerPrinterOptions } from './utils/schemaPrinter';
+import { CrudAdapter, CrudResolversOpts } from './utils/crudResolvers';
 
 export type ObjectTypeComposerDefinition<TSource, TContext> =
   | TypeAsString
@@ -119,6 +123,7 @@ export type ObjectTypeComposerArgumentConfigAsObjectDefinition = {
   defaultValue?: any;
   description?: string | null;
   extensions?: Extensions;
+  validate?: ValidateDefinition;
   [key: string]: any;
 };
 
@@ -128,6 +133,7 @@ export type ObjectTypeComposerArgumentConfig = {
   description?: string | null;
   astNode?: InputValueDefinitionNode | null;
   extensions?: Extensions;
+  validate?: ValidateDefinition;
   [key: string]: any;
 };
 
@@ -155,6 +161,26 @@ export type ObjectTypeComposerRelationOptsWithResolver<
   description?: string | null;
   deprecationReason?: string | null;
   catchErrors?: boolean;
+  batch?: ObjectTypeComposerRelationBatchOpts<TSource, TContext>;
+};
+
+export type ObjectTypeComposerRelationBatchOpts<TSource, TContext> = {
+  /**
+   * Returns key (or array of keys) of related records for the parent record
+   */
+  key: (source: TSource, args: ArgsMap, context: TContext, info: GraphQLResolveInfo) => any;
+  /**
+   * Plural resolver which will be called once with all collected keys
+   */
+  batchResolver: Thunk<Resolver<any, TContext, any>>;
+  /**
+   * Arg name of `batchResolver` for collected keys, by default `_ids`
+   */
+  keysArg?: string;
+  /**
+   * Returns key of the record from `batchResolver`, by default `getRecordId()` of its type
+   */
+  recordKey?: (record: any) => any;
 };
 
 export type ObjectTypeComposerRelationArgsMapperFn<TSource, TContext, TArgs = ArgsMap> = (
@@ -174,6 +200,54 @@ export type ObjectTypeComposerRelationArgsMapper<TSource, TContext, TArgs = Args
     | any[];
 };
 
+export type ObjectTypeComposerRemoteRelationOpts<TSource, TContext> = {
+  /**
+   * Root field of the remote schema, eg. `Query.ordersByUser`
+   */
+  field: string;
+  /**
+   * SchemaComposer created via `SchemaComposer.fromIntrospection()`, by default current one
+   */
+  schemaComposer?: SchemaComposer<any>;
+  prepareArgs?: ObjectTypeComposerRelationArgsMapper<TSource, TContext, ArgsMap>;
+  projection?: ProjectionType;
+  description?: string | null;
+  deprecationReason?: string | null;
+  catchErrors?: boolean;
+};
+
+// SUBSCRIPTION -------------------------
+
+export type ObjectTypeComposerSubscriptionOpts<TSource, TContext> = {
+  /**
+   * PubSub topic, by default `${TypeName}.${name}`, eg. `User.created`
+   */
+  topic?: string;
+  /**
+   * Field name in Subscription type, by default `${typeName}${Name}`, eg. `userCreated`
+   */
+  fieldName?: string;
+  args?: ObjectTypeComposerArgumentConfigMapDefinition<any>;
+  description?: string;
+  /**
+   * Returns `false` for payloads which should not be sent to the subscriber
+   */
+  filter?: (
+    payload: TSource,
+    args: ArgsMap,
+    context: TContext,
+    info: GraphQLResolveInfo
+  ) => boolean | Promise<boolean>;
+  /**
+   * Names of resolvers (eg. `createOne`) whose results will be published to the topic
+   */
+  publishFrom?: string | string[];
+  /**
+   * Converts result of `publishFrom` resolver to payload, `null` and `undefined` are not published
+   */
+  getPayload?: (result: any, rp: ResolverResolveParams<any, TContext, any>) => any;
+};
+
 export type ObjectTypeComposerGetRecordIdFn<TSource, TContext> = (
   source: TSource,
   args?: ArgsMap,
@@ -267,6 +341,22 @@ export class ObjectTypeComposer<TSource = any, TContext = any> {
     >
   ): this;
 
+  /**
+   * Wrap `resolve` method of the field with middleware `(resolve, source, args, context, info) => any`.
+   * Field without `resolve` gets wrapped `defaultFieldResolver`. Thunked fields
+   * (eg. relations) are wrapped lazily on first access.
+   */
+  public wrapFieldResolve(fieldName: string, mw: ResolverMiddleware<TSource, TContext>): this;
+
+  /**
+   * Add middlewares to the field, or to all fields with `*` as field name.
+   * The first middleware in array will be called first.
+   */
+  public addFieldMiddlewares(
+    fieldName: string,
+    middlewares: Array<ResolverMiddleware<TSource, TContext>>
+  ): this;
+
   public getFieldConfig(fieldName: string): GraphQLFieldConfig<TSource, TContext>;
 
   public getFieldType(fieldName: string): GraphQLOutputType;
@@ -510,6 +600,15 @@ export class ObjectTypeComposer<TSource = any, TContext = any> {
     cbNextRp: ResolverNextRpCb<TResolverSource, TContext, TArgs>
   ): this;
 
+  /**
+   * Add `findById`, `findMany`, `count`, `createOne`, `updateById` and `removeById`
+   * resolvers backed by the adapter with plain functions.
+   */
+  public generateCrudResolvers(
+    adapter: CrudAdapter<TSource, TContext>,
+    opts?: CrudResolversOpts
+  ): this;
+
   /**
    * -----------------------------------------------
    * Interface methods
@@ -657,6 +756,26 @@ export class ObjectTypeComposer<TSource = any, TContext = any> {
 
   public getRelations(): ObjectTypeComposerRelationThunkMap<any, TContext>;
 
+  /**
+   * Add relation to the root field of the remote schema created via
+   * `SchemaComposer.fromIntrospection()`. Selected subfields of the relation
+   * are delegated to the remote service.
+   */
+  public addRemoteRelation(
+    fieldName: string,
+    opts: ObjectTypeComposerRemoteRelationOpts<TSource, TContext>
+  ): this;
+
+  /**
+   * Add field to the `Subscription` type which emits records of current type
+   * published to the PubSub topic. With `publishFrom` option results of the
+   * provided resolvers (eg. mutations) are published automatically.
+   */
+  public addSubscription(
+    name: string,
+    opts?: ObjectTypeComposerSubscriptionOpts<TSource, TContext>
+  ): this;
+
   public setRecordIdFn(fn: ObjectTypeComposerGetRecordIdFn<TSource, TContext>): this;
 
   public hasRecordIdFn(): boolean;
@@ -669,4 +788,9 @@ export class ObjectTypeComposer<TSource = any, TContext = any> {
   public getRecordId(source: TSource, args?: ArgsMap, context?: TContext): string | number;
 
   public get(path: string | string[]): TypeInPath<TContext> | void;
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  public toSDL(opts?: TypeComposerPrinterOptions): string;
 }
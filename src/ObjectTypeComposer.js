@@ -1,7 +1,12 @@
 /* @flow strict */
 /* eslint-disable no-use-before-define */
 
-import { GraphQLObjectType, GraphQLInputObjectType, GraphQLInterfaceType } from './graphql';
+import {
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  defaultFieldResolver,
+} from './graphql';
 import type {
   GraphQLFieldConfig,
   GraphQLFieldConfigMap,
@@ -23,6 +28,7 @@ import {
 import {
   Resolver,
   type ResolverDefinition,
+  type ResolverResolveParams,
   type ResolverNextRpCb,
   type ResolverWrapCb,
   type ResolverMiddleware,
@@ -51,6 +57,7 @@ import type {
   ExtensionsDirective,
   DirectiveArgs,
 } from './utils/definitions';
+import type { ValidateDefinition } from './utils/validation';
 import { graphqlVersion } from './utils/graphqlVersion';
 import type {
   ComposeNamedInputType,
@@ -61,6 +68,14 @@ import type {
   ComposeNamedOutputType,
 } from './utils/typeHelpers';
 import { createThunkedObjectProxy } from './utils/createThunkedObjectProxy';
+import { createRelationBatchResolve } from './utils/relationBatch';
+import { filterAsyncIterator } from './utils/pubsub';
+import {
+  createCrudResolvers,
+  type CrudAdapter,
+  type CrudResolversOpts,
+} from './utils/crudResolvers';
+import { printTypeComposer, type TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type ObjectTypeComposerDefinition<TSource, TContext> =
   | TypeAsString
@@ -132,6 +147,7 @@ export type ObjectTypeComposerArgumentConfigAsObjectDefinition = {
   defaultValue?: any,
   description?: string | null,
   extensions?: Extensions,
+  validate?: ValidateDefinition,
   [key: string]: any,
 };
 
@@ -141,6 +157,7 @@ export type ObjectTypeComposerArgumentConfig = {
   description?: string | null,
   astNode?: InputValueDefinitionNode | null,
   extensions?: Extensions,
+  validate?: ValidateDefinition,
   [key: string]: any,
 };
 
@@ -168,6 +185,18 @@ export type ObjectTypeComposerRelationOptsWithResolver<
   +description?: string | null,
   +deprecationReason?: string | null,
   +catchErrors?: boolean,
+  +batch?: ObjectTypeComposerRelationBatchOpts<TSource, TContext>,
+};
+
+export type ObjectTypeComposerRelationBatchOpts<TSource, TContext> = {
+  // returns key (or array of keys) of related records for the parent record
+  +key: (source: TSource, args: ArgsMap, context: TContext, info: GraphQLResolveInfo) => mixed,
+  // plural resolver which will be called once with all collected keys
+  +batchResolver: Thunk<Resolver<any, TContext, any>>,
+  // arg name of `batchResolver` for collected keys, by default `_ids`
+  +keysArg?: string,
+  // returns key of the record from `batchResolver`, by default `getRecordId()` of its type
+  +recordKey?: (record: any) => mixed,
 };
 
 export type ObjectTypeComposerRelationArgsMapperFn<TSource, TContext, TArgs = ArgsMap> = (
@@ -187,6 +216,40 @@ export type ObjectTypeComposerRelationArgsMapper<TSource, TContext, TArgs = Args
     | any[],
 };
 
+export type ObjectTypeComposerRemoteRelationOpts<TSource, TContext> = {
+  // root field of the remote schema, eg. `Query.ordersByUser`
+  +field: string,
+  // SchemaComposer created via `SchemaComposer.fromIntrospection()`, by default current one
+  +schemaComposer?: SchemaComposer<any>,
+  +prepareArgs?: ObjectTypeComposerRelationArgsMapper<TSource, TContext, ArgsMap>,
+  +projection?: ProjectionType,
+  +description?: string | null,
+  +deprecationReason?: string | null,
+  +catchErrors?: boolean,
+};
+
+// SUBSCRIPTION -------------------------
+
+export type ObjectTypeComposerSubscriptionOpts<TSource, TContext> = {
+  // PubSub topic, by default `${TypeName}.${name}`, eg. `User.created`
+  +topic?: string,
+  // field name in Subscription type, by default `${typeName}${Name}`, eg. `userCreated`
+  +fieldName?: string,
+  +args?: ObjectTypeComposerArgumentConfigMapDefinition<any>,
+  +description?: string,
+  // returns `false` for payloads which should not be sent to the subscriber
+  +filter?: (
+    payload: TSource,
+    args: ArgsMap,
+    context: TContext,
+    info: GraphQLResolveInfo
+  ) => boolean | Promise<boolean>,
+  // names of resolvers (eg. `createOne`) whose results will be published to the topic
+  +publishFrom?: string | string[],
+  // converts result of `publishFrom` resolver to payload, `null` and `undefined` are not published
+  +getPayload?: (result: any, rp: ResolverResolveParams<any, TContext, any>) => any,
+};
+
 export type ObjectTypeComposerGetRecordIdFn<TSource, TContext> = (
   source: TSource,
   args?: ArgsMap,
@@ -491,6 +554,49 @@ export class ObjectTypeComposer<TSource, TContext> {
     return this;
   }
 
+  /**
+   * Wrap `resolve` method of the field with middleware `(resolve, source, args, context, info) => any`.
+   * Field without `resolve` gets wrapped `defaultFieldResolver`. Thunked fields
+   * (eg. relations) are wrapped lazily on first access.
+   */
+  wrapFieldResolve(
+    fieldName: string,
+    mw: ResolverMiddleware<TSource, TContext, ArgsMap>
+  ): ObjectTypeComposer<TSource, TContext> {
+    const prevFieldConfig = this.getField(fieldName);
+    this._gqcFields[fieldName] = createThunkedObjectProxy(() => {
+      const resolve = prevFieldConfig.resolve || defaultFieldResolver;
+      return {
+        ...prevFieldConfig,
+        resolve: (source, args, context, info) => mw(resolve, source, args, context, info),
+      };
+    });
+    return this;
+  }
+
+  /**
+   * Add middlewares to the field, or to all fields with `*` as field name.
+   * The first middleware in array will be called first.
+   */
+  addFieldMiddlewares(
+    fieldName: string,
+    middlewares: Array<ResolverMiddleware<TSource, TContext, ArgsMap>>
+  ): ObjectTypeComposer<TSource, TContext> {
+    if (!Array.isArray(middlewares)) {
+      throw new Error(
+        `You should provide array of middlewares '(resolve, source, args, context, info) => any', but provided ${inspect(
+          middlewares
+        )}.`
+      );
+    }
+
+    const fieldNames = fieldName === '*' ? this.getFieldNames() : [fieldName];
+    fieldNames.forEach(name => {
+      [...middlewares].reverse().forEach(mw => this.wrapFieldResolve(name, mw));
+    });
+    return this;
+  }
+
   getFieldConfig(fieldName: string): GraphQLFieldConfig<TSource, TContext> {
     const { type, args, ...rest } = this.getField(fieldName);
     return ({
@@ -1168,6 +1274,18 @@ export class ObjectTypeComposer<TSource, TContext> {
     return this;
   }
 
+  /**
+   * Add `findById`, `findMany`, `count`, `createOne`, `updateById` and `removeById`
+   * resolvers backed by the adapter with plain functions.
+   */
+  generateCrudResolvers(
+    adapter: CrudAdapter<TSource, TContext>,
+    opts?: CrudResolversOpts
+  ): ObjectTypeComposer<TSource, TContext> {
+    createCrudResolvers(this, adapter, opts).forEach(resolver => this.addResolver(resolver));
+    return this;
+  }
+
   // -----------------------------------------------
   // Interface methods
   // -----------------------------------------------
@@ -1584,19 +1702,39 @@ export class ObjectTypeComposer<TSource, TContext> {
       }
     });
 
+    if (opts.batch && argsRuntime.length > 0) {
+      throw new Error(
+        `You can not use functions in \`prepareArgs\` with \`batch\` option for relation ${this.getTypeName()}.${fieldName}, ` +
+          `because batched resolver is called once for all parent records. Use \`batch.key\` to read values from the parent record.`
+      );
+    }
+
     // if opts.catchErrors is undefined then set true, otherwise take it value
     const { catchErrors = true } = opts;
 
-    const fieldConfig = resolver.getFieldConfig();
+    const fieldResolve = resolver.getFieldConfig().resolve;
+    let batchResolve;
+    if (opts.batch) {
+      const { type } = resolver;
+      const isList = (type instanceof NonNullComposer ? type.ofType : type) instanceof ListComposer;
+      batchResolve = createRelationBatchResolve(
+        opts.batch,
+        `${this.getTypeName()}.${fieldName}`,
+        isList
+      );
+    }
     const resolve = (source, args, context, info) => {
       const newArgs = { ...args, ...argsProto };
-      argsRuntime.forEach(([argName, argFn]) => {
-        newArgs[argName] = argFn(source, args, context, info);
-      });
 
-      const payload = fieldConfig.resolve
-        ? fieldConfig.resolve(source, newArgs, context, info)
-        : null;
+      let payload = null;
+      if (batchResolve) {
+        payload = batchResolve(source, newArgs, context, info);
+      } else if (fieldResolve) {
+        argsRuntime.forEach(([argName, argFn]) => {
+          newArgs[argName] = argFn(source, args, context, info);
+        });
+        payload = fieldResolve(source, newArgs, context, info);
+      }
       return catchErrors
         ? Promise.resolve(payload).catch(e => {
             // eslint-disable-next-line
@@ -1617,6 +1755,91 @@ export class ObjectTypeComposer<TSource, TContext> {
     };
   }
 
+  /**
+   * Add relation to the root field of the remote schema created via
+   * `SchemaComposer.fromIntrospection()`. Selected subfields of the relation
+   * are delegated to the remote service.
+   */
+  addRemoteRelation(
+    fieldName: string,
+    opts: ObjectTypeComposerRemoteRelationOpts<TSource, TContext>
+  ): ObjectTypeComposer<TSource, TContext> {
+    const { field, schemaComposer, ...relationOpts } = opts;
+    const [rootTypeName, rootFieldName] = field.split('.');
+    if (!rootFieldName) {
+      throw new Error(
+        `Field '${field}' of relation ${this.getTypeName()}.${fieldName} should be in 'Query.field' or 'Mutation.field' format.`
+      );
+    }
+    const sc = schemaComposer || this.schemaComposer;
+    return this.addRelation(fieldName, {
+      ...relationOpts,
+      resolver: () => {
+        const rootTC = sc.getOTC(rootTypeName);
+        if (rootTC.hasResolver(rootFieldName)) return rootTC.getResolver(rootFieldName);
+        // root fields merged from the remote SchemaComposer keep resolve methods of its resolvers
+        const resolver = rootTC.hasField(rootFieldName)
+          ? Resolver.findByFieldResolve(rootTC.getField(rootFieldName).resolve)
+          : undefined;
+        if (!resolver) {
+          throw new Error(
+            `Field ${field} of relation ${this.getTypeName()}.${fieldName} is not created via SchemaComposer.fromIntrospection().`
+          );
+        }
+        return resolver;
+      },
+    });
+  }
+
+  /**
+   * Add field to the `Subscription` type which emits records of current type
+   * published to the PubSub topic. With `publishFrom` option results of the
+   * provided resolvers (eg. mutations) are published automatically.
+   */
+  addSubscription(
+    name: string,
+    opts: ObjectTypeComposerSubscriptionOpts<TSource, TContext> = {}
+  ): ObjectTypeComposer<TSource, TContext> {
+    const sc = this.schemaComposer;
+    const typeName = this.getTypeName();
+    const topic = opts.topic || `${typeName}.${name}`;
+    const fieldName =
+      opts.fieldName ||
+      `${typeName.charAt(0).toLowerCase()}${typeName.slice(1)}${upperFirst(name)}`;
+    const { filter, getPayload } = opts;
+
+    const resolver = sc.createResolver({
+      name,
+      kind: 'subscription',
+      type: this,
+      args: opts.args || {},
+      description: opts.description,
+      subscribe: rp => {
+        const iterator = sc.getPubSub().asyncIterator(topic);
+        if (!filter) return iterator;
+        return filterAsyncIterator(iterator, payload =>
+          filter(payload, rp.args, rp.context, rp.info)
+        );
+      },
+      resolve: rp => rp.source,
+    });
+    sc.Subscription.setField(fieldName, resolver);
+
+    const publishFrom = opts.publishFrom ? [].concat(opts.publishFrom) : [];
+    publishFrom.forEach(resolverName => {
+      this.wrapResolverResolve(resolverName, next => async rp => {
+        const result = await next(rp);
+        const payload = getPayload ? getPayload(result, rp) : result;
+        if (payload !== null && payload !== undefined) {
+          await sc.getPubSub().publish(topic, payload);
+        }
+        return result;
+      });
+    });
+
+    return this;
+  }
+
   setRecordIdFn(
     fn: ObjectTypeComposerGetRecordIdFn<TSource, TContext>
   ): ObjectTypeComposer<TSource, TContext> {
@@ -1645,4 +1868,11 @@ export class ObjectTypeComposer<TSource, TContext> {
   get(path: string | string[]): TypeInPath<TContext> | void {
     return typeByPath(this, path);
   }
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  toSDL(opts?: TypeComposerPrinterOptions): string {
+    return printTypeComposer(this, opts);
+  }
 }
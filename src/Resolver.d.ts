@@ -5,6 +5,7 @@ import {
   GraphQLOutputType,
   GraphQLResolveInfo,
   GraphQLFieldConfigArgumentMap,
+  GraphQLFieldResolver,
 } from 'graphql';
 import * as graphql from './graphql';
 import { InputTypeComposer } from './InputTypeComposer';
@@ -20,6 +21,9 @@ import {
 } from './ObjectTypeComposer';
 import { Thunk, Extensions } from './utils/definitions';
 import { ProjectionType } from './utils/projection';
+import { ValidateDefinition } from './utils/validation';
+import { FileUpload } from './utils/upload';
+import { CacheHint } from './utils/cache';
 import {
   ComposeOutputTypeDefinition,
   ComposeInputType,
@@ -38,6 +42,7 @@ export type ResolverDefinition<TSource, TContext, TArgs = ArgsMap> = {
     | Readonly<Resolver<any, TContext, any>>
   >;
   resolve?: ResolverRpCb<TSource, TContext, TArgs>;
+  subscribe?: ResolverSubscribeFn<TSource, TContext, TArgs>;
   args?: ObjectTypeComposerArgumentConfigMapDefinition<TArgs>;
   name?: string;
   displayName?: string;
@@ -70,6 +75,7 @@ export type ResolverFilterArgConfigDefinition<TSource, TContext, TArgs = ArgsMap
   query?: ResolverFilterArgFn<TSource, TContext, TArgs>;
   filterTypeNameFallback?: string;
   defaultValue?: any;
+  validate?: ValidateDefinition;
 };
 
 export type ResolverSortArgFn<TSource, TContext, TArgs = ArgsMap> = (
@@ -106,6 +112,10 @@ export type ResolverWrapCb<
 export type ResolverRpCb<TSource, TContext, TArgs = ArgsMap> = (
   resolveParams: ResolverResolveParams<TSource, TContext, TArgs>
 ) => Promise<any> | any;
+// returns AsyncIterator for `subscription` resolvers, its values are passed to `resolve` as `source`
+export type ResolverSubscribeFn<TSource, TContext, TArgs = ArgsMap> = (
+  resolveParams: ResolverResolveParams<TSource, TContext, TArgs>
+) => AsyncIterator<any> | Promise<AsyncIterator<any>>;
 export type ResolverNextRpCb<TSource, TContext, TArgs = ArgsMap> = (
   next: ResolverRpCb<TSource, TContext, TArgs>
 ) => ResolverRpCb<TSource, TContext, TArgs>;
@@ -128,6 +138,11 @@ export type ResolverMiddleware<TSource, TContext, TArgs = ArgsMap> = (
  * The most interesting class in `graphql-compose`. The main goal of `Resolver` is to keep available resolve methods for Type and use them for building relation with other types.
  */
 export class Resolver<TSource = any, TContext = any, TArgs = ArgsMap, TReturn = any> {
+  /**
+   * Returns Resolver which created the `resolve` method of the field via `getFieldResolver()`.
+   */
+  public static findByFieldResolve(resolve: any): Resolver<any, any, any> | void;
+
   public schemaComposer: SchemaComposer<TContext>;
   public type: ComposeOutputType<TContext>;
   public args: ObjectTypeComposerArgumentConfigMap<any>;
@@ -139,6 +154,7 @@ export class Resolver<TSource = any, TContext = any, TArgs = ArgsMap, TReturn =
   public resolve: (
     resolveParams: Partial<ResolverResolveParams<TSource, TContext, TArgs>>
   ) => Promise<any> | any;
+  public subscribe: ResolverSubscribeFn<TSource, TContext, TArgs> | void;
 
   constructor(
     opts: ResolverDefinition<TSource, TContext, TArgs>,
@@ -248,6 +264,10 @@ export class Resolver<TSource = any, TContext = any, TArgs = ArgsMap, TReturn =
 
   public setResolve(resolve: ResolverRpCb<TSource, TContext, TArgs>): this;
 
+  public getSubscribe(): ResolverSubscribeFn<TSource, TContext, TArgs> | void;
+
+  public setSubscribe(subscribe: ResolverSubscribeFn<TSource, TContext, TArgs> | void): this;
+
   /**
    * -----------------------------------------------
    * Wrap methods
@@ -289,6 +309,36 @@ export class Resolver<TSource = any, TContext = any, TArgs = ArgsMap, TReturn =
     middlewares: Array<ResolverMiddleware<TSource, TContext, TArgs>>
   ): Resolver<TSource, TContext, TArgs>;
 
+  /**
+   * Returns new resolver which checks args by `validate` property of arg configs
+   * and nested input fields before calling `resolve`. All failures are thrown as
+   * one GraphQLError with `extensions.validationErrors` list.
+   *
+   * @example
+   *     resolver.setArg('name', { type: 'String', validate: { minLength: 3 } });
+   *     const validatedResolver = resolver.withValidation();
+   */
+  public withValidation(): Resolver<TSource, TContext, TArgs>;
+
+  /**
+   * Returns promises of files from args with `Upload` type, including fields
+   * of input types and lists. Every promise resolves to
+   * `{ stream, filename, mimetype, encoding }`.
+   *
+   * @example
+   *     resolve: async ({ args }) => {
+   *       const files = await Promise.all(resolver.getUploadedFiles(args));
+   *       files.forEach(({ stream, filename }) => stream.pipe(fs.createWriteStream(filename)));
+   *     }
+   */
+  public getUploadedFiles(args: TArgs | null | undefined): Array<Promise<FileUpload>>;
+
+  /**
+   * Cache results of the resolver according to the `hint` or `cache` extension
+   * of the resolver. Store and `getUserId` are taken from `schemaComposer.enableCache()`.
+   */
+  public withCache(hint?: CacheHint): Resolver<TSource, TContext, TArgs>;
+
   public wrap<TNewSource = TSource, TNewArgs = TArgs>(
     cb?: ResolverWrapCb<TNewSource, TSource, TContext, TNewArgs, TArgs>,
     newResolverOpts?: Partial<ResolverDefinition<TNewSource, TContext, TArgs>>
@@ -326,6 +376,10 @@ export class Resolver<TSource = any, TContext = any, TArgs = ArgsMap, TReturn =
     projection?: ProjectionType;
   }): GraphQLFieldConfig<TSource, TContext, TArgs>;
 
+  public getFieldSubscriber(opts?: {
+    projection?: ProjectionType;
+  }): GraphQLFieldResolver<TSource, TContext, TArgs>;
+
   public getKind(): ResolverKinds | void;
 
   public setKind(kind: string): this;
@@ -26,9 +26,10 @@ import { EnumTypeComposer } from './EnumTypeComposer';
 import { SchemaComposer } from './SchemaComposer';
 import { deepmerge } from './utils/deepmerge';
 import { clearName, inspect, mapEachKey } from './utils/misc';
-import { isFunction, isString } from './utils/is';
+import { isFunction, isString, isObject } from './utils/is';
 import { filterByDotPaths } from './utils/filterByDotPaths';
 import { getProjectionFromAST } from './utils/projection';
+import { validateArgs, createValidationError, type ValidateDefinition } from './utils/validation';
 import type { ProjectionType } from './utils/projection';
 import { typeByPath, type TypeInPath } from './utils/typeByPath';
 import {
@@ -48,6 +49,10 @@ import type { Thunk, Extensions } from './utils/definitions';
 import { GraphQLJSON } from './type';
 import { NonNullComposer } from './NonNullComposer';
 import { ListComposer } from './ListComposer';
+import { ThunkComposer } from './ThunkComposer';
+import { ScalarTypeComposer } from './ScalarTypeComposer';
+import type { FileUpload } from './utils/upload';
+import { cacheResolve, LRUCacheStore, type CacheHint } from './utils/cache';
 
 export type ResolverKinds = 'query' | 'mutation' | 'subscription';
 
@@ -58,6 +63,7 @@ export type ResolverDefinition<TSource, TContext, TArgs = ArgsMap> = {
     | $ReadOnly<Resolver<any, TContext, any>>
   >,
   resolve?: ResolverRpCb<TSource, TContext, TArgs>,
+  subscribe?: ResolverSubscribeFn<TSource, TContext, TArgs>,
   args?: ObjectTypeComposerArgumentConfigMapDefinition<TArgs>,
   name?: string,
   displayName?: string,
@@ -90,6 +96,7 @@ export type ResolverFilterArgConfigDefinition<TSource, TContext, TArgs = ArgsMap
   query?: ResolverFilterArgFn<TSource, TContext, TArgs>,
   filterTypeNameFallback?: string,
   defaultValue?: any,
+  validate?: ValidateDefinition,
 };
 
 export type ResolverSortArgFn<TSource, TContext, TArgs = ArgsMap> = (
@@ -126,6 +133,10 @@ export type ResolverWrapCb<
 export type ResolverRpCb<TSource, TContext, TArgs = ArgsMap> = (
   resolveParams: ResolverResolveParams<TSource, TContext, TArgs>
 ) => Promise<any> | any;
+// returns AsyncIterator for `subscription` resolvers, its values are passed to `resolve` as `source`
+export type ResolverSubscribeFn<TSource, TContext, TArgs = ArgsMap> = (
+  resolveParams: ResolverResolveParams<TSource, TContext, TArgs>
+) => AsyncIterator<any> | Promise<AsyncIterator<any>>;
 export type ResolverNextRpCb<TSource, TContext, TArgs = ArgsMap> = (
   next: ResolverRpCb<TSource, TContext, TArgs>
 ) => ResolverRpCb<TSource, TContext, TArgs>;
@@ -144,7 +155,17 @@ export type ResolverMiddleware<TSource, TContext, TArgs = ArgsMap> = (
   info: GraphQLResolveInfo
 ) => any;
 
+// resolvers of field resolve methods created via `getFieldResolver()`
+const fieldResolverOrigins: WeakMap<Function, Resolver<any, any, any>> = new WeakMap();
+
 export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
+  /**
+   * Returns Resolver which created the `resolve` method of the field via `getFieldResolver()`.
+   */
+  static findByFieldResolve(resolve: mixed): Resolver<any, any, any> | void {
+    return isFunction(resolve) ? fieldResolverOrigins.get(resolve) : undefined;
+  }
+
   schemaComposer: SchemaComposer<TContext>;
   type: ComposeOutputType<TContext>;
   args: ObjectTypeComposerArgumentConfigMap<any>;
@@ -159,6 +180,8 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
     resolveParams: $Shape<ResolverResolveParams<TSource, TContext, TArgs>>
   ) => Promise<any> | any;
 
+  subscribe: ResolverSubscribeFn<TSource, TContext, TArgs> | void;
+
   constructor(
     opts: ResolverDefinition<TSource, TContext, TArgs>,
     schemaComposer: SchemaComposer<TContext>
@@ -191,6 +214,10 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
       this.resolve = opts.resolve;
     }
 
+    if (opts.subscribe) {
+      this.subscribe = opts.subscribe;
+    }
+
     // alive proper Flow type casting in autosuggestions for class with Generics
     /* :: return this; */
   }
@@ -561,8 +588,8 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
       };
     }
 
-    const { name, type, defaultValue, description } = opts;
-    filterITC.setField(name, ({ type, description }: any));
+    const { name, type, defaultValue, description, validate } = opts;
+    filterITC.setField(name, ({ type, description, validate }: any));
 
     // default value can be written only on argConfig
     if (defaultValue !== undefined) {
@@ -678,6 +705,17 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
     return this;
   }
 
+  getSubscribe(): ResolverSubscribeFn<TSource, TContext, TArgs> | void {
+    return this.subscribe;
+  }
+
+  setSubscribe(
+    subscribe: ResolverSubscribeFn<TSource, TContext, TArgs> | void
+  ): Resolver<TSource, TContext, TArgs> {
+    this.subscribe = subscribe;
+    return this;
+  }
+
   // -----------------------------------------------
   // Wrap methods
   // -----------------------------------------------
@@ -722,6 +760,76 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
     return resolver;
   }
 
+  withValidation(): Resolver<TSource, TContext, TArgs> {
+    return this.wrap(
+      (newResolver, prevResolver) => {
+        const resolve = prevResolver.getResolve();
+        newResolver.setResolve(rp => {
+          const errors = validateArgs((rp.args: any), (newResolver.getArgs(): any), rp.context);
+          if (errors.length > 0) {
+            throw createValidationError(errors);
+          }
+          return resolve(rp);
+        });
+        return newResolver;
+      },
+      { name: 'withValidation' }
+    );
+  }
+
+  /**
+   * Cache results of the resolver according to the `hint` or `cache` extension
+   * of the resolver. Store and `getUserId` are taken from `schemaComposer.enableCache()`.
+   */
+  withCache(hint?: CacheHint): Resolver<TSource, TContext, TArgs> {
+    const cacheHint = hint || (this.extensions ? this.extensions.cache : null);
+    if (!isObject(cacheHint)) {
+      throw new Error(
+        `Resolver ${this.getNestedName()} should have \`cache\` extension or hint provided to withCache().`
+      );
+    }
+    const opts = this.schemaComposer.getCacheOpts() || {};
+    const store = opts.store || new LRUCacheStore();
+    return this.wrap(
+      (newResolver, prevResolver) => {
+        const resolve = prevResolver.getResolve();
+        newResolver.setResolve(rp =>
+          cacheResolve(() => resolve(rp), (cacheHint: any), store, opts)(
+            rp.source,
+            rp.args,
+            rp.context,
+            rp.info
+          )
+        );
+        return newResolver;
+      },
+      { name: 'withCache' }
+    );
+  }
+
+  /**
+   * Returns promises of files from args with `Upload` type, including fields
+   * of input types and lists.
+   */
+  getUploadedFiles(args: ?TArgs): Array<Promise<FileUpload>> {
+    const files = [];
+    const collect = (type: any, value: any) => {
+      if (value === null || value === undefined) return;
+      if (type instanceof NonNullComposer || type instanceof ThunkComposer) {
+        collect(type instanceof ThunkComposer ? type.getUnwrappedTC() : type.ofType, value);
+      } else if (type instanceof ListComposer) {
+        if (Array.isArray(value)) value.forEach(v => collect(type.ofType, v));
+      } else if (type instanceof InputTypeComposer) {
+        type.getFieldNames().forEach(name => collect(type.getField(name).type, value[name]));
+      } else if (type instanceof ScalarTypeComposer && type.getTypeName() === 'Upload') {
+        files.push(value);
+      }
+    };
+    const argValues: any = args || {};
+    this.getArgNames().forEach(argName => collect(this.getArg(argName).type, argValues[argName]));
+    return files;
+  }
+
   wrap<TNewSource, TNewArgs>(
     cb: ?ResolverWrapCb<TNewSource, TSource, TContext, TNewArgs, TArgs>,
     newResolverOpts: ?$Shape<ResolverDefinition<TNewSource, TContext, TNewArgs>> = {}
@@ -805,7 +913,7 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
       projection?: ProjectionType,
     } = {}
   ): GraphQLFieldConfig<TSource, TContext, TArgs> {
-    return {
+    const fc: GraphQLFieldConfig<TSource, TContext, TArgs> = {
       type: this.getType(),
       args: mapEachKey((this.getArgs(): any), ac => ({
         ...ac,
@@ -814,6 +922,10 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
       description: this.description,
       resolve: this.getFieldResolver(opts),
     };
+    if (this.subscribe) {
+      fc.subscribe = this.getFieldSubscriber(opts);
+    }
+    return fc;
   }
 
   getFieldResolver(
@@ -822,7 +934,12 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
     } = {}
   ): GraphQLFieldResolver<TSource, TContext, TArgs> {
     const resolve = this.getResolve();
-    return (source: TSource, args: TArgs, context: TContext, info: GraphQLResolveInfo) => {
+    const fieldResolve = (
+      source: TSource,
+      args: TArgs,
+      context: TContext,
+      info: GraphQLResolveInfo
+    ) => {
       let projection = getProjectionFromAST(info);
       if (this.projection) {
         projection = ((deepmerge(projection, this.projection): any): ProjectionType);
@@ -832,6 +949,29 @@ export class Resolver<TSource, TContext, TArgs = ArgsMap, TReturn = any> {
       }
       return resolve({ source, args, context, info, projection });
     };
+    fieldResolverOrigins.set(fieldResolve, this);
+    return fieldResolve;
+  }
+
+  getFieldSubscriber(
+    opts: {
+      projection?: ProjectionType,
+    } = {}
+  ): GraphQLFieldResolver<TSource, TContext, TArgs> {
+    const subscribe = this.getSubscribe();
+    if (!subscribe) {
+      throw new Error(`Resolver ${this.name} does not have \`subscribe\` method.`);
+    }
+    return (source: TSource, args: TArgs, context: TContext, info: GraphQLResolveInfo) => {
+      let projection = getProjectionFromAST(info);
+      if (this.projection) {
+        projection = ((deepmerge(projection, this.projection): any): ProjectionType);
+      }
+      if (opts.projection) {
+        projection = ((deepmerge(projection, opts.projection): any): ProjectionType);
+      }
+      return subscribe({ source, args, context, info, projection });
+    };
   }
 
   getKind(): ResolverKinds | void {
@@ -14,6 +14,7 @@ import { ListComposer } from './ListComposer';
 import { NonNullComposer } from './NonNullComposer';
 import { TypeAsString } from './TypeMapper';
 import { Extensions, ExtensionsDirective, DirectiveArgs } from './utils/definitions';
+import { TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type ScalarTypeComposerDefinition =
   | TypeAsString
@@ -132,4 +133,15 @@ export class ScalarTypeComposer<TContext = any> {
   public getDirectiveByName(directiveName: string): DirectiveArgs | void;
 
   public getDirectiveById(idx: number): DirectiveArgs | void;
+
+  /**
+   * -----------------------------------------------
+   * Misc methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  public toSDL(opts?: TypeComposerPrinterOptions): string;
 }
@@ -17,6 +17,7 @@ import { NonNullComposer } from './NonNullComposer';
 import type { Extensions, ExtensionsDirective, DirectiveArgs } from './utils/definitions';
 import { inspect } from './utils/misc';
 import { graphqlVersion } from './utils/graphqlVersion';
+import { printTypeComposer, type TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type ScalarTypeComposerDefinition =
   | TypeAsString
@@ -343,4 +344,15 @@ export class ScalarTypeComposer<TContext> {
     if (!directive) return undefined;
     return directive.args;
   }
+
+  // -----------------------------------------------
+  // Misc methods
+  // -----------------------------------------------
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  toSDL(opts?: TypeComposerPrinterOptions): string {
+    return printTypeComposer(this, opts);
+  }
 }
@@ -16,8 +16,20 @@ import { ListComposer } from './ListComposer';
 import { NonNullComposer } from './NonNullComposer';
 import { TypeStorage } from './TypeStorage';
 import { TypeMapper } from './TypeMapper';
-import { Resolver, ResolverDefinition } from './Resolver';
+import { Resolver, ResolverDefinition, ResolverMiddleware } from './Resolver';
 import { NamedTypeComposer, AnyType } from './utils/typeHelpers';
+import { SchemaComposerPrinterOptions } from './utils/schemaPrinter';
+import { SchemaChange } from './utils/schemaDiff';
+import { MockSchemaOpts } from './utils/schemaMocker';
+import { PruneReport } from './utils/schemaPruner';
+import { SchemaMergeOpts } from './utils/schemaMerger';
+import { DirectiveTransformerFn, DirectiveTransformersMap } from './utils/directiveTransformer';
+import { PubSubEngine } from './utils/pubsub';
+import { AuthChecker, AuthOpts } from './utils/authorization';
+import { CacheOpts } from './utils/cache';
+import { TracingCollector } from './utils/tracing';
+import { RemoteSchemaOpts } from './utils/remoteSchema';
+import { SchemaSnapshot, SchemaSnapshotOpts } from './utils/schemaSnapshot';
 
 type ExtraSchemaConfig = {
   types?: GraphQLNamedType[] | null;
@@ -43,9 +55,41 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
   public typeMapper: TypeMapper<TContext>;
   protected _schemaMustHaveTypes: Array<AnyType<TContext>>;
   protected _directives: GraphQLDirective[];
+  protected _directiveTransformers: DirectiveTransformersMap<TContext>;
+  protected _pubSub: PubSubEngine | void;
+  protected _authChecker: AuthChecker<TContext> | void;
+  protected _authOpts: AuthOpts;
+  protected _cacheOpts: CacheOpts<TContext> | void;
+  protected _tracingCollector: TracingCollector<TContext> | void;
 
   public constructor(schema?: GraphQLSchema);
 
+  /**
+   * Create SchemaComposer from the introspection result of the remote schema.
+   * Root fields delegate selected subfields to the remote service via `executor`.
+   *
+   * @example
+   *     const ordersSC = SchemaComposer.fromIntrospection(introspection, {
+   *       executor: ({ document, variables }) => fetchRemote(print(document), variables),
+   *     });
+   */
+  /**
+   * Create SchemaComposer from the snapshot returned by `schemaComposer.toJSON()`.
+   *
+   * @example
+   *     const snapshot = JSON.stringify(schemaComposer.toJSON({ registry }));
+   *     const sc = SchemaComposer.fromJSON(JSON.parse(snapshot), { registry });
+   */
+  public static fromJSON<TCtx = any>(
+    snapshot: SchemaSnapshot,
+    opts?: SchemaSnapshotOpts
+  ): SchemaComposer<TCtx>;
+
+  public static fromIntrospection<TCtx = any>(
+    introspection: any,
+    opts: RemoteSchemaOpts<TCtx>
+  ): SchemaComposer<TCtx>;
+
   /**
    * Returns `ObjectTypeComposer` of `Query` root type.
    *
@@ -79,6 +123,25 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
    */
   public buildSchema(extraConfig?: ExtraSchemaConfig): GraphQLSchema;
 
+  /**
+   * Build GraphQLSchema where every field without `resolve` method returns generated data.
+   * Overrides may be provided via `opts.mocks` with the same keys as `addResolveMethods()` accepts.
+   */
+  public buildMockedSchema(opts?: MockSchemaOpts): GraphQLSchema;
+
+  /**
+   * Build GraphQLSchema for Apollo Federation service with `_service` and `_entities` fields.
+   * Entities are types with `@key` directive, they are resolved via `resolveReference`
+   * type extension or `findById` resolver.
+   */
+  public buildFederatedSchema(): GraphQLSchema;
+
+  /**
+   * Remove types which are not reachable from root types and `schemaMustHaveTypes`,
+   * unused directives, input types without fields and unions without members.
+   */
+  public prune(): PruneReport;
+
   /**
    * When using Interfaces you may have such Types which are hidden under Interface.resolveType method. In such cases you should add these types explicitly. Cause `buildSchema()` will take only real used types and types which added via `addSchemaMustHaveType()` method.
    */
@@ -100,8 +163,18 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
    *     schemaComposer.merge(someSchema3);
    *     const schemaComposer.getOTC('User').removeField('password');
    *     const newSchema = schemaComposer.buildSchema();
+   *
+   * With `opts` incoming types may be prefixed or renamed, conflicts resolved
+   * via `onConflict` strategy and root fields placed under `namespace` field.
+   *
+   * @example
+   *     schemaComposer.merge(billingSchema, {
+   *       prefix: 'Billing',
+   *       onConflict: 'throw',
+   *       namespace: 'billing',
+   *     });
    */
-  public merge(schema: GraphQLSchema | SchemaComposer<any>): this;
+  public merge(schema: GraphQLSchema | SchemaComposer<any>, opts?: SchemaMergeOpts): this;
 
   /**
    * -----------------------------------------------
@@ -165,6 +238,14 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
    */
   public addResolveMethods(typesFieldsResolve: GraphQLToolsResolveMethods<TContext>): void;
 
+  /**
+   * Add middlewares to fields of Object and Interface types.
+   * Keys should be in `Type.field` format, `Type.*` applies middlewares to all fields of type.
+   */
+  public applyMiddlewares(middlewaresMap: {
+    [typeAndFieldName: string]: Array<ResolverMiddleware<any, TContext, any>>;
+  }): this;
+
   /**
    * -----------------------------------------------
    * Type methods
@@ -304,9 +385,114 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
 
   public hasDirective(directive: string | GraphQLDirective): boolean;
 
+  /**
+   * Register function which will be called in `buildSchema()` for every location
+   * of directive with provided name. It may wrap resolvers, change types or remove fields.
+   */
+  public addDirectiveTransformer(
+    directiveName: string,
+    transformer: DirectiveTransformerFn<TContext>
+  ): this;
+
+  public hasDirectiveTransformer(directiveName: string): boolean;
+
+  public removeDirectiveTransformer(directiveName: string): this;
+
+  public getDirectiveTransformers(): DirectiveTransformersMap<TContext>;
+
+  /**
+   * -----------------------------------------------
+   * Authorization methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Enable checking of `auth` extensions of types and fields in `buildSchema()`.
+   * Checker receives the rule and resolve params, and should return `true` if access is allowed.
+   */
+  public setAuthChecker(checker: AuthChecker<TContext>, opts?: AuthOpts): this;
+
+  public getAuthChecker(): AuthChecker<TContext> | void;
+
+  public getAuthOpts(): AuthOpts;
+
+  public removeAuthChecker(): this;
+
+  /**
+   * -----------------------------------------------
+   * Cache methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Enable caching of field results according to `cache` extensions
+   * of types, fields and resolvers in `buildSchema()`.
+   *
+   * @example
+   *     schemaComposer.enableCache({ getUserId: ctx => ctx.user && ctx.user.id });
+   *     UserTC.setFieldExtension('friends', 'cache', { maxAge: 60, scope: 'PRIVATE' });
+   */
+  public enableCache(opts?: CacheOpts<TContext>): this;
+
+  public getCacheOpts(): CacheOpts<TContext> | void;
+
+  public disableCache(): this;
+
+  /**
+   * -----------------------------------------------
+   * Tracing methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Record timings and errors of all field resolvers to the `collector` in `buildSchema()`.
+   *
+   * @example
+   *     const collector = new TracingCollector({ onSpan: span => metrics.push(span) });
+   *     schemaComposer.enableTracing(collector);
+   *     const result = await graphql(schema, query, null, context);
+   *     result.extensions = { tracing: collector.getApolloTracing(context) };
+   */
+  public enableTracing(collector?: TracingCollector<TContext>): this;
+
+  public getTracingCollector(): TracingCollector<TContext> | void;
+
+  public disableTracing(): this;
+
+  /**
+   * -----------------------------------------------
+   * Subscription methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Returns PubSub which is used by `tc.addSubscription()`.
+   * By default in-memory `PubSub` is created.
+   */
+  public getPubSub(): PubSubEngine;
+
+  public setPubSub(pubSub: PubSubEngine): this;
+
   /**
    * -----------------------------------------------
    * Misc methods
    * -----------------------------------------------
    */
+
+  /**
+   * Prints SDL for all types and directives stored in SchemaComposer.
+   */
+  public toSDL(opts?: SchemaComposerPrinterOptions): string;
+
+  /**
+   * Returns list of changes between current and provided SchemaComposers.
+   * Every change is marked as BREAKING, DANGEROUS or SAFE.
+   */
+  public diff(newSchemaComposer: SchemaComposer<any>): SchemaChange[];
+
+  /**
+   * Returns JSON-serializable snapshot of all types, directives and resolvers,
+   * which may be loaded back via `SchemaComposer.fromJSON()`.
+   */
+  public toJSON(opts?: SchemaSnapshotOpts | string): SchemaSnapshot;
 }
@@ -16,8 +16,8 @@ import { UnionTypeComposer, type UnionTypeComposerDefinition } from './UnionType
 import { ListComposer } from './ListComposer';
 import { NonNullComposer } from './NonNullComposer';
 import { ThunkComposer } from './ThunkComposer';
-import { Resolver, type ResolverDefinition } from './Resolver';
-import { isFunction } from './utils/is';
+import { Resolver, type ResolverDefinition, type ResolverMiddleware } from './Resolver';
+import { isFunction, isObject } from './utils/is';
 import { inspect, forEachKey } from './utils/misc';
 import {
   getGraphQLType,
@@ -48,6 +48,33 @@ import {
   type GraphQLResolveInfo,
 } from './graphql';
 import DefaultDirective from './directive/default';
+import { printSchemaComposer, type SchemaComposerPrinterOptions } from './utils/schemaPrinter';
+import { diffSchemaComposers, type SchemaChange } from './utils/schemaDiff';
+import { buildMockedSchema, type MockSchemaOpts } from './utils/schemaMocker';
+import { cloneSchemaComposer } from './utils/cloneSchemaComposer';
+import { buildFederatedSchema } from './utils/federation';
+import { pruneSchemaComposer, type PruneReport } from './utils/schemaPruner';
+import { mergeSchemaComposers, type SchemaMergeOpts } from './utils/schemaMerger';
+import {
+  applyDirectiveTransformers,
+  type DirectiveTransformerFn,
+  type DirectiveTransformersMap,
+} from './utils/directiveTransformer';
+import { PubSub, type PubSubEngine } from './utils/pubsub';
+import { applyAuthRules, type AuthChecker, type AuthOpts } from './utils/authorization';
+import { applyCacheHints, LRUCacheStore, type CacheOpts } from './utils/cache';
+import { applyTracing, TracingCollector } from './utils/tracing';
+import {
+  getSchemaSnapshot,
+  loadSchemaSnapshot,
+  type SchemaSnapshot,
+  type SchemaSnapshotOpts,
+} from './utils/schemaSnapshot';
+import {
+  buildRemoteSchema,
+  setupRemoteSchemaComposer,
+  type RemoteSchemaOpts,
+} from './utils/remoteSchema';
 
 type ExtraSchemaConfig = {
   types?: GraphQLNamedType[] | null,
@@ -77,6 +104,12 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
   typeMapper: TypeMapper<TContext>;
   _schemaMustHaveTypes: Array<AnyType<TContext>> = [];
   _directives: Array<GraphQLDirective> = [...BUILT_IN_DIRECTIVES];
+  _directiveTransformers: DirectiveTransformersMap<TContext> = new Map();
+  _pubSub: PubSubEngine | void;
+  _authChecker: AuthChecker<TContext> | void;
+  _authOpts: AuthOpts = {};
+  _cacheOpts: CacheOpts<TContext> | void;
+  _tracingCollector: TracingCollector<TContext> | void;
 
   constructor(schema?: GraphQLSchema): SchemaComposer<TContext> {
     super();
@@ -104,6 +137,29 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
     /* :: return this; */
   }
 
+  /**
+   * Create SchemaComposer from the introspection result of the remote schema.
+   * Root fields delegate selected subfields to the remote service via `executor`.
+   */
+  static fromIntrospection<TCtx>(
+    introspection: mixed,
+    opts: RemoteSchemaOpts<TCtx>
+  ): SchemaComposer<TCtx> {
+    const sc: SchemaComposer<TCtx> = new SchemaComposer(buildRemoteSchema(introspection));
+    // composers modify wrapped types, so delegation uses its own copy of the remote schema
+    setupRemoteSchemaComposer(sc, buildRemoteSchema(introspection), opts);
+    return sc;
+  }
+
+  /**
+   * Create SchemaComposer from the snapshot returned by `schemaComposer.toJSON()`.
+   */
+  static fromJSON<TCtx>(snapshot: SchemaSnapshot, opts?: SchemaSnapshotOpts): SchemaComposer<TCtx> {
+    const sc: SchemaComposer<TCtx> = new SchemaComposer();
+    loadSchemaSnapshot(sc, snapshot, opts);
+    return sc;
+  }
+
   get Query(): ObjectTypeComposer<any, TContext> {
     return this.getOrCreateOTC('Query');
   }
@@ -117,6 +173,30 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
   }
 
   buildSchema(extraConfig?: ExtraSchemaConfig): GraphQLSchema {
+    if (
+      this._directiveTransformers.size > 0 ||
+      this._authChecker ||
+      this._cacheOpts ||
+      this._tracingCollector
+    ) {
+      // transformers, auth rules, cache hints and tracing are applied to the copy of types,
+      // so every build starts from scratch
+      const sc = cloneSchemaComposer(this);
+      if (this._directiveTransformers.size > 0) {
+        applyDirectiveTransformers(sc, this._directiveTransformers);
+      }
+      if (this._cacheOpts) {
+        applyCacheHints(sc, this._cacheOpts);
+      }
+      if (this._authChecker) {
+        applyAuthRules(sc, this._authChecker, this._authOpts);
+      }
+      if (this._tracingCollector) {
+        applyTracing(sc, this._tracingCollector);
+      }
+      return sc.buildSchema(extraConfig);
+    }
+
     const roots = {};
 
     if (this.has('Query')) {
@@ -163,6 +243,31 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
     return new GraphQLSchema({ ...roots, ...extraConfig, types, directives });
   }
 
+  /**
+   * Build GraphQLSchema where every field without `resolve` method returns generated data.
+   * Overrides may be provided via `opts.mocks` with the same keys as `addResolveMethods()` accepts.
+   */
+  buildMockedSchema(opts?: MockSchemaOpts): GraphQLSchema {
+    return buildMockedSchema(this, opts);
+  }
+
+  /**
+   * Build GraphQLSchema for Apollo Federation service with `_service` and `_entities` fields.
+   * Entities are types with `@key` directive, they are resolved via `resolveReference`
+   * type extension or `findById` resolver.
+   */
+  buildFederatedSchema(): GraphQLSchema {
+    return buildFederatedSchema(this);
+  }
+
+  /**
+   * Remove types which are not reachable from root types and `schemaMustHaveTypes`,
+   * unused directives, input types without fields and unions without members.
+   */
+  prune(): PruneReport {
+    return pruneSchemaComposer(this);
+  }
+
   addSchemaMustHaveType(type: AnyType<TContext>): SchemaComposer<TContext> {
     this._schemaMustHaveTypes.push(type);
     return this;
@@ -193,7 +298,10 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
     });
   }
 
-  merge(schema: GraphQLSchema | SchemaComposer<any>): SchemaComposer<TContext> {
+  merge(
+    schema: GraphQLSchema | SchemaComposer<any>,
+    opts?: SchemaMergeOpts
+  ): SchemaComposer<TContext> {
     let sc;
     if (schema instanceof SchemaComposer) {
       sc = schema;
@@ -205,10 +313,17 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
       );
     }
 
+    if (opts) {
+      // copy of incoming types is renamed and merged with rewritten references
+      mergeSchemaComposers(this, sc, opts);
+      return this;
+    }
+
     // Root types may have any name, so import them manually.
     this.Query.merge(sc.Query);
-    this.Mutation.merge(sc.Mutation);
-    this.Subscription.merge(sc.Subscription);
+    // getters create missing types, and empty Mutation or Subscription breaks `buildSchema()`
+    if (sc.has('Mutation')) this.Mutation.merge(sc.Mutation);
+    if (sc.has('Subscription')) this.Subscription.merge(sc.Subscription);
 
     // Merging non-root types
     sc.types.forEach((type, key) => {
@@ -321,6 +436,31 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
     });
   }
 
+  /**
+   * Add middlewares to fields of Object and Interface types.
+   * Keys should be in `Type.field` format, `Type.*` applies middlewares to all fields of type.
+   */
+  applyMiddlewares(middlewaresMap: {
+    [typeAndFieldName: string]: Array<ResolverMiddleware<any, TContext, any>>,
+  }): SchemaComposer<TContext> {
+    Object.keys(middlewaresMap).forEach(key => {
+      const [typeName, fieldName, ...rest] = key.split('.');
+      if (!typeName || !fieldName || rest.length > 0) {
+        throw new Error(
+          `Key '${key}' in schemaComposer.applyMiddlewares() should be in 'Type.field' or 'Type.*' format.`
+        );
+      }
+      const tc = this.getAnyTC(typeName);
+      if (!(tc instanceof ObjectTypeComposer) && !(tc instanceof InterfaceTypeComposer)) {
+        throw new Error(
+          `Cannot apply middlewares to type ${typeName}. Only Object and Interface types have fields with resolve methods.`
+        );
+      }
+      tc.addFieldMiddlewares(fieldName, middlewaresMap[key]);
+    });
+    return this;
+  }
+
   /**
    * -----------------------------------------------
    * Type methods
@@ -617,6 +757,12 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
     super.clear();
     this._schemaMustHaveTypes = [];
     this._directives = BUILT_IN_DIRECTIVES;
+    this._directiveTransformers = new Map();
+    this._pubSub = undefined;
+    this._authChecker = undefined;
+    this._authOpts = {};
+    this._cacheOpts = undefined;
+    this._tracingCollector = undefined;
   }
 
   add(typeOrSDL: mixed): string {
@@ -694,22 +840,186 @@ export class SchemaComposer<TContext> extends TypeStorage<any, NamedTypeComposer
     return false;
   }
 
+  /**
+   * Register function which will be called in `buildSchema()` for every location
+   * of directive with provided name. It may wrap resolvers, change types or remove fields.
+   */
+  addDirectiveTransformer(
+    directiveName: string,
+    transformer: DirectiveTransformerFn<TContext>
+  ): SchemaComposer<TContext> {
+    if (!isFunction(transformer)) {
+      throw new Error(
+        `You should provide function to schemaComposer.addDirectiveTransformer(), but recieved ${inspect(
+          transformer
+        )}`
+      );
+    }
+    this._directiveTransformers.set(cleanDirectiveName(directiveName), transformer);
+    return this;
+  }
+
+  hasDirectiveTransformer(directiveName: string): boolean {
+    return this._directiveTransformers.has(cleanDirectiveName(directiveName));
+  }
+
+  removeDirectiveTransformer(directiveName: string): SchemaComposer<TContext> {
+    this._directiveTransformers.delete(cleanDirectiveName(directiveName));
+    return this;
+  }
+
+  getDirectiveTransformers(): DirectiveTransformersMap<TContext> {
+    return this._directiveTransformers;
+  }
+
+  /**
+   * -----------------------------------------------
+   * Authorization methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Enable checking of `auth` extensions of types and fields in `buildSchema()`.
+   * Checker receives the rule and resolve params, and should return `true` if access is allowed.
+   */
+  setAuthChecker(checker: AuthChecker<TContext>, opts?: AuthOpts): SchemaComposer<TContext> {
+    if (!isFunction(checker)) {
+      throw new Error(
+        `You should provide function to schemaComposer.setAuthChecker(), but recieved ${inspect(
+          checker
+        )}`
+      );
+    }
+    this._authChecker = checker;
+    this._authOpts = opts || {};
+    return this;
+  }
+
+  getAuthChecker(): AuthChecker<TContext> | void {
+    return this._authChecker;
+  }
+
+  getAuthOpts(): AuthOpts {
+    return this._authOpts;
+  }
+
+  removeAuthChecker(): SchemaComposer<TContext> {
+    this._authChecker = undefined;
+    this._authOpts = {};
+    return this;
+  }
+
+  /**
+   * -----------------------------------------------
+   * Cache methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Enable caching of results of the fields with `cache` extension in `buildSchema()`.
+   * Hints of all resolved fields are combined to the response policy,
+   * which is returned by `getCacheControlHeader(context)`.
+   */
+  enableCache(opts?: CacheOpts<TContext>): SchemaComposer<TContext> {
+    const cacheOpts = opts || {};
+    this._cacheOpts = { ...cacheOpts, store: cacheOpts.store || new LRUCacheStore() };
+    return this;
+  }
+
+  getCacheOpts(): CacheOpts<TContext> | void {
+    return this._cacheOpts;
+  }
+
+  disableCache(): SchemaComposer<TContext> {
+    this._cacheOpts = undefined;
+    return this;
+  }
+
+  /**
+   * -----------------------------------------------
+   * Tracing methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Record timings and errors of all field resolvers to the `collector` in `buildSchema()`.
+   */
+  enableTracing(collector?: TracingCollector<TContext>): SchemaComposer<TContext> {
+    this._tracingCollector = collector || new TracingCollector();
+    return this;
+  }
+
+  getTracingCollector(): TracingCollector<TContext> | void {
+    return this._tracingCollector;
+  }
+
+  disableTracing(): SchemaComposer<TContext> {
+    this._tracingCollector = undefined;
+    return this;
+  }
+
+  /**
+   * -----------------------------------------------
+   * Subscription methods
+   * -----------------------------------------------
+   */
+
+  /**
+   * Returns PubSub which is used by `tc.addSubscription()`.
+   * By default in-memory `PubSub` is created.
+   */
+  getPubSub(): PubSubEngine {
+    if (!this._pubSub) {
+      this._pubSub = new PubSub();
+    }
+    return this._pubSub;
+  }
+
+  setPubSub(pubSub: PubSubEngine): SchemaComposer<TContext> {
+    this._pubSub = pubSub;
+    return this;
+  }
+
   /**
    * -----------------------------------------------
    * Misc methods
    * -----------------------------------------------
    */
 
+  /**
+   * Prints SDL for all types and directives stored in SchemaComposer.
+   */
+  toSDL(opts?: SchemaComposerPrinterOptions): string {
+    return printSchemaComposer(this, opts);
+  }
+
+  /**
+   * Returns list of changes between current and provided SchemaComposers.
+   * Every change is marked as BREAKING, DANGEROUS or SAFE.
+   */
+  diff(newSchemaComposer: SchemaComposer<any>): Array<SchemaChange> {
+    return diffSchemaComposers(this, newSchemaComposer);
+  }
+
   // disable redundant noise in console.logs
   toString(): string {
     return 'SchemaComposer';
   }
 
-  toJSON() {
-    return 'SchemaComposer';
+  /**
+   * Returns JSON-serializable snapshot of all types, directives and resolvers,
+   * which may be loaded back via `SchemaComposer.fromJSON()`.
+   */
+  toJSON(opts?: SchemaSnapshotOpts | string): SchemaSnapshot {
+    // `JSON.stringify()` passes property key as the first argument
+    return getSchemaSnapshot(this, isObject(opts) ? (opts: any) : {});
   }
 
   inspect() {
     return 'SchemaComposer';
   }
 }
+
+function cleanDirectiveName(name: string): string {
+  return name.startsWith('@') ? name.slice(1) : name;
+}
@@ -59,6 +59,8 @@ export type TypeAsString = TypeDefinitionString | TypeWrappedString | TypeNameSt
 declare class TypeMapper<TContext> {
   public schemaComposer: SchemaComposer<TContext>;
 
+  protected _sdlScalarNames: Set<string>;
+
   public constructor(schemaComposer: SchemaComposer<TContext>);
 
   protected _initScalars(): void;
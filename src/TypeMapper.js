@@ -54,7 +54,21 @@ import {
   valueFromAST,
 } from './graphql';
 import type { GraphQLType, GraphQLInputType } from './graphql';
-import { GraphQLDate, GraphQLBuffer, GraphQLJSON, GraphQLJSONObject } from './type';
+import {
+  GraphQLDate,
+  GraphQLBuffer,
+  GraphQLJSON,
+  GraphQLJSONObject,
+  GraphQLDateTime,
+  GraphQLLocalDate,
+  GraphQLTime,
+  GraphQLDuration,
+  GraphQLEmailAddress,
+  GraphQLURL,
+  GraphQLUUID,
+  GraphQLBigInt,
+  GraphQLDecimal,
+} from './type';
 import { createThunkedObjectProxy } from './utils/createThunkedObjectProxy';
 
 import type {
@@ -113,8 +127,23 @@ export type TypeWrappedString = string; // eg. Int, Int!, [Int]
 export type TypeNameString = string; // eg. Int, Float
 export type TypeAsString = TypeDefinitionString | TypeWrappedString | TypeNameString;
 
+// built-in scalars which may be declared in SDL with another implementation
+const ADDITIONAL_SCALAR_NAMES = [
+  'DateTime',
+  'LocalDate',
+  'Time',
+  'Duration',
+  'EmailAddress',
+  'URL',
+  'UUID',
+  'BigInt',
+  'Decimal',
+];
+
 export class TypeMapper<TContext> {
   schemaComposer: SchemaComposer<TContext>;
+  // additional built-in scalars which are declared in the currently parsed SDL
+  _sdlScalarNames: Set<string> = new Set();
 
   constructor(schemaComposer: SchemaComposer<TContext>): TypeMapper<TContext> {
     if (!schemaComposer) {
@@ -343,6 +372,7 @@ export class TypeMapper<TContext> {
           type: composeFC.type,
           args: composeFC.getArgs(),
           resolve: composeFC.getFieldResolver(),
+          ...(composeFC.getSubscribe() ? { subscribe: composeFC.getFieldSubscriber() } : {}),
           description: composeFC.getDescription(),
         };
       }
@@ -651,13 +681,28 @@ export class TypeMapper<TContext> {
    */
 
   parseTypes(astDocument: DocumentNode): Array<NamedTypeComposer<TContext>> {
+    const prevScalarNames = this._sdlScalarNames;
+    this._sdlScalarNames = new Set(prevScalarNames);
+    astDocument.definitions.forEach(def => {
+      if (
+        def.kind === Kind.SCALAR_TYPE_DEFINITION &&
+        ADDITIONAL_SCALAR_NAMES.includes(def.name.value)
+      ) {
+        this._sdlScalarNames.add(def.name.value);
+      }
+    });
+
     const types = [];
-    for (let i = 0; i < astDocument.definitions.length; i++) {
-      const def = astDocument.definitions[i];
-      const type = this.makeSchemaDef(def);
-      if (type) {
-        types[i] = type;
+    try {
+      for (let i = 0; i < astDocument.definitions.length; i++) {
+        const def = astDocument.definitions[i];
+        const type = this.makeSchemaDef(def);
+        if (type) {
+          types[i] = type;
+        }
       }
+    } finally {
+      this._sdlScalarNames = prevScalarNames;
     }
     return types;
   }
@@ -676,7 +721,8 @@ export class TypeMapper<TContext> {
       return this.schemaComposer.get(typeName);
     }
 
-    const st = this.getBuiltInType(typeName);
+    // own scalar declared in the parsed SDL is used instead of the built-in one
+    const st = this._sdlScalarNames.has(typeName) ? null : this.getBuiltInType(typeName);
     if (st) return st;
 
     return new ThunkComposer(() => {
@@ -963,6 +1009,33 @@ export class TypeMapper<TContext> {
       case 'Buffer':
         gtype = GraphQLBuffer;
         break;
+      case 'DateTime':
+        gtype = GraphQLDateTime;
+        break;
+      case 'LocalDate':
+        gtype = GraphQLLocalDate;
+        break;
+      case 'Time':
+        gtype = GraphQLTime;
+        break;
+      case 'Duration':
+        gtype = GraphQLDuration;
+        break;
+      case 'EmailAddress':
+        gtype = GraphQLEmailAddress;
+        break;
+      case 'URL':
+        gtype = GraphQLURL;
+        break;
+      case 'UUID':
+        gtype = GraphQLUUID;
+        break;
+      case 'BigInt':
+        gtype = GraphQLBigInt;
+        break;
+      case 'Decimal':
+        gtype = GraphQLDecimal;
+        break;
       default:
         gtype = null;
         break;
@@ -976,7 +1049,11 @@ export class TypeMapper<TContext> {
 
   makeScalarDef(def: ScalarTypeDefinitionNode) {
     let tc: ?ScalarTypeComposer<TContext>;
-    const stc = this.getBuiltInType(def.name.value);
+    // SDL may declare own scalars with names of the additional built-in ones,
+    // so such declarations are kept as is
+    const stc = ADDITIONAL_SCALAR_NAMES.includes(def.name.value)
+      ? null
+      : this.getBuiltInType(def.name.value);
     if (stc) {
       tc = stc;
     }
@@ -23,6 +23,7 @@ import {
   ExtensionsDirective,
   DirectiveArgs,
 } from './utils/definitions';
+import { TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type UnionTypeComposerDefinition<TSource, TContext> =
   | TypeAsString
@@ -229,4 +230,9 @@ export class UnionTypeComposer<TSource = any, TContext = any> {
    * Misc methods
    * -----------------------------------------------
    */
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  public toSDL(opts?: TypeComposerPrinterOptions): string;
 }
@@ -31,6 +31,7 @@ import type {
 import { convertObjectTypeArrayAsThunk } from './utils/configToDefine';
 import { getGraphQLType, getComposeTypeName } from './utils/typeHelpers';
 import { graphqlVersion } from './utils/graphqlVersion';
+import { printTypeComposer, type TypeComposerPrinterOptions } from './utils/schemaPrinter';
 
 export type UnionTypeComposerDefinition<TSource, TContext> =
   | TypeAsString
@@ -630,4 +631,11 @@ export class UnionTypeComposer<TSource, TContext> {
   // get(path: string | string[]): any {
   //   return typeByPath(this, path);
   // }
+
+  /**
+   * Prints SDL for current type. With `deep: true` option also prints all used types.
+   */
+  toSDL(opts?: TypeComposerPrinterOptions): string {
+    return printTypeComposer(this, opts);
+  }
 }
@@ -417,6 +417,17 @@ describe('InterfaceTypeComposer', () => {
     });
   });
 
+  describe('field middlewares', () => {
+    it('should wrap resolve methods of fields', () => {
+      iftc.extendField('field1', { resolve: () => 'value' });
+      iftc.addFieldMiddlewares('*', [(resolve, ...rest) => `~${resolve(...rest)}~`]);
+      const resolve1: any = iftc.getField('field1').resolve;
+      const resolve2: any = iftc.getField('field2').resolve;
+      expect(resolve1({})).toBe('~value~');
+      expect(resolve2({ field2: 'abc' }, {}, {}, { fieldName: 'field2' })).toBe('~abc~');
+    });
+  });
+
   describe('create() [static method]', () => {
     it('should create Interface by typeName as a string', () => {
       const myIFTC = schemaComposer.createInterfaceTC('TypeStub');
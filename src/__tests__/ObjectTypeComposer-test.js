@@ -11,6 +11,8 @@ import {
   GraphQLInterfaceType,
   GraphQLInputObjectType,
   graphql,
+  subscribe,
+  parse,
 } from '../graphql';
 import { schemaComposer, SchemaComposer } from '..';
 import { Resolver } from '../Resolver';
@@ -24,6 +26,7 @@ import { NonNullComposer } from '../NonNullComposer';
 import { ListComposer } from '../ListComposer';
 import { ThunkComposer } from '../ThunkComposer';
 import { graphqlVersion } from '../utils/graphqlVersion';
+import { PubSub } from '../utils/pubsub';
 
 beforeEach(() => {
   schemaComposer.clear();
@@ -504,6 +507,82 @@ describe('ObjectTypeComposer', () => {
     });
   });
 
+  describe('field middlewares', () => {
+    it('wrapFieldResolve() should wrap existing resolve method', () => {
+      tc.extendField('field1', { resolve: (source, args) => `value ${args.a}` });
+      tc.wrapFieldResolve('field1', (resolve, source, args, context, info) =>
+        resolve(source, { a: args.a * 2 }, context, info).toUpperCase()
+      );
+      const resolve: any = tc.getField('field1').resolve;
+      expect(resolve({}, { a: 2 })).toBe('VALUE 4');
+      expect(tc.getFieldType('field1')).toBe(GraphQLString);
+    });
+
+    it('wrapFieldResolve() should wrap default resolver for fields without resolve', () => {
+      tc.wrapFieldResolve('field2', (resolve, ...rest) => `~${resolve(...rest)}~`);
+      const resolve: any = tc.getField('field2').resolve;
+      expect(resolve({ field2: 'abc' }, {}, {}, { fieldName: 'field2' })).toBe('~abc~');
+      expect(() => tc.wrapFieldResolve('unexisted', next => next)).toThrow(
+        "Cannot get field 'unexisted' from type 'Readable'"
+      );
+    });
+
+    it('addFieldMiddlewares() should call middlewares in provided order', () => {
+      const calls = [];
+      const mw1 = (resolve, ...rest) => {
+        calls.push('mw1');
+        return resolve(...rest);
+      };
+      const mw2 = (resolve, ...rest) => {
+        calls.push('mw2');
+        return resolve(...rest);
+      };
+      const middlewares = [mw1, mw2];
+      tc.addFieldMiddlewares('*', middlewares);
+      expect(middlewares).toEqual([mw1, mw2]);
+
+      const resolve1: any = tc.getField('field1').resolve;
+      const resolve2: any = tc.getField('field2').resolve;
+      expect(resolve1({ field1: 1 }, {}, {}, { fieldName: 'field1' })).toBe(1);
+      expect(resolve2({ field2: 2 }, {}, {}, { fieldName: 'field2' })).toBe(2);
+      expect(calls).toEqual(['mw1', 'mw2', 'mw1', 'mw2']);
+
+      expect(() => tc.addFieldMiddlewares('field1', (mw1: any))).toThrow(
+        'You should provide array of middlewares'
+      );
+    });
+
+    it('should wrap thunked relations lazily', async () => {
+      const sc = new SchemaComposer();
+      const UserTC = sc.createObjectTC('type User { id: Int, friend: User }');
+      UserTC.addRelation('bestFriend', {
+        resolver: () => UserTC.getResolver('findById'),
+        prepareArgs: { id: source => source.id + 1 },
+      });
+      UserTC.addFieldMiddlewares('bestFriend', [
+        async (resolve, source, args, context, info) => {
+          if (!context.isAuth) throw new Error('Forbidden');
+          return resolve(source, args, context, info);
+        },
+      ]);
+      UserTC.addResolver({
+        name: 'findById',
+        type: UserTC,
+        args: { id: 'Int' },
+        resolve: ({ args }) => ({ id: args.id }),
+      });
+      sc.Query.addFields({ me: { type: UserTC, resolve: () => ({ id: 1 }) } });
+
+      const schema = sc.buildSchema();
+      const query = '{ me { bestFriend { id } } }';
+      expect(await graphql(schema, query, null, { isAuth: true })).toEqual({
+        data: { me: { bestFriend: { id: 2 } } },
+      });
+      const res: any = await graphql(schema, query, null, { isAuth: false });
+      expect(res.errors[0].message).toBe('Forbidden');
+    });
+  });
+
   describe('interfaces manipulation', () => {
     const iface = new GraphQLInterfaceType({
       name: 'Node',
@@ -1072,6 +1151,188 @@ describe('ObjectTypeComposer', () => {
         expect(fc.type.name).toBe('User');
       });
     });
+
+    describe('batch', () => {
+      const users = [{ id: 1, name: 'User1' }, { id: 2, name: 'User2' }, { id: 3, name: 'User3' }];
+      const articles = [
+        { id: 1, userId: 1, readerIds: [2, 3] },
+        { id: 2, userId: 2, readerIds: [] },
+        { id: 3, userId: 1, readerIds: [3, 4] },
+      ];
+      let findByIds;
+
+      beforeEach(() => {
+        findByIds = jest.fn(({ args }) => users.filter(u => args._ids.indexOf(u.id) !== -1));
+        UserTC.setRecordIdFn(source => source.id);
+        UserTC.addResolver({ name: 'findByIds', type: [UserTC], args: { _ids: '[Int]' } });
+        UserTC.getResolver('findByIds').setResolve(findByIds);
+        UserTC.addResolver({ name: 'findMany', type: [UserTC], resolve: () => [] });
+        schemaComposer.Query.addFields({
+          articles: { type: [ArticleTC], resolve: () => articles },
+        });
+      });
+
+      it('should call batch resolver once per request', async () => {
+        ArticleTC.addRelation('user', {
+          resolver: () => UserTC.getResolver('findById'),
+          batch: {
+            key: source => source.userId,
+            batchResolver: () => UserTC.getResolver('findByIds'),
+          },
+        });
+        ArticleTC.addRelation('readers', {
+          resolver: () => UserTC.getResolver('findMany'),
+          batch: {
+            key: source => source.readerIds,
+            batchResolver: () => UserTC.getResolver('findByIds'),
+          },
+        });
+
+        const schema = schemaComposer.buildSchema();
+        const res = await graphql(
+          schema,
+          '{ articles { id user { name } readers { id } } }',
+          null,
+          {}
+        );
+        expect(res).toEqual({
+          data: {
+            articles: [
+              { id: 1, user: { name: 'User1' }, readers: [{ id: 2 }, { id: 3 }] },
+              { id: 2, user: { name: 'User2' }, readers: [] },
+              { id: 3, user: { name: 'User1' }, readers: [{ id: 3 }] },
+            ],
+          },
+        });
+        expect(findByIds).toHaveBeenCalledTimes(2);
+        expect(findByIds.mock.calls.map(([rp]) => rp.args._ids)).toEqual([[1, 2], [2, 3, 4]]);
+      });
+
+      it('should split batches by context and args', async () => {
+        ArticleTC.addRelation('user', {
+          resolver: () => UserTC.getResolver('findById'),
+          prepareArgs: { limit: null },
+          batch: {
+            key: source => source.userId,
+            batchResolver: () => UserTC.getResolver('findByIds'),
+            keysArg: 'ids',
+            recordKey: record => record.id,
+          },
+        });
+        UserTC.getResolver('findByIds').setResolve(
+          jest.fn(({ args }) => users.filter(u => args.ids.indexOf(u.id) !== -1))
+        );
+        const fc: any = ArticleTC.getFieldConfig('user');
+        const resolveUser = fc.resolve;
+
+        const ctx1 = {};
+        const ctx2 = {};
+        const res = await Promise.all([
+          resolveUser(articles[0], {}, ctx1, {}),
+          resolveUser(articles[1], {}, ctx1, {}),
+          resolveUser(articles[1], {}, ctx2, {}),
+          resolveUser(articles[2], { lang: 'en' }, ctx1, {}),
+        ]);
+        expect(res.map(u => u.name)).toEqual(['User1', 'User2', 'User2', 'User1']);
+        const { resolve } = UserTC.getResolver('findByIds');
+        expect((resolve: any).mock.calls.map(([rp]) => [rp.args, rp.context])).toEqual([
+          [{ ids: [1, 2] }, ctx1],
+          [{ ids: [2] }, ctx2],
+          [{ lang: 'en', ids: [1] }, ctx1],
+        ]);
+      });
+
+      it('should throw error if batch is used with prepareArgs functions', () => {
+        expect(() =>
+          ArticleTC._relationWithResolverToFC(
+            {
+              resolver: UserTC.getResolver('findById'),
+              prepareArgs: { _id: source => source.userId },
+              batch: {
+                key: source => source.userId,
+                batchResolver: () => UserTC.getResolver('findByIds'),
+              },
+            },
+            'user'
+          )
+        ).toThrowError(
+          'You can not use functions in `prepareArgs` with `batch` option for relation Article.user'
+        );
+      });
+
+      it('should throw error if batch key is not provided', () => {
+        expect(() =>
+          ArticleTC._relationWithResolverToFC(
+            ({
+              resolver: UserTC.getResolver('findById'),
+              batch: { batchResolver: UserTC.getResolver('findByIds') },
+            }: any),
+            'user'
+          )
+        ).toThrowError('You should provide `batch.key` function for relation Article.user');
+      });
+    });
+  });
+
+  describe('addSubscription()', () => {
+    let sc: SchemaComposer<any>;
+    let UserTC: ObjectTypeComposer<any, any>;
+
+    beforeEach(() => {
+      sc = new SchemaComposer();
+      UserTC = sc.createObjectTC('type User { id: Int, name: String }');
+      UserTC.addResolver({
+        name: 'createOne',
+        type: UserTC,
+        args: { name: 'String' },
+        resolve: ({ args }) => ({ id: 1, ...args }),
+      });
+      sc.Query.addFields({ user: UserTC });
+      sc.Mutation.addFields({ userCreate: UserTC.getResolver('createOne') });
+    });
+
+    it('should add field to Subscription type', () => {
+      UserTC.addSubscription('created', { description: 'New users' });
+      expect(sc.Subscription.getFieldTypeName('userCreated')).toBe('User');
+      expect(sc.Subscription.getField('userCreated').description).toBe('New users');
+      expect(sc.Subscription.getField('userCreated').subscribe).toBeInstanceOf(Function);
+    });
+
+    it('should publish results of resolvers from `publishFrom`', async () => {
+      UserTC.addSubscription('created', {
+        publishFrom: 'createOne',
+        args: { name: 'String' },
+        filter: (payload, args) => !args.name || payload.name === args.name,
+      });
+      sc.Mutation.setField('userCreate', UserTC.getResolver('createOne'));
+      const schema = sc.buildSchema();
+
+      const iterator: any = await subscribe(
+        schema,
+        parse('subscription { userCreated(name: "Ann") { id name } }')
+      );
+      await graphql(schema, 'mutation { userCreate(name: "Bob") { id } }');
+      await graphql(schema, 'mutation { userCreate(name: "Ann") { id } }');
+
+      expect(await iterator.next()).toEqual({
+        value: { data: { userCreated: { id: 1, name: 'Ann' } } },
+        done: false,
+      });
+      await iterator.return();
+    });
+
+    it('should use custom topic, fieldName and PubSub', async () => {
+      const pubSub = new PubSub();
+      sc.setPubSub(pubSub);
+      UserTC.addSubscription('changed', { topic: 'USER_CHANGED', fieldName: 'onUserChange' });
+      const iterator: any = await subscribe(
+        sc.buildSchema(),
+        parse('subscription { onUserChange { id } }')
+      );
+      await pubSub.publish('USER_CHANGED', { id: 5 });
+      expect((await iterator.next()).value).toEqual({ data: { onUserChange: { id: 5 } } });
+      await iterator.return();
+    });
   });
 
   describe('get type methods', () => {
@@ -512,6 +512,24 @@ describe('Resolver', () => {
       expect(fc.args.arg2.type).toBe(GraphQLString);
       expect(fc.args.arg3.type).toBe(GraphQLString);
     });
+
+    it('should add `subscribe` method if resolver has it', () => {
+      expect(resolver.getFieldConfig()).not.toHaveProperty('subscribe');
+      expect(() => resolver.getFieldSubscriber()).toThrow(
+        'Resolver find does not have `subscribe` method'
+      );
+
+      let rp;
+      resolver.setSubscribe(resolveParams => {
+        rp = resolveParams;
+        return ('iterator': any);
+      });
+      const fc: any = resolver.getFieldConfig();
+      expect(fc.subscribe('sourceData', 'argsData', 'contextData', 'infoData')).toBe('iterator');
+      expect(rp).toHaveProperty('source', 'sourceData');
+      expect(rp).toHaveProperty('args', 'argsData');
+      expect(rp).toHaveProperty('projection');
+    });
   });
 
   describe('wrap()', () => {
@@ -970,6 +970,38 @@ describe('SchemaComposer', () => {
     });
   });
 
+  describe('applyMiddlewares()', () => {
+    it('should add middlewares to fields by `Type.field` keys', async () => {
+      const sc = new SchemaComposer();
+      sc.addTypeDefs(`
+        type User { name: String, email: String }
+        type Query { me: User }
+      `);
+      sc.addResolveMethods({ Query: { me: () => ({ name: 'Ann', email: 'ann@example.com' }) } });
+      const hideValue = () => '***';
+      const upperCase = async (resolve, ...rest) => (await resolve(...rest)).toUpperCase();
+      sc.applyMiddlewares({
+        'User.*': [upperCase],
+        'User.email': [hideValue],
+      });
+
+      expect(await graphql(sc.buildSchema(), '{ me { name email } }')).toEqual({
+        data: { me: { name: 'ANN', email: '***' } },
+      });
+    });
+
+    it('should throw error on wrong keys and types', () => {
+      const sc = new SchemaComposer();
+      sc.createInputTC('input Filter { name: String }');
+      expect(() => sc.applyMiddlewares({ Filter: [] })).toThrow(
+        "Key 'Filter' in schemaComposer.applyMiddlewares() should be in 'Type.field' or 'Type.*' format."
+      );
+      expect(() => sc.applyMiddlewares({ 'Filter.name': [] })).toThrow(
+        'Cannot apply middlewares to type Filter.'
+      );
+    });
+  });
+
   describe('createTC helper methods', () => {
     it('createObjectTC()', () => {
       const sc = new SchemaComposer();
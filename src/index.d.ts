@@ -26,11 +26,31 @@ export { ListComposer } from './ListComposer';
 export { ThunkComposer } from './ThunkComposer';
 
 // Scalar types
-export { GraphQLDate, GraphQLBuffer, GraphQLJSON, GraphQLJSONObject } from './type';
+export {
+  GraphQLDate,
+  GraphQLBuffer,
+  GraphQLJSON,
+  GraphQLJSONObject,
+  GraphQLDateTime,
+  GraphQLLocalDate,
+  GraphQLTime,
+  GraphQLDuration,
+  GraphQLEmailAddress,
+  GraphQLURL,
+  GraphQLUUID,
+  GraphQLBigInt,
+  GraphQLDecimal,
+  GraphQLUpload,
+} from './type';
 
 // Utils
 export { getProjectionFromAST, getFlatProjectionFromAST } from './utils/projection';
-export { toInputObjectType, ConvertInputObjectFieldOpts } from './utils/toInputObjectType';
+export {
+  toInputObjectType,
+  ConvertInputObjectFieldOpts,
+  ToInputObjectTypeOpts,
+  InputTypeOperation,
+} from './utils/toInputObjectType';
 export * from './utils/misc';
 export * from './utils/typeHelpers';
 export * from './utils/is';
@@ -41,6 +61,32 @@ export { deepmerge } from './utils/deepmerge';
 export { filterByDotPaths } from './utils/filterByDotPaths';
 export { pluralize } from './utils/pluralize';
 export { visitSchema } from './utils/schemaVisitor';
+export { printSchemaComposer, printTypeComposer } from './utils/schemaPrinter';
+export { diffSchemaComposers, filterSchemaChanges } from './utils/schemaDiff';
+export { generateTypings } from './utils/typingsGenerator';
+export { buildMockedSchema } from './utils/schemaMocker';
+export { validateArgs, validateValue, createValidationError } from './utils/validation';
+export { getQueryCost, assertQueryCost, createQueryComplexityRule } from './utils/queryComplexity';
+export {
+  buildFederatedSchema,
+  getFederationEntities,
+  FEDERATION_DIRECTIVES,
+  KeyDirective,
+  ExtendsDirective,
+  ExternalDirective,
+  RequiresDirective,
+  ProvidesDirective,
+} from './utils/federation';
+export { toGlobalId, fromGlobalId, getNodeInterface, composeWithRelay } from './utils/relay';
+export { createConnectionResolver, encodeCursor, decodeCursor } from './utils/connection';
+export { createPaginationResolver } from './utils/pagination';
+export { Upload, processMultipartRequest } from './utils/upload';
+export { createCrudResolvers } from './utils/crudResolvers';
+export { PubSub, filterAsyncIterator } from './utils/pubsub';
+export { getFieldAuthRule } from './utils/authorization';
+export { LRUCacheStore, getCacheControlHint, getCacheControlHeader } from './utils/cache';
+export { TracingCollector } from './utils/tracing';
+export { delegateToRemote } from './utils/remoteSchema';
 
 export {
   ObjectTypeComposerThunked,
@@ -59,8 +105,11 @@ export {
   ObjectTypeComposerRelationThunkMap,
   ObjectTypeComposerRelationOpts,
   ObjectTypeComposerRelationOptsWithResolver,
+  ObjectTypeComposerRelationBatchOpts,
   ObjectTypeComposerRelationArgsMapperFn,
   ObjectTypeComposerRelationArgsMapper,
+  ObjectTypeComposerRemoteRelationOpts,
+  ObjectTypeComposerSubscriptionOpts,
   ObjectTypeComposerGetRecordIdFn,
 } from './ObjectTypeComposer';
 
@@ -123,4 +172,87 @@ export {
 
 export { ProjectionType, ProjectionNode } from './utils/projection';
 
+export {
+  PrinterOptions,
+  TypeComposerPrinterOptions,
+  SchemaComposerPrinterOptions,
+} from './utils/schemaPrinter';
+
+export { SchemaChange, SchemaChangeType, SchemaChangeCriticality } from './utils/schemaDiff';
+
+export { TypingsLanguage, TypingsGeneratorOptions } from './utils/typingsGenerator';
+
+export { MockSchemaOpts, MockSchemaMocks, MockTypeFn } from './utils/schemaMocker';
+
+export {
+  ValidationRules,
+  ValidateFn,
+  ValidateDefinition,
+  ValidationErrorItem,
+} from './utils/validation';
+
+export {
+  QueryComplexityOpts,
+  QueryCost,
+  FieldComplexity,
+  ComplexityEstimatorArgs,
+} from './utils/queryComplexity';
+
+export {
+  DirectiveTransformerLocation,
+  DirectiveTransformerParams,
+  DirectiveTransformerFn,
+} from './utils/directiveTransformer';
+
+export { FederationReferenceResolver } from './utils/federation';
+
+export { ResolvedGlobalId } from './utils/relay';
+
+export {
+  ConnectionResolverOpts,
+  ConnectionCursorData,
+  ConnectionPageInfo,
+} from './utils/connection';
+
+export { PaginationResolverOpts, PaginationInfo } from './utils/pagination';
+export {
+  CrudAdapter,
+  CrudAdapterFilter,
+  CrudAdapterSort,
+  CrudAdapterFindManyParams,
+  CrudResolversOpts,
+} from './utils/crudResolvers';
+export {
+  FileUpload,
+  MultipartRequestFields,
+  MultipartRequestFiles,
+  GraphQLRequestParams,
+} from './utils/upload';
+export { PubSubEngine, PubSubFilterFn } from './utils/pubsub';
+export {
+  AuthMode,
+  AuthRule,
+  AuthChecker,
+  AuthCheckerParams,
+  AuthOpts,
+} from './utils/authorization';
+export { CacheScope, CacheHint, CacheStore, CacheOpts, LRUCacheStoreOpts } from './utils/cache';
+export { TracingSpan, ApolloTracing, TracingCollectorOpts } from './utils/tracing';
+export { PruneReport } from './utils/schemaPruner';
+export { SchemaMergeOpts, SchemaMergeConflictFn } from './utils/schemaMerger';
+export {
+  RemoteExecutor,
+  RemoteExecutorParams,
+  RemoteSchemaOpts,
+  DelegateToRemoteOpts,
+} from './utils/remoteSchema';
+export {
+  SchemaSnapshot,
+  SchemaSnapshotOpts,
+  SchemaSnapshotRegistry,
+  SchemaSnapshotType,
+  SchemaSnapshotTypeKind,
+  SchemaSnapshotDirective,
+} from './utils/schemaSnapshot';
+
 export { TypeDefinitionString, TypeWrappedString, TypeNameString } from './TypeMapper';
@@ -30,7 +30,22 @@ export { ListComposer } from './ListComposer';
 export { ThunkComposer } from './ThunkComposer';
 
 // Scalar types
-export { GraphQLDate, GraphQLBuffer, GraphQLJSON, GraphQLJSONObject } from './type';
+export {
+  GraphQLDate,
+  GraphQLBuffer,
+  GraphQLJSON,
+  GraphQLJSONObject,
+  GraphQLDateTime,
+  GraphQLLocalDate,
+  GraphQLTime,
+  GraphQLDuration,
+  GraphQLEmailAddress,
+  GraphQLURL,
+  GraphQLUUID,
+  GraphQLBigInt,
+  GraphQLDecimal,
+  GraphQLUpload,
+} from './type';
 
 // Utils
 export { getProjectionFromAST, getFlatProjectionFromAST } from './utils/projection';
@@ -46,6 +61,32 @@ export { deepmerge } from './utils/deepmerge';
 export { filterByDotPaths } from './utils/filterByDotPaths';
 export { pluralize } from './utils/pluralize';
 export { visitSchema } from './utils/schemaVisitor';
+export { printSchemaComposer, printTypeComposer } from './utils/schemaPrinter';
+export { diffSchemaComposers, filterSchemaChanges } from './utils/schemaDiff';
+export { generateTypings } from './utils/typingsGenerator';
+export { buildMockedSchema } from './utils/schemaMocker';
+export { validateArgs, validateValue, createValidationError } from './utils/validation';
+export { getQueryCost, assertQueryCost, createQueryComplexityRule } from './utils/queryComplexity';
+export {
+  buildFederatedSchema,
+  getFederationEntities,
+  FEDERATION_DIRECTIVES,
+  KeyDirective,
+  ExtendsDirective,
+  ExternalDirective,
+  RequiresDirective,
+  ProvidesDirective,
+} from './utils/federation';
+export { toGlobalId, fromGlobalId, getNodeInterface, composeWithRelay } from './utils/relay';
+export { createConnectionResolver, encodeCursor, decodeCursor } from './utils/connection';
+export { createPaginationResolver } from './utils/pagination';
+export { Upload, processMultipartRequest } from './utils/upload';
+export { createCrudResolvers } from './utils/crudResolvers';
+export { PubSub, filterAsyncIterator } from './utils/pubsub';
+export { getFieldAuthRule } from './utils/authorization';
+export { LRUCacheStore, getCacheControlHint, getCacheControlHeader } from './utils/cache';
+export { TracingCollector } from './utils/tracing';
+export { delegateToRemote } from './utils/remoteSchema';
 
 export type {
   ObjectTypeComposerThunked,
@@ -64,8 +105,11 @@ export type {
   ObjectTypeComposerRelationThunkMap,
   ObjectTypeComposerRelationOpts,
   ObjectTypeComposerRelationOptsWithResolver,
+  ObjectTypeComposerRelationBatchOpts,
   ObjectTypeComposerRelationArgsMapperFn,
   ObjectTypeComposerRelationArgsMapper,
+  ObjectTypeComposerRemoteRelationOpts,
+  ObjectTypeComposerSubscriptionOpts,
   ObjectTypeComposerGetRecordIdFn,
 } from './ObjectTypeComposer';
 
@@ -128,4 +172,95 @@ export type {
 
 export type { ProjectionType, ProjectionNode } from './utils/projection';
 
+export type { toInputObjectTypeOpts, InputTypeOperation } from './utils/toInputObjectType';
+
+export type {
+  PrinterOptions,
+  TypeComposerPrinterOptions,
+  SchemaComposerPrinterOptions,
+} from './utils/schemaPrinter';
+
+export type { SchemaChange, SchemaChangeType, SchemaChangeCriticality } from './utils/schemaDiff';
+
+export type { TypingsLanguage, TypingsGeneratorOptions } from './utils/typingsGenerator';
+
+export type { MockSchemaOpts, MockSchemaMocks, MockTypeFn } from './utils/schemaMocker';
+
+export type {
+  ValidationRules,
+  ValidateFn,
+  ValidateDefinition,
+  ValidationErrorItem,
+} from './utils/validation';
+
+export type {
+  QueryComplexityOpts,
+  QueryCost,
+  FieldComplexity,
+  ComplexityEstimatorArgs,
+} from './utils/queryComplexity';
+
+export type {
+  DirectiveTransformerLocation,
+  DirectiveTransformerParams,
+  DirectiveTransformerFn,
+} from './utils/directiveTransformer';
+
+export type { FederationReferenceResolver } from './utils/federation';
+
+export type { ResolvedGlobalId } from './utils/relay';
+
+export type {
+  ConnectionResolverOpts,
+  ConnectionCursorData,
+  ConnectionPageInfo,
+} from './utils/connection';
+
+export type { PaginationResolverOpts, PaginationInfo } from './utils/pagination';
+export type {
+  CrudAdapter,
+  CrudAdapterFilter,
+  CrudAdapterSort,
+  CrudAdapterFindManyParams,
+  CrudResolversOpts,
+} from './utils/crudResolvers';
+export type {
+  FileUpload,
+  MultipartRequestFields,
+  MultipartRequestFiles,
+  GraphQLRequestParams,
+} from './utils/upload';
+export type { PubSubEngine, PubSubFilterFn } from './utils/pubsub';
+export type {
+  AuthMode,
+  AuthRule,
+  AuthChecker,
+  AuthCheckerParams,
+  AuthOpts,
+} from './utils/authorization';
+export type {
+  CacheScope,
+  CacheHint,
+  CacheStore,
+  CacheOpts,
+  LRUCacheStoreOpts,
+} from './utils/cache';
+export type { TracingSpan, ApolloTracing, TracingCollectorOpts } from './utils/tracing';
+export type { PruneReport } from './utils/schemaPruner';
+export type { SchemaMergeOpts, SchemaMergeConflictFn } from './utils/schemaMerger';
+export type {
+  RemoteExecutor,
+  RemoteExecutorParams,
+  RemoteSchemaOpts,
+  DelegateToRemoteOpts,
+} from './utils/remoteSchema';
+export type {
+  SchemaSnapshot,
+  SchemaSnapshotOpts,
+  SchemaSnapshotRegistry,
+  SchemaSnapshotType,
+  SchemaSnapshotTypeKind,
+  SchemaSnapshotDirective,
+} from './utils/schemaSnapshot';
+
 export type { TypeDefinitionString, TypeWrappedString, TypeNameString } from './TypeMapper';
@@ -0,0 +1,186 @@
+/* @flow strict */
+
+import { Kind, graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import {
+  GraphQLDateTime,
+  GraphQLLocalDate,
+  GraphQLTime,
+  GraphQLDuration,
+  GraphQLEmailAddress,
+  GraphQLURL,
+  GraphQLUUID,
+  GraphQLBigInt,
+  GraphQLDecimal,
+} from '..';
+
+describe('scalars', () => {
+  const literal = (value: string, kind: string = Kind.STRING): any => ({ kind, value });
+
+  describe('DateTime', () => {
+    it('should serialize', () => {
+      const date = new Date(Date.UTC(2020, 0, 31, 10, 30));
+      expect(GraphQLDateTime.serialize(date)).toBe('2020-01-31T10:30:00.000Z');
+      expect(GraphQLDateTime.serialize(date.getTime())).toBe('2020-01-31T10:30:00.000Z');
+      expect(GraphQLDateTime.serialize('2020-01-31T13:30:00+03:00')).toBe(
+        '2020-01-31T13:30:00+03:00'
+      );
+      expect(() => GraphQLDateTime.serialize('2020-01-31')).toThrow(
+        'Field error: value is not a valid DateTime: 2020-01-31'
+      );
+      expect(() => GraphQLDateTime.serialize(new Date('abc'))).toThrow('not a valid DateTime');
+    });
+
+    it('should parse values with timezone offsets', () => {
+      const date = new Date(Date.UTC(2020, 0, 31, 10, 30));
+      expect(GraphQLDateTime.parseValue('2020-01-31T13:30:00+03:00')).toEqual(date);
+      expect(GraphQLDateTime.parseLiteral(literal('2020-01-31T10:30:00.000Z'))).toEqual(date);
+      expect(GraphQLDateTime.parseLiteral(literal('2020-01-31T07:30:00-03:00'))).toEqual(date);
+      expect(() => GraphQLDateTime.parseValue('2020-02-30T10:30:00Z')).toThrow();
+      expect(() => GraphQLDateTime.parseValue('2020-01-31T10:30:00')).toThrow();
+      expect(() => GraphQLDateTime.parseLiteral(literal('2020-01-31T24:00:00Z'))).toThrow(
+        'Query error: Invalid DateTime format'
+      );
+      expect(() => GraphQLDateTime.parseLiteral(literal('1', Kind.INT))).toThrow(
+        'Can only parse strings to DateTime'
+      );
+    });
+  });
+
+  it('LocalDate', () => {
+    expect(GraphQLLocalDate.parseValue('2020-02-29')).toBe('2020-02-29');
+    expect(() => GraphQLLocalDate.parseValue('2019-02-29')).toThrow(
+      'Field error: value is not a valid LocalDate: 2019-02-29'
+    );
+    expect(() => GraphQLLocalDate.parseLiteral(literal('2020-01-31T00:00:00Z'))).toThrow(
+      'Query error: Invalid LocalDate: 2020-01-31T00:00:00Z'
+    );
+  });
+
+  it('Time', () => {
+    expect(GraphQLTime.parseValue('10:30:00')).toBe('10:30:00');
+    expect(GraphQLTime.parseValue('23:59:59.999+03:00')).toBe('23:59:59.999+03:00');
+    expect(() => GraphQLTime.parseValue('24:00:00')).toThrow();
+    expect(() => GraphQLTime.parseValue('10:30')).toThrow();
+  });
+
+  it('Duration', () => {
+    ['P1Y2M3DT4H5M6S', 'PT0.5S', 'P2W', '-P1D'].forEach(value => {
+      expect(GraphQLDuration.parseValue(value)).toBe(value);
+    });
+    ['P', 'PT', 'P1DT', '1D', 'P1H'].forEach(value => {
+      expect(() => GraphQLDuration.parseValue(value)).toThrow();
+    });
+  });
+
+  it('EmailAddress', () => {
+    expect(GraphQLEmailAddress.parseValue('john.doe+tag@example.com')).toBe(
+      'john.doe+tag@example.com'
+    );
+    expect(() => GraphQLEmailAddress.parseValue('john@')).toThrow();
+    expect(() => GraphQLEmailAddress.parseValue('john doe@example.com')).toThrow();
+  });
+
+  it('URL', () => {
+    expect(GraphQLURL.parseValue('https://example.com/path?q=1')).toBe(
+      'https://example.com/path?q=1'
+    );
+    expect(GraphQLURL.serialize('https://example.com')).toBe('https://example.com/');
+    expect(() => GraphQLURL.parseValue('/relative/path')).toThrow();
+  });
+
+  it('UUID', () => {
+    expect(GraphQLUUID.parseValue('123E4567-E89B-12D3-A456-426614174000')).toBe(
+      '123e4567-e89b-12d3-a456-426614174000'
+    );
+    expect(() => GraphQLUUID.parseValue('123e4567-e89b-12d3-a456')).toThrow();
+  });
+
+  it('BigInt', () => {
+    expect(GraphQLBigInt.serialize(42)).toBe('42');
+    expect(GraphQLBigInt.serialize('9223372036854775807')).toBe('9223372036854775807');
+    expect(GraphQLBigInt.parseValue('-9223372036854775808')).toBe('-9223372036854775808');
+    expect(GraphQLBigInt.parseLiteral(literal('9007199254740993', Kind.INT))).toBe(
+      '9007199254740993'
+    );
+    expect(() => GraphQLBigInt.parseValue('9223372036854775808')).toThrow();
+    expect(() => GraphQLBigInt.serialize(2 ** 53)).toThrow();
+    expect(() => GraphQLBigInt.serialize(1.5)).toThrow();
+    expect(() => GraphQLBigInt.parseLiteral(literal('1.5', Kind.FLOAT))).toThrow(
+      'Query error: Can only parse StringValue, IntValue to BigInt but got a: FloatValue'
+    );
+  });
+
+  it('Decimal', () => {
+    expect(GraphQLDecimal.serialize(0.1)).toBe('0.1');
+    expect(GraphQLDecimal.parseValue('12.30')).toBe('12.30');
+    expect(GraphQLDecimal.parseLiteral(literal('0.30000000000000000001', Kind.FLOAT))).toBe(
+      '0.30000000000000000001'
+    );
+    expect(() => GraphQLDecimal.parseValue('1,5')).toThrow();
+    expect(() => GraphQLDecimal.serialize(Infinity)).toThrow();
+  });
+
+  it('should be resolved from SDL by name', async () => {
+    const sc = new SchemaComposer();
+    sc.Query.addFields({
+      event: {
+        type: `type Event { id: UUID!, startsAt: DateTime, price: Decimal, views: BigInt }`,
+        args: { id: 'UUID!' },
+        resolve: (_, { id }) => ({
+          id,
+          startsAt: new Date(Date.UTC(2020, 0, 31)),
+          price: '19.99',
+          views: '9007199254740993',
+        }),
+      },
+    });
+    expect(sc.getSTC('DateTime').getType()).toBe(GraphQLDateTime);
+    const res = await graphql(
+      sc.buildSchema(),
+      '{ event(id: "123e4567-e89b-12d3-a456-426614174000") { id startsAt price views } }'
+    );
+    expect(res).toEqual({
+      data: {
+        event: {
+          id: '123e4567-e89b-12d3-a456-426614174000',
+          startsAt: '2020-01-31T00:00:00.000Z',
+          price: '19.99',
+          views: '9007199254740993',
+        },
+      },
+    });
+  });
+
+  it('should not override scalars declared in SDL', () => {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      type Query { site: URL, views: BigInt, opensAt: Time }
+      scalar URL
+      scalar BigInt
+      scalar Time
+    `);
+    expect(sc.getSTC('URL').getType()).not.toBe(GraphQLURL);
+    expect(sc.Query.getFieldTC('site')).toBe(sc.getSTC('URL'));
+    expect(() => sc.buildSchema()).not.toThrow();
+    expect(
+      sc
+        .getSTC('BigInt')
+        .getType()
+        .parseValue('not a number')
+    ).toBe('not a number');
+    expect(
+      sc
+        .getSTC('Time')
+        .getType()
+        .serialize('noon')
+    ).toBe('noon');
+  });
+
+  it('should be resolved by name in field configs', () => {
+    const sc = new SchemaComposer();
+    sc.Query.addFields({ created: 'DateTime', site: 'URL!' });
+    expect(sc.Query.getFieldType('created')).toBe(GraphQLDateTime);
+    expect(sc.getSTC('URL').getType()).toBe(GraphQLURL);
+  });
+});
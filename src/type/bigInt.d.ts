@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const BigInt: GraphQLScalarType;
+
+export default BigInt;
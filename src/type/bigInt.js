@@ -0,0 +1,24 @@
+/* @flow strict */
+
+import { Kind } from '../graphql';
+import { createStringScalar } from './stringScalar';
+
+function isInt64(value: string): boolean {
+  const negative = value.startsWith('-');
+  const digits = negative ? value.slice(1) : value;
+  const limit = negative ? '9223372036854775808' : '9223372036854775807';
+  return digits.length < limit.length || (digits.length === limit.length && digits <= limit);
+}
+
+// values are transferred as strings, cause JSON numbers lose precision above 2^53
+export default createStringScalar({
+  name: 'BigInt',
+  description: 'Signed 64-bit integer which is transferred as a string, eg. "9007199254740993"',
+  coerce: value => (/^-?(0|[1-9]\d*)$/.test(value) && isInt64(value) ? value : null),
+  stringify(value) {
+    if (typeof value === 'number') return Number.isSafeInteger(value) ? String(value) : null;
+    if ((typeof value: string) === 'bigint') return String(value);
+    return null;
+  },
+  literalKinds: [Kind.INT],
+});
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const DateTime: GraphQLScalarType;
+
+export default DateTime;
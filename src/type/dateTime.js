@@ -0,0 +1,64 @@
+/* @flow strict */
+
+import { GraphQLScalarType, GraphQLError, Kind } from '../graphql';
+import { isValidDate, isValidTime } from './stringScalar';
+
+const DATE_TIME_RE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-](\d{2}):(\d{2}))$/;
+
+function parseDateTime(value: string): ?Date {
+  const m = DATE_TIME_RE.exec(value);
+  if (
+    !m ||
+    !isValidDate(Number(m[1]), Number(m[2]), Number(m[3])) ||
+    !isValidTime(Number(m[4]), Number(m[5]), Number(m[6])) ||
+    (m[9] && !isValidTime(Number(m[9]), Number(m[10]), 0))
+  ) {
+    return null;
+  }
+  return new Date(value);
+}
+
+export default new GraphQLScalarType({
+  name: 'DateTime',
+  description:
+    'Date and time with timezone offset in ISO-8601 format, eg. 2020-01-31T10:30:00.000+03:00',
+  serialize(value) {
+    // strings are returned as is, so timezone offset is kept
+    if (typeof value === 'string' && parseDateTime(value)) {
+      return value;
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return new Date(value).toISOString();
+    }
+
+    if (!(value instanceof Date) || Number.isNaN(value.getTime())) {
+      throw new TypeError(`Field error: value is not a valid DateTime: ${String(value)}`);
+    }
+
+    return value.toISOString();
+  },
+  parseValue(value) {
+    const date = typeof value === 'string' ? parseDateTime(value) : null;
+    if (!date) {
+      throw new TypeError(`Field error: value is not a valid DateTime: ${String(value)}`);
+    }
+    return date;
+  },
+  parseLiteral(ast) {
+    if (ast.kind !== Kind.STRING) {
+      throw new GraphQLError(
+        `Query error: Can only parse strings to DateTime but got a: ${ast.kind}`,
+        [ast]
+      );
+    }
+    const date = parseDateTime(ast.value);
+    if (!date) {
+      throw new GraphQLError(
+        'Query error: Invalid DateTime format, only accepts: YYYY-MM-DDTHH:MM:SS.SSS+HH:MM',
+        [ast]
+      );
+    }
+    return date;
+  },
+});
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const Decimal: GraphQLScalarType;
+
+export default Decimal;
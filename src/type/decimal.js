@@ -0,0 +1,13 @@
+/* @flow strict */
+
+import { Kind } from '../graphql';
+import { createStringScalar } from './stringScalar';
+
+// values are kept as strings, cause float numbers lose precision, eg. 0.1 + 0.2
+export default createStringScalar({
+  name: 'Decimal',
+  description: 'Arbitrary-precision decimal number which is transferred as a string, eg. "12.30"',
+  coerce: value => (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value) ? value : null),
+  stringify: value => (typeof value === 'number' && Number.isFinite(value) ? String(value) : null),
+  literalKinds: [Kind.INT, Kind.FLOAT],
+});
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const Duration: GraphQLScalarType;
+
+export default Duration;
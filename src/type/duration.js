@@ -0,0 +1,20 @@
+/* @flow strict */
+
+import { createStringScalar } from './stringScalar';
+
+const NUM = '(\\d+(?:[.,]\\d+)?)';
+const DURATION_RE = new RegExp(
+  `^-?P(?:${NUM}Y)?(?:${NUM}M)?(?:${NUM}W)?(?:${NUM}D)?(?:T(?:${NUM}H)?(?:${NUM}M)?(?:${NUM}S)?)?$`
+);
+
+export default createStringScalar({
+  name: 'Duration',
+  description: 'Duration in ISO-8601 format, eg. P1DT12H or PT0.5S',
+  coerce(value) {
+    const m = DURATION_RE.exec(value);
+    // at least one component should be provided, `T` should be followed by time component
+    if (!m || m.slice(1).every(v => v === undefined)) return null;
+    if (value.endsWith('T')) return null;
+    return value;
+  },
+});
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const EmailAddress: GraphQLScalarType;
+
+export default EmailAddress;
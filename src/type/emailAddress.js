@@ -0,0 +1,12 @@
+/* @flow strict */
+
+import { createStringScalar } from './stringScalar';
+
+// https://html.spec.whatwg.org/multipage/input.html#valid-e-mail-address
+const EMAIL_RE = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+export default createStringScalar({
+  name: 'EmailAddress',
+  description: 'Email address, eg. user@example.com',
+  coerce: value => (EMAIL_RE.test(value) ? value : null),
+});
@@ -1,8 +1,33 @@
 import GraphQLDate from './date';
 import GraphQLBuffer from './buffer';
+import GraphQLDateTime from './dateTime';
+import GraphQLLocalDate from './localDate';
+import GraphQLTime from './time';
+import GraphQLDuration from './duration';
+import GraphQLEmailAddress from './emailAddress';
+import GraphQLURL from './url';
+import GraphQLUUID from './uuid';
+import GraphQLBigInt from './bigInt';
+import GraphQLDecimal from './decimal';
+import GraphQLUpload from './upload';
 import { GraphQLScalarType } from '../graphql';
 
 declare const GraphQLJSON: GraphQLScalarType;
 declare const GraphQLJSONObject: GraphQLScalarType;
 
-export { GraphQLDate, GraphQLBuffer, GraphQLJSON, GraphQLJSONObject };
+export {
+  GraphQLDate,
+  GraphQLBuffer,
+  GraphQLJSON,
+  GraphQLJSONObject,
+  GraphQLDateTime,
+  GraphQLLocalDate,
+  GraphQLTime,
+  GraphQLDuration,
+  GraphQLEmailAddress,
+  GraphQLURL,
+  GraphQLUUID,
+  GraphQLBigInt,
+  GraphQLDecimal,
+  GraphQLUpload,
+};
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const LocalDate: GraphQLScalarType;
+
+export default LocalDate;
@@ -0,0 +1,13 @@
+/* @flow strict */
+
+import { createStringScalar, isValidDate } from './stringScalar';
+
+export default createStringScalar({
+  name: 'LocalDate',
+  description: 'Date without time and timezone in format YYYY-MM-DD, eg. 2020-01-31',
+  coerce(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!m || !isValidDate(Number(m[1]), Number(m[2]), Number(m[3]))) return null;
+    return value;
+  },
+});
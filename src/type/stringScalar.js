@@ -0,0 +1,62 @@
+/* @flow strict */
+
+import { GraphQLScalarType, GraphQLError, Kind } from '../graphql';
+
+type StringScalarConfig = {
+  name: string,
+  description: string,
+  // returns normalized value or `null` if value is invalid
+  coerce: (value: string) => ?string,
+  // converts non-string values (eg. numbers) to string before validation
+  stringify?: (value: mixed) => ?string,
+  // kinds of literals which are accepted besides strings, eg. `INT`
+  literalKinds?: Array<string>,
+};
+
+// Scalar which is transferred as a string and strictly validated in every direction
+export function createStringScalar(config: StringScalarConfig): GraphQLScalarType {
+  const { name, description, coerce, stringify, literalKinds = [] } = config;
+
+  function coerceValue(value: mixed, errorPrefix: string): string {
+    let str = typeof value === 'string' ? value : null;
+    if (str === null && stringify) str = stringify(value);
+    const result = typeof str === 'string' ? coerce(str) : null;
+    if (result === null || result === undefined) {
+      throw new TypeError(`${errorPrefix}: value is not a valid ${name}: ${String(value)}`);
+    }
+    return result;
+  }
+
+  return new GraphQLScalarType({
+    name,
+    description,
+    serialize: value => coerceValue(value, 'Field error'),
+    parseValue: value => coerceValue(value, 'Field error'),
+    parseLiteral(ast) {
+      if (ast.kind !== Kind.STRING && !literalKinds.includes(ast.kind)) {
+        throw new GraphQLError(
+          `Query error: Can only parse ${[Kind.STRING, ...literalKinds].join(
+            ', '
+          )} to ${name} but got a: ${ast.kind}`,
+          [ast]
+        );
+      }
+      const { value } = (ast: any);
+      const result = coerce(value);
+      if (result === null || result === undefined) {
+        throw new GraphQLError(`Query error: Invalid ${name}: ${value}`, [ast]);
+      }
+      return result;
+    },
+  });
+}
+
+export function isValidDate(year: number, month: number, day: number): boolean {
+  if (month < 1 || month > 12 || day < 1) return false;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day <= daysInMonth;
+}
+
+export function isValidTime(hours: number, minutes: number, seconds: number): boolean {
+  return hours < 24 && minutes < 60 && seconds < 60;
+}
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const Time: GraphQLScalarType;
+
+export default Time;
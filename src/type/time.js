@@ -0,0 +1,15 @@
+/* @flow strict */
+
+import { createStringScalar, isValidTime } from './stringScalar';
+
+export default createStringScalar({
+  name: 'Time',
+  description:
+    'Time of the day in format HH:MM:SS with optional fraction of seconds and timezone offset, eg. 10:30:00.5+03:00',
+  coerce(value) {
+    const m = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-](\d{2}):(\d{2}))?$/.exec(value);
+    if (!m || !isValidTime(Number(m[1]), Number(m[2]), Number(m[3]))) return null;
+    if (m[6] && !isValidTime(Number(m[6]), Number(m[7]), 0)) return null;
+    return value;
+  },
+});
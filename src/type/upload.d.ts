@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const Upload: GraphQLScalarType;
+
+export default Upload;
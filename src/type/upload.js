@@ -0,0 +1,22 @@
+/* @flow strict */
+
+import { GraphQLScalarType, GraphQLError } from '../graphql';
+import { Upload } from '../utils/upload';
+
+export default new GraphQLScalarType({
+  name: 'Upload',
+  description:
+    'File uploaded via multipart request, resolvers receive Promise with `stream`, `filename`, `mimetype` and `encoding` of the file',
+  serialize() {
+    throw new TypeError('Field error: Upload scalar cannot be returned by fields');
+  },
+  parseValue(value) {
+    if (!(value instanceof Upload)) {
+      throw new TypeError('Field error: Upload value should be provided via multipart request');
+    }
+    return value.promise;
+  },
+  parseLiteral(ast) {
+    throw new GraphQLError('Query error: Upload literal is not supported', [ast]);
+  },
+});
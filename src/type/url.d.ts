@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const URL: GraphQLScalarType;
+
+export default URL;
@@ -0,0 +1,16 @@
+/* @flow strict */
+
+import { URL } from 'url';
+import { createStringScalar } from './stringScalar';
+
+export default createStringScalar({
+  name: 'URL',
+  description: 'Absolute URL, eg. https://example.com/path?query',
+  coerce(value) {
+    try {
+      return new URL(value).toString();
+    } catch (e) {
+      return null;
+    }
+  },
+});
@@ -0,0 +1,5 @@
+import { GraphQLScalarType } from '../graphql';
+
+declare const UUID: GraphQLScalarType;
+
+export default UUID;
@@ -0,0 +1,11 @@
+/* @flow strict */
+
+import { createStringScalar } from './stringScalar';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default createStringScalar({
+  name: 'UUID',
+  description: 'UUID in canonical form, eg. 123e4567-e89b-12d3-a456-426614174000',
+  coerce: value => (UUID_RE.test(value) ? value.toLowerCase() : null),
+});
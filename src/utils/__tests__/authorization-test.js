@@ -0,0 +1,87 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { getFieldAuthRule } from '../authorization';
+
+describe('authorization', () => {
+  let sc: SchemaComposer<any>;
+  const rolesChecker = (rule, { context }) =>
+    !rule.roles || rule.roles.some(role => context.roles.includes(role));
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    const UserTC = sc.createObjectTC(`type User { name: String, email: String, salary: Int }`);
+    UserTC.setFieldExtension('email', 'auth', { roles: ['admin'], mode: 'mask' });
+    UserTC.setFieldExtension('salary', 'auth', { roles: ['admin'] });
+    const SecretTC = sc.createObjectTC(`type Secret { code: String, hint: String }`);
+    SecretTC.setExtension('auth', { roles: ['admin'] });
+    SecretTC.setFieldExtension('hint', 'auth', { roles: ['user'] });
+    sc.Query.addFields({
+      user: {
+        type: UserTC,
+        resolve: () => ({ name: 'Ann', email: 'ann@example.com', salary: 100 }),
+      },
+      secret: { type: SecretTC, resolve: () => ({ code: '42', hint: 'answer' }) },
+    });
+  });
+
+  it('getFieldAuthRule() should prefer field rule over type rule', () => {
+    const SecretTC = sc.getOTC('Secret');
+    expect(getFieldAuthRule(SecretTC, 'code')).toEqual({ roles: ['admin'] });
+    expect(getFieldAuthRule(SecretTC, 'hint')).toEqual({ roles: ['user'] });
+    expect(getFieldAuthRule(sc.getOTC('User'), 'name')).toBe(null);
+  });
+
+  it('should not check rules without auth checker', async () => {
+    const res = await graphql(sc.buildSchema(), '{ user { email } }', null, { roles: [] });
+    expect(res).toEqual({ data: { user: { email: 'ann@example.com' } } });
+  });
+
+  it('should mask fields and throw errors', async () => {
+    sc.setAuthChecker(rolesChecker);
+    const schema = sc.buildSchema();
+    const query = '{ user { name email salary } secret { hint } }';
+
+    const res: any = await graphql(schema, query, null, { roles: ['user'] });
+    expect(res.data).toEqual({
+      user: { name: 'Ann', email: null, salary: null },
+      secret: { hint: 'answer' },
+    });
+    expect(res.errors.map(e => e.message)).toEqual(['Not authorized to access User.salary.']);
+
+    expect(await graphql(schema, query, null, { roles: ['admin'] })).toEqual({
+      data: {
+        user: { name: 'Ann', email: 'ann@example.com', salary: 100 },
+        secret: { hint: null },
+      },
+      errors: [expect.objectContaining({ message: 'Not authorized to access Secret.hint.' })],
+    });
+  });
+
+  it('should use default mode and async checker', async () => {
+    const checker = jest.fn((rule, params) => Promise.resolve(rolesChecker(rule, params)));
+    sc.setAuthChecker(checker, { mode: 'mask' });
+    const res = await graphql(sc.buildSchema(), '{ user { salary } secret { code } }', null, {
+      roles: [],
+    });
+    expect(res).toEqual({ data: { user: { salary: null }, secret: { code: null } } });
+    expect(checker.mock.calls[0][1]).toMatchObject({ typeName: 'User', fieldName: 'salary' });
+  });
+
+  it('should not modify original types', () => {
+    sc.setAuthChecker(rolesChecker, { mode: 'mask' });
+    expect(sc.getAuthOpts()).toEqual({ mode: 'mask' });
+    sc.buildSchema();
+    const resolve: any = sc.getOTC('Query').getField('user').resolve;
+    expect(resolve()).toEqual({ name: 'Ann', email: 'ann@example.com', salary: 100 });
+    expect(sc.getOTC('User').getField('salary').resolve).toBeUndefined();
+
+    sc.removeAuthChecker();
+    expect(sc.getAuthChecker()).toBeUndefined();
+    expect(sc.getAuthOpts()).toEqual({});
+    expect(() => sc.setAuthChecker((123: any))).toThrow(
+      'You should provide function to schemaComposer.setAuthChecker()'
+    );
+  });
+});
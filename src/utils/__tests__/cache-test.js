@@ -0,0 +1,240 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { LRUCacheStore, getCacheControlHint, getCacheControlHeader } from '../cache';
+
+describe('cache', () => {
+  describe('LRUCacheStore', () => {
+    it('should evict least recently used entries', () => {
+      const store = new LRUCacheStore({ max: 2 });
+      store.set('a', 1, 60);
+      store.set('b', 2, 60);
+      expect(store.get('a')).toBe(1);
+      store.set('c', 3, 60);
+      expect(store.size).toBe(2);
+      expect(store.get('b')).toBeUndefined();
+      expect(store.get('a')).toBe(1);
+      expect(store.get('c')).toBe(3);
+    });
+
+    it('should expire entries', () => {
+      const store = new LRUCacheStore();
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      store.set('a', 1, 10);
+      spy.mockReturnValue(now + 9999);
+      expect(store.get('a')).toBe(1);
+      spy.mockReturnValue(now + 10000);
+      expect(store.get('a')).toBeUndefined();
+      expect(store.size).toBe(0);
+      spy.mockRestore();
+    });
+  });
+
+  describe('schemaComposer.enableCache()', () => {
+    let sc: SchemaComposer<any>;
+    let calls: { [key: string]: number };
+
+    beforeEach(() => {
+      calls = {};
+      const count = (key: string) => {
+        calls[key] = (calls[key] || 0) + 1;
+      };
+      sc = new SchemaComposer();
+      sc.createObjectTC({
+        name: 'User',
+        fields: {
+          id: 'Int!',
+          name: 'String',
+          friendCount: {
+            type: 'Int',
+            resolve: source => {
+              count(`friendCount:${source.id}`);
+              return source.id * 10;
+            },
+            extensions: { cache: { maxAge: 30 } },
+          },
+        },
+      });
+      sc.Query.addFields({
+        user: {
+          type: 'User',
+          args: { id: 'Int!' },
+          resolve: (_, { id }) => {
+            count('user');
+            return { id, name: `User ${id}` };
+          },
+          extensions: { cache: { maxAge: 60 } },
+        },
+        me: {
+          type: 'User',
+          resolve: (_, __, context) => {
+            count('me');
+            return { id: context.userId, name: 'Me' };
+          },
+          extensions: { cache: { maxAge: 10, scope: 'PRIVATE' } },
+        },
+        now: {
+          type: 'Float',
+          resolve: () => {
+            count('now');
+            return Date.now();
+          },
+        },
+      });
+      sc.Mutation.addFields({
+        touchUser: {
+          type: 'User',
+          args: { id: 'Int!' },
+          resolve: (_, { id }) => {
+            count('touchUser');
+            return { id };
+          },
+          extensions: { cache: { maxAge: 60 } },
+        },
+      });
+      sc.enableCache({ getUserId: context => context.userId });
+    });
+
+    it('should cache results by args', async () => {
+      const schema = sc.buildSchema();
+      const query = '{ user(id: 1) { name } u2: user(id: 2) { name } }';
+      const expected = { data: { user: { name: 'User 1' }, u2: { name: 'User 2' } } };
+      expect(await graphql(schema, query, null, {})).toEqual(expected);
+      expect(await graphql(schema, query, null, {})).toEqual(expected);
+      expect(calls.user).toBe(2);
+    });
+
+    it('should cache fields of non-root types by id of the parent record', async () => {
+      const schema = sc.buildSchema();
+      const query = '{ user(id: 1) { friendCount } u2: user(id: 2) { friendCount } }';
+      await graphql(schema, query, null, {});
+      const res = await graphql(schema, query, null, {});
+      expect(res).toEqual({ data: { user: { friendCount: 10 }, u2: { friendCount: 20 } } });
+      expect(calls['friendCount:1']).toBe(1);
+      expect(calls['friendCount:2']).toBe(1);
+    });
+
+    it('should use record id of the parent type', async () => {
+      sc.getOTC('User').setRecordIdFn(source => source.key);
+      sc.Query.addFields({
+        userByKey: {
+          type: 'User',
+          args: { key: 'Int!' },
+          resolve: (_, { key }) => ({ key, id: 1, name: `User ${key}` }),
+        },
+      });
+      const schema = sc.buildSchema();
+      const query = '{ a: userByKey(key: 1) { friendCount } b: userByKey(key: 2) { friendCount } }';
+      await graphql(schema, query, null, {});
+      const res = await graphql(schema, query, null, {});
+      expect(res).toEqual({ data: { a: { friendCount: 10 }, b: { friendCount: 10 } } });
+      // both records have the same `id`, but different keys
+      expect(calls['friendCount:1']).toBe(2);
+    });
+
+    it('should cache PRIVATE results per user', async () => {
+      const schema = sc.buildSchema();
+      const query = '{ me { id } }';
+      await graphql(schema, query, null, { userId: 1 });
+      await graphql(schema, query, null, { userId: 1 });
+      const res = await graphql(schema, query, null, { userId: 2 });
+      expect(res).toEqual({ data: { me: { id: 2 } } });
+      expect(calls.me).toBe(2);
+
+      // without user id results are not cached
+      await graphql(schema, query, null, {});
+      await graphql(schema, query, null, {});
+      expect(calls.me).toBe(4);
+    });
+
+    it('should not cache mutations and root fields without hints', async () => {
+      const schema = sc.buildSchema();
+      await graphql(schema, '{ now }', null, {});
+      await graphql(schema, '{ now }', null, {});
+      await graphql(schema, 'mutation { touchUser(id: 1) { id } }', null, {});
+      await graphql(schema, 'mutation { touchUser(id: 1) { id } }', null, {});
+      expect(calls.now).toBe(2);
+      expect(calls.touchUser).toBe(2);
+    });
+
+    it('should use custom store and defaultMaxAge', async () => {
+      const entries = new Map();
+      const store = {
+        get: key => Promise.resolve(entries.get(key)),
+        set: (key, value) => {
+          entries.set(key, value);
+          return Promise.resolve();
+        },
+      };
+      sc.enableCache({ store, defaultMaxAge: 5 });
+      const schema = sc.buildSchema();
+      const first: any = await graphql(schema, '{ now }', null, {});
+      const second: any = await graphql(schema, '{ now }', null, {});
+      expect(second.data.now).toBe(first.data.now);
+      expect(calls.now).toBe(1);
+      expect(Array.from(entries.keys())).toEqual(['Query.now:{}']);
+    });
+
+    it('should compute Cache-Control hint of the response', async () => {
+      const schema = sc.buildSchema();
+      const context1 = {};
+      await graphql(schema, '{ user(id: 1) { friendCount } }', null, context1);
+      expect(getCacheControlHint(context1)).toEqual({ maxAge: 30, scope: 'PUBLIC' });
+      expect(getCacheControlHeader(context1)).toBe('max-age=30, public');
+
+      const context2 = { userId: 1 };
+      await graphql(schema, '{ user(id: 1) { name } me { name } }', null, context2);
+      expect(getCacheControlHeader(context2)).toBe('max-age=10, private');
+
+      const context3 = {};
+      await graphql(schema, '{ user(id: 1) { name } now }', null, context3);
+      expect(getCacheControlHint(context3)).toEqual({ maxAge: 0, scope: 'PUBLIC' });
+      expect(getCacheControlHeader(context3)).toBe(null);
+      expect(getCacheControlHeader({})).toBe(null);
+    });
+
+    it('should not cache without enableCache()', async () => {
+      sc.disableCache();
+      const schema = sc.buildSchema();
+      await graphql(schema, '{ user(id: 1) { name } }', null, {});
+      await graphql(schema, '{ user(id: 1) { name } }', null, {});
+      expect(calls.user).toBe(2);
+    });
+  });
+
+  it('resolver.withCache()', async () => {
+    const sc = new SchemaComposer();
+    sc.enableCache();
+    let calls = 0;
+    const resolver = sc.createResolver({
+      name: 'findPosts',
+      type: '[String]',
+      args: { limit: 'Int' },
+      resolve: ({ args }) => {
+        calls++;
+        return ['a', 'b', 'c'].slice(0, args.limit);
+      },
+      extensions: { cache: { maxAge: 60 } },
+    });
+    const cachedResolver = resolver.withCache();
+    expect(cachedResolver.getNestedName()).toBe('withCache(findPosts)');
+    sc.Query.addFields({
+      posts: cachedResolver,
+      freshPosts: resolver.withCache({ maxAge: 0 }),
+    });
+    const schema = sc.buildSchema();
+    await graphql(schema, '{ posts(limit: 2) }', null, {});
+    const res = await graphql(schema, '{ posts(limit: 2) }', null, {});
+    expect(res).toEqual({ data: { posts: ['a', 'b'] } });
+    expect(calls).toBe(1);
+    await graphql(schema, '{ freshPosts(limit: 2) }', null, {});
+    await graphql(schema, '{ freshPosts(limit: 2) }', null, {});
+    expect(calls).toBe(3);
+
+    expect(() => sc.createResolver({ name: 'noHint', type: 'Int' }).withCache()).toThrow(
+      'Resolver noHint should have `cache` extension or hint provided to withCache().'
+    );
+  });
+});
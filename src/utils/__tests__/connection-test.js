@@ -0,0 +1,126 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { createConnectionResolver, encodeCursor, decodeCursor } from '../connection';
+
+describe('connection', () => {
+  let sc: SchemaComposer<any>;
+  const users = [1, 2, 3, 4, 5].map(id => ({ id, age: 40 - id * 5, name: `User ${id}` }));
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    const UserTC = sc.createObjectTC(`type User { id: Int, age: Int, name: String }`);
+    const filterRecords = filter =>
+      users.filter(u => !filter || filter.minAge === undefined || u.age >= filter.minAge);
+    UserTC.addResolver({
+      name: 'findMany',
+      type: [UserTC],
+      args: { filter: 'input UserFilter { minAge: Int }', skip: 'Int', limit: 'Int' },
+      resolve: ({ args }) => {
+        let records = filterRecords(args.filter);
+        if (args.sort) {
+          const field = Object.keys(args.sort)[0];
+          records = [...records].sort((a, b) => (a[field] - b[field]) * args.sort[field]);
+        }
+        return records.slice(args.skip || 0, (args.skip || 0) + (args.limit || 100));
+      },
+    });
+    UserTC.setResolver(
+      'findMany',
+      UserTC.getResolver('findMany')
+        .addSortArg({ name: 'ID_ASC', value: { id: 1 }, sortTypeNameFallback: 'SortUserEnum' })
+        .addSortArg({ name: 'AGE_ASC', value: { age: 1 } })
+    );
+    UserTC.addResolver({
+      name: 'count',
+      type: 'Int',
+      args: { filter: 'UserFilter' },
+      resolve: jest.fn(({ args }) => filterRecords(args.filter).length),
+    });
+    UserTC.addResolver(createConnectionResolver(UserTC, { defaultLimit: 2 }));
+    sc.Query.addFields({ users: UserTC.getResolver('connection') });
+  });
+
+  async function query(args: string) {
+    const res: any = await graphql(
+      sc.buildSchema(),
+      `{ users${args} {
+        edges { cursor node { id } }
+        pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+      } }`
+    );
+    if (res.errors) throw new Error(res.errors[0].message);
+    return res.data.users;
+  }
+
+  const ids = connection => connection.edges.map(e => e.node.id);
+
+  it('should encode and decode cursor', () => {
+    const cursor = encodeCursor({ offset: 3 });
+    expect(decodeCursor(cursor)).toEqual({ offset: 3 });
+    expect(() => decodeCursor('abc')).toThrow('Invalid cursor abc');
+  });
+
+  it('should create types and args', () => {
+    const resolver = sc.getOTC('User').getResolver('connection');
+    expect(resolver.getTypeName()).toBe('UserConnection');
+    expect(resolver.getArgNames()).toEqual(['first', 'after', 'last', 'before', 'filter', 'sort']);
+    expect(sc.getOTC('UserConnection').getFieldTypeName('edges')).toBe('[UserEdge!]!');
+    expect(sc.getOTC('UserConnection').getFieldTypeName('pageInfo')).toBe('PageInfo!');
+    expect(sc.getOTC('UserEdge').getFieldTypeName('node')).toBe('User!');
+  });
+
+  it('should throw error if resolvers are missing', () => {
+    const tc = sc.createObjectTC('type Post { id: Int }');
+    expect(() => createConnectionResolver(tc)).toThrow(
+      "ObjectTypeComposer(Post) does not have resolver with name 'findMany'"
+    );
+    tc.addResolver({ name: 'findMany', type: [tc], resolve: () => [] });
+    tc.addResolver({ name: 'count', type: 'Int', resolve: () => 0 });
+    expect(() => createConnectionResolver(tc)).toThrow(
+      "Resolver Post.findMany should have 'skip' and 'limit' args"
+    );
+  });
+
+  it('should paginate forward', async () => {
+    const page1 = await query('(first: 2, sort: AGE_ASC)');
+    expect(ids(page1)).toEqual([5, 4]);
+    expect(page1.pageInfo.hasNextPage).toBe(true);
+    expect(page1.pageInfo.hasPreviousPage).toBe(false);
+    expect(decodeCursor(page1.pageInfo.endCursor)).toEqual({ offset: 1 });
+
+    const page2 = await query(`(first: 2, after: "${page1.pageInfo.endCursor}", sort: AGE_ASC)`);
+    expect(ids(page2)).toEqual([3, 2]);
+    expect(page2.pageInfo.hasPreviousPage).toBe(true);
+
+    const page3 = await query(`(first: 2, after: "${page2.pageInfo.endCursor}", sort: AGE_ASC)`);
+    expect(ids(page3)).toEqual([1]);
+    expect(page3.pageInfo.hasNextPage).toBe(false);
+  });
+
+  it('should paginate backward', async () => {
+    const page1 = await query('(last: 2)');
+    expect(ids(page1)).toEqual([4, 5]);
+    expect(page1.pageInfo.hasPreviousPage).toBe(true);
+    expect(page1.pageInfo.hasNextPage).toBe(false);
+
+    const page2 = await query(`(last: 2, before: "${page1.pageInfo.startCursor}")`);
+    expect(ids(page2)).toEqual([2, 3]);
+    expect(page2.pageInfo.hasNextPage).toBe(true);
+  });
+
+  it('should use default limit and pass filter', async () => {
+    expect(ids(await query(''))).toEqual([1, 2]);
+    expect(ids(await query('(first: 10, filter: { minAge: 20 })'))).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should resolve count lazily', async () => {
+    const countResolve: any = sc.getOTC('User').getResolver('count').resolve;
+    const schema = sc.buildSchema();
+    await graphql(schema, '{ users(first: 1) { edges { cursor } } }');
+    expect(countResolve).not.toHaveBeenCalled();
+    const res = await graphql(schema, '{ users(filter: { minAge: 25 }) { count } }');
+    expect(res).toEqual({ data: { users: { count: 3 } } });
+  });
+});
@@ -0,0 +1,175 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { createCrudResolvers } from '../crudResolvers';
+import { createPaginationResolver } from '../pagination';
+
+describe('crudResolvers', () => {
+  let sc: SchemaComposer<any>;
+  let users: Array<any>;
+
+  const matches = (record, filter) => Object.keys(filter).every(key => record[key] === filter[key]);
+  const adapter = {
+    findById: id => users.find(u => u.id === id),
+    findMany: ({ filter, sort, skip, limit }) => {
+      const result = users.filter(u => matches(u, filter));
+      if (sort) {
+        const [key, order] = (Object.entries(sort)[0]: any);
+        result.sort((a, b) => (a[key] > b[key] ? order : -order));
+      }
+      const start = skip || 0;
+      return result.slice(start, limit ? start + limit : undefined);
+    },
+    count: ({ filter }) => users.filter(u => matches(u, filter)).length,
+    createOne: record => {
+      const user = { ...record, id: String(users.length + 1) };
+      users.push(user);
+      return user;
+    },
+    updateById: (id, record) => {
+      const user = users.find(u => u.id === id);
+      return user ? Object.assign(user, record) : null;
+    },
+    removeById: id => {
+      const user = users.find(u => u.id === id);
+      users = users.filter(u => u !== user);
+      return user;
+    },
+  };
+
+  beforeEach(() => {
+    users = [
+      { id: '1', name: 'Ann', age: 30, role: 'ADMIN' },
+      { id: '2', name: 'Bob', age: 25, role: 'USER' },
+      { id: '3', name: 'Cid', age: 35, role: 'USER' },
+    ];
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      enum Role { ADMIN USER }
+      type Address { city: String }
+      type User { id: ID!, name: String, age: Int, role: Role, tags: [String], address: Address }
+    `);
+    const UserTC = sc.getOTC('User');
+    UserTC.setFieldExtension('id', 'readOnly', true);
+    UserTC.generateCrudResolvers(adapter);
+    sc.Query.addFields({
+      userById: UserTC.getResolver('findById'),
+      users: UserTC.getResolver('findMany'),
+      userCount: UserTC.getResolver('count'),
+    });
+    sc.Mutation.addFields({
+      userCreate: UserTC.getResolver('createOne'),
+      userUpdate: UserTC.getResolver('updateById'),
+      userRemove: UserTC.getResolver('removeById'),
+    });
+  });
+
+  it('should create resolvers with filter, sort and record types', () => {
+    const UserTC = sc.getOTC('User');
+    expect(Array.from(UserTC.getResolvers().keys())).toEqual([
+      'findById',
+      'findMany',
+      'count',
+      'createOne',
+      'updateById',
+      'removeById',
+    ]);
+    const findMany = UserTC.getResolver('findMany');
+    expect(findMany.getTypeName()).toBe('[User!]!');
+    expect(findMany.getArgTypeName('filter')).toBe('FilterUserInput');
+    expect(findMany.getArgTypeName('sort')).toBe('SortUserEnum');
+    expect(sc.getITC('FilterUserInput').getFieldNames()).toEqual(['id', 'name', 'age', 'role']);
+    expect(sc.getITC('FilterUserInput').getFieldTypeName('id')).toBe('ID');
+    expect(sc.getETC('SortUserEnum').getFieldNames()).toEqual([
+      'ID_ASC',
+      'ID_DESC',
+      'NAME_ASC',
+      'NAME_DESC',
+      'AGE_ASC',
+      'AGE_DESC',
+      'ROLE_ASC',
+      'ROLE_DESC',
+    ]);
+    expect(UserTC.getResolver('findById').getArgTypeName('id')).toBe('ID!');
+    expect(UserTC.getResolver('createOne').getArgTypeName('record')).toBe('CreateUserInput!');
+    expect(UserTC.getResolver('updateById').getArgTypeName('record')).toBe('UpdateUserInput!');
+    expect(sc.getITC('CreateUserInput').getFieldNames()).not.toContain('id');
+    expect(UserTC.getResolver('createOne').kind).toBe('mutation');
+  });
+
+  it('should keep id optional in create input type', () => {
+    const sc2 = new SchemaComposer();
+    const UserTC = sc2.createObjectTC(`type User { id: ID!, name: String! }`);
+    UserTC.generateCrudResolvers(adapter);
+    expect(sc2.getITC('CreateUserInput').getFieldTypeName('id')).toBe('ID');
+    expect(sc2.getITC('CreateUserInput').getFieldTypeName('name')).toBe('String!');
+    expect(UserTC.getResolver('updateById').getArgTypeName('id')).toBe('ID!');
+    expect(UserTC.getResolver('removeById').getArgTypeName('id')).toBe('ID!');
+  });
+
+  it('should read records via adapter', async () => {
+    const res = await graphql(
+      sc.buildSchema(),
+      `
+        {
+          userById(id: "2") {
+            name
+          }
+          users(filter: { role: USER }, sort: AGE_DESC) {
+            name
+          }
+          userCount(filter: { role: USER })
+        }
+      `
+    );
+    expect(res).toEqual({
+      data: {
+        userById: { name: 'Bob' },
+        users: [{ name: 'Cid' }, { name: 'Bob' }],
+        userCount: 2,
+      },
+    });
+  });
+
+  it('should write records via adapter', async () => {
+    const schema = sc.buildSchema();
+    expect(
+      await graphql(schema, 'mutation { userCreate(record: { name: "Dan", age: 20 }) { id } }')
+    ).toEqual({ data: { userCreate: { id: '4' } } });
+    expect(
+      await graphql(schema, 'mutation { userUpdate(id: "4", record: { age: 21 }) { name age } }')
+    ).toEqual({ data: { userUpdate: { name: 'Dan', age: 21 } } });
+    expect(await graphql(schema, 'mutation { userRemove(id: "1") { name } }')).toEqual({
+      data: { userRemove: { name: 'Ann' } },
+    });
+    expect(users.map(u => u.name)).toEqual(['Bob', 'Cid', 'Dan']);
+  });
+
+  it('should work with pagination resolver', async () => {
+    const UserTC = sc.getOTC('User');
+    UserTC.addResolver(createPaginationResolver(UserTC, { perPage: 2 }));
+    sc.Query.setField('userPagination', UserTC.getResolver('pagination'));
+    const res = await graphql(
+      sc.buildSchema(),
+      '{ userPagination(page: 2, sort: NAME_ASC) { items { name } pageInfo { pageCount } } }'
+    );
+    expect(res).toEqual({
+      data: { userPagination: { items: [{ name: 'Cid' }], pageInfo: { pageCount: 2 } } },
+    });
+  });
+
+  it('should create resolvers only for provided adapter methods', () => {
+    const PostTC = sc.createObjectTC(`type Post { slug: String!, title: String }`);
+    const resolvers = createCrudResolvers(PostTC, { findById: () => null }, { idField: 'slug' });
+    expect(resolvers.map(r => r.name)).toEqual(['findById']);
+    expect(resolvers[0].getArgTypeName('slug')).toBe('String!');
+
+    expect(() => createCrudResolvers(PostTC, {})).toThrow(
+      'CRUD adapter of type Post should implement at least one of methods'
+    );
+    expect(() => createCrudResolvers(PostTC, adapter)).toThrow(
+      "Type Post does not have id field 'id'."
+    );
+  });
+});
@@ -0,0 +1,160 @@
+/* @flow strict */
+
+import { graphql, defaultFieldResolver } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { ObjectTypeComposer } from '../../ObjectTypeComposer';
+
+describe('directiveTransformer', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      enum Role { ADMIN @hide, USER }
+      input UserFilter { name: String @upper, token: String @hide }
+      type User {
+        name: String @upper
+        email: String @auth(requires: "ADMIN")
+        password: String @hide
+      }
+      type Query {
+        user(filter: UserFilter, id: Int @hide): User
+        roles: [Role]
+      }
+    `);
+    sc.Query.extendField('user', {
+      resolve: (_, args) => ({ name: 'john', email: 'john@example.com', args }),
+    });
+    sc.Query.extendField('roles', { resolve: () => ['USER'] });
+  });
+
+  function addTransformers() {
+    sc.addDirectiveTransformer('@upper', ({ location, typeComposer, fieldName }) => {
+      const tc: any = typeComposer;
+      if (location === 'FIELD_DEFINITION' && tc instanceof ObjectTypeComposer && fieldName) {
+        const resolve = tc.getFieldConfig(fieldName).resolve || defaultFieldResolver;
+        tc.extendField(fieldName, {
+          resolve: async (...rp) => {
+            const result = await resolve(...rp);
+            return typeof result === 'string' ? result.toUpperCase() : result;
+          },
+        });
+      }
+    });
+    sc.addDirectiveTransformer('auth', ({ args, typeComposer, fieldName }) => {
+      const tc: any = typeComposer;
+      const resolve = tc.getFieldConfig(fieldName).resolve || defaultFieldResolver;
+      tc.extendField(fieldName, {
+        resolve: (source, a, context, info) => {
+          if (context.role !== args.requires) throw new Error('Forbidden');
+          return resolve(source, a, context, info);
+        },
+      });
+    });
+    sc.addDirectiveTransformer('hide', ({ location, typeComposer, fieldName, argName }) => {
+      const tc: any = typeComposer;
+      if (location === 'ARGUMENT_DEFINITION') tc.removeFieldArg(fieldName, argName);
+      else tc.removeField(fieldName);
+    });
+  }
+
+  it('should manage transformers', () => {
+    const fn = () => {};
+    sc.addDirectiveTransformer('@upper', fn);
+    expect(sc.hasDirectiveTransformer('upper')).toBe(true);
+    expect(sc.getDirectiveTransformers().get('upper')).toBe(fn);
+    sc.removeDirectiveTransformer('upper');
+    expect(sc.hasDirectiveTransformer('@upper')).toBe(false);
+    expect(() => sc.addDirectiveTransformer('upper', (123: any))).toThrow(
+      'You should provide function to schemaComposer.addDirectiveTransformer()'
+    );
+  });
+
+  it('should wrap resolvers', async () => {
+    addTransformers();
+    const schema = sc.buildSchema();
+    const query = '{ user { name email } }';
+    expect(await graphql(schema, query, null, { role: 'ADMIN' })).toEqual({
+      data: { user: { name: 'JOHN', email: 'john@example.com' } },
+    });
+    const res: any = await graphql(schema, query, null, { role: 'USER' });
+    expect(res.data).toEqual({ user: { name: 'JOHN', email: null } });
+    expect(res.errors.map(e => e.message)).toEqual(['Forbidden']);
+  });
+
+  it('should remove fields, args, input fields and enum values', () => {
+    addTransformers();
+    const schema = sc.buildSchema();
+    const User: any = schema.getType('User');
+    expect(Object.keys(User.getFields())).toEqual(['name', 'email']);
+    const Query: any = schema.getType('Query');
+    expect(Query.getFields().user.args.map(a => a.name)).toEqual(['filter']);
+    const UserFilter: any = schema.getType('UserFilter');
+    expect(Object.keys(UserFilter.getFields())).toEqual(['name']);
+    const Role: any = schema.getType('Role');
+    expect(Role.getValues().map(v => v.name)).toEqual(['USER']);
+  });
+
+  it('should call transformer with location params', () => {
+    const calls = [];
+    sc.addDirectiveTransformer('hide', ({ location, typeComposer, fieldName, argName, args }) => {
+      calls.push([location, typeComposer.getTypeName(), fieldName, argName, args]);
+    });
+    sc.buildSchema();
+    expect(calls).toEqual([
+      ['ARGUMENT_DEFINITION', 'Query', 'user', 'id', {}],
+      ['ENUM_VALUE', 'Role', 'ADMIN', undefined, {}],
+      ['INPUT_FIELD_DEFINITION', 'UserFilter', 'token', undefined, {}],
+      ['FIELD_DEFINITION', 'User', 'password', undefined, {}],
+    ]);
+  });
+
+  it('should not modify original types', async () => {
+    addTransformers();
+    sc.buildSchema();
+    const schema = sc.buildSchema();
+    expect(sc.getOTC('User').hasField('password')).toBe(true);
+    expect(sc.Query.hasFieldArg('user', 'id')).toBe(true);
+    // resolver is wrapped only once
+    expect(await graphql(schema, '{ user { name } }', null, {})).toEqual({
+      data: { user: { name: 'JOHN' } },
+    });
+
+    sc.removeDirectiveTransformer('hide');
+    const User: any = sc.buildSchema().getType('User');
+    expect(Object.keys(User.getFields())).toEqual(['name', 'email', 'password']);
+  });
+
+  it('should build schema with unstored types which use stored ones', async () => {
+    const ViewerTC = ObjectTypeComposer.createTemp(
+      {
+        name: 'Viewer',
+        fields: {
+          user: { type: sc.getOTC('User'), resolve: () => ({ name: 'ann' }) },
+          login: {
+            type: 'String',
+            resolve: () => 'ann',
+            extensions: { directives: [{ name: 'upper', args: {} }] },
+          },
+        },
+      },
+      sc
+    );
+    sc.Query.addFields({ viewer: { type: ViewerTC, resolve: () => ({}) } });
+    const query = '{ viewer { login user { name } } user { name } }';
+
+    addTransformers();
+    expect(await graphql(sc.buildSchema(), query, null, {})).toEqual({
+      data: { viewer: { login: 'ANN', user: { name: 'ANN' } }, user: { name: 'JOHN' } },
+    });
+
+    sc.removeDirectiveTransformer('upper');
+    sc.setAuthChecker(() => true);
+    sc.enableCache();
+    sc.enableTracing();
+    expect(await graphql(sc.buildSchema(), query, null, {})).toEqual({
+      data: { viewer: { login: 'ann', user: { name: 'ann' } }, user: { name: 'john' } },
+    });
+    expect(sc.Query.getFieldOTC('viewer')).toBe(ViewerTC);
+  });
+});
@@ -0,0 +1,146 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { getFederationEntities } from '../federation';
+
+describe('federation', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      type User @key(fields: "id") {
+        id: Int!
+        name: String
+      }
+      type Review @key(fields: "id") {
+        id: Int!
+        body: String
+        author: User @provides(fields: "name")
+        product: Product
+      }
+      type Product @extends @key(fields: "upc") {
+        upc: String! @external
+        weight: Int @external
+        shippingCost: Int @requires(fields: "weight")
+      }
+      type Query {
+        me: User
+      }
+    `);
+  });
+
+  it('should return entities', () => {
+    expect(getFederationEntities(sc).map(tc => tc.getTypeName())).toEqual([
+      'User',
+      'Review',
+      'Product',
+    ]);
+  });
+
+  it('should add federation types and directives', () => {
+    const schema = sc.buildFederatedSchema();
+    expect(Object.keys((schema.getQueryType(): any).getFields())).toEqual([
+      'me',
+      '_service',
+      '_entities',
+    ]);
+    expect((schema.getType('_Entity'): any).getTypes().map(t => t.name)).toEqual([
+      'User',
+      'Review',
+      'Product',
+    ]);
+    expect(schema.getType('_Any')).toBeDefined();
+    expect(schema.getType('_FieldSet')).toBeDefined();
+    expect(schema.getDirective('key')).toBeDefined();
+    expect(schema.getDirective('external')).toBeDefined();
+    // original schema composer is not modified
+    expect(sc.has('_Service')).toBe(false);
+    expect(sc.Query.hasField('_service')).toBe(false);
+  });
+
+  it('should not add _entities field without entities', () => {
+    const sc2 = new SchemaComposer();
+    sc2.Query.addFields({ hello: 'String' });
+    const schema = sc2.buildFederatedSchema();
+    expect(Object.keys((schema.getQueryType(): any).getFields())).toEqual(['hello', '_service']);
+    expect(schema.getType('_Entity')).toBeUndefined();
+  });
+
+  it('should return SDL of the service', async () => {
+    const res: any = await graphql(sc.buildFederatedSchema(), '{ _service { sdl } }');
+    const { sdl } = res.data._service;
+    expect(sdl).toContain('type User @key(fields: "id") {');
+    expect(sdl).toContain('type Product @extends @key(fields: "upc") {');
+    expect(sdl).toContain('shippingCost: Int @requires(fields: "weight")');
+    expect(sdl).not.toContain('_service');
+    expect(sdl).not.toContain('_Entity');
+  });
+
+  it('should resolve entities', async () => {
+    sc.getOTC('User').setExtension('resolveReference', reference =>
+      Promise.resolve({ id: reference.id, name: `User ${reference.id}` })
+    );
+    const reviews = [{ id: 2, body: 'Review 2' }];
+    sc.getOTC('Review')
+      .setRecordIdFn(source => source.id)
+      .addResolver({
+        name: 'findById',
+        type: 'Review',
+        args: { id: 'Int!' },
+        resolve: ({ args }) => reviews.find(r => r.id === args.id),
+      });
+
+    const res = await graphql(
+      sc.buildFederatedSchema(),
+      `
+        query($representations: [_Any!]!) {
+          _entities(representations: $representations) {
+            __typename
+            ... on User {
+              name
+            }
+            ... on Review {
+              body
+            }
+            ... on Product {
+              upc
+            }
+          }
+        }
+      `,
+      null,
+      {},
+      {
+        representations: [
+          { __typename: 'User', id: 1 },
+          { __typename: 'Review', id: 2 },
+          { __typename: 'Product', upc: '1A' },
+        ],
+      }
+    );
+    expect(res).toEqual({
+      data: {
+        _entities: [
+          { __typename: 'User', name: 'User 1' },
+          { __typename: 'Review', body: 'Review 2' },
+          { __typename: 'Product', upc: '1A' },
+        ],
+      },
+    });
+    // records returned by resolvers are not modified
+    expect(reviews[0]).toEqual({ id: 2, body: 'Review 2' });
+  });
+
+  it('should return error for unknown entity', async () => {
+    const res: any = await graphql(
+      sc.buildFederatedSchema(),
+      '{ _entities(representations: [{ __typename: "Query" }]) { __typename } }'
+    );
+    expect(res.data).toEqual({ _entities: [null] });
+    expect(res.errors[0].message).toBe(
+      'Cannot resolve entity with type "Query". Type should have @key directive.'
+    );
+  });
+});
@@ -0,0 +1,98 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { createPaginationResolver } from '../pagination';
+
+describe('pagination', () => {
+  let sc: SchemaComposer<any>;
+  const users = [1, 2, 3, 4, 5].map(id => ({ id, age: 40 - id * 5 }));
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    const UserTC = sc.createObjectTC(`type User { id: Int, age: Int }`);
+    const filterRecords = filter =>
+      users.filter(u => !filter || filter.minAge === undefined || u.age >= filter.minAge);
+    UserTC.addResolver({
+      name: 'findMany',
+      type: [UserTC],
+      args: { filter: 'input UserFilter { minAge: Int }', skip: 'Int', limit: 'Int' },
+      resolve: jest.fn(({ args }) =>
+        filterRecords(args.filter).slice(args.skip, args.skip + args.limit)
+      ),
+    });
+    UserTC.addResolver({
+      name: 'count',
+      type: 'Int',
+      args: { filter: 'UserFilter' },
+      resolve: ({ args }) => Promise.resolve(filterRecords(args.filter).length),
+    });
+    UserTC.addResolver(createPaginationResolver(UserTC, { perPage: 2 }));
+    sc.Query.addFields({ users: UserTC.getResolver('pagination') });
+  });
+
+  async function query(args: string) {
+    return graphql(
+      sc.buildSchema(),
+      `{ users${args} {
+        items { id }
+        pageInfo { currentPage perPage pageCount itemCount hasNextPage hasPreviousPage }
+      } }`
+    );
+  }
+
+  it('should create types and args', () => {
+    const resolver = sc.getOTC('User').getResolver('pagination');
+    expect(resolver.getTypeName()).toBe('UserPagination');
+    expect(resolver.getArgNames()).toEqual(['page', 'perPage', 'filter']);
+    expect(sc.getOTC('UserPagination').getFieldTypeName('items')).toBe('[User!]!');
+    expect(sc.getOTC('UserPagination').getFieldTypeName('pageInfo')).toBe('PaginationInfo!');
+  });
+
+  it('should throw error if resolvers are missing', () => {
+    const tc = sc.createObjectTC('type Post { id: Int }');
+    expect(() => createPaginationResolver(tc)).toThrow(
+      "ObjectTypeComposer(Post) does not have resolver with name 'findMany'"
+    );
+  });
+
+  it('should return page with info', async () => {
+    expect(await query('')).toEqual({
+      data: {
+        users: {
+          items: [{ id: 1 }, { id: 2 }],
+          pageInfo: {
+            currentPage: 1,
+            perPage: 2,
+            pageCount: 3,
+            itemCount: 5,
+            hasNextPage: true,
+            hasPreviousPage: false,
+          },
+        },
+      },
+    });
+
+    const res: any = await query('(page: 2, perPage: 3, filter: { minAge: 20 })');
+    expect(res.data.users.items).toEqual([{ id: 4 }]);
+    expect(res.data.users.pageInfo).toMatchObject({
+      currentPage: 2,
+      pageCount: 2,
+      itemCount: 4,
+      hasNextPage: false,
+      hasPreviousPage: true,
+    });
+  });
+
+  it('should pass projection of items to findMany resolver', async () => {
+    const findManyResolve: any = sc.getOTC('User').getResolver('findMany').resolve;
+    await query('(page: 3)');
+    expect(findManyResolve.mock.calls[0][0].args).toEqual({ skip: 4, limit: 2 });
+    expect(findManyResolve.mock.calls[0][0].projection).toEqual({ id: {} });
+  });
+
+  it('should validate args', async () => {
+    const res: any = await query('(page: 0)');
+    expect(res.errors[0].message).toBe('Argument `page` should be positive integer.');
+  });
+});
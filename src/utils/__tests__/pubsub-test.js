@@ -0,0 +1,54 @@
+/* @flow strict */
+
+import { PubSub, filterAsyncIterator } from '../pubsub';
+
+describe('pubsub', () => {
+  describe('PubSub', () => {
+    it('should deliver payloads to subscribers of the topic', async () => {
+      const pubSub = new PubSub();
+      const onMessage = jest.fn();
+      const subId = await pubSub.subscribe('a', onMessage);
+      await pubSub.publish('a', 1);
+      await pubSub.publish('b', 2);
+      expect(onMessage.mock.calls).toEqual([[1]]);
+
+      pubSub.unsubscribe(subId);
+      await pubSub.publish('a', 3);
+      expect(onMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return async iterator for several topics', async () => {
+      const pubSub = new PubSub();
+      const iterator = pubSub.asyncIterator(['a', 'b']);
+      await pubSub.publish('a', 1);
+      expect(await iterator.next()).toEqual({ value: 1, done: false });
+      const pending = iterator.next();
+      await pubSub.publish('c', 3);
+      await pubSub.publish('b', 2);
+      expect(await pending).toEqual({ value: 2, done: false });
+    });
+
+    it('should stop iterator on return()', async () => {
+      const pubSub = new PubSub();
+      const iterator: any = pubSub.asyncIterator('a');
+      const pending = iterator.next();
+      await iterator.return();
+      expect(await pending).toEqual({ value: undefined, done: true });
+      await pubSub.publish('a', 1);
+      expect(await iterator.next()).toEqual({ value: undefined, done: true });
+      expect(pubSub._subscriptions.size).toBe(0);
+    });
+  });
+
+  describe('filterAsyncIterator()', () => {
+    it('should skip rejected payloads', async () => {
+      const pubSub = new PubSub();
+      const iterator = filterAsyncIterator(pubSub.asyncIterator('a'), payload =>
+        Promise.resolve(payload % 2 === 0)
+      );
+      [1, 2, 3, 4].forEach(n => pubSub.publish('a', n));
+      expect(await iterator.next()).toEqual({ value: 2, done: false });
+      expect(await iterator.next()).toEqual({ value: 4, done: false });
+    });
+  });
+});
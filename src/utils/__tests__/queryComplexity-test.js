@@ -0,0 +1,108 @@
+/* @flow strict */
+
+import { parse, validate, specifiedRules } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { getQueryCost, assertQueryCost, createQueryComplexityRule } from '../queryComplexity';
+
+describe('queryComplexity', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      type User {
+        id: Int
+        name: String
+        friends(limit: Int = 5): [User]
+        posts(first: Int): [Post]
+      }
+      type Post { id: Int, title: String }
+      union Search = User | Post
+      type Query {
+        user: User
+        users(limit: Int): [User]
+        search: [Search]
+      }
+    `);
+    sc.getOTC('User').setFieldExtension('name', 'complexity', 3);
+    sc.getOTC('Post').setFieldExtension(
+      'title',
+      'complexity',
+      ({ childComplexity }) => childComplexity + 10
+    );
+  });
+
+  function cost(query: string, opts: any = {}) {
+    return getQueryCost(sc.buildSchema(), parse(query), opts);
+  }
+
+  it('should use `complexity` extension and default complexity', () => {
+    expect(cost('{ user { id name } }')).toEqual({ complexity: 5, depth: 2 });
+    expect(cost('{ user { posts { title } } }')).toEqual({ complexity: 12, depth: 3 });
+    expect(cost('{ user { id }, __typename }', { defaultComplexity: 2 })).toEqual({
+      complexity: 4,
+      depth: 2,
+    });
+  });
+
+  it('should multiply child complexity by limit args', () => {
+    // default value of `limit` arg is used
+    expect(cost('{ user { friends { id } } }')).toEqual({ complexity: 7, depth: 3 });
+    expect(cost('query ($n: Int) { users(limit: $n) { id } }', { variables: { n: 10 } })).toEqual({
+      complexity: 11,
+      depth: 2,
+    });
+    expect(cost('{ users(limit: 10) { posts(first: 2) { id } } }')).toEqual({
+      complexity: 31,
+      depth: 3,
+    });
+    expect(cost('{ users(limit: 10) { id } }', { multiplierArgs: ['perPage'] })).toEqual({
+      complexity: 2,
+      depth: 2,
+    });
+  });
+
+  it('should handle fragments and skip directives', () => {
+    const query = `
+      query Q {
+        search { ...UserFields ... on Post { title } }
+        user @skip(if: true) { id }
+      }
+      fragment UserFields on User { name friends(limit: 2) { id } }
+    `;
+    expect(cost(query, { operationName: 'Q' })).toEqual({ complexity: 17, depth: 3 });
+  });
+
+  it('should throw error if limits are exceeded', () => {
+    const schema = sc.buildSchema();
+    const onCost = jest.fn();
+    expect(
+      assertQueryCost(schema, parse('{ user { id } }'), { maxComplexity: 2, maxDepth: 2, onCost })
+    ).toEqual({ complexity: 2, depth: 2 });
+    expect(onCost).toHaveBeenCalledTimes(1);
+    expect(() =>
+      assertQueryCost(schema, parse('{ user { friends { id } } }'), { maxDepth: 2 })
+    ).toThrow('Query depth of 3 exceeds maximum allowed depth of 2.');
+    expect(() =>
+      assertQueryCost(schema, parse('{ users(limit: 100) { id } }'), { maxComplexity: 100 })
+    ).toThrow('Query complexity of 101 exceeds maximum allowed complexity of 100.');
+  });
+
+  it('should provide validation rule', () => {
+    const schema = sc.buildSchema();
+    const costs = [];
+    const rule = createQueryComplexityRule({
+      maxComplexity: 10,
+      onCost: (c, operation) => costs.push([operation.name && operation.name.value, c]),
+    });
+    const doc = parse('query A { user { id } } query B { users(limit: 20) { id } }');
+    const errors = validate(schema, doc, [...specifiedRules, (rule: any)]);
+    expect(errors.map(e => e.message)).toEqual([
+      'Query complexity of 21 exceeds maximum allowed complexity of 10.',
+    ]);
+    expect(costs).toEqual([
+      ['A', { complexity: 2, depth: 2 }],
+      ['B', { complexity: 21, depth: 2 }],
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { toGlobalId, fromGlobalId, getNodeInterface, composeWithRelay } from '../relay';
+
+describe('relay', () => {
+  let sc: SchemaComposer<any>;
+  let users: { [id: string]: any };
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    users = { '1': { id: 1, name: 'John' }, '2': { id: 2, name: 'Ann' } };
+    sc.createObjectTC(`type User { id: Int, name: String }`)
+      .setRecordIdFn(source => source.id)
+      .addResolver({
+        name: 'findById',
+        type: 'User',
+        args: { _id: 'ID!' },
+        resolve: ({ args }) => users[args._id],
+      });
+    sc.createObjectTC(`type Post { title: String }`)
+      .setRecordIdFn(source => source.title)
+      .addResolver({
+        name: 'findById',
+        type: 'Post',
+        args: { title: 'String!' },
+        resolve: ({ args }) => Promise.resolve({ title: args.title }),
+      });
+  });
+
+  it('should encode and decode global id', () => {
+    const globalId = toGlobalId('User', 1);
+    expect(globalId).toBe('VXNlcjox');
+    expect(fromGlobalId(globalId)).toEqual({ type: 'User', id: '1' });
+    expect(fromGlobalId(toGlobalId('Post', 'a:b'))).toEqual({ type: 'Post', id: 'a:b' });
+  });
+
+  it('should create shared Node interface', () => {
+    const nodeITC = getNodeInterface(sc);
+    expect(nodeITC.getTypeName()).toBe('Node');
+    expect(nodeITC.getFieldTypeName('id')).toBe('ID!');
+    expect(getNodeInterface(sc)).toBe(nodeITC);
+  });
+
+  it('should throw error if type does not have recordIdFn or findById resolver', () => {
+    expect(() => composeWithRelay(sc.createObjectTC('type A { id: Int }'))).toThrow(
+      'ObjectTypeComposer(A) should have recordIdFn'
+    );
+    const tc = sc.createObjectTC('type B { id: Int }').setRecordIdFn(s => s.id);
+    expect(() => composeWithRelay(tc)).toThrow(
+      'ObjectTypeComposer(B) should have findById resolver'
+    );
+  });
+
+  it('should add Node interface and global id field', () => {
+    const tc = composeWithRelay(sc.getOTC('User'));
+    expect(tc.hasInterface('Node')).toBe(true);
+    expect(tc.getFieldTypeName('id')).toBe('ID!');
+    expect(sc.Query.getFieldNames()).toEqual(['node', 'nodes']);
+  });
+
+  it('should resolve nodes by global id', async () => {
+    composeWithRelay(sc.getOTC('User'));
+    composeWithRelay(sc.getOTC('Post'));
+    const schema = sc.buildSchema();
+
+    const res = await graphql(
+      schema,
+      `
+        query($id: ID!, $ids: [ID!]!) {
+          node(id: $id) {
+            id
+            ... on User {
+              name
+            }
+          }
+          nodes(ids: $ids) {
+            __typename
+            id
+            ... on Post {
+              title
+            }
+          }
+        }
+      `,
+      null,
+      {},
+      {
+        id: toGlobalId('User', 1),
+        ids: [toGlobalId('Post', 'Hello'), toGlobalId('User', 2), toGlobalId('Unknown', 1)],
+      }
+    );
+    expect(res).toEqual({
+      data: {
+        node: { id: toGlobalId('User', 1), name: 'John' },
+        nodes: [
+          { __typename: 'Post', id: toGlobalId('Post', 'Hello'), title: 'Hello' },
+          { __typename: 'User', id: toGlobalId('User', 2) },
+          null,
+        ],
+      },
+    });
+    // records returned by resolvers are not modified
+    expect(users['1']).toEqual({ id: 1, name: 'John' });
+  });
+});
@@ -0,0 +1,224 @@
+/* @flow strict */
+
+import { graphql, execute, print, introspectionFromSchema } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+
+describe('remoteSchema', () => {
+  const orders = [
+    { id: 1, amount: 10, status: 'PAID', userId: 1 },
+    { id: 2, amount: 20, status: 'NEW', userId: 2 },
+  ];
+
+  const remoteSC = new SchemaComposer();
+  remoteSC.addTypeDefs(`
+    enum OrderStatus { NEW PAID }
+    interface Node { id: ID! }
+    type Order implements Node { id: ID!, amount: Float, status: OrderStatus, userId: ID }
+    type Query {
+      orders(status: OrderStatus): [Order]
+      ordersByUser(userId: ID!): [Order]
+      node(id: ID!): Node
+    }
+    type Mutation { cancelOrder(id: ID!): Order }
+  `);
+  remoteSC.addResolveMethods({
+    Query: {
+      orders: (_, { status }) => orders.filter(o => !status || o.status === status),
+      ordersByUser: (_, { userId }) => orders.filter(o => String(o.userId) === userId),
+      node: (_, { id }) => orders.find(o => String(o.id) === id),
+    },
+    Mutation: {
+      cancelOrder: (_, { id }) => {
+        throw new Error(`Order ${id} cannot be cancelled`);
+      },
+    },
+  });
+  remoteSC.getIFTC('Node').setResolveType(() => 'Order');
+  const remoteSchema = remoteSC.buildSchema();
+  const introspection = introspectionFromSchema(remoteSchema);
+
+  let documents: string[];
+  const executor = jest.fn(({ document, variables }) => {
+    documents.push(print(document));
+    return execute({ schema: remoteSchema, document, variableValues: variables });
+  });
+
+  beforeEach(() => {
+    documents = [];
+  });
+
+  it('should create types from introspection', () => {
+    const sc = SchemaComposer.fromIntrospection({ data: introspection }, { executor });
+    expect(sc.getOTC('Order').getFieldNames()).toEqual(['id', 'amount', 'status', 'userId']);
+    expect(sc.getETC('OrderStatus').getFieldNames()).toEqual(['NEW', 'PAID']);
+    expect(sc.Query.getFieldNames()).toEqual(['orders', 'ordersByUser', 'node']);
+    expect(sc.Query.getResolver('orders').getTypeName()).toBe('[Order]');
+    expect(sc.Mutation.getResolver('cancelOrder').kind).toBe('mutation');
+  });
+
+  it('should throw on wrong arguments', () => {
+    expect(() => SchemaComposer.fromIntrospection({}, { executor })).toThrow(
+      'expects result of the introspection query'
+    );
+    expect(() => SchemaComposer.fromIntrospection(introspection, ({}: any))).toThrow(
+      'You should provide `executor` function to SchemaComposer.fromIntrospection()'
+    );
+  });
+
+  it('should delegate selected subfields with args', async () => {
+    const sc = SchemaComposer.fromIntrospection(introspection, { executor });
+    const res = await graphql(
+      sc.buildSchema(),
+      '{ orders(status: PAID) { id total: amount } }',
+      null,
+      { user: 1 }
+    );
+    expect(res).toEqual({ data: { orders: [{ id: '1', total: 10 }] } });
+    expect(documents).toEqual([
+      'query ($status: OrderStatus) {\n  orders(status: $status) {\n    id\n    total: amount\n  }\n}\n',
+    ]);
+    expect(executor).toHaveBeenLastCalledWith(
+      expect.objectContaining({ variables: { status: 'PAID' }, context: { user: 1 } })
+    );
+  });
+
+  it('should keep aliases of fields with different args', async () => {
+    const postsSC = new SchemaComposer();
+    postsSC.addTypeDefs(`
+      type Post { id: Int, title: String }
+      type User { name: String, posts(limit: Int): [Post] }
+      type Query { user: User }
+    `);
+    const posts = [{ id: 1, title: 'A' }, { id: 2, title: 'B' }, { id: 3, title: 'C' }];
+    postsSC.addResolveMethods({
+      Query: { user: () => ({ name: 'Ann' }) },
+      User: { posts: (_, { limit }) => posts.slice(0, limit) },
+    });
+    const postsSchema = postsSC.buildSchema();
+    const sc = SchemaComposer.fromIntrospection(introspectionFromSchema(postsSchema), {
+      executor: ({ document, variables }) =>
+        execute({ schema: postsSchema, document, variableValues: variables }),
+    });
+    sc.getOTC('Post').addFields({ slug: { type: 'String', resolve: p => `post-${p.id}` } });
+
+    const res = await graphql(
+      sc.buildSchema(),
+      '{ user { name a: posts(limit: 1) { id } b: posts(limit: 3) { id title: slug } } }'
+    );
+    expect(res).toEqual({
+      data: {
+        user: {
+          name: 'Ann',
+          a: [{ id: 1 }],
+          b: [{ id: 1, title: 'post-1' }, { id: 2, title: 'post-2' }, { id: 3, title: 'post-3' }],
+        },
+      },
+    });
+  });
+
+  it('should inline fragments and pass used variables', async () => {
+    const sc = SchemaComposer.fromIntrospection(introspection, { executor });
+    const res = await graphql(
+      sc.buildSchema(),
+      `
+        query($id: ID!, $full: Boolean!) {
+          node(id: $id) {
+            ...OrderData
+          }
+        }
+        fragment OrderData on Order {
+          id
+          amount @include(if: $full)
+        }
+      `,
+      null,
+      null,
+      { id: '2', full: false }
+    );
+    expect(res).toEqual({ data: { node: { id: '2' } } });
+    expect(documents[0]).toBe(
+      [
+        'query ($full: Boolean!, $id: ID!) {',
+        '  node(id: $id) {',
+        '    __typename',
+        '    ... on Order {',
+        '      id',
+        '      amount @include(if: $full)',
+        '    }',
+        '  }',
+        '}',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should throw remote errors', async () => {
+    const sc = SchemaComposer.fromIntrospection(introspection, { executor });
+    const res: any = await graphql(sc.buildSchema(), 'mutation { cancelOrder(id: 1) { id } }');
+    expect(res.data).toEqual({ cancelOrder: null });
+    expect(res.errors[0].message).toBe('Order 1 cannot be cancelled');
+  });
+
+  it('should add relations between local and remote types', async () => {
+    const ordersSC = SchemaComposer.fromIntrospection(introspection, { executor });
+    const sc = new SchemaComposer();
+    const UserTC = sc.createObjectTC(`type User { id: ID!, name: String }`);
+    const users = [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }];
+    sc.Query.addFields({ me: { type: UserTC, resolve: () => users[0] } });
+    sc.Query.merge(ordersSC.Query);
+
+    UserTC.addRemoteRelation('orders', {
+      schemaComposer: ordersSC,
+      field: 'Query.ordersByUser',
+      prepareArgs: { userId: source => source.id },
+      projection: { id: true },
+    });
+    ordersSC.getOTC('Order').addFields({
+      user: {
+        type: UserTC,
+        resolve: source => users.find(u => u.id === Number(source.userId)),
+        projection: { userId: true },
+      },
+    });
+
+    const res = await graphql(
+      sc.buildSchema(),
+      '{ me { name orders { amount } } orders { id user { name } } }'
+    );
+    expect(res).toEqual({
+      data: {
+        me: { name: 'Ann', orders: [{ amount: 10 }] },
+        orders: [{ id: '1', user: { name: 'Ann' } }, { id: '2', user: { name: 'Bob' } }],
+      },
+    });
+    expect(documents).toContain(
+      'query ($userId: ID!) {\n  ordersByUser(userId: $userId) {\n    amount\n  }\n}\n'
+    );
+    expect(documents).toContain('{\n  orders {\n    id\n    userId\n  }\n}\n');
+
+    expect(() =>
+      UserTC.addRemoteRelation('wrong', { field: 'ordersByUser' }).getFieldConfig('wrong')
+    ).toThrow("Field 'ordersByUser' of relation User.wrong should be in 'Query.field'");
+  });
+
+  it('should add relations to remote fields merged into the gateway', async () => {
+    const sc = new SchemaComposer();
+    const UserTC = sc.createObjectTC(`type User { id: ID!, name: String }`);
+    sc.Query.addFields({ me: { type: UserTC, resolve: () => ({ id: 1, name: 'Ann' }) } });
+    sc.merge(SchemaComposer.fromIntrospection(introspection, { executor }));
+
+    UserTC.addRemoteRelation('orders', {
+      field: 'Query.ordersByUser',
+      prepareArgs: { userId: source => source.id },
+      projection: { id: true },
+    });
+    const res = await graphql(sc.buildSchema(), '{ me { name orders { amount } } }');
+    expect(res).toEqual({ data: { me: { name: 'Ann', orders: [{ amount: 10 }] } } });
+
+    expect(() =>
+      UserTC.addRemoteRelation('wrong', { field: 'Query.me' }).getFieldConfig('wrong')
+    ).toThrow(
+      'Field Query.me of relation User.wrong is not created via SchemaComposer.fromIntrospection()'
+    );
+  });
+});
@@ -0,0 +1,189 @@
+/* @flow strict */
+
+import { SchemaComposer } from '../../SchemaComposer';
+import { diffSchemaComposers, filterSchemaChanges } from '../schemaDiff';
+
+describe('schemaDiff', () => {
+  const baseSDL = `
+    interface Node { id: ID! }
+    type User implements Node {
+      id: ID!
+      name: String
+      email: String!
+      posts(limit: Int = 10, sort: String): [Post]
+    }
+    type Post { title: String }
+    type Comment { text: String }
+    union Search = User | Post
+    enum Status { ACTIVE OLD }
+    input UserFilter { name: String, age: Int! }
+    type Query { user(id: ID!): User }
+  `;
+
+  function createSC(sdl: string): SchemaComposer<any> {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(sdl);
+    return sc;
+  }
+
+  it('should return empty list for equal schemas', () => {
+    expect(createSC(baseSDL).diff(createSC(baseSDL))).toEqual([]);
+  });
+
+  it('should detect added and removed types', () => {
+    const oldSC = createSC(baseSDL);
+    const newSC = createSC(baseSDL);
+    newSC.delete('Comment');
+    newSC.createObjectTC('type Article { title: String }');
+
+    expect(oldSC.diff(newSC)).toEqual([
+      {
+        type: 'TYPE_REMOVED',
+        criticality: 'BREAKING',
+        typeName: 'Comment',
+        path: 'Comment',
+        message: 'Type Comment was removed.',
+      },
+      {
+        type: 'TYPE_ADDED',
+        criticality: 'SAFE',
+        typeName: 'Article',
+        path: 'Article',
+        message: 'Type Article was added.',
+      },
+    ]);
+  });
+
+  it('should detect changed type kind', () => {
+    const newSC = createSC(baseSDL);
+    newSC.delete('Comment');
+    newSC.createInputTC('input Comment { text: String }');
+
+    const changes = createSC(baseSDL).diff(newSC);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      type: 'TYPE_KIND_CHANGED',
+      criticality: 'BREAKING',
+      message: 'Type Comment changed from ObjectType to InputType.',
+    });
+  });
+
+  it('should detect field changes', () => {
+    const newSC = createSC(baseSDL);
+    const tc = newSC.getOTC('User');
+    tc.removeField('name');
+    tc.addFields({ age: 'Int' });
+    tc.extendField('email', { type: 'String' });
+    tc.extendField('id', { type: 'ID!' });
+    newSC.getOTC('Post').extendField('title', { type: 'String!' });
+
+    expect(
+      createSC(baseSDL)
+        .diff(newSC)
+        .map(c => [c.type, c.criticality, c.path])
+    ).toEqual([
+      ['FIELD_REMOVED', 'BREAKING', 'User.name'],
+      ['FIELD_TYPE_CHANGED', 'BREAKING', 'User.email'],
+      ['FIELD_ADDED', 'SAFE', 'User.age'],
+      ['FIELD_TYPE_CHANGED', 'SAFE', 'Post.title'],
+    ]);
+  });
+
+  it('should detect arg changes', () => {
+    const newSC = createSC(baseSDL);
+    const tc = newSC.getOTC('User');
+    tc.removeFieldArg('posts', 'sort');
+    tc.setFieldArg('posts', 'limit', { type: 'Int', defaultValue: 20 });
+    tc.setFieldArg('posts', 'offset', 'Int');
+    tc.setFieldArg('posts', 'filter', 'String!');
+    newSC.Query.setFieldArg('user', 'id', 'ID');
+
+    const changes = createSC(baseSDL).diff(newSC);
+    expect(changes.map(c => [c.type, c.criticality, c.path])).toEqual([
+      ['ARG_TYPE_CHANGED', 'SAFE', 'Query.user.@id'],
+      ['ARG_DEFAULT_VALUE_CHANGED', 'DANGEROUS', 'User.posts.@limit'],
+      ['ARG_REMOVED', 'BREAKING', 'User.posts.@sort'],
+      ['ARG_ADDED', 'DANGEROUS', 'User.posts.@offset'],
+      ['ARG_ADDED', 'BREAKING', 'User.posts.@filter'],
+    ]);
+    expect(changes[1].message).toBe('User.posts.@limit changed default value from 10 to 20.');
+  });
+
+  it('should provide paths which are understood by `tc.get()`', () => {
+    const newSC = createSC(baseSDL);
+    newSC.getOTC('User').setFieldArg('posts', 'offset', 'Int');
+    const [c] = createSC(baseSDL).diff(newSC);
+    const restPath = c.path.substring(c.typeName.length + 1);
+    expect((newSC.getOTC(c.typeName).get(restPath): any).getTypeName()).toBe('Int');
+  });
+
+  it('should detect input field changes', () => {
+    const newSC = createSC(baseSDL);
+    const itc = newSC.getITC('UserFilter');
+    itc.removeField('name');
+    itc.extendField('age', { type: 'Int' });
+    itc.addFields({ email: 'String', status: 'Status!' });
+
+    expect(
+      createSC(baseSDL)
+        .diff(newSC)
+        .map(c => [c.type, c.criticality, c.path])
+    ).toEqual([
+      ['FIELD_REMOVED', 'BREAKING', 'UserFilter.name'],
+      ['FIELD_TYPE_CHANGED', 'SAFE', 'UserFilter.age'],
+      ['FIELD_ADDED', 'DANGEROUS', 'UserFilter.email'],
+      ['FIELD_ADDED', 'BREAKING', 'UserFilter.status'],
+    ]);
+  });
+
+  it('should detect enum values, interfaces and union members changes', () => {
+    const newSC = createSC(baseSDL);
+    newSC.getETC('Status').removeField('OLD');
+    newSC.getETC('Status').addFields({ DELETED: {} });
+    newSC.getOTC('User').removeInterface('Node');
+    newSC.getOTC('Post').addInterface('Node');
+    newSC.getUTC('Search').removeType('Post');
+    newSC.getUTC('Search').addType('Comment');
+
+    expect(
+      createSC(baseSDL)
+        .diff(newSC)
+        .map(c => [c.type, c.criticality, c.path])
+    ).toEqual([
+      ['INTERFACE_REMOVED', 'BREAKING', 'User'],
+      ['INTERFACE_ADDED', 'DANGEROUS', 'Post'],
+      ['UNION_MEMBER_REMOVED', 'BREAKING', 'Search'],
+      ['UNION_MEMBER_ADDED', 'DANGEROUS', 'Search'],
+      ['ENUM_VALUE_REMOVED', 'BREAKING', 'Status.OLD'],
+      ['ENUM_VALUE_ADDED', 'DANGEROUS', 'Status.DELETED'],
+    ]);
+  });
+
+  it('should treat wrapped types correctly', () => {
+    const oldSC = new SchemaComposer();
+    oldSC.Query.addFields({
+      a: '[String]',
+      b: '[String!]',
+      c: '[String]',
+    });
+    const newSC = new SchemaComposer();
+    newSC.Query.addFields({
+      a: '[String!]!',
+      b: '[String]',
+      c: 'String',
+    });
+
+    expect(filterSchemaChanges(diffSchemaComposers(oldSC, newSC), 'BREAKING')).toEqual([
+      expect.objectContaining({ path: 'Query.b' }),
+      expect.objectContaining({ path: 'Query.c' }),
+    ]);
+  });
+
+  it('should ignore empty root types', () => {
+    const oldSC = new SchemaComposer();
+    const newSC = new SchemaComposer();
+    // eslint-disable-next-line no-unused-expressions
+    newSC.Mutation;
+    expect(oldSC.diff(newSC)).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+
+describe('schemaMerger', () => {
+  let billing: SchemaComposer<any>;
+
+  beforeEach(() => {
+    billing = new SchemaComposer();
+    billing.addTypeDefs(`
+      interface Node { id: ID! }
+      type Status { code: String }
+      type Invoice implements Node { id: ID!, status: Status, amount: Float }
+      type Refund implements Node { id: ID!, invoice: Invoice }
+      union Document = Invoice | Refund
+      input InvoiceFilter { status: String }
+    `);
+    billing.getUTC('Document').setResolveType(value => (value.amount ? 'Invoice' : 'Refund'));
+    billing.Query.addFields({
+      invoices: {
+        type: '[Invoice]',
+        args: { filter: 'InvoiceFilter' },
+        resolve: () => [{ id: 1, amount: 10, status: { code: 'paid' } }],
+      },
+      documents: {
+        type: '[Document]',
+        resolve: () => [{ id: 1, amount: 10 }, { id: 2 }],
+      },
+    });
+  });
+
+  it('should prefix types and rewrite references', () => {
+    const sc = new SchemaComposer();
+    sc.merge(billing, { prefix: 'Billing' });
+
+    expect(sc.has('Invoice')).toBe(false);
+    expect(sc.getOTC('BillingInvoice').getFieldTypeName('status')).toBe('BillingStatus');
+    expect(sc.getOTC('BillingInvoice').getInterfaces()).toEqual([sc.getIFTC('BillingNode')]);
+    expect(sc.getOTC('BillingRefund').getFieldTC('invoice')).toBe(sc.getOTC('BillingInvoice'));
+    expect(sc.getUTC('BillingDocument').getTypeNames()).toEqual([
+      'BillingInvoice',
+      'BillingRefund',
+    ]);
+    expect(sc.Query.getFieldTypeName('invoices')).toBe('[BillingInvoice]');
+    expect(sc.Query.getFieldArgTypeName('invoices', 'filter')).toBe('BillingInvoiceFilter');
+    // built-in scalars are not renamed
+    expect(sc.getOTC('BillingInvoice').getFieldTypeName('amount')).toBe('Float');
+  });
+
+  it('should not modify source SchemaComposer', () => {
+    new SchemaComposer().merge(billing, { prefix: 'Billing', namespace: 'billing' });
+    expect(billing.getOTC('Invoice').getFieldTC('status')).toBe(billing.getOTC('Status'));
+    expect(billing.Query.getFieldNames()).toEqual(['invoices', 'documents']);
+    expect(billing.has('BillingInvoice')).toBe(false);
+  });
+
+  it('should rename types via map and function', () => {
+    const sc1 = new SchemaComposer();
+    sc1.merge(billing, { rename: { Status: 'InvoiceStatus' }, prefix: 'B' });
+    expect(sc1.getOTC('BInvoice').getFieldTypeName('status')).toBe('InvoiceStatus');
+
+    const sc2 = new SchemaComposer();
+    sc2.merge(billing, { rename: name => (name === 'Node' ? null : `${name}Ext`) });
+    expect(sc2.has('Node')).toBe(true);
+    expect(sc2.getOTC('RefundExt').getFieldTypeName('invoice')).toBe('InvoiceExt');
+  });
+
+  it('should rename types returned by resolveType', async () => {
+    const sc = new SchemaComposer();
+    sc.merge(billing, { prefix: 'Billing' });
+    const res = await graphql(
+      sc.buildSchema(),
+      '{ documents { __typename } invoices { status { code } } }'
+    );
+    expect(res).toEqual({
+      data: {
+        documents: [{ __typename: 'BillingInvoice' }, { __typename: 'BillingRefund' }],
+        invoices: [{ status: { code: 'paid' } }],
+      },
+    });
+  });
+
+  describe('onConflict', () => {
+    let sc: SchemaComposer<any>;
+
+    beforeEach(() => {
+      sc = new SchemaComposer();
+      sc.createObjectTC(`type Status { name: String }`);
+      sc.Query.addFields({ invoices: 'Int' });
+    });
+
+    it('should merge types by default', () => {
+      sc.merge(billing, {});
+      expect(sc.getOTC('Status').getFieldNames()).toEqual(['name', 'code']);
+      expect(sc.getOTC('Invoice').getFieldTC('status')).toBe(sc.getOTC('Status'));
+      expect(sc.Query.getFieldTypeName('invoices')).toBe('[Invoice]');
+    });
+
+    it('should throw on conflict', () => {
+      expect(() => sc.merge(billing, { onConflict: 'throw' })).toThrow(
+        'Cannot merge type Status. SchemaComposer already has type with the same name.'
+      );
+      expect(sc.has('Invoice')).toBe(false);
+      sc.delete('Status');
+      expect(() => sc.merge(billing, { onConflict: 'throw' })).toThrow(
+        'Cannot merge field Query.invoices. SchemaComposer already has field with the same name.'
+      );
+    });
+
+    it('should keep ours', () => {
+      const StatusTC = sc.getOTC('Status');
+      sc.merge(billing, { onConflict: 'ours' });
+      expect(sc.getOTC('Status')).toBe(StatusTC);
+      expect(StatusTC.getFieldNames()).toEqual(['name']);
+      expect(sc.getOTC('Invoice').getFieldTC('status')).toBe(StatusTC);
+      expect(sc.Query.getFieldTypeName('invoices')).toBe('Int');
+      expect(sc.Query.getFieldTypeName('documents')).toBe('[Document]');
+    });
+
+    it('should take theirs', () => {
+      const StatusTC = sc.getOTC('Status');
+      sc.merge(billing, { onConflict: 'theirs' });
+      expect(sc.getOTC('Status')).toBe(StatusTC);
+      expect(StatusTC.getFieldNames()).toEqual(['code']);
+      expect(sc.Query.getFieldTypeName('invoices')).toBe('[Invoice]');
+    });
+
+    it('should call custom function', () => {
+      const onConflict = jest.fn((ours: any, theirs: any) => {
+        ours.addFields({ extra: theirs.getField('code') });
+      });
+      sc.merge(billing, { onConflict });
+      expect(onConflict).toHaveBeenCalledTimes(1);
+      expect(onConflict.mock.calls[0][0]).toBe(sc.getOTC('Status'));
+      expect(sc.getOTC('Status').getFieldNames()).toEqual(['name', 'extra']);
+    });
+  });
+
+  it('should put root fields under namespace', async () => {
+    billing.Mutation.addFields({ pay: { type: 'Boolean', resolve: () => true } });
+    const sc = new SchemaComposer();
+    sc.Query.addFields({ me: { type: 'String', resolve: () => 'Ann' } });
+    sc.merge(billing, { prefix: 'Billing', namespace: 'billing' });
+
+    expect(sc.Query.getFieldNames()).toEqual(['me', 'billing']);
+    expect(sc.Query.getFieldTypeName('billing')).toBe('BillingQuery');
+    expect(sc.getOTC('BillingQuery').getFieldTypeName('invoices')).toBe('[BillingInvoice]');
+    expect(sc.Mutation.getFieldTypeName('billing')).toBe('BillingMutation');
+
+    const schema = sc.buildSchema();
+    expect(await graphql(schema, '{ me billing { invoices { id } } }')).toEqual({
+      data: { me: 'Ann', billing: { invoices: [{ id: '1' }] } },
+    });
+    expect(await graphql(schema, 'mutation { billing { pay } }')).toEqual({
+      data: { billing: { pay: true } },
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { buildMockedSchema } from '../schemaMocker';
+import {
+  GraphQLDateTime,
+  GraphQLLocalDate,
+  GraphQLTime,
+  GraphQLDuration,
+  GraphQLEmailAddress,
+  GraphQLURL,
+  GraphQLUUID,
+  GraphQLBigInt,
+  GraphQLDecimal,
+} from '../../type';
+
+describe('schemaMocker', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      interface Node { id: ID! }
+      enum Status { ACTIVE OLD }
+      type User implements Node {
+        id: ID!
+        name: String
+        age: Int!
+        rating: Float
+        isAdmin: Boolean
+        status: Status!
+        friends: [User!]!
+      }
+      type Post implements Node {
+        id: ID!
+        title: String!
+      }
+      union Search = User | Post
+      type Query {
+        me: User
+        search: [Search]
+        node: Node
+        version: String
+      }
+    `);
+    sc.addSchemaMustHaveType(sc.getOTC('Post'));
+    sc.Query.extendField('version', { resolve: () => '1.0.0' });
+  });
+
+  it('should mock scalars, enums and lists', async () => {
+    const schema = sc.buildMockedSchema({ listLength: 3 });
+    const res: any = await graphql(
+      schema,
+      '{ me { id name age rating isAdmin status friends { name } } version }'
+    );
+    expect(res.errors).toBeUndefined();
+    const { me } = res.data;
+    expect(typeof me.id).toBe('string');
+    expect(me.name).toBe('Hello World');
+    expect(Number.isInteger(me.age)).toBe(true);
+    expect(typeof me.rating).toBe('number');
+    expect(typeof me.isAdmin).toBe('boolean');
+    expect(['ACTIVE', 'OLD']).toContain(me.status);
+    expect(me.friends).toHaveLength(3);
+    // existing resolvers are preserved by default
+    expect(res.data.version).toBe('1.0.0');
+  });
+
+  it('should mock valid values of additional scalars', async () => {
+    const scalars = [
+      GraphQLDateTime,
+      GraphQLLocalDate,
+      GraphQLTime,
+      GraphQLDuration,
+      GraphQLEmailAddress,
+      GraphQLURL,
+      GraphQLUUID,
+      GraphQLBigInt,
+      GraphQLDecimal,
+    ];
+    const EventTC = sc.createObjectTC(
+      `type Event { ${scalars.map(type => `f${type.name}: ${type.name}!`).join(' ')} }`
+    );
+    sc.Query.setField('events', [EventTC]);
+    const schema = sc.buildMockedSchema({ listLength: 10 });
+    const res: any = await graphql(
+      schema,
+      `{ events { ${scalars.map(type => `f${type.name}`).join(' ')} } }`
+    );
+    expect(res.errors).toBeUndefined();
+    res.data.events.forEach(event => {
+      scalars.forEach(type => {
+        expect(() => type.parseValue(event[`f${type.name}`])).not.toThrow();
+      });
+    });
+  });
+
+  it('should mock unions and interfaces', async () => {
+    const schema = buildMockedSchema(sc, { listLength: 10 });
+    const res: any = await graphql(
+      schema,
+      `
+        {
+          search {
+            __typename
+            ... on User {
+              name
+            }
+            ... on Post {
+              title
+            }
+          }
+          node {
+            __typename
+            id
+          }
+        }
+      `
+    );
+    expect(res.errors).toBeUndefined();
+    expect(res.data.search).toHaveLength(10);
+    res.data.search.forEach(item => {
+      expect(['User', 'Post']).toContain(item.__typename);
+      if (item.__typename === 'Post') expect(item.title).toBe('Hello World');
+    });
+    expect(['User', 'Post']).toContain(res.data.node.__typename);
+  });
+
+  it('should use per-type and per-field mocks', async () => {
+    const schema = sc.buildMockedSchema({
+      mocks: {
+        ID: () => 'id-1',
+        User: { name: () => 'John' },
+        Query: { version: () => 'mocked' },
+        Post: () => ({ title: 'From type mock' }),
+      },
+      preserveResolvers: true,
+      random: () => 0.99,
+    });
+    const res: any = await graphql(
+      schema,
+      '{ me { id name status } search { ... on Post { id title } } version }'
+    );
+    expect(res.errors).toBeUndefined();
+    expect(res.data).toEqual({
+      me: { id: 'id-1', name: 'John', status: 'OLD' },
+      search: [{ id: 'id-1', title: 'From type mock' }, { id: 'id-1', title: 'From type mock' }],
+      version: 'mocked',
+    });
+  });
+
+  it('should not modify original SchemaComposer', async () => {
+    sc.buildMockedSchema({ preserveResolvers: false });
+    sc.getOTC('User').addResolver({ name: 'findOne', type: 'User', resolve: () => null });
+    sc.Query.setField('me', sc.getOTC('User').getResolver('findOne'));
+
+    const res: any = await graphql(sc.buildSchema(), '{ me { name } version }');
+    expect(res).toEqual({ data: { me: null, version: '1.0.0' } });
+    expect(sc.getUTC('Search').getResolveType()).toBeUndefined();
+  });
+
+  it('should throw error on wrong mocks', () => {
+    expect(() => sc.buildMockedSchema({ mocks: { Status: {} } })).toThrow(
+      'Cannot add mock to the following type'
+    );
+  });
+});
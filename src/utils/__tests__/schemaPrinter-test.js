@@ -0,0 +1,288 @@
+/* @flow strict */
+
+import { SchemaComposer } from '../../SchemaComposer';
+import { GraphQLDirective, DirectiveLocation, GraphQLInt } from '../../graphql';
+import { printSchemaComposer, printTypeComposer, getTypeComposerDeps } from '../schemaPrinter';
+
+function dedent(str: string): string {
+  const lines = str
+    .replace(/^\n/, '')
+    .replace(/\n\s*$/, '')
+    .split('\n');
+  const indent = Math.min(...lines.filter(l => l.trim()).map(l => (l.match(/^ */): any)[0].length));
+  return lines.map(l => l.slice(indent)).join('\n');
+}
+
+describe('schemaPrinter', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addDirective(
+      new GraphQLDirective({
+        name: 'cost',
+        locations: [DirectiveLocation.FIELD_DEFINITION],
+        args: { value: { type: GraphQLInt } },
+      })
+    );
+    sc.addTypeDefs(`
+      "Node description"
+      interface Node {
+        id: ID!
+      }
+
+      enum Status {
+        ACTIVE
+        "Old value"
+        OLD @deprecated(reason: "Use ACTIVE")
+      }
+
+      scalar Money
+
+      type User implements Node {
+        id: ID!
+        name(upper: Boolean = false): String @cost(value: 5)
+        status: Status @deprecated
+        balance: Money
+      }
+
+      type Post {
+        title: String
+        author: User
+      }
+
+      union Search = User | Post
+    `);
+    sc.createInputTC({
+      name: 'UserFilter',
+      fields: {
+        name: { type: 'String', defaultValue: 'John' },
+        status: { type: 'Status', description: 'Filter by status' },
+      },
+    });
+  });
+
+  describe('printTypeComposer()', () => {
+    it('should print object type', () => {
+      expect(sc.getOTC('User').toSDL()).toBe(
+        dedent(`
+          type User implements Node {
+            id: ID!
+            name(upper: Boolean = false): String @cost(value: 5)
+            status: Status @deprecated
+            balance: Money
+          }
+        `)
+      );
+    });
+
+    it('should print interface, union, enum, scalar and input types', () => {
+      expect(sc.getIFTC('Node').toSDL()).toBe(
+        dedent(`
+          """Node description"""
+          interface Node {
+            id: ID!
+          }
+        `)
+      );
+      expect(sc.getUTC('Search').toSDL()).toBe('union Search = User | Post');
+      expect(sc.getETC('Status').toSDL()).toBe(
+        dedent(`
+          enum Status {
+            ACTIVE
+            """Old value"""
+            OLD @deprecated(reason: "Use ACTIVE")
+          }
+        `)
+      );
+      expect(sc.getSTC('Money').toSDL()).toBe('scalar Money');
+      expect(sc.getITC('UserFilter').toSDL()).toBe(
+        dedent(`
+          input UserFilter {
+            name: String = "John"
+            """Filter by status"""
+            status: Status
+          }
+        `)
+      );
+    });
+
+    it('should print multiline descriptions and args with descriptions', () => {
+      const tc = sc.createObjectTC({
+        name: 'Article',
+        description: 'Line 1\nLine 2',
+        fields: {
+          text: {
+            type: 'String',
+            args: { limit: { type: 'Int', description: 'Max length' } },
+          },
+        },
+      });
+      expect(tc.toSDL()).toBe(
+        dedent(`
+          """
+          Line 1
+          Line 2
+          """
+          type Article {
+            text(
+              """Max length"""
+              limit: Int
+            ): String
+          }
+        `)
+      );
+    });
+
+    it('should omit descriptions and directives', () => {
+      expect(sc.getOTC('User').toSDL({ omitDirectives: true })).not.toContain('@cost');
+      expect(sc.getOTC('User').toSDL({ omitDirectives: true })).toContain('@deprecated');
+      expect(sc.getETC('Status').toSDL({ omitDescriptions: true })).toBe(
+        dedent(`
+          enum Status {
+            ACTIVE
+            OLD @deprecated(reason: "Use ACTIVE")
+          }
+        `)
+      );
+    });
+
+    it('should print with dependent types via `deep` option', () => {
+      expect(sc.getOTC('Post').toSDL({ deep: true, exclude: ['Node'] })).toBe(
+        dedent(`
+          type Post {
+            title: String
+            author: User
+          }
+
+          type User implements Node {
+            id: ID!
+            name(upper: Boolean = false): String @cost(value: 5)
+            status: Status @deprecated
+            balance: Money
+          }
+
+          enum Status {
+            ACTIVE
+            """Old value"""
+            OLD @deprecated(reason: "Use ACTIVE")
+          }
+
+          scalar Money
+        `)
+      );
+    });
+
+    it('should sort fields', () => {
+      expect(printTypeComposer(sc.getOTC('Post'), { sortFields: true })).toBe(
+        dedent(`
+          type Post {
+            author: User
+            title: String
+          }
+        `)
+      );
+    });
+  });
+
+  describe('getTypeComposerDeps()', () => {
+    it('should return all used types', () => {
+      const names = getTypeComposerDeps(sc.getUTC('Search')).map(tc => tc.getTypeName());
+      expect(names).toEqual(['User', 'Node', 'ID', 'String', 'Boolean', 'Status', 'Money', 'Post']);
+    });
+  });
+
+  describe('printSchemaComposer()', () => {
+    it('should print all types without built-ins and Query', () => {
+      expect(sc.toSDL({ sortTypes: true, omitDescriptions: true })).toBe(
+        dedent(`
+          directive @cost(value: Int) on FIELD_DEFINITION
+
+          scalar Money
+
+          interface Node {
+            id: ID!
+          }
+
+          type Post {
+            title: String
+            author: User
+          }
+
+          union Search = User | Post
+
+          enum Status {
+            ACTIVE
+            OLD @deprecated(reason: "Use ACTIVE")
+          }
+
+          type User implements Node {
+            id: ID!
+            name(upper: Boolean = false): String @cost(value: 5)
+            status: Status @deprecated
+            balance: Money
+          }
+
+          input UserFilter {
+            name: String = "John"
+            status: Status
+          }
+        `)
+      );
+    });
+
+    it('should print root types first', () => {
+      sc.Query.addFields({ users: '[User]' });
+      const sdl = sc.toSDL({ include: ['Query', 'Mutation', 'Post'] });
+      expect(sdl).toBe(
+        dedent(`
+          directive @cost(value: Int) on FIELD_DEFINITION
+
+          type Query {
+            users: [User]
+          }
+
+          type Post {
+            title: String
+            author: User
+          }
+        `)
+      );
+    });
+
+    it('should not print types from `addTypeDefs()` twice', () => {
+      sc.addTypeDefs('type Query { me: User }');
+      expect(sc.toSDL({ include: ['Query'], omitDirectiveDefinitions: true })).toBe(
+        dedent(`
+          type Query {
+            me: User
+          }
+        `)
+      );
+    });
+
+    it('should group types by kind', () => {
+      const sdl = printSchemaComposer(sc, {
+        sortTypes: 'GROUP_BY_TYPE',
+        omitDescriptions: true,
+        omitDirectiveDefinitions: true,
+      });
+      const typeLines = sdl.split('\n').filter(l => /^[a-z]/.test(l));
+      expect(typeLines).toEqual([
+        'type Post {',
+        'type User implements Node {',
+        'interface Node {',
+        'union Search = User | Post',
+        'input UserFilter {',
+        'enum Status {',
+        'scalar Money',
+      ]);
+    });
+
+    it('should print built-in types when requested', () => {
+      const sdl = sc.toSDL({ includeBuiltIns: true });
+      expect(sdl).toContain('scalar String');
+      expect(sdl).toContain('directive @skip(');
+    });
+  });
+});
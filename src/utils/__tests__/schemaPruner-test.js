@@ -0,0 +1,89 @@
+/* @flow strict */
+
+import { SchemaComposer } from '../../SchemaComposer';
+import { pruneSchemaComposer } from '../schemaPruner';
+
+describe('schemaPruner', () => {
+  it('should remove unreachable types', () => {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      type User { id: Int, posts(sort: SortPostEnum): [Post] }
+      type Post { title: String }
+      enum SortPostEnum { ASC DESC }
+      input FilterUserInput { id: Int }
+      enum SortUserEnum { ASC DESC }
+      type Unused { user: User }
+      type Query { user: User }
+    `);
+
+    const report = sc.prune();
+    expect(report.types.sort()).toEqual(['FilterUserInput', 'SortUserEnum', 'Unused']);
+    expect(sc.has('FilterUserInput')).toBe(false);
+    expect(sc.has('Unused')).toBe(false);
+    expect(sc.has('SortPostEnum')).toBe(true);
+    expect(sc.has('String')).toBe(true);
+    expect(() => sc.buildSchema()).not.toThrow();
+  });
+
+  it('should keep schemaMustHaveTypes and types of interface resolvers', () => {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      interface Node { id: ID }
+      type User implements Node { id: ID }
+      type Post implements Node { id: ID }
+      type Comment implements Node { id: ID }
+      type Query { node: Node }
+    `);
+    sc.addSchemaMustHaveType(sc.getOTC('User'));
+    sc.getIFTC('Node').addTypeResolver(sc.getOTC('Post'), () => false);
+
+    expect(pruneSchemaComposer(sc).types).toEqual(['Comment']);
+  });
+
+  it('should remove empty input types and unions with their usages', () => {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      type User { id: Int }
+      union SearchResult
+      input EmptyInput
+      input FilterInput { empty: EmptyInput, id: Int }
+      input OnlyEmptyInput { empty: EmptyInput }
+      type Query {
+        users(filter: FilterInput, other: OnlyEmptyInput): [User]
+        search: [SearchResult]
+      }
+    `);
+
+    expect(sc.prune()).toEqual({
+      types: ['SearchResult', 'EmptyInput', 'OnlyEmptyInput'],
+      directives: [],
+      fields: ['Query.search', 'FilterInput.empty', 'OnlyEmptyInput.empty'],
+      args: ['Query.users.@other'],
+    });
+    expect(sc.Query.getFieldArgNames('users')).toEqual(['filter']);
+    expect(sc.getITC('FilterInput').getFieldNames()).toEqual(['id']);
+  });
+
+  it('should remove unused directives', () => {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      directive @used(reason: String) on FIELD_DEFINITION
+      directive @unused on FIELD_DEFINITION | OBJECT
+      directive @usedOnArg on ARGUMENT_DEFINITION
+      directive @client on FIELD | FRAGMENT_SPREAD
+      directive @typeOrQuery on OBJECT | QUERY
+      type Query {
+        field: String @used(reason: "test")
+        withArg(a: Int @usedOnArg): String
+      }
+    `);
+
+    expect(sc.prune().directives).toEqual(['unused']);
+    expect(sc.hasDirective('used')).toBe(true);
+    expect(sc.hasDirective('usedOnArg')).toBe(true);
+    // executable directives are used by operations
+    expect(sc.hasDirective('client')).toBe(true);
+    expect(sc.hasDirective('typeOrQuery')).toBe(true);
+    expect(sc.hasDirective('deprecated')).toBe(true);
+  });
+});
@@ -0,0 +1,201 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+
+describe('schemaSnapshot', () => {
+  const findUsers = () => [{ id: 1, name: 'Ann', role: 'admin', balance: 5 }];
+  const isUser = value => !!value.name;
+  const serializeMoney = (value: any) => `$${value}`;
+  const registry = { findUsers, isUser, serializeMoney };
+
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      directive @cached(ttl: Int) on FIELD_DEFINITION
+
+      scalar Money
+
+      enum Role { ADMIN, USER }
+
+      interface Node { id: ID! }
+
+      "Registered user"
+      type User implements Node {
+        id: ID!
+        name(format: String = "full"): String @cached(ttl: 10)
+        login: String @deprecated(reason: "Use name")
+        role: Role
+        balance: Money
+      }
+
+      union SearchResult = User
+
+      input UserFilter { name: String, roles: [Role!] = [ADMIN] }
+    `);
+    sc.getETC('Role').setFields({ ADMIN: { value: 'admin' }, USER: { value: 'user' } });
+    sc.getSTC('Money').setSerialize(serializeMoney);
+    const UserTC = sc.getOTC('User');
+    UserTC.setIsTypeOf(isUser);
+    UserTC.setExtension('auth', { roles: ['admin'] });
+    UserTC.addResolver({
+      name: 'findMany',
+      kind: 'query',
+      type: '[User]',
+      args: { filter: 'UserFilter' },
+      resolve: findUsers,
+    });
+    sc.Query.addFields({
+      users: { type: '[User]', args: { filter: 'UserFilter' }, resolve: findUsers },
+      search: 'SearchResult',
+    });
+    sc.addSchemaMustHaveType(UserTC);
+  });
+
+  it('should return JSON-serializable snapshot', () => {
+    const snapshot = sc.toJSON({ registry });
+    expect(JSON.parse(JSON.stringify(sc))).toEqual(sc.toJSON());
+    expect(snapshot.types.find(t => t.name === 'User')).toEqual({
+      kind: 'object',
+      name: 'User',
+      description: 'Registered user',
+      extensions: { auth: { roles: ['admin'] } },
+      fields: {
+        id: { type: 'ID!' },
+        name: {
+          type: 'String',
+          args: { format: { type: 'String', defaultValue: 'full' } },
+          extensions: { directives: [{ name: 'cached', args: { ttl: 10 } }] },
+        },
+        login: {
+          type: 'String',
+          deprecationReason: 'Use name',
+          extensions: { directives: [{ name: 'deprecated', args: { reason: 'Use name' } }] },
+        },
+        role: { type: 'Role' },
+        balance: { type: 'Money' },
+      },
+      interfaces: ['Node'],
+      isTypeOf: 'isUser',
+      resolvers: [
+        {
+          name: 'findMany',
+          kind: 'query',
+          type: '[User]',
+          args: { filter: { type: 'UserFilter' } },
+          resolve: 'findUsers',
+        },
+      ],
+    });
+    expect(snapshot.types.find(t => t.name === 'Role')).toEqual({
+      kind: 'enum',
+      name: 'Role',
+      values: { ADMIN: { value: 'admin' }, USER: { value: 'user' } },
+    });
+    expect(snapshot.directives).toEqual([
+      {
+        name: 'cached',
+        locations: ['FIELD_DEFINITION'],
+        args: { ttl: { type: 'Int' } },
+      },
+    ]);
+    expect(snapshot.schemaMustHaveTypes).toEqual(['User']);
+    // functions without names are skipped
+    expect(sc.toJSON().types.find(t => t.name === 'User')).not.toHaveProperty('isTypeOf');
+  });
+
+  it('should restore SchemaComposer from snapshot', async () => {
+    const snapshot = JSON.parse(JSON.stringify(sc.toJSON({ registry })));
+    const sc2 = SchemaComposer.fromJSON(snapshot, { registry });
+
+    expect(sc2.toSDL()).toBe(sc.toSDL());
+    expect(sc2.toJSON({ registry })).toEqual(snapshot);
+    expect(
+      sc2
+        .getOTC('User')
+        .getResolver('findMany')
+        .getTypeName()
+    ).toBe('[User]');
+    expect(sc2.getOTC('User').getIsTypeOf()).toBe(isUser);
+
+    const res = await graphql(sc2.buildSchema(), '{ users { name role balance } }');
+    expect(res).toEqual({
+      data: { users: [{ name: 'Ann', role: 'ADMIN', balance: '$5' }] },
+    });
+  });
+
+  it('should store fields created from resolvers as references', async () => {
+    sc.Query.setField('userList', sc.getOTC('User').getResolver('findMany'));
+    sc.Query.setFieldExtension('userList', 'complexity', 10);
+    const snapshot = JSON.parse(JSON.stringify(sc.toJSON({ registry })));
+    const queryJSON = snapshot.types.find(t => t.name === 'Query');
+    expect(queryJSON.fields.userList).toEqual({
+      resolver: 'User.$findMany',
+      extensions: { complexity: 10 },
+    });
+
+    const sc2 = SchemaComposer.fromJSON(snapshot, { registry });
+    expect(sc2.toJSON({ registry })).toEqual(snapshot);
+    expect(sc2.Query.getFieldArgTypeName('userList', 'filter')).toBe('UserFilter');
+    const res = await graphql(sc2.buildSchema(), '{ userList { name } }');
+    expect(res).toEqual({ data: { userList: [{ name: 'Ann' }] } });
+  });
+
+  it('should throw if resolve method is missing in the registry', () => {
+    sc.Query.setField('hello', { type: 'String', resolve: () => 'world' });
+    expect(() => sc.toJSON({ registry })).toThrow(
+      'Function of field Query.hello is not found in the registry of schemaComposer.toJSON()'
+    );
+    sc.getOTC('User').addResolver({ name: 'findOne', type: 'User', resolve: () => null });
+    sc.Query.setField('hello', sc.getOTC('User').getResolver('findOne'));
+    expect(() => sc.toJSON({ registry })).toThrow(
+      'Function of resolver User.$findOne is not found in the registry'
+    );
+    // without registry only structure of the schema is stored
+    expect(() => sc.toJSON()).not.toThrow();
+  });
+
+  it('should keep empty default values and enum values', () => {
+    const sc1 = new SchemaComposer();
+    sc1.addTypeDefs(`
+      input F { name: String }
+      enum Empty { NONE }
+      type Query { users(q: String = "", tags: [String] = [], filter: F = {}): [String] }
+    `);
+    sc1.getITC('F').extendField('name', { defaultValue: '' });
+    sc1.getETC('Empty').setField('NONE', { value: '' });
+    const snapshot = JSON.parse(JSON.stringify(sc1.toJSON()));
+    const sc2 = SchemaComposer.fromJSON(snapshot);
+
+    expect(sc2.Query.getFieldArg('users', 'q').defaultValue).toBe('');
+    expect(sc2.Query.getFieldArg('users', 'tags').defaultValue).toEqual([]);
+    expect(sc2.Query.getFieldArg('users', 'filter').defaultValue).toEqual({});
+    expect(sc2.getITC('F').getField('name').defaultValue).toBe('');
+    expect(sc2.getETC('Empty').getField('NONE').value).toBe('');
+    expect(sc2.toSDL()).toBe(sc1.toSDL());
+  });
+
+  it('should restore custom root types', () => {
+    const sc1 = new SchemaComposer();
+    sc1.set('Query', sc1.createObjectTC(`type RootQuery { hello: String }`));
+    const snapshot = sc1.toJSON();
+    expect(snapshot.roots).toEqual({ Query: 'RootQuery' });
+    const sc2 = SchemaComposer.fromJSON(snapshot);
+    expect(sc2.Query.getTypeName()).toBe('RootQuery');
+  });
+
+  it('should throw on wrong snapshots', () => {
+    const snapshot = sc.toJSON({ registry });
+    expect(() => SchemaComposer.fromJSON(snapshot, { registry: { findUsers, isUser } })).toThrow(
+      "Function 'serializeMoney' is not found in the registry of SchemaComposer.fromJSON()."
+    );
+    expect(() => SchemaComposer.fromJSON(({ version: 2, types: [] }: any))).toThrow(
+      'Cannot load snapshot of version 2. Supported version is 1.'
+    );
+    expect(() => SchemaComposer.fromJSON(({}: any))).toThrow(
+      'SchemaComposer.fromJSON() expects snapshot created via schemaComposer.toJSON().'
+    );
+  });
+});
@@ -130,4 +130,81 @@ describe('toInputObjectType()', () => {
       expect(itc.getTypeName()).toBe('ExampleInput');
     }
   });
+
+  describe('operation opt', () => {
+    let PostTC: ObjectTypeComposer<any, any>;
+
+    beforeEach(() => {
+      sc.addTypeDefs(`
+        type Geo { lat: Float!, lng: Float! }
+        type Place { city: String!, geo: Geo }
+        type Author { id: ID!, name: String }
+        type Post {
+          id: ID!
+          title: String!
+          place: Place!
+          author: Author!
+          coauthors: [Author!]
+          excerpt(length: Int): String
+          password: String
+          createdAt: String
+        }
+      `);
+      PostTC = sc.getOTC('Post');
+      PostTC.setFieldExtension('id', 'readOnly', true);
+      PostTC.setFieldExtension('createdAt', 'readOnly', ['update', 'patch']);
+      PostTC.addRelation('related', {
+        type: '[Post]',
+        args: { limit: 'Int' },
+        resolve: () => [],
+      });
+    });
+
+    it('should create input with required fields', () => {
+      const itc = toInputObjectType(PostTC, { operation: 'create' });
+      expect(itc.getTypeName()).toBe('CreatePostInput');
+      expect(itc.getFieldNames()).toEqual([
+        'title',
+        'place',
+        'author',
+        'coauthors',
+        'password',
+        'createdAt',
+      ]);
+      expect(itc.getFieldTypeName('title')).toBe('String!');
+      expect(itc.getFieldTypeName('place')).toBe('CreatePlaceInput!');
+      expect(itc.getFieldITC('place').getFieldTypeName('geo')).toBe('CreateGeoInput');
+      expect(sc.getITC('CreateGeoInput').getFieldTypeName('lat')).toBe('Float!');
+      // relations become references
+      expect(itc.getFieldTypeName('author')).toBe('ID!');
+      expect(itc.getFieldTypeName('coauthors')).toBe('[ID!]');
+      // default input type is not changed
+      expect(PostTC.getITC().getFieldTypeName('id')).toBe('ID!');
+      expect(toInputObjectType(PostTC, { operation: 'create' })).toBe(itc);
+    });
+
+    it('should create update input with optional fields', () => {
+      const itc = toInputObjectType(PostTC, { operation: 'update' });
+      expect(itc.getTypeName()).toBe('UpdatePostInput');
+      expect(itc.getFieldNames()).toEqual(['title', 'place', 'author', 'coauthors', 'password']);
+      expect(itc.getFieldTypeName('title')).toBe('String');
+      expect(itc.getFieldTypeName('author')).toBe('ID');
+      // nested objects are replaced as a whole
+      expect(itc.getFieldTypeName('place')).toBe('CreatePlaceInput');
+    });
+
+    it('should create patch input with optional nested fields', () => {
+      const itc = toInputObjectType(PostTC, { operation: 'patch', prefix: 'Admin' });
+      expect(itc.getTypeName()).toBe('AdminPatchPostInput');
+      expect(itc.getFieldTypeName('place')).toBe('AdminPatchPlaceInput');
+      expect(sc.getITC('AdminPatchGeoInput').getFieldTypeName('lat')).toBe('Float');
+    });
+
+    it('should include fields with args via writeOnly extension', () => {
+      PostTC.setFieldExtension('excerpt', 'writeOnly', true);
+      const itc = toInputObjectType(PostTC, { operation: 'create' });
+      expect(itc.getFieldTypeName('excerpt')).toBe('String');
+      expect(itc.hasField('related')).toBe(false);
+    });
+  });
 });
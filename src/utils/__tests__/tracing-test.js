@@ -0,0 +1,116 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { TracingCollector } from '../tracing';
+
+describe('tracing', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.createObjectTC(`type User { id: Int!, name: String }`);
+    sc.Query.addFields({
+      users: {
+        type: '[User]',
+        resolve: () =>
+          new Promise(resolve => setTimeout(() => resolve([{ id: 1, name: 'Ann' }]), 5)),
+      },
+      broken: {
+        type: 'String',
+        resolve: () => {
+          throw new Error('Boom');
+        },
+      },
+    });
+  });
+
+  it('should record spans of all resolved fields', async () => {
+    const collector = new TracingCollector();
+    sc.enableTracing(collector);
+    const context = {};
+    const res = await graphql(sc.buildSchema(), '{ users { id name } }', null, context);
+    expect(res).toEqual({ data: { users: [{ id: 1, name: 'Ann' }] } });
+
+    const spans = collector.getSpans(context);
+    expect(spans.map(s => s.path)).toEqual([['users'], ['users', 0, 'id'], ['users', 0, 'name']]);
+    expect(spans[0]).toMatchObject({
+      name: 'Query.users',
+      parentType: 'Query',
+      fieldName: 'users',
+      returnType: '[User]',
+    });
+    expect(spans[0].duration).toBeGreaterThanOrEqual(4e6);
+    expect(spans[1].startOffset).toBeGreaterThanOrEqual(spans[0].duration);
+    expect(spans[1].returnType).toBe('Int!');
+
+    collector.clear(context);
+    expect(collector.getSpans(context)).toEqual([]);
+  });
+
+  it('should record errors and export spans to callback', async () => {
+    const onSpan = jest.fn();
+    sc.enableTracing(new TracingCollector({ onSpan }));
+    const context = { userId: 1 };
+    const res = await graphql(sc.buildSchema(), '{ broken }', null, context);
+    expect(res.errors && res.errors[0].message).toBe('Boom');
+    expect(onSpan).toHaveBeenCalledTimes(1);
+    expect(onSpan.mock.calls[0][0].error).toEqual(new Error('Boom'));
+    expect(onSpan.mock.calls[0][1]).toBe(context);
+  });
+
+  it('should not change results if exporter fails', async () => {
+    sc.Query.setField('hello', { type: 'String', resolve: () => 'world' });
+    sc.enableTracing(
+      new TracingCollector({
+        onSpan: span => {
+          if (span.fieldName === 'hello') throw new Error('exporter down');
+          return Promise.reject(new Error('exporter down'));
+        },
+      })
+    );
+    const res = await graphql(sc.buildSchema(), '{ hello users { id } }', null, {});
+    expect(res).toEqual({ data: { hello: 'world', users: [{ id: 1 }] } });
+  });
+
+  it('should call resolve methods directly without info', () => {
+    sc.Query.setField('hello', { type: 'String', resolve: () => 'world' });
+    sc.enableTracing(new TracingCollector());
+    const schema: any = sc.buildSchema();
+    const fields = schema.getQueryType().getFields();
+    expect(fields.hello.resolve(null, {}, {})).toBe('world');
+  });
+
+  it('should return Apollo tracing format', async () => {
+    const collector = new TracingCollector();
+    sc.enableTracing(collector);
+    const context = {};
+    collector.startRequest(context);
+    await graphql(sc.buildSchema(), '{ users { name } }', null, context);
+    const tracing: any = collector.getApolloTracing(context);
+    expect(tracing).toMatchObject({
+      version: 1,
+      startTime: expect.any(String),
+      endTime: expect.any(String),
+      execution: {
+        resolvers: [
+          { path: ['users'], parentType: 'Query', fieldName: 'users', returnType: '[User]' },
+          { path: ['users', 0, 'name'], parentType: 'User', fieldName: 'name' },
+        ],
+      },
+    });
+    const lastResolver = tracing.execution.resolvers[1];
+    expect(tracing.duration).toBe(lastResolver.startOffset + lastResolver.duration);
+    expect(collector.getApolloTracing({})).toBe(null);
+  });
+
+  it('should not trace without enableTracing()', async () => {
+    const collector = new TracingCollector();
+    sc.enableTracing(collector);
+    sc.disableTracing();
+    const context = {};
+    await graphql(sc.buildSchema(), '{ users { name } }', null, context);
+    expect(collector.getSpans(context)).toEqual([]);
+    expect(sc.getTracingCollector()).toBeUndefined();
+  });
+});
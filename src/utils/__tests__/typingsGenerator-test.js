@@ -0,0 +1,134 @@
+/* @flow strict */
+
+import { SchemaComposer } from '../../SchemaComposer';
+import { generateTypings, printTypeRef } from '../typingsGenerator';
+
+describe('typingsGenerator', () => {
+  let sc: SchemaComposer<any>;
+
+  beforeEach(() => {
+    sc = new SchemaComposer();
+    sc.addTypeDefs(`
+      scalar Date
+      scalar Money
+      "Node interface"
+      interface Node { id: ID! }
+      enum Status { ACTIVE OLD }
+      type User implements Node {
+        id: ID!
+        "User name"
+        name: String
+        status: Status!
+        createdAt: Date
+        balance: Money
+        posts(limit: Int = 10, tags: [String!]!): [Post!]
+      }
+      type Post { title: String }
+      union Search = User | Post
+      input UserFilter { name: String, age: Int! }
+    `);
+  });
+
+  it('should print type refs', () => {
+    expect(printTypeRef('String')).toBe('string | null');
+    expect(printTypeRef('[Int!]!')).toBe('Array<number>');
+    expect(printTypeRef('[User]')).toBe('Array<User | null> | null');
+    expect(printTypeRef('[User]', { language: 'flow' })).toBe('?Array<?User>');
+  });
+
+  it('should generate TypeScript typings', () => {
+    sc.getOTC('User').addResolver({
+      name: 'findMany',
+      type: '[User]',
+      args: { filter: 'UserFilter', limit: 'Int!' },
+      resolve: () => [],
+    });
+
+    expect(generateTypings(sc, { scalars: { Date: 'Date', Money: 'string' } })).toBe(
+      [
+        '// This file was generated by graphql-compose. Do not edit it manually.',
+        '',
+        'export type Money = string;',
+        '',
+        '/** Node interface */',
+        'export interface Node {',
+        '  id: string;',
+        '}',
+        '',
+        'export type Status = "ACTIVE" | "OLD";',
+        '',
+        'export interface User {',
+        '  id: string;',
+        '  /** User name */',
+        '  name?: string | null;',
+        '  status: Status;',
+        '  createdAt?: Date | null;',
+        '  balance?: Money | null;',
+        '  posts?: Array<Post> | null;',
+        '}',
+        '',
+        'export interface UserPostsArgs {',
+        '  limit?: number | null;',
+        '  tags: Array<string>;',
+        '}',
+        '',
+        'export interface UserFindManyResolverArgs {',
+        '  filter?: UserFilter | null;',
+        '  limit: number;',
+        '}',
+        '',
+        'export interface Post {',
+        '  title?: string | null;',
+        '}',
+        '',
+        'export type Search = User | Post;',
+        '',
+        'export interface UserFilter {',
+        '  name?: string | null;',
+        '  age: number;',
+        '}',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should generate Flow typings', () => {
+    const typings = generateTypings(sc, {
+      language: 'flow',
+      exclude: ['Date', 'Money', 'Node', 'Search', 'Status', 'UserFilter'],
+      omitDescriptions: true,
+      omitArgs: true,
+    });
+    expect(typings).toBe(
+      [
+        '/* @flow */',
+        '// This file was generated by graphql-compose. Do not edit it manually.',
+        '',
+        'export type User = {',
+        '  id: string,',
+        '  name?: ?string,',
+        '  status: Status,',
+        '  createdAt?: ?Date,',
+        '  balance?: ?Money,',
+        '  posts?: ?Array<Post>,',
+        '};',
+        '',
+        'export type Post = {',
+        '  title?: ?string,',
+        '};',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should use internal enum values and skip empty root types', () => {
+    sc.createEnumTC({ name: 'Sort', values: { ASC: { value: 1 }, DESC: { value: -1 } } });
+    sc.Query.addFields({ users: '[User]' });
+    // eslint-disable-next-line no-unused-expressions
+    sc.Mutation;
+    const typings = generateTypings(sc);
+    expect(typings).toContain('export type Sort = 1 | -1;');
+    expect(typings).toContain('export interface Query {\n  users?: Array<User | null> | null;\n}');
+    expect(typings).not.toContain('Mutation');
+  });
+});
@@ -0,0 +1,154 @@
+/* @flow strict */
+
+import { Readable } from 'stream';
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { GraphQLUpload } from '../../type';
+import { Upload, processMultipartRequest } from '../upload';
+
+describe('upload', () => {
+  function createFile(filename: string, content: string) {
+    const stream = new Readable();
+    stream.push(content);
+    stream.push(null);
+    return { stream, filename, mimetype: 'text/plain', encoding: '7bit' };
+  }
+
+  function readStream(stream: Readable): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      stream.on('error', reject);
+    });
+  }
+
+  describe('processMultipartRequest()', () => {
+    it('should place files to variables', async () => {
+      const file = createFile('a.txt', 'A');
+      const operations: any = processMultipartRequest(
+        {
+          operations: JSON.stringify({
+            query: 'mutation ($file: Upload, $files: [Upload]) { upload }',
+            variables: { file: null, files: [null, null] },
+          }),
+          map: JSON.stringify({
+            '0': ['variables.file', 'variables.files.0'],
+            '1': ['variables.files.1'],
+          }),
+        },
+        { '0': file, '1': Promise.resolve(createFile('b.txt', 'B')) }
+      );
+      expect(operations.variables.file).toBeInstanceOf(Upload);
+      expect(operations.variables.files[0]).toBe(operations.variables.file);
+      expect(await operations.variables.file.promise).toBe(file);
+      expect((await operations.variables.files[1].promise).filename).toBe('b.txt');
+    });
+
+    it('should support batched operations and parsed fields', () => {
+      const operations: any = processMultipartRequest(
+        {
+          operations: [
+            { query: 'q1', variables: { file: null } },
+            { query: 'q2', variables: { file: null } },
+          ],
+          map: { '0': ['1.variables.file'] },
+        },
+        { '0': createFile('a.txt', 'A') }
+      );
+      expect(operations[0].variables.file).toBe(null);
+      expect(operations[1].variables.file).toBeInstanceOf(Upload);
+    });
+
+    it('should reject missing files', async () => {
+      const operations: any = processMultipartRequest(
+        { operations: { query: 'q', variables: { file: null } }, map: { '0': ['variables.file'] } },
+        {}
+      );
+      await expect(operations.variables.file.promise).rejects.toThrow(
+        'File missing in the request.'
+      );
+    });
+
+    it('should validate fields according to spec', () => {
+      const operations = { query: 'q', variables: { file: null } };
+      expect(() => processMultipartRequest({ operations: '{', map: {} }, {})).toThrow(
+        "Invalid JSON in the 'operations' multipart field."
+      );
+      expect(() => processMultipartRequest({ operations: 'true', map: {} }, {})).toThrow(
+        "Invalid type for the 'operations' multipart field."
+      );
+      expect(() => processMultipartRequest({ operations, map: '[]' }, {})).toThrow(
+        "Invalid type for the 'map' multipart field."
+      );
+      expect(() => processMultipartRequest({ operations, map: { '0': 'file' } }, {})).toThrow(
+        "Invalid 'map' multipart field entry key '0' array."
+      );
+      expect(() =>
+        processMultipartRequest({ operations, map: { '0': ['variables.other'] } }, {})
+      ).toThrow(
+        "Invalid object path for the 'map' multipart field entry key '0' array index '0' value 'variables.other'."
+      );
+    });
+  });
+
+  it('should provide files to resolvers', async () => {
+    const sc = new SchemaComposer();
+    sc.add(GraphQLUpload);
+    const resolver = sc.createResolver({
+      name: 'uploadFiles',
+      type: '[String]',
+      args: {
+        file: 'Upload!',
+        input: `input AttachmentsInput { title: String, files: [Upload] }`,
+      },
+      resolve: async ({ args }) => {
+        const files = await Promise.all(resolver.getUploadedFiles(args));
+        return Promise.all(
+          files.map(async ({ stream, filename }) => `${filename}:${await readStream(stream)}`)
+        );
+      },
+    });
+    sc.Mutation.addFields({ uploadFiles: resolver });
+    sc.Query.addFields({ ok: 'Boolean' });
+
+    const { query, variables }: any = processMultipartRequest(
+      {
+        operations: {
+          query: `mutation ($file: Upload!, $files: [Upload]) {
+            uploadFiles(file: $file, input: { title: "Docs", files: $files })
+          }`,
+          variables: { file: null, files: [null, null] },
+        },
+        map: { '0': ['variables.file'], '1': ['variables.files.0'], '2': ['variables.files.1'] },
+      },
+      {
+        '0': createFile('a.txt', 'A'),
+        '1': createFile('b.txt', 'B'),
+        '2': createFile('c.txt', 'C'),
+      }
+    );
+    const res = await graphql(sc.buildSchema(), query, null, null, variables);
+    expect(res).toEqual({ data: { uploadFiles: ['a.txt:A', 'b.txt:B', 'c.txt:C'] } });
+    expect(sc.getSTC('Upload').getType()).toBe(GraphQLUpload);
+
+    const invalid: any = await graphql(sc.buildSchema(), query, null, null, {
+      file: 'a.txt',
+      files: [],
+    });
+    expect(invalid.errors[0].message).toContain('Upload value should be provided via multipart');
+  });
+
+  it('should keep Upload scalar from SDL as is', () => {
+    const sc = new SchemaComposer();
+    sc.addTypeDefs(`scalar Upload`);
+    const file = { promise: Promise.resolve() };
+    expect(sc.getSTC('Upload').getType()).not.toBe(GraphQLUpload);
+    expect(
+      sc
+        .getSTC('Upload')
+        .getType()
+        .parseValue(file)
+    ).toBe(file);
+  });
+});
@@ -0,0 +1,156 @@
+/* @flow strict */
+
+import { graphql } from '../../graphql';
+import { SchemaComposer } from '../../SchemaComposer';
+import { validateValue, validateArgs } from '../validation';
+
+describe('validation', () => {
+  describe('validateValue()', () => {
+    it('should check rules', () => {
+      expect(validateValue('ab', { minLength: 3 })).toBe('length should be at least 3');
+      expect(validateValue('abcd', { maxLength: 3 })).toBe('length should be at most 3');
+      expect(validateValue([1, 2], { minLength: 2, maxLength: 2 })).toBe(null);
+      expect(validateValue(0, { min: 1 })).toBe('should be at least 1');
+      expect(validateValue(11, { max: 10 })).toBe('should be at most 10');
+      expect(validateValue('a-1', { pattern: /^[a-z]+$/ })).toBe('should match pattern /^[a-z]+$/');
+      expect(validateValue('abc', { pattern: '^[a-z]+$' })).toBe(null);
+      expect(validateValue('ab', { minLength: 3, message: 'too short' })).toBe('too short');
+    });
+
+    it('should report values of wrong type', () => {
+      expect(validateValue(5, { minLength: 3 })).toBe(
+        'should be a string or a list to check its length'
+      );
+      expect(validateValue({ length: 5 }, { maxLength: 3 })).toBe(
+        'should be a string or a list to check its length'
+      );
+      expect(validateValue('5', { min: 1 })).toBe('should be a number to check its range');
+      expect(validateValue([5], { max: 10 })).toBe('should be a number to check its range');
+    });
+
+    it('should call validate function', () => {
+      const validate = (value, args, context) => value === context.expected || 'is unexpected';
+      expect(validateValue('a', validate, {}, { expected: 'a' })).toBe(null);
+      expect(validateValue('b', validate, {}, { expected: 'a' })).toBe('is unexpected');
+      expect(validateValue('b', () => false)).toBe('is invalid');
+    });
+
+    it('should throw error on wrong definition', () => {
+      expect(() => validateValue('a', ('rule': any))).toThrow(
+        'Validate definition should be an object or function'
+      );
+      expect(() => validateValue('a', () => Promise.resolve('is taken'))).toThrow(
+        'Validate function should return result synchronously, but returned a Promise.'
+      );
+    });
+  });
+
+  describe('validateArgs()', () => {
+    let sc: SchemaComposer<any>;
+
+    beforeEach(() => {
+      sc = new SchemaComposer();
+      sc.createInputTC({
+        name: 'UserInput',
+        fields: {
+          name: { type: 'String!', validate: { minLength: 3 } },
+          emails: { type: '[String]', validate: { maxLength: 2 } },
+          address: 'AddressInput',
+        },
+      });
+      sc.createInputTC({
+        name: 'AddressInput',
+        fields: {
+          zip: { type: 'String', validate: { pattern: /^\d{5}$/ } },
+        },
+      });
+    });
+
+    it('should collect errors from args and nested input fields', () => {
+      const resolver = sc.createResolver({
+        name: 'createUser',
+        type: 'Boolean',
+        args: {
+          records: '[UserInput!]!',
+          limit: { type: 'Int', validate: { min: 1, max: 100 } },
+        },
+      });
+
+      const args = {
+        records: [
+          { name: 'John', address: { zip: '12345' } },
+          { name: 'Jo', emails: ['a', 'b', 'c'], address: { zip: 'abc' } },
+        ],
+        limit: 0,
+      };
+      expect(validateArgs(args, resolver.getArgs())).toEqual([
+        { path: ['records', 1, 'name'], message: 'length should be at least 3', value: 'Jo' },
+        {
+          path: ['records', 1, 'emails'],
+          message: 'length should be at most 2',
+          value: ['a', 'b', 'c'],
+        },
+        { path: ['records', 1, 'address', 'zip'], message: expect.any(String), value: 'abc' },
+        { path: ['limit'], message: 'should be at least 1', value: 0 },
+      ]);
+      expect(validateArgs({ records: [], limit: null }, resolver.getArgs())).toEqual([]);
+    });
+  });
+
+  describe('Resolver.withValidation()', () => {
+    it('should throw one GraphQLError before resolve', async () => {
+      const sc = new SchemaComposer();
+      const resolve = jest.fn(() => true);
+      const resolver = sc
+        .createResolver({
+          name: 'register',
+          type: 'Boolean',
+          args: {
+            login: { type: 'String', validate: { minLength: 3 } },
+            age: { type: 'Int', validate: age => age >= 18 || 'should be adult' },
+          },
+          resolve,
+        })
+        .withValidation();
+      sc.Mutation.addFields({ register: resolver });
+      sc.Query.addFields({ noop: 'Boolean' });
+      const schema = sc.buildSchema();
+
+      const res: any = await graphql(schema, 'mutation { register(login: "ab", age: 16) }');
+      expect(resolve).not.toBeCalled();
+      expect(res.errors).toHaveLength(1);
+      expect(res.errors[0].message).toBe(
+        'Validation failed: login length should be at least 3; age should be adult.'
+      );
+      expect(res.errors[0].path).toEqual(['register']);
+      expect(res.errors[0].extensions).toEqual({
+        code: 'BAD_USER_INPUT',
+        validationErrors: [
+          { path: ['login'], message: 'length should be at least 3' },
+          { path: ['age'], message: 'should be adult' },
+        ],
+      });
+
+      const res2 = await graphql(schema, 'mutation { register(login: "abc", age: 18) }');
+      expect(res2).toEqual({ data: { register: true } });
+    });
+
+    it('should validate fields added by addFilterArg()', () => {
+      const sc = new SchemaComposer();
+      const resolver = sc
+        .createResolver({ name: 'findMany', type: 'Boolean', resolve: () => true })
+        .addFilterArg({
+          name: 'search',
+          type: 'String',
+          filterTypeNameFallback: 'FilterInput',
+          validate: { minLength: 2 },
+        })
+        .withValidation();
+
+      expect(() => resolver.resolve({ args: { filter: { search: 'a' } } })).toThrow(
+        'Validation failed: filter.search length should be at least 2.'
+      );
+      expect(resolver.resolve({ args: { filter: { search: 'ab' } } })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { GraphQLResolveInfo } from 'graphql';
+import { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+
+/**
+ * `error` throws an error, `mask` returns `null` instead of the field value
+ */
+export type AuthMode = 'error' | 'mask';
+
+/**
+ * Value of `auth` extension. All props except `mode` are interpreted by the auth checker.
+ */
+export type AuthRule = {
+  mode?: AuthMode;
+  [key: string]: any;
+};
+
+export type AuthCheckerParams<TContext> = {
+  source: any;
+  args: { [argName: string]: any };
+  context: TContext;
+  info: GraphQLResolveInfo;
+  typeName: string;
+  fieldName: string;
+};
+
+export type AuthChecker<TContext> = (
+  rule: AuthRule,
+  params: AuthCheckerParams<TContext>
+) => boolean | Promise<boolean>;
+
+export type AuthOpts = {
+  /**
+   * Default mode for rules without `mode`, by default `error`
+   */
+  mode?: AuthMode;
+};
+
+/**
+ * Returns the rule which protects the field: `auth` extension of the field,
+ * otherwise `auth` extension of its type.
+ */
+export function getFieldAuthRule(
+  tc: ObjectTypeComposer<any, any>,
+  fieldName: string
+): AuthRule | null;
+
+/**
+ * Wraps resolve methods of the fields with `auth` rules by the `checker`.
+ */
+export function applyAuthRules<TContext>(
+  sc: SchemaComposer<TContext>,
+  checker: AuthChecker<TContext>,
+  opts?: AuthOpts
+): void;
@@ -0,0 +1,79 @@
+/* @flow strict */
+
+import type { GraphQLResolveInfo } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { getSchemaComposerTypes } from './schemaPrinter';
+import { isObject } from './is';
+
+// `error` throws an error, `mask` returns `null` instead of the field value
+export type AuthMode = 'error' | 'mask';
+
+// Value of `auth` extension. All props except `mode` are interpreted by the auth checker.
+export type AuthRule = {
+  +mode?: AuthMode,
+  +[key: string]: any,
+};
+
+export type AuthCheckerParams<TContext> = {
+  source: any,
+  args: { [argName: string]: any },
+  context: TContext,
+  info: GraphQLResolveInfo,
+  typeName: string,
+  fieldName: string,
+};
+
+export type AuthChecker<TContext> = (
+  rule: AuthRule,
+  params: AuthCheckerParams<TContext>
+) => boolean | Promise<boolean>;
+
+export type AuthOpts = {
+  // default mode for rules without `mode`, by default `error`
+  mode?: AuthMode,
+};
+
+/**
+ * Returns the rule which protects the field: `auth` extension of the field,
+ * otherwise `auth` extension of its type.
+ */
+export function getFieldAuthRule(tc: ObjectTypeComposer<any, any>, fieldName: string): ?AuthRule {
+  const fieldRule = tc.getFieldExtension(fieldName, 'auth');
+  if (isObject(fieldRule)) return (fieldRule: any);
+  const typeRule = tc.getExtension('auth');
+  if (isObject(typeRule)) return (typeRule: any);
+  return null;
+}
+
+/**
+ * Wraps resolve methods of the fields with `auth` rules by the `checker`.
+ */
+export function applyAuthRules<TContext>(
+  sc: SchemaComposer<TContext>,
+  checker: AuthChecker<TContext>,
+  opts: AuthOpts = {}
+): void {
+  getSchemaComposerTypes(sc).forEach(tc => {
+    if (!(tc instanceof ObjectTypeComposer)) return;
+    const typeName = tc.getTypeName();
+
+    tc.getFieldNames().forEach(fieldName => {
+      const rule = getFieldAuthRule(tc, fieldName);
+      if (!rule) return;
+      const mode = rule.mode || opts.mode || 'error';
+
+      tc.wrapFieldResolve(fieldName, (resolve, source, args, context, info) => {
+        const handle = allowed => {
+          if (allowed) return resolve(source, args, context, info);
+          if (mode === 'mask') return null;
+          throw new Error(`Not authorized to access ${typeName}.${fieldName}.`);
+        };
+        const allowed: any = checker(rule, { source, args, context, info, typeName, fieldName });
+        return allowed && typeof allowed.then === 'function'
+          ? allowed.then(handle)
+          : handle(allowed);
+      });
+    });
+  });
+}
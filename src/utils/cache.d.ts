@@ -0,0 +1,118 @@
+import { GraphQLResolveInfo } from 'graphql';
+import { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { MaybePromise } from './definitions';
+
+export type CacheScope = 'PUBLIC' | 'PRIVATE';
+
+/**
+ * Value of `cache` extension of types, fields and resolvers
+ */
+export type CacheHint = {
+  /**
+   * Seconds for which the result may be cached
+   */
+  maxAge?: number;
+  /**
+   * Results with `PRIVATE` scope are cached per user
+   */
+  scope?: CacheScope;
+};
+
+export interface CacheStore {
+  /**
+   * Returns `undefined` if the key is missing or expired
+   */
+  get(key: string): MaybePromise<any>;
+  set(key: string, value: any, maxAge: number): MaybePromise<any>;
+}
+
+export type CacheOpts<TContext> = {
+  /**
+   * By default in-memory `LRUCacheStore`
+   */
+  store?: CacheStore;
+  /**
+   * Returns id of the current user, results with `PRIVATE` scope are not cached without it
+   */
+  getUserId?: (context: TContext) => string | number | null | undefined;
+  /**
+   * maxAge of root fields without `cache` extension, by default `0`
+   */
+  defaultMaxAge?: number;
+};
+
+export type LRUCacheStoreOpts = {
+  /**
+   * Max number of entries, by default `1000`
+   */
+  max?: number;
+};
+
+/**
+ * In-memory store which removes least recently used entries when `max` is exceeded.
+ */
+export class LRUCacheStore implements CacheStore {
+  protected _max: number;
+  protected _entries: Map<string, { value: any; expiresAt: number }>;
+
+  constructor(opts?: LRUCacheStoreOpts);
+
+  public get(key: string): any;
+
+  public set(key: string, value: any, maxAge: number): void;
+
+  public delete(key: string): void;
+
+  public clear(): void;
+
+  public readonly size: number;
+}
+
+/**
+ * Returns overall cache policy of the response: minimal `maxAge`
+ * and `PRIVATE` scope if at least one of resolved fields is private.
+ */
+export function getCacheControlHint(context: any): CacheHint | null;
+
+/**
+ * Returns value for `Cache-Control` HTTP header of the response,
+ * or `null` if it should not be cached.
+ *
+ * @example
+ *     const result = await graphql(schema, query, null, context, variables);
+ *     const cacheControl = getCacheControlHeader(context);
+ *     if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+ */
+export function getCacheControlHeader(context: any): string | null;
+
+/**
+ * Returns resolve method which reads results from the store. Results are keyed by
+ * type and field name, args, id of the parent record for non-root types
+ * (returned by `getRecordId`, by default its `id` field) and id of the user
+ * for `PRIVATE` scope. Fields of `Mutation` and `Subscription` are not cached.
+ */
+export function cacheResolve<TContext>(
+  resolve: (source: any, args: any, context: TContext, info: GraphQLResolveInfo) => any,
+  hint: CacheHint,
+  store: CacheStore,
+  opts?: CacheOpts<TContext>,
+  getRecordId?: ((source: any, args: any, context: TContext) => any) | null
+): (source: any, args: any, context: TContext, info: GraphQLResolveInfo) => any;
+
+/**
+ * Returns `cache` extension of the field, otherwise `cache` extension of its type.
+ */
+export function getFieldCacheHint(
+  tc: ObjectTypeComposer<any, any>,
+  fieldName: string
+): CacheHint | null;
+
+/**
+ * Wraps resolve methods of the fields with `cache` hints
+ * and of all `Query` fields by `cacheResolve()`.
+ */
+export function applyCacheHints<TContext>(
+  sc: SchemaComposer<TContext>,
+  opts?: CacheOpts<TContext>
+): void;
@@ -0,0 +1,216 @@
+/* @flow strict */
+
+import type { GraphQLResolveInfo } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import type { MaybePromise } from './definitions';
+import { getSchemaComposerTypes } from './schemaPrinter';
+import { isObject } from './is';
+
+export type CacheScope = 'PUBLIC' | 'PRIVATE';
+
+// Value of `cache` extension of types, fields and resolvers
+export type CacheHint = {
+  // seconds for which the result may be cached
+  maxAge?: number,
+  // results with `PRIVATE` scope are cached per user
+  scope?: CacheScope,
+};
+
+export interface CacheStore {
+  // returns `undefined` if the key is missing or expired
+  get(key: string): MaybePromise<mixed>;
+  set(key: string, value: mixed, maxAge: number): MaybePromise<mixed>;
+}
+
+export type CacheOpts<TContext> = {
+  // by default in-memory `LRUCacheStore`
+  store?: CacheStore,
+  // returns id of the current user, results with `PRIVATE` scope are not cached without it
+  getUserId?: (context: TContext) => ?(string | number),
+  // maxAge of root fields without `cache` extension, by default `0`
+  defaultMaxAge?: number,
+};
+
+export type LRUCacheStoreOpts = {
+  // max number of entries, by default `1000`
+  max?: number,
+};
+
+/**
+ * In-memory store which removes least recently used entries when `max` is exceeded.
+ */
+export class LRUCacheStore implements CacheStore {
+  _max: number;
+  _entries: Map<string, { value: mixed, expiresAt: number }>;
+
+  constructor(opts: LRUCacheStoreOpts = {}) {
+    this._max = opts.max || 1000;
+    this._entries = new Map();
+  }
+
+  get(key: string): mixed {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    this._entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    // move entry to the end of the Map as the most recently used
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key: string, value: mixed, maxAge: number): void {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt: Date.now() + maxAge * 1000 });
+    if (this._entries.size > this._max) {
+      const oldestKey = this._entries.keys().next().value;
+      if (oldestKey !== undefined) this._entries.delete(oldestKey);
+    }
+  }
+
+  delete(key: string): void {
+    this._entries.delete(key);
+  }
+
+  clear(): void {
+    this._entries.clear();
+  }
+
+  get size(): number {
+    return this._entries.size;
+  }
+}
+
+// hints of the resolved fields are collected per request, context is used as request id
+const responseHints: WeakMap<any, Array<CacheHint>> = new WeakMap();
+
+function addResponseHint(context: mixed, hint: CacheHint) {
+  if (!context || typeof context !== 'object') return;
+  const hints = responseHints.get(context);
+  if (hints) {
+    hints.push(hint);
+  } else {
+    responseHints.set(context, [hint]);
+  }
+}
+
+/**
+ * Returns overall cache policy of the response: minimal `maxAge`
+ * and `PRIVATE` scope if at least one of resolved fields is private.
+ */
+export function getCacheControlHint(context: mixed): ?CacheHint {
+  const hints = isObject(context) ? responseHints.get(context) : null;
+  if (!hints || hints.length === 0) return null;
+  return {
+    maxAge: Math.min(...hints.map(hint => hint.maxAge || 0)),
+    scope: hints.some(hint => hint.scope === 'PRIVATE') ? 'PRIVATE' : 'PUBLIC',
+  };
+}
+
+/**
+ * Returns value for `Cache-Control` HTTP header of the response,
+ * or `null` if it should not be cached.
+ */
+export function getCacheControlHeader(context: mixed): ?string {
+  const hint = getCacheControlHint(context);
+  if (!hint || !hint.maxAge) return null;
+  return `max-age=${hint.maxAge}, ${hint.scope === 'PRIVATE' ? 'private' : 'public'}`;
+}
+
+function stableStringify(value: mixed): string {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isObject(value)) {
+    const obj: Object = value;
+    return `{${Object.keys(obj)
+      .sort()
+      .filter(key => obj[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(obj[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) || 'null';
+}
+
+/**
+ * Returns resolve method which reads results from the store. Results are keyed by
+ * type and field name, args, id of the parent record for non-root types
+ * (returned by `getRecordId`, by default its `id` field) and id of the user
+ * for `PRIVATE` scope. Fields of `Mutation` and `Subscription` are not cached.
+ */
+export function cacheResolve<TContext>(
+  resolve: (source: any, args: any, context: TContext, info: GraphQLResolveInfo) => mixed,
+  hint: CacheHint,
+  store: CacheStore,
+  opts: CacheOpts<TContext> = {},
+  getRecordId?: ?(source: any, args: any, context: TContext) => mixed
+): (source: any, args: any, context: TContext, info: GraphQLResolveInfo) => mixed {
+  return (source, args, context, info) => {
+    // info is missing if resolver is called directly
+    if (!info) return resolve(source, args, context, info);
+    const { schema, parentType, fieldName } = info;
+    if (parentType === schema.getMutationType() || parentType === schema.getSubscriptionType()) {
+      return resolve(source, args, context, info);
+    }
+    addResponseHint(context, hint);
+
+    const maxAge = hint.maxAge || 0;
+    const keyParts = [`${parentType.name}.${fieldName}`, stableStringify(args)];
+    if (parentType !== schema.getQueryType()) {
+      let id;
+      if (isObject(source)) id = getRecordId ? getRecordId(source, args, context) : source.id;
+      if (id === undefined || id === null) return resolve(source, args, context, info);
+      keyParts.push(String(id));
+    }
+    if (hint.scope === 'PRIVATE') {
+      const userId = opts.getUserId ? opts.getUserId(context) : null;
+      if (userId === undefined || userId === null) return resolve(source, args, context, info);
+      keyParts.push(`user:${userId}`);
+    }
+    if (maxAge <= 0) return resolve(source, args, context, info);
+
+    const key = keyParts.join(':');
+    return Promise.resolve(store.get(key)).then(cached => {
+      // values are wrapped, so `null` results are cached too
+      if (isObject(cached) && cached.hasOwnProperty('value')) return cached.value;
+      return Promise.resolve(resolve(source, args, context, info)).then(value => {
+        return Promise.resolve(store.set(key, { value }, maxAge)).then(() => value);
+      });
+    });
+  };
+}
+
+/**
+ * Returns `cache` extension of the field, otherwise `cache` extension of its type.
+ */
+export function getFieldCacheHint(tc: ObjectTypeComposer<any, any>, fieldName: string): ?CacheHint {
+  const fieldHint = tc.getFieldExtension(fieldName, 'cache');
+  if (isObject(fieldHint)) return (fieldHint: any);
+  const typeHint = tc.getExtension('cache');
+  if (isObject(typeHint)) return (typeHint: any);
+  return null;
+}
+
+/**
+ * Wraps resolve methods of the fields with `cache` hints
+ * and of all `Query` fields by `cacheResolve()`.
+ */
+export function applyCacheHints<TContext>(
+  sc: SchemaComposer<TContext>,
+  opts: CacheOpts<TContext> = {}
+): void {
+  const store = opts.store || new LRUCacheStore();
+  const queryTC = sc.has('Query') ? sc.get('Query') : null;
+
+  getSchemaComposerTypes(sc).forEach(tc => {
+    if (!(tc instanceof ObjectTypeComposer)) return;
+    tc.getFieldNames().forEach(fieldName => {
+      let hint = getFieldCacheHint(tc, fieldName);
+      if (!hint && tc === queryTC) hint = { maxAge: opts.defaultMaxAge || 0 };
+      if (!hint) return;
+      const cacheHint = hint;
+      const getRecordId = tc.hasRecordIdFn() ? tc.getRecordIdFn() : null;
+      tc.wrapFieldResolve(fieldName, (resolve, source, args, context, info) =>
+        cacheResolve(resolve, cacheHint, store, opts, getRecordId)(source, args, context, info)
+      );
+    });
+  });
+}
@@ -0,0 +1,17 @@
+import { SchemaComposer } from '../SchemaComposer';
+import { NamedTypeComposer } from './typeHelpers';
+
+/**
+ * Clone all types (except built-in scalars) to the new SchemaComposer,
+ * so they may be changed without affecting the original schema.
+ */
+export function cloneSchemaComposer(sc: SchemaComposer<any>): SchemaComposer<any>;
+
+/**
+ * Replace types which are used in fields, args, interfaces and union members
+ * of provided types by the types returned from `getTC` (if it returns composer).
+ */
+export function replaceTypeReferences(
+  tcs: Array<NamedTypeComposer<any>>,
+  getTC: (typeName: string) => NamedTypeComposer<any> | null | undefined
+): void;
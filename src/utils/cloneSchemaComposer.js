@@ -0,0 +1,137 @@
+/* @flow strict */
+
+import { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import { getSchemaComposerTypes, getTypeComposerDeps, isBuiltInType } from './schemaPrinter';
+import { isFunction } from './is';
+import {
+  changeUnwrappedTC,
+  getComposeTypeName,
+  isNamedTypeComposer,
+  type NamedTypeComposer,
+} from './typeHelpers';
+
+/**
+ * Clone all types (except built-in scalars) to the new SchemaComposer,
+ * so they may be changed without affecting the original schema.
+ * Types which are not stored in SchemaComposer but used by stored ones are cloned too.
+ */
+export function cloneSchemaComposer(sc: SchemaComposer<any>): SchemaComposer<any> {
+  const newSC = new SchemaComposer();
+  sc.getDirectives().forEach(directive => newSC.addDirective(directive));
+
+  // original types by their clones
+  const origTCs: Map<any, any> = new Map();
+  getReachableTypes(sc).forEach((tc: any) => {
+    const typeName = tc.getTypeName();
+    // stored types go first, so they take precedence over unstored ones with the same name
+    if (newSC.has(typeName)) return;
+    if (tc instanceof ObjectTypeComposer) {
+      newSC.set(typeName, tc.clone(ObjectTypeComposer.createTemp(typeName, newSC)));
+    } else if (tc instanceof InputTypeComposer) {
+      newSC.set(typeName, tc.clone(InputTypeComposer.createTemp(typeName, newSC)));
+    } else if (tc instanceof InterfaceTypeComposer) {
+      newSC.set(typeName, tc.clone(InterfaceTypeComposer.createTemp(typeName, newSC)));
+    } else if (tc instanceof UnionTypeComposer) {
+      newSC.set(typeName, tc.clone(UnionTypeComposer.createTemp(typeName, newSC)));
+    } else if (tc instanceof EnumTypeComposer) {
+      newSC.set(typeName, tc.clone(EnumTypeComposer.createTemp(typeName, newSC)));
+    } else if (tc instanceof ScalarTypeComposer && !isBuiltInType(tc)) {
+      newSC.set(typeName, tc.clone(ScalarTypeComposer.createTemp(typeName, newSC)));
+    } else {
+      newSC.set(typeName, tc);
+    }
+    origTCs.set(newSC.get(typeName), tc);
+  });
+
+  // rewrite references to types from new SchemaComposer
+  replaceTypeReferences(Array.from(origTCs.keys()), typeName =>
+    newSC.has(typeName) ? newSC.get(typeName) : null
+  );
+
+  origTCs.forEach((origTC: any, tc) => {
+    if (tc instanceof ObjectTypeComposer) {
+      tc.setIsTypeOf(origTC.getIsTypeOf());
+    } else if (tc instanceof InterfaceTypeComposer || tc instanceof UnionTypeComposer) {
+      tc.setResolveType(wrapResolveType(origTC.getResolveType()));
+    }
+  });
+
+  sc._schemaMustHaveTypes.forEach((type: any) => {
+    const typeName = isNamedTypeComposer(type) ? type.getTypeName() : getComposeTypeName(type);
+    newSC.addSchemaMustHaveType(newSC.has(typeName) ? newSC.get(typeName) : type);
+  });
+
+  return newSC;
+}
+
+function getReachableTypes(sc: SchemaComposer<any>): Array<NamedTypeComposer<any>> {
+  const result: Set<NamedTypeComposer<any>> = new Set(getSchemaComposerTypes(sc));
+  sc._schemaMustHaveTypes.forEach((type: any) => {
+    if (isNamedTypeComposer(type)) result.add(type);
+  });
+  Array.from(result).forEach(tc => {
+    getTypeComposerDeps(tc).forEach(dep => result.add(dep));
+  });
+  return Array.from(result);
+}
+
+/**
+ * Replace types which are used in fields, args, interfaces and union members
+ * of provided types by the types returned from `getTC` (if it returns composer).
+ */
+export function replaceTypeReferences(
+  tcs: Array<NamedTypeComposer<any>>,
+  getTC: (typeName: string) => ?NamedTypeComposer<any>
+): void {
+  const replaceType = (type: any): any =>
+    changeUnwrappedTC(type, (t: NamedTypeComposer<any>) => getTC(t.getTypeName()) || t);
+  const replaceArgs = (args: any): any => {
+    const result = {};
+    Object.keys(args || {}).forEach(argName => {
+      result[argName] = { ...args[argName], type: replaceType(args[argName].type) };
+    });
+    return result;
+  };
+
+  tcs.forEach((tc: any) => {
+    if (tc instanceof ObjectTypeComposer || tc instanceof InterfaceTypeComposer) {
+      tc.getFieldNames().forEach(fieldName => {
+        const fc = tc.getField(fieldName);
+        tc.setField(fieldName, { ...fc, type: replaceType(fc.type), args: replaceArgs(fc.args) });
+      });
+      if (tc instanceof ObjectTypeComposer) {
+        tc.setInterfaces(tc.getInterfaces().map(replaceType));
+      }
+    } else if (tc instanceof InputTypeComposer) {
+      tc.getFieldNames().forEach(fieldName => {
+        const fc = tc.getField(fieldName);
+        tc.setField(fieldName, { ...fc, type: replaceType(fc.type) });
+      });
+    } else if (tc instanceof UnionTypeComposer) {
+      tc.setTypes(tc.getTypes().map(replaceType));
+    }
+  });
+}
+
+// original `resolveType` may return types from original SchemaComposer,
+// so pass them to the new schema by name
+function wrapResolveType(resolveType: ?Function): ?Function {
+  if (!resolveType) return resolveType;
+  return (value, context, info, abstractType) => {
+    const result = resolveType(value, context, info, abstractType);
+    if (result && isFunction(result.then)) return result.then(getResolvedTypeName);
+    return getResolvedTypeName(result);
+  };
+}
+
+function getResolvedTypeName(type: mixed): ?string {
+  if (!type) return null;
+  if (typeof type === 'string') return type;
+  return getComposeTypeName(type);
+}
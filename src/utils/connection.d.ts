@@ -0,0 +1,40 @@
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { Resolver } from '../Resolver';
+
+export interface ConnectionResolverOpts {
+  // name of the list resolver with `skip` and `limit` args, by default `findMany`
+  findManyResolverName?: string;
+  // name of the resolver which returns total number of records, by default `count`
+  countResolverName?: string;
+  // name of the new resolver, by default `connection`
+  name?: string;
+  // limit of records if `first` and `last` args are not provided, by default `20`
+  defaultLimit?: number;
+}
+
+export interface ConnectionCursorData {
+  // position of the record in the whole list
+  offset: number;
+}
+
+export interface ConnectionPageInfo {
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+  startCursor: string | null;
+  endCursor: string | null;
+}
+
+export function encodeCursor(data: ConnectionCursorData): string;
+
+export function decodeCursor(cursor: string): ConnectionCursorData;
+
+/**
+ * Create Relay-style `connection` resolver from list and count resolvers of the type.
+ * Pagination is made via `skip` and `limit` args of the list resolver, all other its args
+ * (eg. `filter`, `sort`) are passed through. Cursors are encoded from the record position
+ * in the list sorted by `sort` arg, so they should be used with the same args.
+ */
+export function createConnectionResolver<TContext>(
+  tc: ObjectTypeComposer<any, TContext>,
+  opts?: ConnectionResolverOpts
+): Resolver<any, TContext, any>;
@@ -0,0 +1,246 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { SchemaComposer } from '../SchemaComposer';
+import type { ObjectTypeComposer } from '../ObjectTypeComposer';
+import type { Resolver, ResolverResolveParams } from '../Resolver';
+import { isObject } from './is';
+
+export type ConnectionResolverOpts = {
+  // name of the list resolver with `skip` and `limit` args, by default `findMany`
+  findManyResolverName?: string,
+  // name of the resolver which returns total number of records, by default `count`
+  countResolverName?: string,
+  // name of the new resolver, by default `connection`
+  name?: string,
+  // limit of records if `first` and `last` args are not provided, by default `20`
+  defaultLimit?: number,
+};
+
+export type ConnectionCursorData = {
+  // position of the record in the whole list
+  offset: number,
+};
+
+export type ConnectionPageInfo = {
+  hasNextPage: boolean,
+  hasPreviousPage: boolean,
+  startCursor: ?string,
+  endCursor: ?string,
+};
+
+export function encodeCursor(data: ConnectionCursorData): string {
+  return Buffer.from(JSON.stringify(data), 'utf8').toString('base64');
+}
+
+export function decodeCursor(cursor: string): ConnectionCursorData {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (e) {
+    data = null;
+  }
+  if (!isObject(data) || typeof data.offset !== 'number') {
+    throw new Error(`Invalid cursor ${cursor}`);
+  }
+  return (data: any);
+}
+
+/**
+ * Create Relay-style `connection` resolver from list and count resolvers of the type.
+ * Pagination is made via `skip` and `limit` args of the list resolver, all other its args
+ * (eg. `filter`, `sort`) are passed through. Cursors are encoded from the record position
+ * in the list sorted by `sort` arg, so they should be used with the same args.
+ */
+export function createConnectionResolver<TContext>(
+  tc: ObjectTypeComposer<any, TContext>,
+  opts: ConnectionResolverOpts = {}
+): Resolver<any, TContext, any> {
+  const {
+    findManyResolverName = 'findMany',
+    countResolverName = 'count',
+    name = 'connection',
+    defaultLimit = 20,
+  } = opts;
+  const typeName = tc.getTypeName();
+
+  if (!tc.hasResolver(findManyResolverName)) {
+    throw new Error(
+      `ObjectTypeComposer(${typeName}) does not have resolver with name '${findManyResolverName}'.`
+    );
+  }
+  if (!tc.hasResolver(countResolverName)) {
+    throw new Error(
+      `ObjectTypeComposer(${typeName}) does not have resolver with name '${countResolverName}'.`
+    );
+  }
+  const findManyResolver = tc.getResolver(findManyResolverName);
+  const countResolver = tc.getResolver(countResolverName);
+  if (!findManyResolver.hasArg('skip') || !findManyResolver.hasArg('limit')) {
+    throw new Error(
+      `Resolver ${typeName}.${findManyResolverName} should have 'skip' and 'limit' args.`
+    );
+  }
+
+  const args = {};
+  findManyResolver.getArgNames().forEach(argName => {
+    if (argName !== 'skip' && argName !== 'limit') {
+      args[argName] = findManyResolver.getArg(argName);
+    }
+  });
+
+  return tc.schemaComposer.createResolver({
+    name,
+    kind: 'query',
+    type: getConnectionType(tc),
+    args: {
+      first: {
+        type: 'Int',
+        description: 'Returns the first N records after the `after` cursor',
+      },
+      after: {
+        type: 'String',
+        description: 'Returns records after the cursor',
+      },
+      last: {
+        type: 'Int',
+        description: 'Returns the last N records before the `before` cursor',
+      },
+      before: {
+        type: 'String',
+        description: 'Returns records before the cursor',
+      },
+      ...args,
+    },
+    resolve: async (rp: ResolverResolveParams<any, TContext, any>) => {
+      const { first, after, last, before, ...restArgs } = rp.args || {};
+      if ((first !== undefined && first !== null && first < 0) || (last && last < 0)) {
+        throw new Error('Arguments `first` and `last` should be non-negative integers.');
+      }
+
+      const countArgs = {};
+      Object.keys(restArgs).forEach(argName => {
+        if (countResolver.hasArg(argName)) countArgs[argName] = restArgs[argName];
+      });
+      let countPromise;
+      const getCount = () => {
+        if (!countPromise) {
+          countPromise = Promise.resolve(
+            countResolver.resolve({ ...rp, args: countArgs, projection: {} })
+          );
+        }
+        return countPromise;
+      };
+
+      let skip = after ? decodeCursor(after).offset + 1 : 0;
+      let end = before ? decodeCursor(before).offset : null;
+      if (typeof first === 'number') {
+        end = end === null ? skip + first : Math.min(end, skip + first);
+      }
+      if (typeof last === 'number') {
+        if (end === null) end = await getCount();
+        skip = Math.max(skip, end - last);
+      }
+      if (end === null) end = skip + defaultLimit;
+      const limit = Math.max(end - skip, 0);
+
+      let records = [];
+      if (limit > 0) {
+        // load one extra record for `hasNextPage`
+        records =
+          (await findManyResolver.resolve({
+            ...rp,
+            args: { ...restArgs, skip, limit: limit + 1 },
+            projection: getNodeProjection(rp.projection),
+          })) || [];
+      }
+      const hasNextPage = records.length > limit;
+      if (hasNextPage) records = records.slice(0, limit);
+
+      const edges = records.map((node, i) => ({
+        node,
+        cursor: encodeCursor({ offset: skip + i }),
+      }));
+
+      return {
+        // resolved lazily only if `count` field is requested
+        count: getCount,
+        edges,
+        pageInfo: {
+          hasNextPage,
+          hasPreviousPage: skip > 0,
+          startCursor: edges.length > 0 ? edges[0].cursor : null,
+          endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+        },
+      };
+    },
+  });
+}
+
+function getConnectionType<TContext>(
+  tc: ObjectTypeComposer<any, TContext>
+): ObjectTypeComposer<any, TContext> {
+  const sc: SchemaComposer<TContext> = tc.schemaComposer;
+  const typeName = tc.getTypeName();
+
+  const pageInfoTC = sc.getOrCreateOTC('PageInfo', t => {
+    t.setDescription('Information about pagination in a connection.');
+    t.addFields({
+      hasNextPage: {
+        type: 'Boolean!',
+        description: 'When paginating forwards, are there more items?',
+      },
+      hasPreviousPage: {
+        type: 'Boolean!',
+        description: 'When paginating backwards, are there more items?',
+      },
+      startCursor: {
+        type: 'String',
+        description: 'When paginating backwards, the cursor to continue.',
+      },
+      endCursor: {
+        type: 'String',
+        description: 'When paginating forwards, the cursor to continue.',
+      },
+    });
+  });
+
+  const edgeTC = sc.getOrCreateOTC(`${typeName}Edge`, t => {
+    t.setDescription('An edge in a connection.');
+    t.addFields({
+      node: {
+        type: tc.getTypeNonNull(),
+        description: 'The item at the end of the edge',
+      },
+      cursor: {
+        type: 'String!',
+        description: 'A cursor for use in pagination',
+      },
+    });
+  });
+
+  return sc.getOrCreateOTC(`${typeName}Connection`, t => {
+    t.setDescription('A connection to a list of items.');
+    t.addFields({
+      count: {
+        type: 'Int!',
+        description: 'Total object count.',
+      },
+      pageInfo: {
+        type: pageInfoTC.getTypeNonNull(),
+        description: 'Information to aid in pagination.',
+      },
+      edges: {
+        type: edgeTC
+          .getTypeNonNull()
+          .getTypePlural()
+          .getTypeNonNull(),
+        description: 'List of edges with records and their cursors.',
+      },
+    });
+  });
+}
+
+function getNodeProjection(projection: any): any {
+  return (projection && projection.edges && projection.edges.node) || {};
+}
@@ -0,0 +1,48 @@
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { Resolver } from '../Resolver';
+import { MaybePromise } from './definitions';
+
+export interface CrudAdapterFilter {
+  [fieldName: string]: any;
+}
+
+// field names with `1` for ascending and `-1` for descending order
+export interface CrudAdapterSort {
+  [fieldName: string]: 1 | -1;
+}
+
+export interface CrudAdapterFindManyParams {
+  filter: CrudAdapterFilter;
+  sort: CrudAdapterSort | null | undefined;
+  skip: number | null | undefined;
+  limit: number | null | undefined;
+}
+
+export interface CrudAdapter<TSource = any, TContext = any> {
+  findById?: (id: any, context: TContext) => MaybePromise<TSource | null | undefined>;
+  findMany?: (params: CrudAdapterFindManyParams, context: TContext) => MaybePromise<TSource[]>;
+  count?: (params: { filter: CrudAdapterFilter }, context: TContext) => MaybePromise<number>;
+  createOne?: (record: Partial<TSource>, context: TContext) => MaybePromise<TSource>;
+  updateById?: (
+    id: any,
+    record: Partial<TSource>,
+    context: TContext
+  ) => MaybePromise<TSource | null | undefined>;
+  removeById?: (id: any, context: TContext) => MaybePromise<TSource | null | undefined>;
+}
+
+export interface CrudResolversOpts {
+  // name of the field with record id, by default `id`
+  idField?: string;
+}
+
+/**
+ * Create `findById`, `findMany`, `count`, `createOne`, `updateById` and `removeById`
+ * resolvers which read and write records via adapter methods. Resolvers are created
+ * only for methods provided by the adapter.
+ */
+export function createCrudResolvers<TSource, TContext>(
+  tc: ObjectTypeComposer<TSource, TContext>,
+  adapter: CrudAdapter<TSource, TContext>,
+  opts?: CrudResolversOpts
+): Array<Resolver<any, TContext, any>>;
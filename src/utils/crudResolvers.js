@@ -0,0 +1,179 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { ObjectTypeComposer } from '../ObjectTypeComposer';
+import type { InputTypeComposer } from '../InputTypeComposer';
+import type { Resolver } from '../Resolver';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import type { MaybePromise } from './definitions';
+import { isFunction } from './is';
+import { toInputObjectType } from './toInputObjectType';
+
+export type CrudAdapterFilter = { [fieldName: string]: any };
+
+// field names with `1` for ascending and `-1` for descending order
+export type CrudAdapterSort = { [fieldName: string]: 1 | -1 };
+
+export type CrudAdapterFindManyParams = {
+  filter: CrudAdapterFilter,
+  sort: ?CrudAdapterSort,
+  skip: ?number,
+  limit: ?number,
+};
+
+export type CrudAdapter<TSource, TContext> = {
+  findById?: (id: any, context: TContext) => MaybePromise<?TSource>,
+  findMany?: (params: CrudAdapterFindManyParams, context: TContext) => MaybePromise<Array<TSource>>,
+  count?: (params: { filter: CrudAdapterFilter }, context: TContext) => MaybePromise<number>,
+  createOne?: (record: $Shape<TSource>, context: TContext) => MaybePromise<TSource>,
+  updateById?: (id: any, record: $Shape<TSource>, context: TContext) => MaybePromise<?TSource>,
+  removeById?: (id: any, context: TContext) => MaybePromise<?TSource>,
+};
+
+export type CrudResolversOpts = {
+  // name of the field with record id, by default `id`
+  idField?: string,
+};
+
+const CRUD_METHODS = ['findById', 'findMany', 'count', 'createOne', 'updateById', 'removeById'];
+
+/**
+ * Create `findById`, `findMany`, `count`, `createOne`, `updateById` and `removeById`
+ * resolvers which read and write records via adapter methods. Resolvers are created
+ * only for methods provided by the adapter.
+ */
+export function createCrudResolvers<TSource, TContext>(
+  tc: ObjectTypeComposer<TSource, TContext>,
+  adapter: CrudAdapter<TSource, TContext>,
+  opts: CrudResolversOpts = {}
+): Array<Resolver<any, TContext, any>> {
+  const { idField = 'id' } = opts;
+  const typeName = tc.getTypeName();
+  const sc = tc.schemaComposer;
+
+  const methods = CRUD_METHODS.filter(method => adapter && isFunction(adapter[method]));
+  if (methods.length === 0) {
+    throw new Error(
+      `CRUD adapter of type ${typeName} should implement at least one of methods: ${CRUD_METHODS.join(
+        ', '
+      )}.`
+    );
+  }
+  if (!tc.hasField(idField)) {
+    throw new Error(`Type ${typeName} does not have id field '${idField}'.`);
+  }
+  const idType = `${tc.getFieldTC(idField).getTypeName()}!`;
+  const adapterFns: any = adapter;
+
+  const resolvers = {
+    findById: () =>
+      sc.createResolver({
+        name: 'findById',
+        kind: 'query',
+        type: tc,
+        args: { [idField]: idType },
+        resolve: ({ args, context }) => adapterFns.findById(args[idField], context),
+      }),
+    findMany: () =>
+      sc.createResolver({
+        name: 'findMany',
+        kind: 'query',
+        type: tc
+          .getTypeNonNull()
+          .getTypePlural()
+          .getTypeNonNull(),
+        args: {
+          filter: getFilterITC(tc),
+          sort: getSortETC(tc),
+          skip: 'Int',
+          limit: 'Int',
+        },
+        resolve: async ({ args, context }) => {
+          const { filter = {}, sort, skip, limit } = args;
+          return (await adapterFns.findMany({ filter, sort, skip, limit }, context)) || [];
+        },
+      }),
+    count: () =>
+      sc.createResolver({
+        name: 'count',
+        kind: 'query',
+        type: 'Int!',
+        args: { filter: getFilterITC(tc) },
+        resolve: async ({ args, context }) =>
+          (await adapterFns.count({ filter: args.filter || {} }, context)) || 0,
+      }),
+    createOne: () => {
+      const recordITC = toInputObjectType(tc, { operation: 'create' });
+      // id may be generated by the adapter
+      if (recordITC.hasField(idField)) recordITC.makeFieldNullable(idField);
+      return sc.createResolver({
+        name: 'createOne',
+        kind: 'mutation',
+        type: tc,
+        args: { record: recordITC.getTypeNonNull() },
+        resolve: ({ args, context }) => adapterFns.createOne(args.record, context),
+      });
+    },
+    updateById: () =>
+      sc.createResolver({
+        name: 'updateById',
+        kind: 'mutation',
+        type: tc,
+        args: {
+          [idField]: idType,
+          record: toInputObjectType(tc, { operation: 'update' }).getTypeNonNull(),
+        },
+        resolve: ({ args, context }) => adapterFns.updateById(args[idField], args.record, context),
+      }),
+    removeById: () =>
+      sc.createResolver({
+        name: 'removeById',
+        kind: 'mutation',
+        type: tc,
+        args: { [idField]: idType },
+        resolve: ({ args, context }) => adapterFns.removeById(args[idField], context),
+      }),
+  };
+
+  return methods.map(method => resolvers[method]());
+}
+
+function getLeafFieldNames(itc: InputTypeComposer<any>): string[] {
+  return itc.getFieldNames().filter(fieldName => {
+    const fieldTC = itc.getFieldTC(fieldName);
+    return (
+      (fieldTC instanceof ScalarTypeComposer || fieldTC instanceof EnumTypeComposer) &&
+      !itc.isFieldPlural(fieldName)
+    );
+  });
+}
+
+function getFilterITC<TContext>(
+  tc: ObjectTypeComposer<any, TContext>
+): InputTypeComposer<TContext> {
+  const sc = tc.schemaComposer;
+  return sc.getOrCreateITC(`Filter${tc.getTypeName()}Input`, t => {
+    const itc = tc.getITC();
+    const fieldNames = getLeafFieldNames(itc);
+    fieldNames.forEach(fieldName => {
+      t.setField(fieldName, {
+        type: itc.getFieldTC(fieldName),
+        description: itc.getField(fieldName).description,
+      });
+    });
+  });
+}
+
+function getSortETC<TContext>(tc: ObjectTypeComposer<any, TContext>): EnumTypeComposer<TContext> {
+  const sc = tc.schemaComposer;
+  return sc.getOrCreateETC(`Sort${tc.getTypeName()}Enum`, t => {
+    getLeafFieldNames(tc.getITC()).forEach(fieldName => {
+      const key = fieldName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+      t.addFields({
+        [`${key}_ASC`]: { value: { [fieldName]: 1 } },
+        [`${key}_DESC`]: { value: { [fieldName]: -1 } },
+      });
+    });
+  });
+}
@@ -0,0 +1,41 @@
+import { SchemaComposer } from '../SchemaComposer';
+import { DirectiveArgs } from './definitions';
+import { NamedTypeComposer } from './typeHelpers';
+
+export type DirectiveTransformerLocation =
+  | 'SCALAR'
+  | 'OBJECT'
+  | 'FIELD_DEFINITION'
+  | 'ARGUMENT_DEFINITION'
+  | 'INTERFACE'
+  | 'UNION'
+  | 'ENUM'
+  | 'ENUM_VALUE'
+  | 'INPUT_OBJECT'
+  | 'INPUT_FIELD_DEFINITION';
+
+export interface DirectiveTransformerParams<TContext> {
+  location: DirectiveTransformerLocation;
+  // arguments of the directive in current location
+  args: DirectiveArgs;
+  typeComposer: NamedTypeComposer<TContext>;
+  // name of the field or enum value
+  fieldName?: string;
+  argName?: string;
+  schemaComposer: SchemaComposer<TContext>;
+}
+
+export type DirectiveTransformerFn<TContext> = (
+  params: DirectiveTransformerParams<TContext>
+) => any;
+
+export type DirectiveTransformersMap<TContext> = Map<string, DirectiveTransformerFn<TContext>>;
+
+/**
+ * Calls provided transformers for every location of their directives.
+ * `buildSchema()` calls it for the copy of types, so the original ones are not modified.
+ */
+export function applyDirectiveTransformers<TContext>(
+  sc: SchemaComposer<TContext>,
+  transformers: DirectiveTransformersMap<TContext>
+): void;
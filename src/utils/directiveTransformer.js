@@ -0,0 +1,106 @@
+/* @flow strict */
+
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import type { DirectiveArgs, ExtensionsDirective } from './definitions';
+import type { NamedTypeComposer } from './typeHelpers';
+import { getSchemaComposerTypes } from './schemaPrinter';
+
+export type DirectiveTransformerLocation =
+  | 'SCALAR'
+  | 'OBJECT'
+  | 'FIELD_DEFINITION'
+  | 'ARGUMENT_DEFINITION'
+  | 'INTERFACE'
+  | 'UNION'
+  | 'ENUM'
+  | 'ENUM_VALUE'
+  | 'INPUT_OBJECT'
+  | 'INPUT_FIELD_DEFINITION';
+
+export type DirectiveTransformerParams<TContext> = {
+  location: DirectiveTransformerLocation,
+  // arguments of the directive in current location
+  args: DirectiveArgs,
+  typeComposer: NamedTypeComposer<TContext>,
+  // name of the field or enum value
+  fieldName?: string,
+  argName?: string,
+  schemaComposer: SchemaComposer<TContext>,
+};
+
+export type DirectiveTransformerFn<TContext> = (
+  params: DirectiveTransformerParams<TContext>
+) => mixed;
+
+export type DirectiveTransformersMap<TContext> = Map<string, DirectiveTransformerFn<TContext>>;
+
+/**
+ * Calls provided transformers for every location of their directives.
+ * `buildSchema()` calls it for the copy of types, so the original ones are not modified.
+ */
+export function applyDirectiveTransformers<TContext>(
+  sc: SchemaComposer<TContext>,
+  transformers: DirectiveTransformersMap<TContext>
+): void {
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    const visit = (
+      directives: Array<ExtensionsDirective>,
+      location: DirectiveTransformerLocation,
+      fieldName?: string,
+      argName?: string
+    ) => {
+      directives.forEach(directive => {
+        const transformer = transformers.get(directive.name);
+        if (!transformer) return;
+        transformer({
+          location,
+          args: directive.args || {},
+          typeComposer: tc,
+          fieldName,
+          argName,
+          schemaComposer: sc,
+        });
+      });
+    };
+
+    if (tc instanceof ObjectTypeComposer || tc instanceof InterfaceTypeComposer) {
+      visit(tc.getDirectives(), tc instanceof ObjectTypeComposer ? 'OBJECT' : 'INTERFACE');
+      tc.getFieldNames().forEach(fieldName => {
+        // field may be removed by previous transformer
+        if (!tc.hasField(fieldName)) return;
+        visit(tc.getFieldDirectives(fieldName), 'FIELD_DEFINITION', fieldName);
+        if (!tc.hasField(fieldName)) return;
+        Object.keys(tc.getFieldArgs(fieldName)).forEach(argName => {
+          if (!tc.hasFieldArg(fieldName, argName)) return;
+          visit(
+            tc.getFieldArgDirectives(fieldName, argName),
+            'ARGUMENT_DEFINITION',
+            fieldName,
+            argName
+          );
+        });
+      });
+    } else if (tc instanceof InputTypeComposer || tc instanceof EnumTypeComposer) {
+      const isInput = tc instanceof InputTypeComposer;
+      visit(tc.getDirectives(), isInput ? 'INPUT_OBJECT' : 'ENUM');
+      tc.getFieldNames().forEach(fieldName => {
+        if (!tc.hasField(fieldName)) return;
+        visit(
+          tc.getFieldDirectives(fieldName),
+          isInput ? 'INPUT_FIELD_DEFINITION' : 'ENUM_VALUE',
+          fieldName
+        );
+      });
+    } else if (tc instanceof UnionTypeComposer) {
+      visit(tc.getDirectives(), 'UNION');
+    } else if (tc instanceof ScalarTypeComposer) {
+      visit(tc.getDirectives(), 'SCALAR');
+    }
+  });
+}
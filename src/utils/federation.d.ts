@@ -0,0 +1,32 @@
+import { GraphQLDirective, GraphQLSchema, GraphQLResolveInfo } from '../graphql';
+import { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+
+// value of `resolveReference` type extension: function or name of the type Resolver
+export type FederationReferenceResolver<TContext> =
+  | string
+  | ((reference: { __typename: string }, context: TContext, info: GraphQLResolveInfo) => any);
+
+export const KeyDirective: GraphQLDirective;
+
+export const ExtendsDirective: GraphQLDirective;
+
+export const ExternalDirective: GraphQLDirective;
+
+export const RequiresDirective: GraphQLDirective;
+
+export const ProvidesDirective: GraphQLDirective;
+
+export const FEDERATION_DIRECTIVES: GraphQLDirective[];
+
+/**
+ * Returns ObjectTypeComposers marked with `@key` directive.
+ */
+export function getFederationEntities(sc: SchemaComposer<any>): Array<ObjectTypeComposer<any, any>>;
+
+/**
+ * Build GraphQLSchema for Apollo Federation service.
+ * Adds `_Any`, `_FieldSet`, `_Service` types, `_Entity` union, `Query._service`
+ * and `Query._entities` fields. Provided SchemaComposer is not modified.
+ */
+export function buildFederatedSchema(sc: SchemaComposer<any>): GraphQLSchema;
@@ -0,0 +1,187 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define, no-param-reassign */
+
+import { GraphQLDirective, GraphQLScalarType, GraphQLNonNull, DirectiveLocation } from '../graphql';
+import type { GraphQLSchema, GraphQLResolveInfo } from '../graphql';
+import { GraphQLJSON } from '../type';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { getSchemaComposerTypes, printSchemaComposer } from './schemaPrinter';
+import { cloneSchemaComposer } from './cloneSchemaComposer';
+import { isFunction, isObject } from './is';
+import { inspect } from './misc';
+
+// value of `resolveReference` type extension: function or name of the type Resolver
+export type FederationReferenceResolver<TContext> =
+  | string
+  | ((reference: { __typename: string }, context: TContext, info: GraphQLResolveInfo) => mixed);
+
+const FieldSetScalar = new GraphQLScalarType({
+  name: '_FieldSet',
+  serialize: String,
+  parseValue: String,
+  parseLiteral: ast => (ast.kind === 'StringValue' ? ast.value : undefined),
+});
+
+const fieldsArg = { fields: { type: new GraphQLNonNull(FieldSetScalar) } };
+
+export const KeyDirective = new GraphQLDirective({
+  name: 'key',
+  locations: [DirectiveLocation.OBJECT, DirectiveLocation.INTERFACE],
+  args: fieldsArg,
+});
+
+export const ExtendsDirective = new GraphQLDirective({
+  name: 'extends',
+  locations: [DirectiveLocation.OBJECT, DirectiveLocation.INTERFACE],
+});
+
+export const ExternalDirective = new GraphQLDirective({
+  name: 'external',
+  locations: [DirectiveLocation.FIELD_DEFINITION],
+});
+
+export const RequiresDirective = new GraphQLDirective({
+  name: 'requires',
+  locations: [DirectiveLocation.FIELD_DEFINITION],
+  args: fieldsArg,
+});
+
+export const ProvidesDirective = new GraphQLDirective({
+  name: 'provides',
+  locations: [DirectiveLocation.FIELD_DEFINITION],
+  args: fieldsArg,
+});
+
+export const FEDERATION_DIRECTIVES = [
+  KeyDirective,
+  ExtendsDirective,
+  ExternalDirective,
+  RequiresDirective,
+  ProvidesDirective,
+];
+
+/**
+ * Returns ObjectTypeComposers marked with `@key` directive.
+ */
+export function getFederationEntities(
+  sc: SchemaComposer<any>
+): Array<ObjectTypeComposer<any, any>> {
+  const entities = [];
+  getSchemaComposerTypes(sc).forEach(tc => {
+    if (tc instanceof ObjectTypeComposer && tc.getDirectives().some(d => d.name === 'key')) {
+      entities.push(tc);
+    }
+  });
+  return entities;
+}
+
+/**
+ * Build GraphQLSchema for Apollo Federation service.
+ * Adds `_Any`, `_FieldSet`, `_Service` types, `_Entity` union, `Query._service`
+ * and `Query._entities` fields. Provided SchemaComposer is not modified.
+ */
+export function buildFederatedSchema(sc: SchemaComposer<any>): GraphQLSchema {
+  const sdl = printSchemaComposer(sc, { omitDirectiveDefinitions: true });
+  const fsc = cloneSchemaComposer(sc);
+  FEDERATION_DIRECTIVES.forEach(directive => fsc.addDirective(directive));
+
+  fsc.createScalarTC({
+    name: '_Any',
+    serialize: value => value,
+    parseValue: value => value,
+    parseLiteral: GraphQLJSON.parseLiteral,
+  });
+  fsc.createObjectTC({
+    name: '_Service',
+    fields: { sdl: 'String' },
+  });
+  fsc.Query.setField('_service', {
+    type: '_Service!',
+    resolve: () => ({ sdl }),
+  });
+
+  const entities = getFederationEntities(fsc);
+  if (entities.length > 0) {
+    const entityNames = entities.map(tc => tc.getTypeName());
+    fsc.createUnionTC({
+      name: '_Entity',
+      types: entities,
+      resolveType: value => (isObject(value) ? value.__typename : null),
+    });
+    fsc.Query.setField('_entities', {
+      type: '[_Entity]!',
+      args: { representations: '[_Any!]!' },
+      resolve: (_, { representations }, context, info) =>
+        representations.map(reference => {
+          const typeName = reference && reference.__typename;
+          if (entityNames.indexOf(typeName) === -1) {
+            // returned error marks only this entity as failed
+            return new Error(
+              `Cannot resolve entity with type ${inspect(
+                typeName
+              )}. Type should have @key directive.`
+            );
+          }
+          const result: any = resolveReference(fsc.getOTC(typeName), reference, context, info);
+          if (result && isFunction(result.then)) {
+            return result.then(r => addTypeName(r, typeName));
+          }
+          return addTypeName(result, typeName);
+        }),
+    });
+  }
+
+  // transformers, auth checker, cache options and tracing are not cloned, so pass them explicitly
+  sc.getDirectiveTransformers().forEach((fn, name) => fsc.addDirectiveTransformer(name, fn));
+  const authChecker = sc.getAuthChecker();
+  if (authChecker) fsc.setAuthChecker(authChecker, sc.getAuthOpts());
+  const cacheOpts = sc.getCacheOpts();
+  if (cacheOpts) fsc.enableCache(cacheOpts);
+  const tracingCollector = sc.getTracingCollector();
+  if (tracingCollector) fsc.enableTracing(tracingCollector);
+
+  return fsc.buildSchema();
+}
+
+function resolveReference(
+  tc: ObjectTypeComposer<any, any>,
+  reference: { __typename: string },
+  context: any,
+  info: GraphQLResolveInfo
+): mixed {
+  const referenceResolver: ?FederationReferenceResolver<any> = tc.getExtension('resolveReference');
+  if (isFunction(referenceResolver)) {
+    return (referenceResolver: any)(reference, context, info);
+  }
+
+  // by default load record via `findById` resolver with id from `getRecordId()`
+  const resolverName = typeof referenceResolver === 'string' ? referenceResolver : 'findById';
+  if (tc.hasResolver(resolverName) && tc.hasRecordIdFn()) {
+    const resolver = tc.getResolver(resolverName);
+    const argName = resolver.getArgNames()[0];
+    const fc: any = resolver.getFieldConfig();
+    return fc.resolve(
+      reference,
+      argName ? { [argName]: tc.getRecordId(reference) } : {},
+      context,
+      info
+    );
+  } else if (typeof referenceResolver === 'string') {
+    throw new Error(
+      `Cannot resolve reference for ${tc.getTypeName()}. ` +
+        `Type should have Resolver ${inspect(resolverName)} and RecordIdFn.`
+    );
+  }
+
+  // entity without resolver returns its representation as is
+  return reference;
+}
+
+// returns a copy, because resolvers may return cached or shared records
+function addTypeName(value: mixed, typeName: string): mixed {
+  if (isObject(value) && !value.__typename) {
+    return { ...value, __typename: typeName };
+  }
+  return value;
+}
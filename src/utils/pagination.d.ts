@@ -0,0 +1,32 @@
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { Resolver } from '../Resolver';
+
+export interface PaginationResolverOpts {
+  // name of the list resolver with `skip` and `limit` args, by default `findMany`
+  findManyResolverName?: string;
+  // name of the resolver which returns total number of records, by default `count`
+  countResolverName?: string;
+  // name of the new resolver, by default `pagination`
+  name?: string;
+  // default value of `perPage` arg, by default `20`
+  perPage?: number;
+}
+
+export interface PaginationInfo {
+  currentPage: number;
+  perPage: number;
+  pageCount: number;
+  itemCount: number;
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+}
+
+/**
+ * Create offset `pagination` resolver from list and count resolvers of the type.
+ * Adds `page` and `perPage` args, all other args of the list resolver
+ * (eg. `filter`, `sort`) are passed through. Count resolver is called in parallel.
+ */
+export function createPaginationResolver<TContext>(
+  tc: ObjectTypeComposer<any, TContext>,
+  opts?: PaginationResolverOpts
+): Resolver<any, TContext, any>;
@@ -0,0 +1,160 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { SchemaComposer } from '../SchemaComposer';
+import type { ObjectTypeComposer } from '../ObjectTypeComposer';
+import type { Resolver, ResolverResolveParams } from '../Resolver';
+
+export type PaginationResolverOpts = {
+  // name of the list resolver with `skip` and `limit` args, by default `findMany`
+  findManyResolverName?: string,
+  // name of the resolver which returns total number of records, by default `count`
+  countResolverName?: string,
+  // name of the new resolver, by default `pagination`
+  name?: string,
+  // default value of `perPage` arg, by default `20`
+  perPage?: number,
+};
+
+export type PaginationInfo = {
+  currentPage: number,
+  perPage: number,
+  pageCount: number,
+  itemCount: number,
+  hasNextPage: boolean,
+  hasPreviousPage: boolean,
+};
+
+/**
+ * Create offset `pagination` resolver from list and count resolvers of the type.
+ * Adds `page` and `perPage` args, all other args of the list resolver
+ * (eg. `filter`, `sort`) are passed through. Count resolver is called in parallel.
+ */
+export function createPaginationResolver<TContext>(
+  tc: ObjectTypeComposer<any, TContext>,
+  opts: PaginationResolverOpts = {}
+): Resolver<any, TContext, any> {
+  const {
+    findManyResolverName = 'findMany',
+    countResolverName = 'count',
+    name = 'pagination',
+    perPage: defaultPerPage = 20,
+  } = opts;
+  const typeName = tc.getTypeName();
+
+  if (!tc.hasResolver(findManyResolverName)) {
+    throw new Error(
+      `ObjectTypeComposer(${typeName}) does not have resolver with name '${findManyResolverName}'.`
+    );
+  }
+  if (!tc.hasResolver(countResolverName)) {
+    throw new Error(
+      `ObjectTypeComposer(${typeName}) does not have resolver with name '${countResolverName}'.`
+    );
+  }
+  const findManyResolver = tc.getResolver(findManyResolverName);
+  const countResolver = tc.getResolver(countResolverName);
+  if (!findManyResolver.hasArg('skip') || !findManyResolver.hasArg('limit')) {
+    throw new Error(
+      `Resolver ${typeName}.${findManyResolverName} should have 'skip' and 'limit' args.`
+    );
+  }
+
+  const args = {};
+  findManyResolver.getArgNames().forEach(argName => {
+    if (argName !== 'skip' && argName !== 'limit') {
+      args[argName] = findManyResolver.getArg(argName);
+    }
+  });
+
+  return tc.schemaComposer.createResolver({
+    name,
+    kind: 'query',
+    type: getPaginationType(tc),
+    args: {
+      page: {
+        type: 'Int',
+        description: 'Page number for displaying',
+        defaultValue: 1,
+      },
+      perPage: {
+        type: 'Int',
+        description: 'Number of records per page',
+        defaultValue: defaultPerPage,
+      },
+      ...args,
+    },
+    resolve: async (rp: ResolverResolveParams<any, TContext, any>) => {
+      const { page = 1, perPage = defaultPerPage, ...restArgs } = rp.args || {};
+      if (page < 1) {
+        throw new Error('Argument `page` should be positive integer.');
+      }
+      if (perPage < 1) {
+        throw new Error('Argument `perPage` should be positive integer.');
+      }
+
+      const countArgs = {};
+      Object.keys(restArgs).forEach(argName => {
+        if (countResolver.hasArg(argName)) countArgs[argName] = restArgs[argName];
+      });
+
+      const [items, count] = await Promise.all([
+        findManyResolver.resolve({
+          ...rp,
+          args: { ...restArgs, skip: (page - 1) * perPage, limit: perPage },
+          projection: (rp.projection && rp.projection.items) || {},
+        }),
+        countResolver.resolve({ ...rp, args: countArgs, projection: {} }),
+      ]);
+
+      const itemCount = count || 0;
+      const pageCount = Math.ceil(itemCount / perPage);
+      return {
+        items: items || [],
+        pageInfo: {
+          currentPage: page,
+          perPage,
+          pageCount,
+          itemCount,
+          hasNextPage: page < pageCount,
+          hasPreviousPage: page > 1,
+        },
+      };
+    },
+  });
+}
+
+function getPaginationType<TContext>(
+  tc: ObjectTypeComposer<any, TContext>
+): ObjectTypeComposer<any, TContext> {
+  const sc: SchemaComposer<TContext> = tc.schemaComposer;
+
+  const pageInfoTC = sc.getOrCreateOTC('PaginationInfo', t => {
+    t.setDescription('Information about offset pagination.');
+    t.addFields({
+      currentPage: 'Int!',
+      perPage: 'Int!',
+      pageCount: 'Int!',
+      itemCount: 'Int!',
+      hasNextPage: 'Boolean!',
+      hasPreviousPage: 'Boolean!',
+    });
+  });
+
+  return sc.getOrCreateOTC(`${tc.getTypeName()}Pagination`, t => {
+    t.setDescription('List of items with pagination.');
+    t.addFields({
+      items: {
+        type: tc
+          .getTypeNonNull()
+          .getTypePlural()
+          .getTypeNonNull(),
+        description: 'Array of objects.',
+      },
+      pageInfo: {
+        type: pageInfoTC.getTypeNonNull(),
+        description: 'Information to aid in pagination.',
+      },
+    });
+  });
+}
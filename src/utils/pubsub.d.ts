@@ -0,0 +1,36 @@
+// Compatible with `PubSubEngine` from `graphql-subscriptions`,
+// so Redis, MQTT and other implementations may be used instead of the local PubSub.
+export interface PubSubEngine {
+  publish(topic: string, payload: any): Promise<void>;
+  subscribe(topic: string, onMessage: (payload: any) => any, options?: object): Promise<number>;
+  unsubscribe(subId: number): any;
+  asyncIterator<T>(topics: string | string[]): AsyncIterator<T>;
+}
+
+export type PubSubFilterFn = (payload: any) => boolean | Promise<boolean>;
+
+/**
+ * In-memory PubSub for a single process. Suitable for development and tests,
+ * for several server instances use PubSub with external backend.
+ */
+export class PubSub implements PubSubEngine {
+  protected _subscriptions: Map<number, [string, (payload: any) => any]>;
+
+  protected _subIdCounter: number;
+
+  public publish(topic: string, payload: any): Promise<void>;
+
+  public subscribe(topic: string, onMessage: (payload: any) => any): Promise<number>;
+
+  public unsubscribe(subId: number): void;
+
+  public asyncIterator<T>(topics: string | string[]): AsyncIterator<T>;
+}
+
+/**
+ * Returns async iterator which skips payloads rejected by `filterFn`.
+ */
+export function filterAsyncIterator<T>(
+  iterator: AsyncIterator<T>,
+  filterFn: PubSubFilterFn
+): AsyncIterator<T>;
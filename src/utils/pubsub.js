@@ -0,0 +1,119 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+// the same fallback as in `iterall` which is used by `graphql` for checking async iterators
+const $$asyncIterator: any =
+  (typeof Symbol === 'function' && (Symbol: any).asyncIterator) || '@@asyncIterator';
+
+// Compatible with `PubSubEngine` from `graphql-subscriptions`,
+// so Redis, MQTT and other implementations may be used instead of the local PubSub.
+export interface PubSubEngine {
+  publish(topic: string, payload: any): Promise<void>;
+  subscribe(topic: string, onMessage: (payload: any) => mixed, options?: Object): Promise<number>;
+  unsubscribe(subId: number): mixed;
+  asyncIterator(topics: string | string[]): AsyncIterator<any>;
+}
+
+export type PubSubFilterFn = (payload: any) => boolean | Promise<boolean>;
+
+/**
+ * In-memory PubSub for a single process. Suitable for development and tests,
+ * for several server instances use PubSub with external backend.
+ */
+export class PubSub implements PubSubEngine {
+  _subscriptions: Map<number, [string, (payload: any) => mixed]> = new Map();
+  _subIdCounter: number = 0;
+
+  publish(topic: string, payload: any): Promise<void> {
+    this._subscriptions.forEach(([subTopic, onMessage]) => {
+      if (subTopic === topic) onMessage(payload);
+    });
+    return Promise.resolve();
+  }
+
+  subscribe(topic: string, onMessage: (payload: any) => mixed): Promise<number> {
+    this._subIdCounter += 1;
+    this._subscriptions.set(this._subIdCounter, [topic, onMessage]);
+    return Promise.resolve(this._subIdCounter);
+  }
+
+  unsubscribe(subId: number) {
+    this._subscriptions.delete(subId);
+  }
+
+  asyncIterator<T>(topics: string | string[]): AsyncIterator<T> {
+    return createPubSubAsyncIterator(this, Array.isArray(topics) ? topics : [topics]);
+  }
+}
+
+/**
+ * Returns async iterator which skips payloads rejected by `filterFn`.
+ */
+export function filterAsyncIterator<T>(
+  iterator: AsyncIterator<T>,
+  filterFn: PubSubFilterFn
+): AsyncIterator<T> {
+  const it: any = iterator;
+  const getNext = () =>
+    it.next().then(result => {
+      if (result.done) return result;
+      return Promise.resolve(filterFn(result.value)).then(passed => (passed ? result : getNext()));
+    });
+
+  return ({
+    next: getNext,
+    return: () => (it.return ? it.return() : Promise.resolve({ value: undefined, done: true })),
+    throw: error => (it.throw ? it.throw(error) : Promise.reject(error)),
+    [$$asyncIterator]() {
+      return this;
+    },
+  }: any);
+}
+
+function createPubSubAsyncIterator<T>(pubsub: PubSubEngine, topics: string[]): AsyncIterator<T> {
+  const pullQueue = [];
+  const pushQueue = [];
+  let listening = true;
+
+  const pushValue = payload => {
+    if (pullQueue.length > 0) {
+      pullQueue.shift()({ value: payload, done: false });
+    } else {
+      pushQueue.push(payload);
+    }
+  };
+
+  // subscribe immediately, so events published before the first `next()` call are not lost
+  const subIdsPromise = Promise.all(topics.map(topic => pubsub.subscribe(topic, pushValue)));
+
+  const stop = () => {
+    if (listening) {
+      listening = false;
+      subIdsPromise.then(subIds => subIds.forEach(subId => pubsub.unsubscribe(subId)));
+      pullQueue.forEach(resolve => resolve({ value: undefined, done: true }));
+      pullQueue.length = 0;
+      pushQueue.length = 0;
+    }
+  };
+
+  return ({
+    next() {
+      if (!listening) return Promise.resolve({ value: undefined, done: true });
+      if (pushQueue.length > 0) {
+        return Promise.resolve({ value: pushQueue.shift(), done: false });
+      }
+      return new Promise(resolve => pullQueue.push(resolve));
+    },
+    return() {
+      stop();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error) {
+      stop();
+      return Promise.reject(error);
+    },
+    [$$asyncIterator]() {
+      return this;
+    },
+  }: any);
+}
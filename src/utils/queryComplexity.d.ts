@@ -0,0 +1,76 @@
+import {
+  GraphQLSchema,
+  GraphQLField,
+  GraphQLNamedType,
+  DocumentNode,
+  OperationDefinitionNode,
+  ValidationContext,
+  ASTVisitor,
+} from '../graphql';
+
+export interface ComplexityEstimatorArgs {
+  args: { [argName: string]: any };
+  childComplexity: number;
+  field: GraphQLField<any, any>;
+  type: GraphQLNamedType;
+}
+
+/**
+ * Value of `complexity` field extension
+ */
+export type FieldComplexity = number | ((opts: ComplexityEstimatorArgs) => number);
+
+export interface QueryComplexityOpts {
+  maxComplexity?: number;
+  maxDepth?: number;
+  variables?: { [variableName: string]: any };
+  operationName?: string;
+  /**
+   * Complexity of field without `complexity` extension, by default `1`
+   */
+  defaultComplexity?: number;
+  /**
+   * Args which multiply complexity of child fields, by default `limit`, `first`, `last`, `perPage`
+   */
+  multiplierArgs?: string[];
+  /**
+   * Called with calculated cost of every operation, eg. for logging
+   */
+  onCost?: (cost: QueryCost, operation: OperationDefinitionNode) => any;
+}
+
+export interface QueryCost {
+  complexity: number;
+  depth: number;
+}
+
+/**
+ * Calculate complexity and depth of operation from document.
+ *
+ * Cost of every field is taken from `complexity` field extension (number or function),
+ * otherwise `defaultComplexity` is used. Complexity of child fields is multiplied by
+ * the value of `limit`-like arguments. Fields which start with `__` are ignored.
+ */
+export function getQueryCost(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  opts?: QueryComplexityOpts
+): QueryCost;
+
+/**
+ * Throws GraphQLError if operation exceeds `maxComplexity` or `maxDepth`,
+ * otherwise returns calculated cost.
+ */
+export function assertQueryCost(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  opts?: QueryComplexityOpts
+): QueryCost;
+
+/**
+ * Validation rule for `graphql.validate()` (or `validationRules` option of GraphQL servers)
+ * which reports operations over `maxComplexity` or `maxDepth` limits.
+ */
+export function createQueryComplexityRule(
+  opts?: QueryComplexityOpts
+): (context: ValidationContext) => ASTVisitor;
@@ -0,0 +1,300 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import {
+  GraphQLError,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLSkipDirective,
+  GraphQLIncludeDirective,
+  Kind,
+  getDirectiveValues,
+  getNamedType,
+  valueFromAST,
+} from '../graphql';
+import type {
+  GraphQLSchema,
+  GraphQLField,
+  GraphQLNamedType,
+  DocumentNode,
+  OperationDefinitionNode,
+  FragmentDefinitionNode,
+  SelectionSetNode,
+  FieldNode,
+  ValidationContext,
+} from '../graphql';
+import { isFunction } from './is';
+
+export type ComplexityEstimatorArgs = {
+  args: { [argName: string]: any },
+  childComplexity: number,
+  field: GraphQLField<any, any>,
+  type: GraphQLNamedType,
+};
+
+// value of `complexity` field extension
+export type FieldComplexity = number | ((opts: ComplexityEstimatorArgs) => number);
+
+export type QueryComplexityOpts = {
+  maxComplexity?: number,
+  maxDepth?: number,
+  variables?: { [variableName: string]: any },
+  operationName?: string,
+  // complexity of field without `complexity` extension, by default `1`
+  defaultComplexity?: number,
+  // args which multiply complexity of child fields, by default `limit`, `first`, `last`, `perPage`
+  multiplierArgs?: string[],
+  // called with calculated cost of every operation, eg. for logging
+  onCost?: (cost: QueryCost, operation: OperationDefinitionNode) => mixed,
+};
+
+export type QueryCost = {
+  complexity: number,
+  depth: number,
+};
+
+const DEFAULT_MULTIPLIER_ARGS = ['limit', 'first', 'last', 'perPage'];
+
+/**
+ * Calculate complexity and depth of operation from document.
+ *
+ * Cost of every field is taken from `complexity` field extension (number or function),
+ * otherwise `defaultComplexity` is used. Complexity of child fields is multiplied by
+ * the value of `limit`-like arguments. Fields which start with `__` are ignored.
+ */
+export function getQueryCost(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  opts: QueryComplexityOpts = {}
+): QueryCost {
+  const fragments = getFragments(document);
+  const operation = getOperation(document, opts.operationName);
+  if (!operation) return { complexity: 0, depth: 0 };
+  return getOperationCost(schema, operation, fragments, opts);
+}
+
+/**
+ * Throws GraphQLError if operation exceeds `maxComplexity` or `maxDepth`,
+ * otherwise returns calculated cost.
+ */
+export function assertQueryCost(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  opts: QueryComplexityOpts = {}
+): QueryCost {
+  const fragments = getFragments(document);
+  const operation = getOperation(document, opts.operationName);
+  if (!operation) return { complexity: 0, depth: 0 };
+  const cost = getOperationCost(schema, operation, fragments, opts);
+  if (opts.onCost) opts.onCost(cost, operation);
+  const error = getCostError(cost, operation, opts);
+  if (error) throw error;
+  return cost;
+}
+
+/**
+ * Validation rule for `graphql.validate()` (or `validationRules` option of GraphQL servers)
+ * which reports operations over `maxComplexity` or `maxDepth` limits.
+ */
+export function createQueryComplexityRule(
+  opts: QueryComplexityOpts = {}
+): (context: ValidationContext) => mixed {
+  return (context: ValidationContext) => ({
+    Document: {
+      leave(document: DocumentNode) {
+        const fragments = getFragments(document);
+        document.definitions.forEach(definition => {
+          if (definition.kind !== Kind.OPERATION_DEFINITION) return;
+          const cost = getOperationCost(context.getSchema(), definition, fragments, opts);
+          if (opts.onCost) opts.onCost(cost, definition);
+          const error = getCostError(cost, definition, opts);
+          if (error) context.reportError(error);
+        });
+      },
+    },
+  });
+}
+
+function getCostError(
+  cost: QueryCost,
+  operation: OperationDefinitionNode,
+  opts: QueryComplexityOpts
+): GraphQLError | null {
+  if (opts.maxDepth !== undefined && cost.depth > opts.maxDepth) {
+    return new GraphQLError(
+      `Query depth of ${cost.depth} exceeds maximum allowed depth of ${opts.maxDepth}.`,
+      [operation]
+    );
+  }
+  const { maxComplexity } = opts;
+  if (maxComplexity !== undefined && cost.complexity > maxComplexity) {
+    return new GraphQLError(
+      `Query complexity of ${cost.complexity} exceeds maximum allowed complexity of ${maxComplexity}.`,
+      [operation]
+    );
+  }
+  return null;
+}
+
+function getFragments(document: DocumentNode): { [name: string]: FragmentDefinitionNode } {
+  const fragments = {};
+  document.definitions.forEach(definition => {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    }
+  });
+  return fragments;
+}
+
+function getOperation(document: DocumentNode, operationName?: string): ?OperationDefinitionNode {
+  const operations: OperationDefinitionNode[] = [];
+  document.definitions.forEach(definition => {
+    if (definition.kind === Kind.OPERATION_DEFINITION) operations.push(definition);
+  });
+  if (!operationName) return operations.length === 1 ? operations[0] : null;
+  return operations.find(op => !!op.name && op.name.value === operationName);
+}
+
+function getOperationCost(
+  schema: GraphQLSchema,
+  operation: OperationDefinitionNode,
+  fragments: { [name: string]: FragmentDefinitionNode },
+  opts: QueryComplexityOpts
+): QueryCost {
+  let rootType;
+  if (operation.operation === 'mutation') rootType = schema.getMutationType();
+  else if (operation.operation === 'subscription') rootType = schema.getSubscriptionType();
+  else rootType = schema.getQueryType();
+  if (!rootType) return { complexity: 0, depth: 0 };
+
+  const walker = new CostWalker(schema, fragments, opts);
+  return walker.getSelectionSetCost(rootType, operation.selectionSet, []);
+}
+
+class CostWalker {
+  schema: GraphQLSchema;
+  fragments: { [name: string]: FragmentDefinitionNode };
+  opts: QueryComplexityOpts;
+  variables: { [variableName: string]: any };
+  multiplierArgs: string[];
+
+  constructor(
+    schema: GraphQLSchema,
+    fragments: { [name: string]: FragmentDefinitionNode },
+    opts: QueryComplexityOpts
+  ) {
+    this.schema = schema;
+    this.fragments = fragments;
+    this.opts = opts;
+    this.variables = opts.variables || {};
+    this.multiplierArgs = opts.multiplierArgs || DEFAULT_MULTIPLIER_ARGS;
+  }
+
+  // fragments on abstract types are summed up, so result is an upper bound
+  getSelectionSetCost(
+    type: GraphQLNamedType,
+    selectionSet: SelectionSetNode,
+    visitedFragments: string[]
+  ): QueryCost {
+    let complexity = 0;
+    let depth = 0;
+
+    selectionSet.selections.forEach(selection => {
+      if (!this.shouldInclude(selection)) return;
+
+      let cost;
+      if (selection.kind === Kind.FIELD) {
+        cost = this.getFieldCost(type, selection, visitedFragments);
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const { typeCondition } = selection;
+        const fragmentType = typeCondition ? this.schema.getType(typeCondition.name.value) : type;
+        if (!fragmentType) return;
+        cost = this.getSelectionSetCost(fragmentType, selection.selectionSet, visitedFragments);
+      } else {
+        const fragmentName = selection.name.value;
+        const fragment = this.fragments[fragmentName];
+        if (!fragment || visitedFragments.indexOf(fragmentName) !== -1) return;
+        const fragmentType = this.schema.getType(fragment.typeCondition.name.value);
+        if (!fragmentType) return;
+        cost = this.getSelectionSetCost(fragmentType, fragment.selectionSet, [
+          ...visitedFragments,
+          fragmentName,
+        ]);
+      }
+
+      complexity += cost.complexity;
+      depth = Math.max(depth, cost.depth);
+    });
+
+    return { complexity, depth };
+  }
+
+  getFieldCost(
+    parentType: GraphQLNamedType,
+    node: FieldNode,
+    visitedFragments: string[]
+  ): QueryCost {
+    const fieldName = node.name.value;
+    if (fieldName.startsWith('__')) return { complexity: 0, depth: 0 };
+    if (!(parentType instanceof GraphQLObjectType || parentType instanceof GraphQLInterfaceType)) {
+      return { complexity: 0, depth: 0 };
+    }
+    const field = parentType.getFields()[fieldName];
+    if (!field) return { complexity: 0, depth: 0 };
+
+    const type = getNamedType(field.type);
+    const child = node.selectionSet
+      ? this.getSelectionSetCost(type, node.selectionSet, visitedFragments)
+      : { complexity: 0, depth: 0 };
+    const args = this.getArgs(field, node);
+
+    const fieldComplexity: ?FieldComplexity =
+      (field: any).extensions && (field: any).extensions.complexity;
+    let complexity;
+    if (isFunction(fieldComplexity)) {
+      complexity = (fieldComplexity: any)({
+        args,
+        childComplexity: child.complexity,
+        field,
+        type,
+      });
+    } else {
+      const { defaultComplexity = 1 } = this.opts;
+      const ownComplexity =
+        typeof fieldComplexity === 'number' ? fieldComplexity : defaultComplexity;
+      complexity = ownComplexity + child.complexity * this.getMultiplier(args);
+    }
+
+    return { complexity, depth: child.depth + 1 };
+  }
+
+  getMultiplier(args: { [argName: string]: any }): number {
+    for (let i = 0; i < this.multiplierArgs.length; i++) {
+      const value = args[this.multiplierArgs[i]];
+      if (typeof value === 'number' && value > 0) return value;
+    }
+    return 1;
+  }
+
+  getArgs(field: GraphQLField<any, any>, node: FieldNode): { [argName: string]: any } {
+    const args = {};
+    field.args.forEach(argDef => {
+      const argNode = (node.arguments || []).find(a => a.name.value === argDef.name);
+      if (argNode) {
+        const value = valueFromAST(argNode.value, argDef.type, this.variables);
+        if (value !== undefined) args[argDef.name] = value;
+      } else if (argDef.defaultValue !== undefined) {
+        args[argDef.name] = argDef.defaultValue;
+      }
+    });
+    return args;
+  }
+
+  shouldInclude(node: any): boolean {
+    const skip = getDirectiveValues(GraphQLSkipDirective, node, this.variables);
+    if (skip && skip.if === true) return false;
+    const include = getDirectiveValues(GraphQLIncludeDirective, node, this.variables);
+    if (include && include.if === false) return false;
+    return true;
+  }
+}
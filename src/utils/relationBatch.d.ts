@@ -0,0 +1,13 @@
+import { GraphQLFieldResolver } from '../graphql';
+import { ObjectTypeComposerRelationBatchOpts } from '../ObjectTypeComposer';
+
+/**
+ * Returns `resolve` method for relation, which collects keys from all parent records
+ * requested in the current tick with the same context and args, and calls
+ * `batchResolver` once with all of them.
+ */
+export function createRelationBatchResolve(
+  batchOpts: ObjectTypeComposerRelationBatchOpts<any, any>,
+  relationName: string,
+  isList: boolean
+): GraphQLFieldResolver<any, any>;
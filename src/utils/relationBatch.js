@@ -0,0 +1,152 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { GraphQLFieldResolver, GraphQLResolveInfo } from '../graphql';
+import type { ObjectTypeComposerRelationBatchOpts } from '../ObjectTypeComposer';
+import { Resolver } from '../Resolver';
+import { isFunction, isObject } from './is';
+
+type BatchLoad = {
+  key: mixed,
+  resolve: (value: mixed) => void,
+  reject: (error: Error) => void,
+};
+
+type Batch = {
+  args: { [argName: string]: any },
+  context: any,
+  info: GraphQLResolveInfo,
+  loads: BatchLoad[],
+};
+
+// context may be a primitive value, so such requests are batched together
+const NO_CONTEXT = {};
+
+/**
+ * Returns `resolve` method for relation, which collects keys from all parent records
+ * requested in the current tick with the same context and args, and calls
+ * `batchResolver` once with all of them.
+ */
+export function createRelationBatchResolve(
+  batchOpts: ObjectTypeComposerRelationBatchOpts<any, any>,
+  relationName: string,
+  isList: boolean
+): GraphQLFieldResolver<any, any> {
+  if (!batchOpts || !isFunction(batchOpts.key)) {
+    throw new Error(`You should provide \`batch.key\` function for relation ${relationName}`);
+  }
+  if (!batchOpts.batchResolver) {
+    throw new Error(`You should provide \`batch.batchResolver\` for relation ${relationName}`);
+  }
+
+  const batchesByContext: WeakMap<{}, Map<string, Batch>> = new WeakMap();
+
+  return (source, args, context, info) => {
+    const key = batchOpts.key(source, args, context, info);
+    if (key === null || key === undefined || (Array.isArray(key) && key.length === 0)) {
+      return isList ? [] : null;
+    }
+
+    const contextKey = isObject(context) ? context : NO_CONTEXT;
+    let batches = batchesByContext.get(contextKey);
+    if (!batches) {
+      batches = new Map();
+      batchesByContext.set(contextKey, batches);
+    }
+
+    const argsKey = JSON.stringify(args) || '';
+    let batch = batches.get(argsKey);
+    if (!batch) {
+      const newBatch = { args, context, info, loads: [] };
+      const currentBatches = batches;
+      currentBatches.set(argsKey, newBatch);
+      enqueuePostPromiseJob(() => {
+        currentBatches.delete(argsKey);
+        dispatchBatch(newBatch, batchOpts, relationName, isList);
+      });
+      batch = newBatch;
+    }
+
+    const { loads } = batch;
+    return new Promise((resolve, reject) => {
+      loads.push({ key, resolve, reject });
+    });
+  };
+}
+
+function dispatchBatch(
+  batch: Batch,
+  batchOpts: ObjectTypeComposerRelationBatchOpts<any, any>,
+  relationName: string,
+  isList: boolean
+) {
+  const { loads } = batch;
+  Promise.resolve()
+    .then(() => {
+      const resolver = isFunction(batchOpts.batchResolver)
+        ? batchOpts.batchResolver()
+        : batchOpts.batchResolver;
+      if (!(resolver instanceof Resolver)) {
+        throw new Error(
+          `You should provide correct Resolver object for \`batch.batchResolver\` of relation ${relationName}`
+        );
+      }
+      const getRecordKey = batchOpts.recordKey || (record => resolver.getOTC().getRecordId(record));
+
+      const keys = uniqueKeys(loads);
+      const fc = resolver.getFieldConfig();
+      const batchArgs = { ...batch.args, [batchOpts.keysArg || '_ids']: keys };
+      const payload = fc.resolve ? fc.resolve(undefined, batchArgs, batch.context, batch.info) : [];
+      return Promise.resolve(payload).then(records => ({ records, getRecordKey }));
+    })
+    .then(({ records, getRecordKey }) => {
+      const recordsByKey: Map<string, mixed[]> = new Map();
+      (Array.isArray(records) ? records : []).forEach(record => {
+        if (record === null || record === undefined) return;
+        const recordKey = String(getRecordKey(record));
+        const list = recordsByKey.get(recordKey);
+        if (list) list.push(record);
+        else recordsByKey.set(recordKey, [record]);
+      });
+
+      loads.forEach(({ key, resolve }) => {
+        const result = [];
+        (Array.isArray(key) ? key : [key]).forEach(k => {
+          result.push(...(recordsByKey.get(String(k)) || []));
+        });
+        resolve(isList ? result : result[0] || null);
+      });
+    })
+    .catch(e => {
+      loads.forEach(({ reject }) => reject(e));
+    });
+}
+
+function uniqueKeys(loads: BatchLoad[]): mixed[] {
+  const keys: mixed[] = [];
+  const seen: Set<string> = new Set();
+  loads.forEach(({ key }) => {
+    (Array.isArray(key) ? key : [key]).forEach(k => {
+      const strKey = String(k);
+      if (!seen.has(strKey)) {
+        seen.add(strKey);
+        keys.push(k);
+      }
+    });
+  });
+  return keys;
+}
+
+const resolvedPromise = Promise.resolve();
+
+// the same approach as in DataLoader: wait until all already resolved promises
+// will be processed, so all sibling fields have a chance to be added to the batch
+function enqueuePostPromiseJob(fn: () => void) {
+  resolvedPromise.then(() => {
+    if (typeof process === 'object' && typeof process.nextTick === 'function') {
+      process.nextTick(fn);
+    } else {
+      setTimeout(fn, 0);
+    }
+  });
+}
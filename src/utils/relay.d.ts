@@ -0,0 +1,35 @@
+import { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+
+export interface ResolvedGlobalId {
+  type: string;
+  id: string;
+}
+
+/**
+ * Encode type name and record id into opaque global ID (base64 of `Type:id`).
+ */
+export function toGlobalId(type: string, id: string | number): string;
+
+/**
+ * Decode global ID created by `toGlobalId()`.
+ */
+export function fromGlobalId(globalId: string): ResolvedGlobalId;
+
+/**
+ * Returns shared `Node` interface from SchemaComposer, creates it if needed.
+ */
+export function getNodeInterface<TContext>(
+  sc: SchemaComposer<TContext>
+): InterfaceTypeComposer<any, TContext>;
+
+/**
+ * Make ObjectTypeComposer Relay-compatible:
+ *   - implement `Node` interface with `id: ID!` field which returns global ID
+ *   - add `Query.node(id)` and `Query.nodes(ids)` fields which load records
+ *     via `findById` resolver of the type encoded in the global ID
+ */
+export function composeWithRelay<TContext>(
+  tc: ObjectTypeComposer<any, TContext>
+): ObjectTypeComposer<any, TContext>;
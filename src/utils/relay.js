@@ -0,0 +1,150 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define, no-param-reassign */
+
+import type { GraphQLResolveInfo } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import type { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { isFunction, isObject } from './is';
+
+export type ResolvedGlobalId = {
+  type: string,
+  id: string,
+};
+
+/**
+ * Encode type name and record id into opaque global ID (base64 of `Type:id`).
+ */
+export function toGlobalId(type: string, id: string | number): string {
+  return Buffer.from(`${type}:${id}`, 'utf8').toString('base64');
+}
+
+/**
+ * Decode global ID created by `toGlobalId()`.
+ */
+export function fromGlobalId(globalId: string): ResolvedGlobalId {
+  const unbased = Buffer.from(globalId, 'base64').toString('utf8');
+  const delimiterPos = unbased.indexOf(':');
+  return {
+    type: unbased.substring(0, delimiterPos),
+    id: unbased.substring(delimiterPos + 1),
+  };
+}
+
+/**
+ * Returns shared `Node` interface from SchemaComposer, creates it if needed.
+ */
+export function getNodeInterface<TContext>(
+  sc: SchemaComposer<TContext>
+): InterfaceTypeComposer<any, TContext> {
+  return sc.getOrCreateIFTC('Node', itc => {
+    itc.setDescription('An object with a globally unique ID');
+    itc.addFields({
+      id: {
+        type: 'ID!',
+        description: 'The globally unique ID among all types',
+      },
+    });
+  });
+}
+
+/**
+ * Make ObjectTypeComposer Relay-compatible:
+ *   - implement `Node` interface with `id: ID!` field which returns global ID
+ *   - add `Query.node(id)` and `Query.nodes(ids)` fields which load records
+ *     via `findById` resolver of the type encoded in the global ID
+ */
+export function composeWithRelay<TContext>(
+  tc: ObjectTypeComposer<any, TContext>
+): ObjectTypeComposer<any, TContext> {
+  const typeName = tc.getTypeName();
+  if (!tc.hasRecordIdFn()) {
+    throw new Error(
+      `ObjectTypeComposer(${typeName}) should have recordIdFn. ` +
+        'This function returns ID from provided object.'
+    );
+  }
+  if (!tc.hasResolver('findById')) {
+    throw new Error(`ObjectTypeComposer(${typeName}) should have findById resolver.`);
+  }
+
+  const sc = tc.schemaComposer;
+  const nodeITC = getNodeInterface(sc);
+
+  tc.setField('id', {
+    type: 'ID!',
+    description: 'The globally unique ID among all types',
+    resolve: (source, args, context) => toGlobalId(typeName, tc.getRecordId(source, args, context)),
+  });
+  tc.addInterfaces([nodeITC]);
+  // type may be reachable only via `Node` interface
+  sc.addSchemaMustHaveType(tc);
+  nodeITC.addTypeResolver(tc, (value, context, info) => {
+    if (isObject(value) && value.__typename) return value.__typename === typeName;
+    const isTypeOf = tc.getIsTypeOf();
+    return isTypeOf ? isTypeOf(value, context, info) : false;
+  });
+
+  if (!sc.Query.hasField('node')) {
+    sc.Query.setField('node', {
+      type: nodeITC,
+      description: 'Fetches an object given its ID',
+      args: {
+        id: {
+          type: 'ID!',
+          description: 'The ID of an object',
+        },
+      },
+      resolve: (_, args, context, info) => resolveNode(nodeITC, args.id, context, info),
+    });
+  }
+  if (!sc.Query.hasField('nodes')) {
+    sc.Query.setField('nodes', {
+      type: [nodeITC],
+      description: 'Fetches objects given their IDs',
+      args: {
+        ids: {
+          type: '[ID!]!',
+          description: 'The IDs of objects',
+        },
+      },
+      resolve: (_, args, context, info) =>
+        args.ids.map(id => resolveNode(nodeITC, id, context, info)),
+    });
+  }
+
+  return tc;
+}
+
+function resolveNode(
+  nodeITC: InterfaceTypeComposer<any, any>,
+  globalId: string,
+  context: any,
+  info: GraphQLResolveInfo
+): mixed {
+  const { type, id } = fromGlobalId(globalId);
+
+  let tc;
+  for (const t of nodeITC.getTypeResolvers().keys()) {
+    if (t instanceof ObjectTypeComposer && t.getTypeName() === type) tc = t;
+  }
+  if (!tc || !tc.hasResolver('findById')) return null;
+
+  const resolver = tc.getResolver('findById');
+  const argName = resolver.getArgNames()[0];
+  const fc: any = resolver.getFieldConfig();
+  const result = fc.resolve(undefined, argName ? { [argName]: id } : {}, context, info);
+  if (result && isFunction(result.then)) {
+    return result.then(r => addTypeName(r, type));
+  }
+  return addTypeName(result, type);
+}
+
+// `Node.resolveType` checks `__typename` of loaded record,
+// it is added to the copy, because resolvers may return cached or shared records
+function addTypeName(value: mixed, typeName: string): mixed {
+  if (isObject(value) && !value.__typename) {
+    return { ...value, __typename: typeName };
+  }
+  return value;
+}
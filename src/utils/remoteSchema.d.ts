@@ -0,0 +1,60 @@
+import { DocumentNode, ExecutionResult, GraphQLResolveInfo, GraphQLSchema } from 'graphql';
+import { SchemaComposer } from '../SchemaComposer';
+
+export type RemoteExecutorParams<TContext> = {
+  document: DocumentNode;
+  variables: { [variableName: string]: any };
+  context: TContext;
+  info: GraphQLResolveInfo;
+};
+
+/**
+ * Sends operation to the remote service, eg. via HTTP
+ */
+export type RemoteExecutor<TContext> = (
+  params: RemoteExecutorParams<TContext>
+) => Promise<ExecutionResult> | ExecutionResult;
+
+export type RemoteSchemaOpts<TContext> = {
+  executor: RemoteExecutor<TContext>;
+};
+
+export type DelegateToRemoteOpts<TContext> = {
+  /**
+   * Schema of the remote service
+   */
+  schema: GraphQLSchema;
+  executor: RemoteExecutor<TContext>;
+  operation: 'query' | 'mutation';
+  /**
+   * Name of the root field in the remote schema
+   */
+  fieldName: string;
+  args: { [argName: string]: any };
+  context: TContext;
+  info: GraphQLResolveInfo;
+};
+
+/**
+ * Builds GraphQLSchema from introspection result. Accepts result
+ * of the introspection query with or without `data` wrapper.
+ */
+export function buildRemoteSchema(introspection: any): GraphQLSchema;
+
+/**
+ * Prepares SchemaComposer created from the remote schema: replaces copies of
+ * graphql-compose built-in scalars and directives (eg. `JSON`, `@default`) by them, adds resolvers to `Query`
+ * and `Mutation` types for every root field and uses them as resolve methods of these fields.
+ */
+export function setupRemoteSchemaComposer<TContext>(
+  sc: SchemaComposer<TContext>,
+  schema: GraphQLSchema,
+  opts: RemoteSchemaOpts<TContext>
+): void;
+
+/**
+ * Calls root field of the remote schema with the subfields selected in `info`.
+ * Subfields which are missing in the remote schema (eg. relations added in
+ * the gateway) are skipped, but fields from their `projection` are requested.
+ */
+export function delegateToRemote<TContext>(opts: DelegateToRemoteOpts<TContext>): Promise<any>;
@@ -0,0 +1,353 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type {
+  DocumentNode,
+  ExecutionResult,
+  GraphQLCompositeType,
+  GraphQLOutputType,
+  GraphQLResolveInfo,
+  GraphQLSchema,
+  SelectionNode,
+  SelectionSetNode,
+} from '../graphql';
+import {
+  Kind,
+  buildClientSchema,
+  defaultFieldResolver,
+  getNamedType,
+  isAbstractType,
+  isCompositeType,
+  isLeafType,
+  isObjectType,
+  isInterfaceType,
+  parseType,
+  visit,
+} from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { getSchemaComposerTypes } from './schemaPrinter';
+import { replaceTypeReferences } from './cloneSchemaComposer';
+import { isFunction, isObject } from './is';
+
+export type RemoteExecutorParams<TContext> = {
+  document: DocumentNode,
+  variables: { [variableName: string]: any },
+  context: TContext,
+  info: GraphQLResolveInfo,
+};
+
+// sends operation to the remote service, eg. via HTTP
+export type RemoteExecutor<TContext> = (
+  params: RemoteExecutorParams<TContext>
+) => Promise<ExecutionResult> | ExecutionResult;
+
+export type RemoteSchemaOpts<TContext> = {
+  executor: RemoteExecutor<TContext>,
+};
+
+export type DelegateToRemoteOpts<TContext> = {
+  // schema of the remote service
+  schema: GraphQLSchema,
+  executor: RemoteExecutor<TContext>,
+  operation: 'query' | 'mutation',
+  // name of the root field in the remote schema
+  fieldName: string,
+  args: { [argName: string]: any },
+  context: TContext,
+  info: GraphQLResolveInfo,
+};
+
+/**
+ * Builds GraphQLSchema from introspection result. Accepts result
+ * of the introspection query with or without `data` wrapper.
+ */
+export function buildRemoteSchema(introspection: mixed): GraphQLSchema {
+  const json: any =
+    isObject(introspection) && introspection.data ? introspection.data : introspection;
+  if (!isObject(json) || !json.__schema) {
+    throw new Error(
+      'SchemaComposer.fromIntrospection() expects result of the introspection query with `__schema` property.'
+    );
+  }
+  return buildClientSchema(json);
+}
+
+/**
+ * Prepares SchemaComposer created from the remote schema: replaces copies of
+ * graphql-compose built-in scalars and directives (eg. `JSON`, `@default`) by them, adds resolvers to `Query`
+ * and `Mutation` types for every root field and uses them as resolve methods of these fields.
+ */
+export function setupRemoteSchemaComposer<TContext>(
+  sc: SchemaComposer<TContext>,
+  schema: GraphQLSchema,
+  opts: RemoteSchemaOpts<TContext>
+) {
+  if (!opts || !isFunction(opts.executor)) {
+    throw new Error(
+      'You should provide `executor` function to SchemaComposer.fromIntrospection().'
+    );
+  }
+  replaceBuiltIns(sc);
+  const { executor } = opts;
+
+  getSchemaComposerTypes(sc).forEach(tc => {
+    if (!(tc instanceof ObjectTypeComposer)) return;
+    tc.getFieldNames().forEach(fieldName => {
+      if (!tc.getField(fieldName).resolve) {
+        tc.extendField(fieldName, { resolve: resolveRemoteField });
+      }
+    });
+  });
+
+  [['Query', 'query'], ['Mutation', 'mutation']].forEach(([rootTypeName, operation]) => {
+    if (!sc.has(rootTypeName)) return;
+    const rootTC = sc.getOTC(rootTypeName);
+    rootTC.getFieldNames().forEach(fieldName => {
+      const resolver = sc.createResolver({
+        name: fieldName,
+        kind: operation,
+        type: rootTC.getFieldType(fieldName),
+        args: rootTC.getFieldArgs(fieldName),
+        description: rootTC.getField(fieldName).description || '',
+        resolve: ({ args, context, info }) =>
+          delegateToRemote({ schema, executor, operation, fieldName, args, context, info }),
+      });
+      rootTC.addResolver(resolver);
+      rootTC.extendField(fieldName, { resolve: resolver.getFieldConfig().resolve });
+    });
+  });
+}
+
+/**
+ * Calls root field of the remote schema with the subfields selected in `info`.
+ * Subfields which are missing in the remote schema (eg. relations added in
+ * the gateway) are skipped, but fields from their `projection` are requested.
+ */
+export function delegateToRemote<TContext>(opts: DelegateToRemoteOpts<TContext>): Promise<any> {
+  const { schema, executor, operation, fieldName, args, context, info } = opts;
+  const rootType = operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+  const field = rootType ? rootType.getFields()[fieldName] : null;
+  if (!rootType || !field) {
+    return Promise.reject(
+      new Error(`Remote schema does not have field ${operation}.${fieldName}.`)
+    );
+  }
+
+  const selections = info.fieldNodes.reduce((result, node) => {
+    if (node.selectionSet) result.push(...node.selectionSet.selections);
+    return result;
+  }, []);
+  const selectionSet = buildSelectionSet(schema, info, selections, field.type, info.returnType);
+
+  const usedVariables = new Set();
+  if (selectionSet) {
+    visit(selectionSet, {
+      Variable: node => {
+        usedVariables.add(node.name.value);
+      },
+    });
+  }
+  const variableDefinitions = (info.operation.variableDefinitions || []).filter(def =>
+    usedVariables.has(def.variable.name.value)
+  );
+  const variables = {};
+  usedVariables.forEach(name => {
+    variables[name] = info.variableValues[name];
+  });
+
+  // field args are passed via variables, their names should not clash with operation variables
+  const argNodes = [];
+  field.args.forEach(arg => {
+    if (args[arg.name] === undefined) return;
+    let variableName = arg.name;
+    while (usedVariables.has(variableName)) variableName = `_${variableName}`;
+    usedVariables.add(variableName);
+    variables[variableName] = args[arg.name];
+    const variable = { kind: Kind.VARIABLE, name: nameNode(variableName) };
+    variableDefinitions.push(
+      ({
+        kind: Kind.VARIABLE_DEFINITION,
+        variable,
+        type: parseType(String(arg.type)),
+      }: any)
+    );
+    argNodes.push({ kind: Kind.ARGUMENT, name: nameNode(arg.name), value: variable });
+  });
+
+  const document: any = {
+    kind: Kind.DOCUMENT,
+    definitions: [
+      {
+        kind: Kind.OPERATION_DEFINITION,
+        operation,
+        variableDefinitions,
+        directives: [],
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections: [
+            {
+              kind: Kind.FIELD,
+              name: nameNode(fieldName),
+              arguments: argNodes,
+              directives: [],
+              selectionSet,
+            },
+          ],
+        },
+      },
+    ],
+  };
+
+  return Promise.resolve(executor({ document, variables, context, info })).then(result => {
+    const data = result && result.data ? result.data[fieldName] : null;
+    if (result && result.errors && result.errors.length > 0 && data == null) {
+      throw new Error(result.errors.map(e => e.message).join('\n'));
+    }
+    markRemoteRecords(data);
+    return data;
+  });
+}
+
+// records returned by the remote service, their fields are keyed by aliases of the query
+const remoteRecords: WeakSet<{}> = new WeakSet();
+
+function markRemoteRecords(value: mixed) {
+  if (Array.isArray(value)) {
+    value.forEach(markRemoteRecords);
+  } else if (isObject(value) && !remoteRecords.has(value)) {
+    remoteRecords.add(value);
+    Object.keys(value).forEach(key => markRemoteRecords(value[key]));
+  }
+}
+
+function resolveRemoteField(source: any, args: any, context: any, info: GraphQLResolveInfo): mixed {
+  if (isObject(source) && remoteRecords.has(source)) {
+    return source[String(info.path.key)];
+  }
+  return defaultFieldResolver(source, args, context, info);
+}
+
+function replaceBuiltIns(sc: SchemaComposer<any>) {
+  const replaced: Map<string, ScalarTypeComposer<any>> = new Map();
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    if (!(tc instanceof ScalarTypeComposer)) return;
+    const builtIn = sc.typeMapper.getBuiltInType(tc.getTypeName());
+    if (!builtIn || builtIn.getType() === tc.getType()) return;
+    sc.forEach((value, key) => {
+      if (value === tc) sc.delete(key);
+    });
+    sc.set(tc.getTypeName(), builtIn);
+    replaced.set(tc.getTypeName(), builtIn);
+  });
+  if (replaced.size > 0) {
+    replaceTypeReferences(getSchemaComposerTypes(sc), typeName => replaced.get(typeName));
+  }
+
+  // built-in directives are registered first, so their remote copies are removed
+  const directiveNames = new Set();
+  sc.getDirectives().forEach(directive => {
+    if (directiveNames.has(directive.name)) {
+      sc.removeDirective(directive);
+    } else {
+      directiveNames.add(directive.name);
+    }
+  });
+}
+
+function nameNode(value: string): any {
+  return { kind: Kind.NAME, value };
+}
+
+function getFields(type: ?GraphQLCompositeType): { [fieldName: string]: any } {
+  return isObjectType(type) || isInterfaceType(type) ? (type: any).getFields() : {};
+}
+
+function buildSelectionSet(
+  schema: GraphQLSchema,
+  info: GraphQLResolveInfo,
+  selections: $ReadOnlyArray<SelectionNode>,
+  remoteOutputType: GraphQLOutputType,
+  localOutputType: ?GraphQLOutputType
+): ?SelectionSetNode {
+  const remoteType = getNamedType(remoteOutputType);
+  if (isLeafType(remoteType) || !isCompositeType(remoteType)) return undefined;
+  const localType: any = localOutputType ? getNamedType(localOutputType) : null;
+
+  const result = buildSelections(schema, info, selections, (remoteType: any), localType);
+  // `__typename` is required by abstract types and keeps selection set non-empty
+  if (isAbstractType(remoteType) || result.length === 0) {
+    result.unshift({ kind: Kind.FIELD, name: nameNode('__typename') });
+  }
+  return { kind: Kind.SELECTION_SET, selections: result };
+}
+
+function buildSelections(
+  schema: GraphQLSchema,
+  info: GraphQLResolveInfo,
+  selections: $ReadOnlyArray<SelectionNode>,
+  remoteType: GraphQLCompositeType,
+  localType: ?GraphQLCompositeType
+): Array<SelectionNode> {
+  const remoteFields = getFields(remoteType);
+  const localFields = getFields(localType);
+  const result = [];
+
+  selections.forEach(node => {
+    if (node.kind === Kind.FIELD) {
+      const name = node.name.value;
+      if (name === '__typename') {
+        result.push(node);
+      } else if (remoteFields[name]) {
+        // aliases are kept, so the same field may be requested with different args
+        result.push(
+          ({
+            ...node,
+            selectionSet: buildSelectionSet(
+              schema,
+              info,
+              node.selectionSet ? node.selectionSet.selections : [],
+              remoteFields[name].type,
+              localFields[name] ? localFields[name].type : null
+            ),
+          }: any)
+        );
+      } else if (localFields[name] && localFields[name].projection) {
+        Object.keys(localFields[name].projection).forEach(key => {
+          if (remoteFields[key] && isLeafType(getNamedType(remoteFields[key].type))) {
+            result.push({ kind: Kind.FIELD, name: nameNode(key) });
+          }
+        });
+      }
+    } else {
+      const fragment =
+        node.kind === Kind.FRAGMENT_SPREAD ? info.fragments[node.name.value] : (node: any);
+      if (!fragment) return;
+      const typeName = fragment.typeCondition ? fragment.typeCondition.name.value : null;
+      const remoteCondType: any = typeName ? schema.getType(typeName) : remoteType;
+      if (!isCompositeType(remoteCondType)) return;
+      const localCondType: any = typeName ? info.schema.getType(typeName) : localType;
+      const fragmentSelections = buildSelections(
+        schema,
+        info,
+        fragment.selectionSet.selections,
+        remoteCondType,
+        localCondType
+      );
+      if (fragmentSelections.length === 0) {
+        fragmentSelections.push({ kind: Kind.FIELD, name: nameNode('__typename') });
+      }
+      result.push(
+        ({
+          kind: Kind.INLINE_FRAGMENT,
+          typeCondition: fragment.typeCondition,
+          directives: node.directives,
+          selectionSet: { kind: Kind.SELECTION_SET, selections: fragmentSelections },
+        }: any)
+      );
+    }
+  });
+
+  return result;
+}
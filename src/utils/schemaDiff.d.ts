@@ -0,0 +1,60 @@
+import { SchemaComposer } from '../SchemaComposer';
+import { NamedTypeComposer } from './typeHelpers';
+
+export type SchemaChangeCriticality = 'BREAKING' | 'DANGEROUS' | 'SAFE';
+
+export type SchemaChangeType =
+  | 'TYPE_ADDED'
+  | 'TYPE_REMOVED'
+  | 'TYPE_KIND_CHANGED'
+  | 'FIELD_ADDED'
+  | 'FIELD_REMOVED'
+  | 'FIELD_TYPE_CHANGED'
+  | 'ARG_ADDED'
+  | 'ARG_REMOVED'
+  | 'ARG_TYPE_CHANGED'
+  | 'ARG_DEFAULT_VALUE_CHANGED'
+  | 'INPUT_FIELD_DEFAULT_VALUE_CHANGED'
+  | 'ENUM_VALUE_ADDED'
+  | 'ENUM_VALUE_REMOVED'
+  | 'INTERFACE_ADDED'
+  | 'INTERFACE_REMOVED'
+  | 'UNION_MEMBER_ADDED'
+  | 'UNION_MEMBER_REMOVED';
+
+export interface SchemaChange {
+  type: SchemaChangeType;
+  criticality: SchemaChangeCriticality;
+  typeName: string;
+  /**
+   * `TypeName`, `TypeName.fieldName`, `TypeName.fieldName.@argName` or `EnumName.VALUE`.
+   * Path without type name may be passed to `tc.get()` for fields and args.
+   */
+  path: string;
+  message: string;
+}
+
+/**
+ * Compare two SchemaComposers and return a list of changes
+ * which should be applied to `oldSC` for obtaining `newSC`.
+ */
+export function diffSchemaComposers(
+  oldSC: SchemaComposer<any>,
+  newSC: SchemaComposer<any>
+): SchemaChange[];
+
+/**
+ * Compare two type composers of the same kind.
+ */
+export function diffTypeComposers(
+  oldTC: NamedTypeComposer<any>,
+  newTC: NamedTypeComposer<any>
+): SchemaChange[];
+
+/**
+ * Returns only changes with provided criticality.
+ */
+export function filterSchemaChanges(
+  changes: SchemaChange[],
+  criticality: SchemaChangeCriticality
+): SchemaChange[];
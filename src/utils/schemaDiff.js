@@ -0,0 +1,485 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import type { SchemaComposer } from '../SchemaComposer';
+import type { NamedTypeComposer } from './typeHelpers';
+import { getSchemaComposerTypes } from './schemaPrinter';
+import { inspect } from './misc';
+
+export type SchemaChangeCriticality = 'BREAKING' | 'DANGEROUS' | 'SAFE';
+
+export type SchemaChangeType =
+  | 'TYPE_ADDED'
+  | 'TYPE_REMOVED'
+  | 'TYPE_KIND_CHANGED'
+  | 'FIELD_ADDED'
+  | 'FIELD_REMOVED'
+  | 'FIELD_TYPE_CHANGED'
+  | 'ARG_ADDED'
+  | 'ARG_REMOVED'
+  | 'ARG_TYPE_CHANGED'
+  | 'ARG_DEFAULT_VALUE_CHANGED'
+  | 'INPUT_FIELD_DEFAULT_VALUE_CHANGED'
+  | 'ENUM_VALUE_ADDED'
+  | 'ENUM_VALUE_REMOVED'
+  | 'INTERFACE_ADDED'
+  | 'INTERFACE_REMOVED'
+  | 'UNION_MEMBER_ADDED'
+  | 'UNION_MEMBER_REMOVED';
+
+export type SchemaChange = {
+  type: SchemaChangeType,
+  criticality: SchemaChangeCriticality,
+  typeName: string,
+  // `TypeName`, `TypeName.fieldName`, `TypeName.fieldName.@argName` or `EnumName.VALUE`.
+  // Path without type name may be passed to `tc.get()` for fields and args.
+  path: string,
+  message: string,
+};
+
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+/**
+ * Compare two SchemaComposers and return a list of changes
+ * which should be applied to `oldSC` for obtaining `newSC`.
+ */
+export function diffSchemaComposers(
+  oldSC: SchemaComposer<any>,
+  newSC: SchemaComposer<any>
+): Array<SchemaChange> {
+  const changes = [];
+  const oldTypes = getTypeMap(oldSC);
+  const newTypes = getTypeMap(newSC);
+
+  Object.keys(oldTypes).forEach(typeName => {
+    const oldTC = oldTypes[typeName];
+    const newTC = newTypes[typeName];
+    if (!newTC) {
+      changes.push(
+        change('TYPE_REMOVED', 'BREAKING', typeName, typeName, `Type ${typeName} was removed.`)
+      );
+    } else if (getKind(oldTC) !== getKind(newTC)) {
+      changes.push(
+        change(
+          'TYPE_KIND_CHANGED',
+          'BREAKING',
+          typeName,
+          typeName,
+          `Type ${typeName} changed from ${getKind(oldTC)} to ${getKind(newTC)}.`
+        )
+      );
+    } else {
+      changes.push(...diffTypeComposers(oldTC, newTC));
+    }
+  });
+
+  Object.keys(newTypes).forEach(typeName => {
+    if (!oldTypes[typeName]) {
+      changes.push(change('TYPE_ADDED', 'SAFE', typeName, typeName, `Type ${typeName} was added.`));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two type composers of the same kind.
+ */
+export function diffTypeComposers(
+  oldTC: NamedTypeComposer<any>,
+  newTC: NamedTypeComposer<any>
+): Array<SchemaChange> {
+  if (
+    (oldTC instanceof ObjectTypeComposer && newTC instanceof ObjectTypeComposer) ||
+    (oldTC instanceof InterfaceTypeComposer && newTC instanceof InterfaceTypeComposer)
+  ) {
+    return [...diffInterfaces(oldTC, newTC), ...diffFields(oldTC, newTC)];
+  } else if (oldTC instanceof InputTypeComposer && newTC instanceof InputTypeComposer) {
+    return diffInputFields(oldTC, newTC);
+  } else if (oldTC instanceof EnumTypeComposer && newTC instanceof EnumTypeComposer) {
+    return diffEnumValues(oldTC, newTC);
+  } else if (oldTC instanceof UnionTypeComposer && newTC instanceof UnionTypeComposer) {
+    return diffUnionMembers(oldTC, newTC);
+  }
+  return [];
+}
+
+/**
+ * Returns only changes with provided criticality.
+ */
+export function filterSchemaChanges(
+  changes: Array<SchemaChange>,
+  criticality: SchemaChangeCriticality
+): Array<SchemaChange> {
+  return changes.filter(c => c.criticality === criticality);
+}
+
+function change(
+  type: SchemaChangeType,
+  criticality: SchemaChangeCriticality,
+  typeName: string,
+  path: string,
+  message: string
+): SchemaChange {
+  return { type, criticality, typeName, path, message };
+}
+
+function getTypeMap(sc: SchemaComposer<any>): { [typeName: string]: NamedTypeComposer<any> } {
+  const result = {};
+  getSchemaComposerTypes(sc).forEach(tc => {
+    const typeName = tc.getTypeName();
+    // root types are created by getters, so treat empty ones as missing
+    if (
+      ROOT_TYPE_NAMES.indexOf(typeName) !== -1 &&
+      tc instanceof ObjectTypeComposer &&
+      tc.getFieldNames().length === 0
+    ) {
+      return;
+    }
+    result[typeName] = tc;
+  });
+  return result;
+}
+
+function getKind(tc: NamedTypeComposer<any>): string {
+  if (tc instanceof ObjectTypeComposer) return 'ObjectType';
+  if (tc instanceof InputTypeComposer) return 'InputType';
+  if (tc instanceof InterfaceTypeComposer) return 'InterfaceType';
+  if (tc instanceof UnionTypeComposer) return 'UnionType';
+  if (tc instanceof EnumTypeComposer) return 'EnumType';
+  if (tc instanceof ScalarTypeComposer) return 'ScalarType';
+  return 'UnknownType';
+}
+
+function diffInterfaces(
+  oldTC: ObjectTypeComposer<any, any> | InterfaceTypeComposer<any, any>,
+  newTC: ObjectTypeComposer<any, any> | InterfaceTypeComposer<any, any>
+): Array<SchemaChange> {
+  if (!(oldTC instanceof ObjectTypeComposer) || !(newTC instanceof ObjectTypeComposer)) return [];
+
+  const typeName = oldTC.getTypeName();
+  const oldNames = oldTC.getInterfaces().map(i => i.getTypeName());
+  const newNames = newTC.getInterfaces().map(i => i.getTypeName());
+  return [
+    ...oldNames
+      .filter(name => newNames.indexOf(name) === -1)
+      .map(name =>
+        change(
+          'INTERFACE_REMOVED',
+          'BREAKING',
+          typeName,
+          typeName,
+          `${typeName} no longer implements interface ${name}.`
+        )
+      ),
+    ...newNames
+      .filter(name => oldNames.indexOf(name) === -1)
+      .map(name =>
+        change(
+          'INTERFACE_ADDED',
+          'DANGEROUS',
+          typeName,
+          typeName,
+          `Interface ${name} was added to ${typeName}.`
+        )
+      ),
+  ];
+}
+
+function diffFields(
+  oldTC: ObjectTypeComposer<any, any> | InterfaceTypeComposer<any, any>,
+  newTC: ObjectTypeComposer<any, any> | InterfaceTypeComposer<any, any>
+): Array<SchemaChange> {
+  const changes = [];
+  const typeName = oldTC.getTypeName();
+
+  oldTC.getFieldNames().forEach(fieldName => {
+    const path = `${typeName}.${fieldName}`;
+    if (!newTC.hasField(fieldName)) {
+      changes.push(change('FIELD_REMOVED', 'BREAKING', typeName, path, `${path} was removed.`));
+      return;
+    }
+
+    const oldType = oldTC.getFieldTypeName(fieldName);
+    const newType = newTC.getFieldTypeName(fieldName);
+    if (oldType !== newType) {
+      changes.push(
+        change(
+          'FIELD_TYPE_CHANGED',
+          isSafeOutputTypeChange(oldType, newType) ? 'SAFE' : 'BREAKING',
+          typeName,
+          path,
+          `${path} changed type from ${oldType} to ${newType}.`
+        )
+      );
+    }
+
+    changes.push(
+      ...diffArgs(typeName, fieldName, oldTC.getFieldArgs(fieldName), newTC.getFieldArgs(fieldName))
+    );
+  });
+
+  newTC.getFieldNames().forEach(fieldName => {
+    if (!oldTC.hasField(fieldName)) {
+      const path = `${typeName}.${fieldName}`;
+      changes.push(change('FIELD_ADDED', 'SAFE', typeName, path, `${path} was added.`));
+    }
+  });
+
+  return changes;
+}
+
+function diffArgs(
+  typeName: string,
+  fieldName: string,
+  oldArgs: { [argName: string]: any },
+  newArgs: { [argName: string]: any }
+): Array<SchemaChange> {
+  const changes = [];
+
+  Object.keys(oldArgs).forEach(argName => {
+    const path = `${typeName}.${fieldName}.@${argName}`;
+    const newArg = newArgs[argName];
+    if (!newArg) {
+      changes.push(change('ARG_REMOVED', 'BREAKING', typeName, path, `${path} was removed.`));
+      return;
+    }
+
+    const oldArg = oldArgs[argName];
+    const oldType = oldArg.type.getTypeName();
+    const newType = newArg.type.getTypeName();
+    if (oldType !== newType) {
+      changes.push(
+        change(
+          'ARG_TYPE_CHANGED',
+          isSafeInputTypeChange(oldType, newType) ? 'SAFE' : 'BREAKING',
+          typeName,
+          path,
+          `${path} changed type from ${oldType} to ${newType}.`
+        )
+      );
+    }
+
+    if (
+      oldArg.defaultValue !== undefined &&
+      !isEqualValue(oldArg.defaultValue, newArg.defaultValue)
+    ) {
+      changes.push(
+        change(
+          'ARG_DEFAULT_VALUE_CHANGED',
+          'DANGEROUS',
+          typeName,
+          path,
+          `${path} changed default value from ${inspect(oldArg.defaultValue)} to ${inspect(
+            newArg.defaultValue
+          )}.`
+        )
+      );
+    }
+  });
+
+  Object.keys(newArgs).forEach(argName => {
+    if (!oldArgs[argName]) {
+      const path = `${typeName}.${fieldName}.@${argName}`;
+      const required = isRequiredInput(newArgs[argName]);
+      changes.push(
+        change(
+          'ARG_ADDED',
+          required ? 'BREAKING' : 'DANGEROUS',
+          typeName,
+          path,
+          `${required ? 'Required' : 'Optional'} argument ${path} was added.`
+        )
+      );
+    }
+  });
+
+  return changes;
+}
+
+function diffInputFields(
+  oldTC: InputTypeComposer<any>,
+  newTC: InputTypeComposer<any>
+): Array<SchemaChange> {
+  const changes = [];
+  const typeName = oldTC.getTypeName();
+
+  oldTC.getFieldNames().forEach(fieldName => {
+    const path = `${typeName}.${fieldName}`;
+    if (!newTC.hasField(fieldName)) {
+      changes.push(change('FIELD_REMOVED', 'BREAKING', typeName, path, `${path} was removed.`));
+      return;
+    }
+
+    const oldField = oldTC.getField(fieldName);
+    const newField = newTC.getField(fieldName);
+    const oldType = oldField.type.getTypeName();
+    const newType = newField.type.getTypeName();
+    if (oldType !== newType) {
+      changes.push(
+        change(
+          'FIELD_TYPE_CHANGED',
+          isSafeInputTypeChange(oldType, newType) ? 'SAFE' : 'BREAKING',
+          typeName,
+          path,
+          `${path} changed type from ${oldType} to ${newType}.`
+        )
+      );
+    }
+
+    if (
+      oldField.defaultValue !== undefined &&
+      !isEqualValue(oldField.defaultValue, newField.defaultValue)
+    ) {
+      changes.push(
+        change(
+          'INPUT_FIELD_DEFAULT_VALUE_CHANGED',
+          'DANGEROUS',
+          typeName,
+          path,
+          `${path} changed default value from ${inspect(oldField.defaultValue)} to ${inspect(
+            newField.defaultValue
+          )}.`
+        )
+      );
+    }
+  });
+
+  newTC.getFieldNames().forEach(fieldName => {
+    if (!oldTC.hasField(fieldName)) {
+      const path = `${typeName}.${fieldName}`;
+      const required = isRequiredInput(newTC.getField(fieldName));
+      changes.push(
+        change(
+          'FIELD_ADDED',
+          required ? 'BREAKING' : 'DANGEROUS',
+          typeName,
+          path,
+          `${required ? 'Required' : 'Optional'} input field ${path} was added.`
+        )
+      );
+    }
+  });
+
+  return changes;
+}
+
+function diffEnumValues(
+  oldTC: EnumTypeComposer<any>,
+  newTC: EnumTypeComposer<any>
+): Array<SchemaChange> {
+  const typeName = oldTC.getTypeName();
+  const oldNames = oldTC.getFieldNames();
+  const newNames = newTC.getFieldNames();
+  return [
+    ...oldNames
+      .filter(name => newNames.indexOf(name) === -1)
+      .map(name =>
+        change(
+          'ENUM_VALUE_REMOVED',
+          'BREAKING',
+          typeName,
+          `${typeName}.${name}`,
+          `${name} was removed from enum ${typeName}.`
+        )
+      ),
+    ...newNames
+      .filter(name => oldNames.indexOf(name) === -1)
+      .map(name =>
+        change(
+          'ENUM_VALUE_ADDED',
+          'DANGEROUS',
+          typeName,
+          `${typeName}.${name}`,
+          `${name} was added to enum ${typeName}.`
+        )
+      ),
+  ];
+}
+
+function diffUnionMembers(
+  oldTC: UnionTypeComposer<any, any>,
+  newTC: UnionTypeComposer<any, any>
+): Array<SchemaChange> {
+  const typeName = oldTC.getTypeName();
+  const oldNames = oldTC.getTypeNames();
+  const newNames = newTC.getTypeNames();
+  return [
+    ...oldNames
+      .filter(name => newNames.indexOf(name) === -1)
+      .map(name =>
+        change(
+          'UNION_MEMBER_REMOVED',
+          'BREAKING',
+          typeName,
+          typeName,
+          `${name} was removed from union ${typeName}.`
+        )
+      ),
+    ...newNames
+      .filter(name => oldNames.indexOf(name) === -1)
+      .map(name =>
+        change(
+          'UNION_MEMBER_ADDED',
+          'DANGEROUS',
+          typeName,
+          typeName,
+          `${name} was added to union ${typeName}.`
+        )
+      ),
+  ];
+}
+
+function isRequiredInput(config: { type: any, defaultValue?: any }): boolean {
+  return config.type.getTypeName().endsWith('!') && config.defaultValue === undefined;
+}
+
+/**
+ * Output types may become more strict (eg. `String` -> `String!`).
+ * Accepts wrapped type names like `[String!]!`.
+ */
+function isSafeOutputTypeChange(oldType: string, newType: string): boolean {
+  if (newType.endsWith('!')) {
+    return isSafeOutputTypeChange(
+      oldType.endsWith('!') ? oldType.slice(0, -1) : oldType,
+      newType.slice(0, -1)
+    );
+  }
+  if (oldType.endsWith('!')) return false;
+  if (isList(oldType) && isList(newType)) {
+    return isSafeOutputTypeChange(oldType.slice(1, -1), newType.slice(1, -1));
+  }
+  return oldType === newType;
+}
+
+/**
+ * Input types may become less strict (eg. `String!` -> `String`).
+ * Accepts wrapped type names like `[String!]!`.
+ */
+function isSafeInputTypeChange(oldType: string, newType: string): boolean {
+  if (oldType.endsWith('!')) {
+    return isSafeInputTypeChange(
+      oldType.slice(0, -1),
+      newType.endsWith('!') ? newType.slice(0, -1) : newType
+    );
+  }
+  if (newType.endsWith('!')) return false;
+  if (isList(oldType) && isList(newType)) {
+    return isSafeInputTypeChange(oldType.slice(1, -1), newType.slice(1, -1));
+  }
+  return oldType === newType;
+}
+
+function isList(typeName: string): boolean {
+  return typeName.startsWith('[');
+}
+
+function isEqualValue(a: mixed, b: mixed): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,37 @@
+import { SchemaComposer } from '../SchemaComposer';
+import { NamedTypeComposer } from './typeHelpers';
+
+export type SchemaMergeConflictFn = (
+  ours: NamedTypeComposer<any>,
+  theirs: NamedTypeComposer<any>
+) => any;
+
+export type SchemaMergeOpts = {
+  /**
+   * Prefix for names of incoming types (except root types and scalars), eg. `Billing`
+   */
+  prefix?: string;
+  /**
+   * New names of incoming types, eg. `{ Status: 'BillingStatus' }`; has priority over `prefix`
+   */
+  rename?: { [typeName: string]: string } | ((typeName: string) => string | null | void);
+  /**
+   * What to do with incoming type if type with the same name exists, by default `merge`
+   */
+  onConflict?: 'merge' | 'throw' | 'ours' | 'theirs' | SchemaMergeConflictFn;
+  /**
+   * Name of the field in Query and Mutation which will contain incoming root fields, eg. `billing`
+   */
+  namespace?: string;
+};
+
+/**
+ * Merge types from `source` to `target` SchemaComposer with renaming, conflict
+ * resolution and namespacing of root fields. References to the incoming types
+ * are rewritten to the types of `target`. Source SchemaComposer is not modified.
+ */
+export function mergeSchemaComposers(
+  target: SchemaComposer<any>,
+  source: SchemaComposer<any>,
+  opts?: SchemaMergeOpts
+): void;
@@ -0,0 +1,203 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import type { NamedTypeComposer } from './typeHelpers';
+import { getComposeTypeName, isNamedTypeComposer } from './typeHelpers';
+import { getSchemaComposerTypes, isBuiltInType } from './schemaPrinter';
+import { cloneSchemaComposer, replaceTypeReferences } from './cloneSchemaComposer';
+import { isFunction } from './is';
+import { upperFirst } from './misc';
+
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+export type SchemaMergeConflictFn = (
+  ours: NamedTypeComposer<any>,
+  theirs: NamedTypeComposer<any>
+) => mixed;
+
+export type SchemaMergeOpts = {
+  // prefix for names of incoming types (except root types and scalars), eg. `Billing`
+  prefix?: string,
+  // new names of incoming types, eg. `{ Status: 'BillingStatus' }`; has priority over `prefix`
+  rename?: { [typeName: string]: string } | ((typeName: string) => ?string),
+  // what to do with incoming type if type with the same name exists, by default `merge`
+  onConflict?: 'merge' | 'throw' | 'ours' | 'theirs' | SchemaMergeConflictFn,
+  // name of the field in Query and Mutation which will contain incoming root fields, eg. `billing`
+  namespace?: string,
+};
+
+/**
+ * Merge types from `source` to `target` SchemaComposer with renaming, conflict
+ * resolution and namespacing of root fields. References to the incoming types
+ * are rewritten to the types of `target`. Source SchemaComposer is not modified.
+ */
+export function mergeSchemaComposers(
+  target: SchemaComposer<any>,
+  source: SchemaComposer<any>,
+  opts: SchemaMergeOpts = {}
+): void {
+  const onConflict = opts.onConflict || 'merge';
+  // private copy which may be freely modified
+  const sc = cloneSchemaComposer(source);
+  const renamed = renameTypes(sc, opts);
+  if (opts.namespace) {
+    namespaceRootFields(sc, opts.namespace);
+  }
+
+  const incoming = getSchemaComposerTypes(sc).filter(
+    tc => !isBuiltInType(tc) && !ROOT_TYPE_NAMES.includes(tc.getTypeName())
+  );
+
+  if (onConflict === 'throw') {
+    // check before any modification, so `target` stays untouched on error
+    assertNoConflicts(target, sc, incoming);
+  }
+
+  // register new types before rewriting references, so incoming types may point to them
+  const newTypes = [];
+  incoming.forEach((tc: any) => {
+    const typeName = tc.getTypeName();
+    if (!target.has(typeName)) {
+      target.set(typeName, tc.constructor.createTemp(typeName, target));
+      newTypes.push(tc);
+    }
+  });
+
+  replaceTypeReferences(getSchemaComposerTypes(sc), typeName =>
+    target.has(typeName) ? target.get(typeName) : null
+  );
+
+  incoming.forEach((tc: any) => {
+    const ours: any = target.get(tc.getTypeName());
+    if (newTypes.includes(tc) || onConflict === 'theirs') {
+      tc.clone(ours);
+      if (tc instanceof ObjectTypeComposer) {
+        ours.setIsTypeOf(tc.getIsTypeOf());
+      } else if (tc instanceof InterfaceTypeComposer || tc instanceof UnionTypeComposer) {
+        ours.setResolveType(renameResolvedType(tc.getResolveType(), renamed));
+      }
+    } else if (onConflict === 'merge') {
+      ours.merge(tc);
+    } else if (isFunction(onConflict)) {
+      onConflict(ours, tc);
+    }
+  });
+
+  ROOT_TYPE_NAMES.forEach(rootName => {
+    if (!sc.has(rootName)) return;
+    const theirs = sc.getOTC(rootName);
+    const ours = target.getOrCreateOTC(rootName);
+    theirs.getFieldNames().forEach(fieldName => {
+      if (onConflict === 'ours' && ours.hasField(fieldName)) return;
+      ours.setField(fieldName, theirs.getField(fieldName));
+    });
+  });
+
+  sc.getDirectives().forEach(directive => target.addDirective(directive));
+
+  sc._schemaMustHaveTypes.forEach((type: any) => {
+    const typeName = isNamedTypeComposer(type) ? type.getTypeName() : getComposeTypeName(type);
+    if (target.has(typeName)) target.addSchemaMustHaveType(target.get(typeName));
+  });
+}
+
+function assertNoConflicts(
+  target: SchemaComposer<any>,
+  sc: SchemaComposer<any>,
+  incoming: Array<NamedTypeComposer<any>>
+) {
+  incoming.forEach(tc => {
+    const typeName = tc.getTypeName();
+    if (target.has(typeName)) {
+      throw new Error(
+        `Cannot merge type ${typeName}. SchemaComposer already has type with the same name.`
+      );
+    }
+  });
+  ROOT_TYPE_NAMES.forEach(rootName => {
+    if (!sc.has(rootName) || !target.has(rootName)) return;
+    const ours = target.getOTC(rootName);
+    sc.getOTC(rootName)
+      .getFieldNames()
+      .forEach(fieldName => {
+        if (ours.hasField(fieldName)) {
+          throw new Error(
+            `Cannot merge field ${rootName}.${fieldName}. SchemaComposer already has field with the same name.`
+          );
+        }
+      });
+  });
+}
+
+function getNewTypeName(tc: NamedTypeComposer<any>, opts: SchemaMergeOpts): string {
+  const typeName = tc.getTypeName();
+  const { rename, prefix } = opts;
+  if (isFunction(rename)) {
+    const newName = (rename: any)(typeName);
+    if (newName) return newName;
+  } else if (rename && rename[typeName]) {
+    return rename[typeName];
+  }
+  if (prefix && !(tc instanceof ScalarTypeComposer)) {
+    return `${prefix}${typeName}`;
+  }
+  return typeName;
+}
+
+// returns map of old type names to new ones
+function renameTypes(sc: SchemaComposer<any>, opts: SchemaMergeOpts): Map<string, string> {
+  const renamed = new Map();
+  if (!opts.prefix && !opts.rename) return renamed;
+
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    const typeName = tc.getTypeName();
+    if (isBuiltInType(tc) || ROOT_TYPE_NAMES.includes(typeName)) return;
+    const newTypeName = getNewTypeName(tc, opts);
+    if (newTypeName === typeName) return;
+    sc.delete(typeName);
+    tc.setTypeName(newTypeName);
+    sc.set(newTypeName, tc);
+    renamed.set(typeName, newTypeName);
+  });
+
+  // `resolveType` of cloned abstract types returns names of the original types
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    if (tc instanceof InterfaceTypeComposer || tc instanceof UnionTypeComposer) {
+      tc.setResolveType(renameResolvedType(tc.getResolveType(), renamed));
+    }
+  });
+
+  return renamed;
+}
+
+function renameResolvedType(resolveType: ?Function, renamed: Map<string, string>): ?Function {
+  if (!resolveType || renamed.size === 0) return resolveType;
+  const rename = name => (typeof name === 'string' && renamed.get(name)) || name;
+  return (value, context, info, abstractType) => {
+    const result = resolveType(value, context, info, abstractType);
+    if (result && isFunction(result.then)) return result.then(rename);
+    return rename(result);
+  };
+}
+
+// moves fields of Query and Mutation to the nested type, eg. `Query.billing: BillingQuery`
+function namespaceRootFields(sc: SchemaComposer<any>, namespace: string) {
+  ['Query', 'Mutation'].forEach(rootName => {
+    if (!sc.has(rootName)) return;
+    const rootTC = sc.getOTC(rootName);
+    if (rootTC.getFieldNames().length === 0) return;
+    const namespaceTC = rootTC.clone(`${upperFirst(namespace)}${rootName}`);
+    sc.set(namespaceTC.getTypeName(), namespaceTC);
+    rootTC.setFields({
+      [namespace]: {
+        type: namespaceTC,
+        resolve: () => ({}),
+      },
+    });
+  });
+}
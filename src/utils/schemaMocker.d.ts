@@ -0,0 +1,39 @@
+import { GraphQLSchema, GraphQLResolveInfo, GraphQLFieldResolver } from '../graphql';
+import { SchemaComposer } from '../SchemaComposer';
+
+export type MockTypeFn = (
+  source: any,
+  args: { [argName: string]: any },
+  context: any,
+  info: GraphQLResolveInfo
+) => any;
+
+export interface MockSchemaMocks {
+  /**
+   * `{ User: { name: () => 'John' } }` - the same shape as `addResolveMethods()` accepts
+   * `{ Date: () => new Date() }` - mock for every value of provided type
+   */
+  [typeName: string]: MockTypeFn | { [fieldName: string]: GraphQLFieldResolver<any, any> };
+}
+
+export interface MockSchemaOpts {
+  mocks?: MockSchemaMocks;
+  /**
+   * Keep existing `resolve` methods, by default `true`
+   */
+  preserveResolvers?: boolean;
+  /**
+   * Length of generated lists, by default `2`
+   */
+  listLength?: number;
+  /**
+   * Random number generator in [0, 1) range, by default `Math.random`
+   */
+  random?: () => number;
+}
+
+/**
+ * Build GraphQLSchema where every field without `resolve` method returns generated data.
+ * Provided SchemaComposer is not modified.
+ */
+export function buildMockedSchema(sc: SchemaComposer<any>, opts?: MockSchemaOpts): GraphQLSchema;
@@ -0,0 +1,213 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { GraphQLSchema, GraphQLResolveInfo, GraphQLFieldResolver } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import { ListComposer } from '../ListComposer';
+import { NonNullComposer } from '../NonNullComposer';
+import { ThunkComposer } from '../ThunkComposer';
+import { getSchemaComposerTypes } from './schemaPrinter';
+import { cloneSchemaComposer } from './cloneSchemaComposer';
+import type { AnyTypeComposer } from './typeHelpers';
+import { isFunction, isObject } from './is';
+import { inspect } from './misc';
+
+export type MockTypeFn = (
+  source: any,
+  args: { [argName: string]: any },
+  context: any,
+  info: GraphQLResolveInfo
+) => mixed;
+
+export type MockSchemaMocks = {
+  // `{ User: { name: () => 'John' } }` - the same shape as `addResolveMethods()` accepts
+  // `{ Date: () => new Date() }` - mock for every value of provided type
+  [typeName: string]: MockTypeFn | { [fieldName: string]: GraphQLFieldResolver<any, any> },
+};
+
+export type MockSchemaOpts = {
+  mocks?: MockSchemaMocks,
+  // keep existing `resolve` methods, by default `true`
+  preserveResolvers?: boolean,
+  // length of generated lists, by default `2`
+  listLength?: number,
+  // random number generator in [0, 1) range, by default `Math.random`
+  random?: () => number,
+};
+
+/**
+ * Build GraphQLSchema where every field without `resolve` method returns generated data.
+ * Provided SchemaComposer is not modified.
+ */
+export function buildMockedSchema(
+  sc: SchemaComposer<any>,
+  opts: MockSchemaOpts = {}
+): GraphQLSchema {
+  const mockSC = cloneSchemaComposer(sc);
+  const mocker = new SchemaMocker(mockSC, opts);
+
+  getSchemaComposerTypes(mockSC).forEach((tc: any) => {
+    if (tc instanceof ObjectTypeComposer) {
+      mocker.mockFields(tc);
+    } else if (tc instanceof InterfaceTypeComposer || tc instanceof UnionTypeComposer) {
+      mockResolveType(tc, tc.getResolveType());
+    }
+  });
+
+  return mockSC.buildSchema();
+}
+
+class SchemaMocker {
+  sc: SchemaComposer<any>;
+  mocks: MockSchemaMocks;
+  preserveResolvers: boolean;
+  listLength: number;
+  random: () => number;
+
+  constructor(sc: SchemaComposer<any>, opts: MockSchemaOpts) {
+    this.sc = sc;
+    this.mocks = opts.mocks || {};
+    this.preserveResolvers = opts.preserveResolvers !== false;
+    this.listLength = opts.listLength !== undefined ? opts.listLength : 2;
+    this.random = opts.random || Math.random;
+
+    Object.keys(this.mocks).forEach(typeName => {
+      const mock = this.mocks[typeName];
+      const isFieldMocks =
+        isObject(mock) && sc.has(typeName) && sc.get(typeName) instanceof ObjectTypeComposer;
+      if (!isFunction(mock) && !isFieldMocks) {
+        throw new Error(`Cannot add mock to the following type ${inspect(typeName)}`);
+      }
+    });
+  }
+
+  mockFields(tc: ObjectTypeComposer<any, any>) {
+    const typeName = tc.getTypeName();
+    const fieldMocks: any = isFunction(this.mocks[typeName]) ? {} : this.mocks[typeName] || {};
+
+    tc.getFieldNames().forEach(fieldName => {
+      const fc = tc.getField(fieldName);
+      if (fieldMocks[fieldName]) {
+        tc.extendField(fieldName, { resolve: fieldMocks[fieldName] });
+      } else if (!fc.resolve || !this.preserveResolvers) {
+        tc.extendField(fieldName, {
+          resolve: (source, args, context, info) => {
+            if (isObject(source) && source[fieldName] !== undefined) {
+              const value = source[fieldName];
+              return isFunction(value) ? value(args, context, info) : value;
+            }
+            return this.mockValue(fc.type, source, args, context, info);
+          },
+        });
+      }
+    });
+  }
+
+  mockValue(
+    type: AnyTypeComposer<any>,
+    source: any,
+    args: { [argName: string]: any },
+    context: any,
+    info: GraphQLResolveInfo
+  ): mixed {
+    if (type instanceof NonNullComposer || type instanceof ThunkComposer) {
+      return this.mockValue(type.ofType, source, args, context, info);
+    } else if (type instanceof ListComposer) {
+      const result = [];
+      for (let i = 0; i < this.listLength; i++) {
+        result.push(this.mockValue(type.ofType, source, args, context, info));
+      }
+      return result;
+    }
+
+    const typeName = type.getTypeName();
+    const typeMock = this.mocks[typeName];
+    const mockFn: ?MockTypeFn = isFunction(typeMock) ? (typeMock: any) : null;
+
+    if (type instanceof ObjectTypeComposer) {
+      return mockFn ? { ...(mockFn(source, args, context, info): any) } : {};
+    } else if (type instanceof InterfaceTypeComposer || type instanceof UnionTypeComposer) {
+      if (mockFn) return mockFn(source, args, context, info);
+      const possibleTypes = info.schema.getPossibleTypes((info.schema.getType(typeName): any));
+      if (possibleTypes.length === 0) return null;
+      const concreteTC = this.sc.getOTC(this.pick(possibleTypes).name);
+      return {
+        ...(this.mockValue(concreteTC, source, args, context, info): any),
+        __typename: concreteTC.getTypeName(),
+      };
+    } else if (mockFn) {
+      return mockFn(source, args, context, info);
+    } else if (type instanceof EnumTypeComposer) {
+      const valueName = this.pick(type.getFieldNames());
+      if (valueName === undefined) return null;
+      const { value } = type.getField(valueName);
+      return value !== undefined ? value : valueName;
+    } else if (type instanceof ScalarTypeComposer) {
+      return this.mockScalar(typeName);
+    }
+    return null;
+  }
+
+  mockScalar(typeName: string): mixed {
+    switch (typeName) {
+      case 'Int':
+        return Math.round(this.random() * 200) - 100;
+      case 'Float':
+        return this.random() * 200 - 100;
+      case 'Boolean':
+        return this.random() > 0.5;
+      case 'ID':
+        return this.random()
+          .toString(36)
+          .substring(2, 10);
+      case 'Date':
+        return new Date();
+      case 'JSON':
+      case 'JSONObject':
+        return {};
+      case 'DateTime':
+        return new Date();
+      case 'LocalDate':
+        return new Date().toISOString().substring(0, 10);
+      case 'Time':
+        return new Date().toISOString().substring(11, 19);
+      case 'Duration':
+        return `PT${Math.round(this.random() * 100)}M`;
+      case 'EmailAddress':
+        return 'john.doe@example.com';
+      case 'URL':
+        return 'https://example.com/';
+      case 'UUID':
+        return 'xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx'.replace(/x/g, () =>
+          Math.floor(this.random() * 16).toString(16)
+        );
+      case 'BigInt':
+        return String(Math.round(this.random() * 2e9) - 1e9);
+      case 'Decimal':
+        return (this.random() * 200 - 100).toFixed(2);
+      default:
+        return 'Hello World';
+    }
+  }
+
+  pick<T>(values: $ReadOnlyArray<T>): T {
+    return values[Math.floor(this.random() * values.length)];
+  }
+}
+
+function mockResolveType(
+  tc: InterfaceTypeComposer<any, any> | UnionTypeComposer<any, any>,
+  resolveType: ?Function
+) {
+  tc.setResolveType((value, context, info, abstractType) => {
+    // values generated by mocker always have `__typename`
+    if (isObject(value) && typeof value.__typename === 'string') return value.__typename;
+    // values from preserved resolvers are checked by original resolveType
+    return resolveType ? resolveType(value, context, info, abstractType) : null;
+  });
+}
@@ -0,0 +1,78 @@
+import { GraphQLDirective } from '../graphql';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import { SchemaComposer } from '../SchemaComposer';
+import { NamedTypeComposer } from './typeHelpers';
+
+export type SchemaPrinterSortTypes = boolean | 'GROUP_BY_TYPE' | ((a: string, b: string) => number);
+
+export interface PrinterOptions {
+  omitDescriptions?: boolean;
+  omitDirectives?: boolean;
+  includeBuiltIns?: boolean;
+  sortAll?: boolean;
+  sortTypes?: SchemaPrinterSortTypes;
+  sortFields?: boolean;
+  sortArgs?: boolean;
+  sortEnums?: boolean;
+  sortInterfaces?: boolean;
+  sortUnions?: boolean;
+}
+
+export type TypeComposerPrinterOptions = PrinterOptions & {
+  deep?: boolean;
+  exclude?: string[];
+};
+
+export type SchemaComposerPrinterOptions = PrinterOptions & {
+  include?: string[];
+  exclude?: string[];
+  omitDirectiveDefinitions?: boolean;
+};
+
+/**
+ * Print all types and directives from SchemaComposer as SDL string.
+ */
+export function printSchemaComposer(
+  sc: SchemaComposer<any>,
+  opts?: SchemaComposerPrinterOptions
+): string;
+
+/**
+ * Print type composer as SDL string. With `deep: true` also prints all used types.
+ */
+export function printTypeComposer(
+  tc: NamedTypeComposer<any>,
+  opts?: TypeComposerPrinterOptions
+): string;
+
+export function printType(tc: NamedTypeComposer<any>, opts?: PrinterOptions): string;
+
+export function printObject(tc: ObjectTypeComposer<any, any>, opts?: PrinterOptions): string;
+
+export function printInterface(tc: InterfaceTypeComposer<any, any>, opts?: PrinterOptions): string;
+
+export function printUnion(tc: UnionTypeComposer<any, any>, opts?: PrinterOptions): string;
+
+export function printInputObject(tc: InputTypeComposer<any>, opts?: PrinterOptions): string;
+
+export function printEnum(tc: EnumTypeComposer<any>, opts?: PrinterOptions): string;
+
+export function printScalar(tc: ScalarTypeComposer<any>, opts?: PrinterOptions): string;
+
+export function printDirectiveDefinition(
+  directive: GraphQLDirective,
+  opts?: PrinterOptions
+): string;
+
+export function getSchemaComposerTypes(sc: SchemaComposer<any>): Array<NamedTypeComposer<any>>;
+
+export function getTypeComposerDeps(tc: NamedTypeComposer<any>): Array<NamedTypeComposer<any>>;
+
+export function isBuiltInType(tc: NamedTypeComposer<any>): boolean;
+
+export function isBuiltInDirective(directive: GraphQLDirective, sc: SchemaComposer<any>): boolean;
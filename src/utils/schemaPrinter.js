@@ -0,0 +1,452 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import {
+  astFromValue,
+  print,
+  isSpecifiedScalarType,
+  isSpecifiedDirective,
+  GraphQLDirective,
+  DEFAULT_DEPRECATION_REASON,
+} from '../graphql';
+import type { GraphQLInputType, ValueNode } from '../graphql';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import type { SchemaComposer } from '../SchemaComposer';
+import type { Extensions, ExtensionsDirective } from './definitions';
+import { isNamedTypeComposer, unwrapTC, type NamedTypeComposer } from './typeHelpers';
+import { isObject } from './is';
+
+export type SchemaPrinterSortTypes = boolean | 'GROUP_BY_TYPE' | ((a: string, b: string) => number);
+
+export type PrinterOptions = {
+  // do not print descriptions of types, fields, args and enum values
+  omitDescriptions?: boolean,
+  // do not print directives which are stored in `extensions.directives`
+  omitDirectives?: boolean,
+  // print SDL for built-in scalars and directives (String, Int, @skip, etc.)
+  includeBuiltIns?: boolean,
+  // shortcut for enabling all sort* options
+  sortAll?: boolean,
+  sortTypes?: SchemaPrinterSortTypes,
+  sortFields?: boolean,
+  sortArgs?: boolean,
+  sortEnums?: boolean,
+  sortInterfaces?: boolean,
+  sortUnions?: boolean,
+};
+
+export type TypeComposerPrinterOptions = PrinterOptions & {
+  // also print all types which are used by this type (fields, args, interfaces, union members)
+  deep?: boolean,
+  // type names which should not be printed
+  exclude?: string[],
+};
+
+export type SchemaComposerPrinterOptions = PrinterOptions & {
+  // print only types with provided names (root types are printed if they have fields)
+  include?: string[],
+  // type names which should not be printed
+  exclude?: string[],
+  omitDirectiveDefinitions?: boolean,
+};
+
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+/**
+ * Print all types and directives from SchemaComposer as SDL string.
+ * Unlike `printSchema()` from `graphql` it does not require `buildSchema()`,
+ * so it works even when Query type is missing.
+ */
+export function printSchemaComposer(
+  sc: SchemaComposer<any>,
+  opts: SchemaComposerPrinterOptions = {}
+): string {
+  const { include, exclude = [] } = opts;
+
+  const tcs: Array<NamedTypeComposer<any>> = [];
+  getSchemaComposerTypes(sc).forEach(tc => {
+    const typeName = tc.getTypeName();
+    if (exclude.indexOf(typeName) !== -1) return;
+    if (Array.isArray(include) && include.indexOf(typeName) === -1) return;
+    if (ROOT_TYPE_NAMES.indexOf(typeName) !== -1) {
+      // root types are created by getters, so skip empty ones
+      if (!(tc instanceof ObjectTypeComposer) || tc.getFieldNames().length === 0) return;
+    }
+    if (!opts.includeBuiltIns && isBuiltInType(tc)) return;
+    tcs.push(tc);
+  });
+
+  const directives = opts.omitDirectiveDefinitions
+    ? []
+    : sc
+        .getDirectives()
+        .filter(d => opts.includeBuiltIns || !isBuiltInDirective(d, sc))
+        .map(d => printDirectiveDefinition(d, opts));
+
+  return [...directives, ...printTypes(tcs, opts)].join('\n\n');
+}
+
+/**
+ * Print provided TypeComposer as SDL string.
+ * With `opts.deep` all dependent types will be printed after it.
+ */
+export function printTypeComposer(
+  tc: NamedTypeComposer<any>,
+  opts: TypeComposerPrinterOptions = {}
+): string {
+  if (!opts.deep) {
+    return printType(tc, opts);
+  }
+
+  const { exclude = [] } = opts;
+  const deps = getTypeComposerDeps(tc).filter(
+    t => exclude.indexOf(t.getTypeName()) === -1 && (opts.includeBuiltIns || !isBuiltInType(t))
+  );
+  return [printType(tc, opts), ...printTypes(deps, opts)].join('\n\n');
+}
+
+export function printType(tc: NamedTypeComposer<any>, opts: PrinterOptions = {}): string {
+  if (tc instanceof ObjectTypeComposer) {
+    return printObject(tc, opts);
+  } else if (tc instanceof InputTypeComposer) {
+    return printInputObject(tc, opts);
+  } else if (tc instanceof InterfaceTypeComposer) {
+    return printInterface(tc, opts);
+  } else if (tc instanceof UnionTypeComposer) {
+    return printUnion(tc, opts);
+  } else if (tc instanceof EnumTypeComposer) {
+    return printEnum(tc, opts);
+  } else if (tc instanceof ScalarTypeComposer) {
+    return printScalar(tc, opts);
+  }
+  throw new Error(`Cannot print unknown type composer ${String(tc)}`);
+}
+
+export function printObject(tc: ObjectTypeComposer<any, any>, opts: PrinterOptions = {}): string {
+  const interfaces = tc.getInterfaces().map(i => i.getTypeName());
+  if (opts.sortAll || opts.sortInterfaces) interfaces.sort();
+  const implementedInterfaces =
+    interfaces.length > 0 ? ` implements ${interfaces.join(' & ')}` : '';
+  const description = printDescription(tc.getDescription(), opts);
+  const directives = printAppliedDirectives(tc.getExtensions(), opts, tc.schemaComposer);
+  const fields = printFields(tc, opts);
+  return `${description}type ${tc.getTypeName()}${implementedInterfaces}${directives}${fields}`;
+}
+
+export function printInterface(
+  tc: InterfaceTypeComposer<any, any>,
+  opts: PrinterOptions = {}
+): string {
+  const description = printDescription(tc.getDescription(), opts);
+  const directives = printAppliedDirectives(tc.getExtensions(), opts, tc.schemaComposer);
+  const fields = printFields(tc, opts);
+  return `${description}interface ${tc.getTypeName()}${directives}${fields}`;
+}
+
+export function printUnion(tc: UnionTypeComposer<any, any>, opts: PrinterOptions = {}): string {
+  const types = tc.getTypeNames();
+  if (opts.sortAll || opts.sortUnions) types.sort();
+  const possibleTypes = types.length > 0 ? ` = ${types.join(' | ')}` : '';
+  const description = printDescription(tc.getDescription(), opts);
+  const directives = printAppliedDirectives(tc.getExtensions(), opts, tc.schemaComposer);
+  return `${description}union ${tc.getTypeName()}${directives}${possibleTypes}`;
+}
+
+export function printInputObject(tc: InputTypeComposer<any>, opts: PrinterOptions = {}): string {
+  const names = sortNames(tc.getFieldNames(), opts.sortAll || opts.sortFields);
+  const fields = names.map(name => {
+    const fc = tc.getField(name);
+    const fieldDescription = printDescription(fc.description, opts, '  ');
+    return `${fieldDescription}  ${printInputValue(name, fc, opts, tc.schemaComposer)}`;
+  });
+  const description = printDescription(tc.getDescription(), opts);
+  const directives = printAppliedDirectives(tc.getExtensions(), opts, tc.schemaComposer);
+  return `${description}input ${tc.getTypeName()}${directives}${printBlock(fields)}`;
+}
+
+export function printEnum(tc: EnumTypeComposer<any>, opts: PrinterOptions = {}): string {
+  const names = sortNames(tc.getFieldNames(), opts.sortAll || opts.sortEnums);
+  const values = names.map(name => {
+    const vc = tc.getField(name);
+    const valueDescription = printDescription(vc.description, opts, '  ');
+    const deprecated = printDeprecated(vc.deprecationReason);
+    const valueDirectives = printAppliedDirectives(vc.extensions, opts, tc.schemaComposer);
+    return `${valueDescription}  ${name}${deprecated}${valueDirectives}`;
+  });
+  const description = printDescription(tc.getDescription(), opts);
+  const directives = printAppliedDirectives(tc.getExtensions(), opts, tc.schemaComposer);
+  return `${description}enum ${tc.getTypeName()}${directives}${printBlock(values)}`;
+}
+
+export function printScalar(tc: ScalarTypeComposer<any>, opts: PrinterOptions = {}): string {
+  const description = printDescription(tc.getDescription(), opts);
+  const directives = printAppliedDirectives(tc.getExtensions(), opts, tc.schemaComposer);
+  return `${description}scalar ${tc.getTypeName()}${directives}`;
+}
+
+export function printDirectiveDefinition(
+  directive: GraphQLDirective,
+  opts: PrinterOptions = {}
+): string {
+  const printArg = arg => {
+    const defaultAST =
+      arg.defaultValue !== undefined ? astFromValue(arg.defaultValue, arg.type) : null;
+    return `${arg.name}: ${String(arg.type)}${defaultAST ? ` = ${print(defaultAST)}` : ''}`;
+  };
+
+  let args;
+  if (opts.omitDescriptions || directive.args.every(arg => !arg.description)) {
+    args = directive.args.length > 0 ? `(${directive.args.map(printArg).join(', ')})` : '';
+  } else {
+    args = `(\n${directive.args
+      .map(arg => `${printDescription(arg.description, opts, '  ')}  ${printArg(arg)}`)
+      .join('\n')}\n)`;
+  }
+
+  const description = printDescription(directive.description, opts);
+  const locations = directive.locations.join(' | ');
+  return `${description}directive @${directive.name}${args} on ${locations}`;
+}
+
+/**
+ * Returns unique named TypeComposers from SchemaComposer.
+ * Root types go first, other types keep the order in which they were added.
+ */
+export function getSchemaComposerTypes(sc: SchemaComposer<any>): Array<NamedTypeComposer<any>> {
+  const result: Set<NamedTypeComposer<any>> = new Set();
+  ROOT_TYPE_NAMES.forEach(name => {
+    if (sc.has(name)) result.add(sc.get(name));
+  });
+  sc.forEach(value => {
+    const tc: NamedTypeComposer<any> = (value: any);
+    if (!isNamedTypeComposer(tc)) return;
+    // skip deleted or outdated composers which are stored only by GraphQL type key
+    // (eg. Query from `addTypeDefs()` which fields were copied to `schemaComposer.Query`)
+    const typeName = tc.getTypeName();
+    if (!sc.has(typeName) || sc.get(typeName) !== tc) return;
+    result.add(tc);
+  });
+  return Array.from(result);
+}
+
+/**
+ * Traverse fields, args, interfaces and union members of provided type
+ * and returns all types which are used by it (without provided type itself).
+ */
+export function getTypeComposerDeps(tc: NamedTypeComposer<any>): Array<NamedTypeComposer<any>> {
+  const visited: Set<NamedTypeComposer<any>> = new Set([tc]);
+  const result: Array<NamedTypeComposer<any>> = [];
+
+  const visit = (t: NamedTypeComposer<any>) => {
+    if (visited.has(t)) return;
+    visited.add(t);
+    result.push(t);
+    getDirectDeps(t).forEach(visit);
+  };
+
+  getDirectDeps(tc).forEach(visit);
+  return result;
+}
+
+function getDirectDeps(tc: NamedTypeComposer<any>): Array<NamedTypeComposer<any>> {
+  const deps: Array<NamedTypeComposer<any>> = [];
+  if (tc instanceof ObjectTypeComposer || tc instanceof InterfaceTypeComposer) {
+    if (tc instanceof ObjectTypeComposer) {
+      tc.getInterfaces().forEach(i => deps.push(unwrapTC(i)));
+    }
+    tc.getFieldNames().forEach(fieldName => {
+      const fc = tc.getField(fieldName);
+      deps.push(unwrapTC(fc.type));
+      Object.keys(tc.getFieldArgs(fieldName)).forEach(argName => {
+        deps.push(unwrapTC(tc.getFieldArg(fieldName, argName).type));
+      });
+    });
+  } else if (tc instanceof InputTypeComposer) {
+    tc.getFieldNames().forEach(fieldName => {
+      deps.push(unwrapTC(tc.getField(fieldName).type));
+    });
+  } else if (tc instanceof UnionTypeComposer) {
+    tc.getTypes().forEach(t => deps.push(unwrapTC(t)));
+  }
+  return deps;
+}
+
+export function isBuiltInType(tc: NamedTypeComposer<any>): boolean {
+  return tc instanceof ScalarTypeComposer && isSpecifiedScalarType(tc.getType());
+}
+
+export function isBuiltInDirective(directive: GraphQLDirective, sc: SchemaComposer<any>): boolean {
+  return isSpecifiedDirective(directive) || directive === sc._getDirective('default');
+}
+
+function printTypes(tcs: Array<NamedTypeComposer<any>>, opts: PrinterOptions): string[] {
+  const sort = opts.sortTypes !== undefined ? opts.sortTypes : opts.sortAll;
+  return sortTypes(tcs, sort).map(tc => printType(tc, opts));
+}
+
+function sortTypes(
+  tcs: Array<NamedTypeComposer<any>>,
+  sort?: SchemaPrinterSortTypes
+): Array<NamedTypeComposer<any>> {
+  if (!sort) return tcs;
+  const byName = typeof sort === 'function' ? sort : (a, b) => a.localeCompare(b);
+  // classes are listed here (not in module scope) due to circular imports
+  const groupOrder = [
+    ObjectTypeComposer,
+    InterfaceTypeComposer,
+    UnionTypeComposer,
+    InputTypeComposer,
+    EnumTypeComposer,
+    ScalarTypeComposer,
+  ];
+  return [...tcs].sort((a, b) => {
+    if (sort === 'GROUP_BY_TYPE') {
+      const ai = groupOrder.findIndex(C => a instanceof C);
+      const bi = groupOrder.findIndex(C => b instanceof C);
+      if (ai !== bi) return ai - bi;
+    }
+    return byName(a.getTypeName(), b.getTypeName());
+  });
+}
+
+function sortNames(names: string[], sort?: boolean): string[] {
+  return sort ? [...names].sort() : names;
+}
+
+function printFields(
+  tc: ObjectTypeComposer<any, any> | InterfaceTypeComposer<any, any>,
+  opts: PrinterOptions
+): string {
+  const names = sortNames(tc.getFieldNames(), opts.sortAll || opts.sortFields);
+  const fields = names.map(name => {
+    const fc = tc.getField(name);
+    const description = printDescription(fc.description, opts, '  ');
+    const args = printArgs(tc, name, opts);
+    const deprecated = printDeprecated(fc.deprecationReason);
+    const directives = printAppliedDirectives(fc.extensions, opts, tc.schemaComposer);
+    return `${description}  ${name}${args}: ${fc.type.getTypeName()}${deprecated}${directives}`;
+  });
+  return printBlock(fields);
+}
+
+function printArgs(
+  tc: ObjectTypeComposer<any, any> | InterfaceTypeComposer<any, any>,
+  fieldName: string,
+  opts: PrinterOptions
+): string {
+  const names = sortNames(Object.keys(tc.getFieldArgs(fieldName)), opts.sortAll || opts.sortArgs);
+  if (names.length === 0) return '';
+
+  const args = names.map(name => ({ name, ac: tc.getFieldArg(fieldName, name) }));
+  const printArg = ({ name, ac }) => printInputValue(name, ac, opts, tc.schemaComposer);
+
+  // if every arg has no description, then print them on a single line
+  if (opts.omitDescriptions || args.every(({ ac }) => !ac.description)) {
+    return `(${args.map(printArg).join(', ')})`;
+  }
+
+  const lines = args.map(
+    arg => `${printDescription(arg.ac.description, opts, '    ')}    ${printArg(arg)}`
+  );
+  return `(\n${lines.join('\n')}\n  )`;
+}
+
+function printInputValue(
+  name: string,
+  config: { type: any, defaultValue?: any, extensions?: Extensions },
+  opts: PrinterOptions,
+  sc: SchemaComposer<any>
+): string {
+  let str = `${name}: ${config.type.getTypeName()}`;
+  if (config.defaultValue !== undefined) {
+    const defaultAST = astFromValue(config.defaultValue, (config.type.getType(): any));
+    if (defaultAST) str += ` = ${print(defaultAST)}`;
+  }
+  return str + printAppliedDirectives(config.extensions, opts, sc);
+}
+
+function printBlock(items: string[]): string {
+  return items.length !== 0 ? ` {\n${items.join('\n')}\n}` : '';
+}
+
+function printDeprecated(reason: ?string): string {
+  if (reason === null || reason === undefined) return '';
+  if (reason === '' || reason === DEFAULT_DEPRECATION_REASON) return ' @deprecated';
+  return ` @deprecated(reason: ${JSON.stringify(reason)})`;
+}
+
+function printAppliedDirectives(
+  extensions: ?Extensions,
+  opts: PrinterOptions,
+  sc: SchemaComposer<any>
+): string {
+  if (opts.omitDirectives || !extensions || !Array.isArray(extensions.directives)) return '';
+  return extensions.directives
+    .filter(d => d.name !== 'deprecated')
+    .map(d => ` ${printAppliedDirective(d, sc)}`)
+    .join('');
+}
+
+function printAppliedDirective(directive: ExtensionsDirective, sc: SchemaComposer<any>): string {
+  const directiveDef = sc._getDirective(directive.name);
+  const args = Object.keys(directive.args || {}).map(argName => {
+    const value = directive.args[argName];
+    let valueAST;
+    const argDef = directiveDef ? directiveDef.args.find(a => a.name === argName) : null;
+    if (argDef) {
+      valueAST = astFromValue(value, (argDef.type: GraphQLInputType));
+    }
+    return `${argName}: ${print(valueAST || astFromUntypedValue(value))}`;
+  });
+  return `@${directive.name}${args.length > 0 ? `(${args.join(', ')})` : ''}`;
+}
+
+/**
+ * Converts JS value to AST without knowing its GraphQL type.
+ * Used for directives which definitions are not registered in SchemaComposer.
+ */
+function astFromUntypedValue(value: mixed): ValueNode {
+  if (value === null || value === undefined) {
+    return { kind: 'NullValue' };
+  } else if (typeof value === 'boolean') {
+    return { kind: 'BooleanValue', value };
+  } else if (typeof value === 'number') {
+    return Number.isInteger(value)
+      ? { kind: 'IntValue', value: String(value) }
+      : { kind: 'FloatValue', value: String(value) };
+  } else if (typeof value === 'string') {
+    return { kind: 'StringValue', value };
+  } else if (Array.isArray(value)) {
+    return { kind: 'ListValue', values: value.map(astFromUntypedValue) };
+  } else if (isObject(value)) {
+    const obj: Object = value;
+    return {
+      kind: 'ObjectValue',
+      fields: Object.keys(obj).map(key => ({
+        kind: 'ObjectField',
+        name: { kind: 'Name', value: key },
+        value: astFromUntypedValue(obj[key]),
+      })),
+    };
+  }
+  return { kind: 'StringValue', value: String(value) };
+}
+
+function printDescription(
+  description: ?string,
+  opts: PrinterOptions,
+  indentation: string = ''
+): string {
+  if (!description || opts.omitDescriptions) return '';
+  const escaped = description.replace(/"""/g, '\\"""');
+  if (escaped.indexOf('\n') === -1 && escaped.length < 70 && !escaped.endsWith('"')) {
+    return `${indentation}"""${escaped}"""\n`;
+  }
+  const lines = escaped.split('\n').map(line => (line ? `${indentation}${line}` : ''));
+  return `${indentation}"""\n${lines.join('\n')}\n${indentation}"""\n`;
+}
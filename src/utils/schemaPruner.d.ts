@@ -0,0 +1,27 @@
+import { SchemaComposer } from '../SchemaComposer';
+
+export type PruneReport = {
+  /**
+   * Names of removed types
+   */
+  types: string[];
+  /**
+   * Names of removed directives
+   */
+  directives: string[];
+  /**
+   * Fields which were removed with their empty types, eg. `User.search`
+   */
+  fields: string[];
+  /**
+   * Args which were removed with their empty types, eg. `Query.users.@filter`
+   */
+  args: string[];
+};
+
+/**
+ * Removes from SchemaComposer input types without fields and unions without members
+ * (with all fields and args which use them), then types which are not reachable
+ * from root types and `schemaMustHaveTypes`, and type system directives which are not used by any type.
+ */
+export function pruneSchemaComposer(sc: SchemaComposer<any>): PruneReport;
@@ -0,0 +1,178 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import { DirectiveLocation } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import type { NamedTypeComposer } from './typeHelpers';
+import type { ExtensionsDirective } from './definitions';
+import { unwrapTC } from './typeHelpers';
+import {
+  getSchemaComposerTypes,
+  getTypeComposerDeps,
+  isBuiltInType,
+  isBuiltInDirective,
+} from './schemaPrinter';
+
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+// directives with these locations are used by client operations, so they are kept
+const EXECUTABLE_LOCATIONS = [
+  DirectiveLocation.QUERY,
+  DirectiveLocation.MUTATION,
+  DirectiveLocation.SUBSCRIPTION,
+  DirectiveLocation.FIELD,
+  DirectiveLocation.FRAGMENT_DEFINITION,
+  DirectiveLocation.FRAGMENT_SPREAD,
+  DirectiveLocation.INLINE_FRAGMENT,
+  DirectiveLocation.VARIABLE_DEFINITION,
+];
+
+export type PruneReport = {
+  // names of removed types
+  types: string[],
+  // names of removed directives
+  directives: string[],
+  // fields which were removed with their empty types, eg. `User.search`
+  fields: string[],
+  // args which were removed with their empty types, eg. `Query.users.@filter`
+  args: string[],
+};
+
+/**
+ * Removes from SchemaComposer input types without fields and unions without members
+ * (with all fields and args which use them), then types which are not reachable
+ * from root types and `schemaMustHaveTypes`, and type system directives which are not used by any type.
+ */
+export function pruneSchemaComposer(sc: SchemaComposer<any>): PruneReport {
+  const report: PruneReport = { types: [], directives: [], fields: [], args: [] };
+
+  // removing fields may produce new empty input types, so repeat until nothing changes
+  let emptyTypeNames = removeEmptyTypes(sc, report);
+  while (emptyTypeNames.size > 0) {
+    removeUsages(sc, emptyTypeNames, report);
+    emptyTypeNames = removeEmptyTypes(sc, report);
+  }
+
+  const reachable = getReachableTypes(sc);
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    if (!reachable.has(tc) && !isBuiltInType(tc)) {
+      removeType(sc, tc, report);
+    }
+  });
+
+  const usedDirectives = getUsedDirectiveNames(sc);
+  sc.getDirectives().forEach(directive => {
+    if (
+      !usedDirectives.has(directive.name) &&
+      !isBuiltInDirective(directive, sc) &&
+      !directive.locations.some(location => EXECUTABLE_LOCATIONS.includes(location))
+    ) {
+      sc.removeDirective(directive);
+      report.directives.push(directive.name);
+    }
+  });
+
+  return report;
+}
+
+function removeType(sc: SchemaComposer<any>, tc: NamedTypeComposer<any>, report: PruneReport) {
+  // type may be stored under several keys (name, GraphQL type, composer)
+  sc.forEach((value, key) => {
+    if (value === tc) sc.delete(key);
+  });
+  report.types.push(tc.getTypeName());
+}
+
+function removeEmptyTypes(sc: SchemaComposer<any>, report: PruneReport): Set<string> {
+  const removed: Set<string> = new Set();
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    if (
+      (tc instanceof InputTypeComposer && tc.getFieldNames().length === 0) ||
+      (tc instanceof UnionTypeComposer && tc.getTypes().length === 0)
+    ) {
+      removeType(sc, tc, report);
+      removed.add(tc.getTypeName());
+    }
+  });
+  return removed;
+}
+
+function removeUsages(sc: SchemaComposer<any>, typeNames: Set<string>, report: PruneReport) {
+  const isRemoved = (type: any) => typeNames.has(unwrapTC(type).getTypeName());
+
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    if (tc instanceof ObjectTypeComposer || tc instanceof InterfaceTypeComposer) {
+      tc.getFieldNames().forEach(fieldName => {
+        if (isRemoved(tc.getField(fieldName).type)) {
+          tc.removeField(fieldName);
+          report.fields.push(`${tc.getTypeName()}.${fieldName}`);
+          return;
+        }
+        const args = tc.getFieldArgs(fieldName);
+        Object.keys(args).forEach(argName => {
+          if (isRemoved(args[argName].type)) {
+            delete args[argName];
+            report.args.push(`${tc.getTypeName()}.${fieldName}.@${argName}`);
+          }
+        });
+      });
+    } else if (tc instanceof InputTypeComposer) {
+      tc.getFieldNames().forEach(fieldName => {
+        if (isRemoved(tc.getField(fieldName).type)) {
+          tc.removeField(fieldName);
+          report.fields.push(`${tc.getTypeName()}.${fieldName}`);
+        }
+      });
+    }
+  });
+}
+
+function getReachableTypes(sc: SchemaComposer<any>): Set<NamedTypeComposer<any>> {
+  const reachable: Set<NamedTypeComposer<any>> = new Set();
+  const visit = (tc: NamedTypeComposer<any>) => {
+    if (reachable.has(tc)) return;
+    reachable.add(tc);
+    getTypeComposerDeps(tc).forEach(visit);
+    // types which are returned by `resolveType` of interfaces
+    if (tc instanceof InterfaceTypeComposer) {
+      tc.getTypeResolvers().forEach((fn, objTC) => visit(sc.getAnyTC(objTC)));
+    }
+  };
+
+  ROOT_TYPE_NAMES.forEach(typeName => {
+    if (sc.has(typeName)) visit(sc.getAnyTC(typeName));
+  });
+  sc._schemaMustHaveTypes.forEach(type => visit(sc.getAnyTC(type)));
+  return reachable;
+}
+
+function getUsedDirectiveNames(sc: SchemaComposer<any>): Set<string> {
+  const names: Set<string> = new Set();
+  const add = (directives: Array<ExtensionsDirective>) =>
+    directives.forEach(d => names.add(d.name));
+
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    add(tc.getDirectives());
+    if (
+      tc instanceof ObjectTypeComposer ||
+      tc instanceof InterfaceTypeComposer ||
+      tc instanceof InputTypeComposer ||
+      tc instanceof EnumTypeComposer
+    ) {
+      tc.getFieldNames().forEach(fieldName => {
+        add(tc.getFieldDirectives(fieldName));
+        if (tc instanceof ObjectTypeComposer || tc instanceof InterfaceTypeComposer) {
+          Object.keys(tc.getFieldArgs(fieldName)).forEach(argName => {
+            add(tc.getFieldArgDirectives(fieldName, argName));
+          });
+        }
+      });
+    }
+  });
+  return names;
+}
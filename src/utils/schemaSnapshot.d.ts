@@ -0,0 +1,63 @@
+import { DirectiveLocationEnum } from 'graphql';
+import { SchemaComposer } from '../SchemaComposer';
+
+/**
+ * Functions which may be referenced from the snapshot by name,
+ * eg. `{ 'Query.users': findUsers, serializeMoney }`
+ */
+export type SchemaSnapshotRegistry = { [name: string]: (...args: any[]) => any };
+
+export type SchemaSnapshotOpts = {
+  registry?: SchemaSnapshotRegistry;
+};
+
+export type SchemaSnapshotTypeKind = 'object' | 'input' | 'enum' | 'interface' | 'union' | 'scalar';
+
+export type SchemaSnapshotType = {
+  kind: SchemaSnapshotTypeKind;
+  name: string;
+  /**
+   * Other props depend on `kind`, eg. `fields`, `interfaces`, `resolvers`
+   */
+  [key: string]: any;
+};
+
+export type SchemaSnapshotDirective = {
+  name: string;
+  description?: string;
+  locations: DirectiveLocationEnum[];
+  args: { [argName: string]: { type: string; defaultValue?: any; description?: string } };
+};
+
+export type SchemaSnapshot = {
+  version: number;
+  /**
+   * Names of root types, if they differ from `Query`, `Mutation` and `Subscription`
+   */
+  roots: { [rootName: string]: string };
+  types: SchemaSnapshotType[];
+  directives: SchemaSnapshotDirective[];
+  schemaMustHaveTypes: string[];
+};
+
+/**
+ * Returns JSON-serializable state of SchemaComposer. Functions (resolve methods,
+ * `isTypeOf`, scalar parsers, etc.) are stored by their names in `registry`.
+ * Fields created from resolvers of types are stored as references to them.
+ * Without `registry` functions are skipped, otherwise missing resolve methods
+ * of fields and resolvers throw an error.
+ */
+export function getSchemaSnapshot(
+  sc: SchemaComposer<any>,
+  opts?: SchemaSnapshotOpts
+): SchemaSnapshot;
+
+/**
+ * Adds types and directives from the snapshot to SchemaComposer.
+ * Functions are taken from `registry` by their names.
+ */
+export function loadSchemaSnapshot(
+  sc: SchemaComposer<any>,
+  snapshot: SchemaSnapshot,
+  opts?: SchemaSnapshotOpts
+): void;
@@ -0,0 +1,453 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import type { DirectiveLocationEnum } from '../graphql';
+import { GraphQLDirective } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { Resolver } from '../Resolver';
+import { getComposeTypeName, getGraphQLType } from './typeHelpers';
+import { getSchemaComposerTypes, isBuiltInType, isBuiltInDirective } from './schemaPrinter';
+import { isFunction, isObject } from './is';
+import { forEachKey } from './misc';
+
+const SNAPSHOT_VERSION = 1;
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+// functions which may be referenced from the snapshot by name,
+// eg. `{ 'Query.users': findUsers, serializeMoney }`
+export type SchemaSnapshotRegistry = { [name: string]: Function };
+
+export type SchemaSnapshotOpts = {
+  registry?: SchemaSnapshotRegistry,
+};
+
+export type SchemaSnapshotTypeKind = 'object' | 'input' | 'enum' | 'interface' | 'union' | 'scalar';
+
+export type SchemaSnapshotType = {
+  kind: SchemaSnapshotTypeKind,
+  name: string,
+  // other props depend on `kind`, eg. `fields`, `interfaces`, `resolvers`
+  [key: string]: any,
+};
+
+export type SchemaSnapshotDirective = {
+  name: string,
+  description?: string,
+  locations: Array<DirectiveLocationEnum>,
+  args: { [argName: string]: { type: string, defaultValue?: any, description?: string } },
+};
+
+export type SchemaSnapshot = {
+  version: number,
+  // names of root types, if they differ from `Query`, `Mutation` and `Subscription`
+  roots: { [rootName: string]: string },
+  types: Array<SchemaSnapshotType>,
+  directives: Array<SchemaSnapshotDirective>,
+  schemaMustHaveTypes: Array<string>,
+};
+
+type SnapshotContext = {
+  fnName: (fn: ?Function) => string | void,
+  // throws if `registry` is provided but the function is missing in it
+  requiredFnName: (fn: ?Function, owner: string) => string | void,
+  // returns reference to the resolver from `getResolvers()` of some type, eg. `User.$findMany`
+  resolverRef: (resolve: ?Function) => string | void,
+};
+
+/**
+ * Returns JSON-serializable state of SchemaComposer. Functions (resolve methods,
+ * `isTypeOf`, scalar parsers, etc.) are stored by their names in `registry`.
+ * Fields created from resolvers of types are stored as references to them.
+ * Without `registry` functions are skipped, otherwise missing resolve methods
+ * of fields and resolvers throw an error.
+ */
+export function getSchemaSnapshot(
+  sc: SchemaComposer<any>,
+  opts: SchemaSnapshotOpts = {}
+): SchemaSnapshot {
+  const { registry } = opts;
+  const fnName = (fn: ?Function): string | void => {
+    if (!fn || !registry) return undefined;
+    return Object.keys(registry).find(name => registry[name] === fn);
+  };
+  const requiredFnName = (fn: ?Function, owner: string): string | void => {
+    const name = fnName(fn);
+    if (fn && registry && !name) {
+      throw new Error(
+        `Function of ${owner} is not found in the registry of schemaComposer.toJSON(), so it cannot be restored from snapshot.`
+      );
+    }
+    return name;
+  };
+  const resolverRefs: Map<Resolver<any, any, any>, string> = new Map();
+  getSchemaComposerTypes(sc).forEach(tc => {
+    if (!(tc instanceof ObjectTypeComposer)) return;
+    tc.getResolvers().forEach((resolver, resolverName) => {
+      resolverRefs.set(resolver, `${tc.getTypeName()}.$${resolverName}`);
+    });
+  });
+  const resolverRef = (resolve: ?Function): string | void => {
+    const resolver = Resolver.findByFieldResolve(resolve);
+    return resolver ? resolverRefs.get(resolver) : undefined;
+  };
+  const ctx = { fnName, requiredFnName, resolverRef };
+
+  const roots = {};
+  ROOT_TYPE_NAMES.forEach(rootName => {
+    if (sc.has(rootName) && sc.getAnyTC(rootName).getTypeName() !== rootName) {
+      roots[rootName] = sc.getAnyTC(rootName).getTypeName();
+    }
+  });
+
+  const types = [];
+  getSchemaComposerTypes(sc).forEach((tc: any) => {
+    if (isBuiltInType(tc) || isComposeBuiltInScalar(sc, tc)) return;
+    types.push(typeToJSON(tc, ctx));
+  });
+
+  const directives = sc
+    .getDirectives()
+    .filter(directive => !isBuiltInDirective(directive, sc))
+    .map(directive => {
+      const args = {};
+      directive.args.forEach(arg => {
+        args[arg.name] = compact({
+          type: String(arg.type),
+          defaultValue: arg.defaultValue,
+          description: arg.description,
+        });
+      });
+      return compact({
+        name: directive.name,
+        description: directive.description,
+        locations: [...directive.locations],
+        args,
+      });
+    });
+
+  return {
+    version: SNAPSHOT_VERSION,
+    roots,
+    types,
+    directives,
+    schemaMustHaveTypes: sc._schemaMustHaveTypes.map(type => getComposeTypeName(type)),
+  };
+}
+
+/**
+ * Adds types and directives from the snapshot to SchemaComposer.
+ * Functions are taken from `registry` by their names.
+ */
+export function loadSchemaSnapshot(
+  sc: SchemaComposer<any>,
+  snapshot: SchemaSnapshot,
+  opts: SchemaSnapshotOpts = {}
+): void {
+  if (!isObject(snapshot) || !Array.isArray(snapshot.types)) {
+    throw new Error(
+      'SchemaComposer.fromJSON() expects snapshot created via schemaComposer.toJSON().'
+    );
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(
+      `Cannot load snapshot of version ${snapshot.version}. Supported version is ${SNAPSHOT_VERSION}.`
+    );
+  }
+
+  const registry = opts.registry || {};
+  const fn = (name: ?string): any => {
+    if (!name) return undefined;
+    if (!isFunction(registry[name])) {
+      throw new Error(
+        `Function '${name}' is not found in the registry of SchemaComposer.fromJSON().`
+      );
+    }
+    return registry[name];
+  };
+
+  const resolverFC = (ref: string): any => {
+    const [typeName, resolverName] = ref.split('.$');
+    return sc.typeMapper.convertOutputFieldConfig(
+      sc.getOTC(typeName).getResolver(resolverName),
+      resolverName,
+      typeName
+    );
+  };
+
+  snapshot.types.forEach(typeJSON => {
+    sc.add(typeFromJSON(sc, typeJSON, fn, resolverFC));
+  });
+  // type resolvers refer to types, so they are added after all types
+  snapshot.types.forEach(typeJSON => {
+    if (!typeJSON.typeResolvers) return;
+    const tc: any = sc.get(typeJSON.name);
+    const typeResolvers = new Map();
+    Object.keys(typeJSON.typeResolvers).forEach(typeName => {
+      typeResolvers.set(sc.getOTC(typeName), fn(typeJSON.typeResolvers[typeName]));
+    });
+    tc.setTypeResolvers(typeResolvers);
+  });
+
+  forEachKey(snapshot.roots || {}, (typeName, rootName) => {
+    sc.set(rootName, sc.get(typeName));
+  });
+
+  (snapshot.directives || []).forEach(directiveJSON => {
+    const args = {};
+    forEachKey(directiveJSON.args || {}, (argJSON, argName) => {
+      args[argName] = {
+        ...argJSON,
+        type: getGraphQLType(sc.typeMapper.convertSDLWrappedTypeName(argJSON.type)),
+      };
+    });
+    sc.addDirective(new GraphQLDirective(({ ...directiveJSON, args }: any)));
+  });
+
+  (snapshot.schemaMustHaveTypes || []).forEach(typeName => {
+    sc.addSchemaMustHaveType(sc.get(typeName));
+  });
+}
+
+function isComposeBuiltInScalar(sc: SchemaComposer<any>, tc: any): boolean {
+  if (!(tc instanceof ScalarTypeComposer)) return false;
+  const builtIn = sc.typeMapper.getBuiltInType(tc.getTypeName());
+  return !!builtIn && builtIn.getType() === tc.getType();
+}
+
+function typeToJSON(tc: any, ctx: SnapshotContext): SchemaSnapshotType {
+  const { fnName } = ctx;
+  const common = {
+    name: tc.getTypeName(),
+    description: tc.getDescription(),
+    extensions: tc.getExtensions(),
+  };
+
+  if (tc instanceof ObjectTypeComposer) {
+    const resolvers = [];
+    tc.getResolvers().forEach(resolver => {
+      resolvers.push(
+        resolverToJSON(resolver, `resolver ${tc.getTypeName()}.$${resolver.name}`, ctx)
+      );
+    });
+    return compact({
+      kind: 'object',
+      ...common,
+      fields: fieldsToJSON(tc, ctx),
+      interfaces: tc.getInterfaces().map(iface => getComposeTypeName(iface)),
+      isTypeOf: fnName(tc.getIsTypeOf()),
+      resolvers,
+    });
+  } else if (tc instanceof InputTypeComposer) {
+    return compact({ kind: 'input', ...common, fields: fieldsToJSON(tc, ctx) });
+  } else if (tc instanceof EnumTypeComposer) {
+    const values = {};
+    forEachKey(tc.getFields(), (valueConfig, valueName) => {
+      values[valueName] = compact({
+        value: valueConfig.value === valueName ? undefined : valueConfig.value,
+        description: valueConfig.description,
+        deprecationReason: valueConfig.deprecationReason,
+        extensions: valueConfig.extensions,
+      });
+    });
+    return compact({ kind: 'enum', ...common, values });
+  } else if (tc instanceof InterfaceTypeComposer || tc instanceof UnionTypeComposer) {
+    const typeResolvers = {};
+    tc.getTypeResolvers().forEach((checkFn, type) => {
+      const name = fnName(checkFn);
+      if (name) typeResolvers[getComposeTypeName(type)] = name;
+    });
+    return compact({
+      kind: tc instanceof InterfaceTypeComposer ? 'interface' : 'union',
+      ...common,
+      fields: tc instanceof InterfaceTypeComposer ? fieldsToJSON(tc, ctx) : undefined,
+      types: tc instanceof UnionTypeComposer ? tc.getTypeNames() : undefined,
+      resolveType: fnName(tc.getResolveType()),
+      typeResolvers,
+    });
+  }
+  return compact({
+    kind: 'scalar',
+    ...common,
+    serialize: fnName(tc.getSerialize()),
+    parseValue: fnName(tc.getParseValue()),
+    parseLiteral: fnName(tc.getParseLiteral()),
+  });
+}
+
+function fieldsToJSON(tc: any, ctx: SnapshotContext): { [string]: any } {
+  const fields = {};
+  tc.getFieldNames().forEach(fieldName => {
+    const fc = tc.getField(fieldName);
+    const owner = `field ${tc.getTypeName()}.${fieldName}`;
+    const resolver = ctx.resolverRef(fc.resolve);
+    if (resolver) {
+      fields[fieldName] = compact({
+        resolver,
+        description: fc.description,
+        deprecationReason: fc.deprecationReason,
+        extensions: fc.extensions,
+      });
+      return;
+    }
+    fields[fieldName] = compact({
+      type: tc.getFieldTypeName(fieldName),
+      args:
+        tc instanceof InputTypeComposer
+          ? undefined
+          : argsToJSON(fc.args, argName => tc.getFieldArgTypeName(fieldName, argName)),
+      defaultValue: fc.defaultValue,
+      description: fc.description,
+      deprecationReason: fc.deprecationReason,
+      extensions: fc.extensions,
+      resolve: ctx.requiredFnName(fc.resolve, owner),
+      subscribe: ctx.requiredFnName(fc.subscribe, owner),
+    });
+  });
+  return fields;
+}
+
+function argsToJSON(args: any, getTypeName: (argName: string) => string): { [string]: any } {
+  const result = {};
+  forEachKey(args || {}, (ac, argName) => {
+    result[argName] = compact({
+      type: getTypeName(argName),
+      defaultValue: ac.defaultValue,
+      description: ac.description,
+      extensions: ac.extensions,
+    });
+  });
+  return result;
+}
+
+function resolverToJSON(
+  resolver: Resolver<any, any, any>,
+  owner: string,
+  ctx: SnapshotContext
+): { [string]: any } {
+  return compact({
+    name: resolver.name,
+    kind: resolver.kind,
+    description: resolver.description,
+    type: resolver.getTypeName(),
+    args: argsToJSON(resolver.args, argName => resolver.getArgTypeName(argName)),
+    projection: resolver.projection,
+    extensions: resolver.extensions,
+    resolve: ctx.requiredFnName(resolver.resolve, owner),
+    subscribe: ctx.requiredFnName(resolver.subscribe, owner),
+  });
+}
+
+function typeFromJSON(
+  sc: SchemaComposer<any>,
+  typeJSON: SchemaSnapshotType,
+  fn: (name: ?string) => any,
+  resolverFC: (ref: string) => any
+): any {
+  const { kind, name, description, extensions } = typeJSON;
+  switch (kind) {
+    case 'object': {
+      const tc = sc.createObjectTC({
+        name,
+        description,
+        fields: fieldsFromJSON(typeJSON.fields, fn, resolverFC),
+        interfaces: typeJSON.interfaces || [],
+        isTypeOf: fn(typeJSON.isTypeOf),
+        extensions,
+      });
+      (typeJSON.resolvers || []).forEach(({ resolve, subscribe, ...resolverJSON }) => {
+        tc.addResolver(
+          compact({ ...resolverJSON, resolve: fn(resolve), subscribe: fn(subscribe) })
+        );
+      });
+      return tc;
+    }
+    case 'input':
+      return sc.createInputTC({
+        name,
+        description,
+        fields: fieldsFromJSON(typeJSON.fields, fn, resolverFC),
+        extensions,
+      });
+    case 'enum':
+      return sc.createEnumTC({ name, description, values: typeJSON.values || {}, extensions });
+    case 'interface':
+      return sc.createInterfaceTC({
+        name,
+        description,
+        fields: fieldsFromJSON(typeJSON.fields, fn, resolverFC),
+        resolveType: fn(typeJSON.resolveType),
+        extensions,
+      });
+    case 'union':
+      return sc.createUnionTC({
+        name,
+        description,
+        types: typeJSON.types || [],
+        resolveType: fn(typeJSON.resolveType),
+        extensions,
+      });
+    case 'scalar':
+      return sc.createScalarTC({
+        name,
+        description,
+        serialize: fn(typeJSON.serialize) || (v => v),
+        parseValue: fn(typeJSON.parseValue),
+        parseLiteral: fn(typeJSON.parseLiteral),
+        extensions,
+      });
+    default:
+      throw new Error(`Cannot load type ${name} of unknown kind '${kind}' from snapshot.`);
+  }
+}
+
+function fieldsFromJSON(
+  fieldsJSON: ?{ [string]: any },
+  fn: (name: ?string) => any,
+  resolverFC: (ref: string) => any
+): any {
+  const fields = {};
+  forEachKey(fieldsJSON || {}, ({ resolve, subscribe, resolver, ...fieldJSON }, fieldName) => {
+    if (resolver) {
+      // resolvers of other types may be not loaded yet
+      fields[fieldName] = () => ({ ...resolverFC(resolver), ...fieldJSON });
+      return;
+    }
+    const fc = { ...fieldJSON };
+    if (resolve) fc.resolve = fn(resolve);
+    if (subscribe) fc.subscribe = fn(subscribe);
+    fields[fieldName] = fc;
+  });
+  return fields;
+}
+
+// keys with user values, which should be kept even if they are empty
+const VALUE_KEYS = ['defaultValue', 'value'];
+
+// removes empty values, so snapshot stays compact and stable for golden-file tests
+function compact(obj: { [string]: any }): any {
+  const result = {};
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    if (value === undefined) return;
+    if (VALUE_KEYS.includes(key)) {
+      result[key] = value;
+      return;
+    }
+    if (value === null || value === '') return;
+    if (key === 'extensions' && Array.isArray(value.directives) && !value.directives.length) {
+      const { directives, ...rest } = value;
+      if (Object.keys(rest).length > 0) result[key] = rest;
+      return;
+    }
+    if (isObject(value) && Object.keys(value).length === 0) return;
+    if (Array.isArray(value) && value.length === 0) return;
+    result[key] = value;
+  });
+  return result;
+}
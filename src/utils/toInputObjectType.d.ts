@@ -4,11 +4,29 @@ import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
 import { SchemaComposer } from '../SchemaComposer';
 import { ComposeOutputType, ComposeInputType } from './typeHelpers';
 
+export type InputTypeOperation = 'create' | 'update' | 'patch';
+
 export interface ToInputObjectTypeOpts {
   prefix?: string;
   postfix?: string;
+  // create separate input type for the mutation, eg. `CreateUserInput`
+  operation?: InputTypeOperation;
+  // field which is used for references to the related records, by default `id`
+  idField?: string;
 }
 
+/**
+ * Convert ObjectType or InterfaceType to InputType. With `operation` option creates
+ * input type for the mutation:
+ *  - `create` keeps required fields as is,
+ *  - `update` makes all fields optional, nested objects are replaced as a whole
+ *    so they keep required fields,
+ *  - `patch` makes all fields optional, nested objects too.
+ * Fields with `readOnly` extension (`true` or array of operations) are skipped.
+ * Fields with args and relations are skipped as computed ones, unless they have
+ * `writeOnly` extension.
+ * Fields with object types which have `id` field become references to the related records.
+ */
 export function toInputObjectType<TContext>(
   tc: ObjectTypeComposer<any, TContext> | InterfaceTypeComposer<any, TContext>,
   opts?: ToInputObjectTypeOpts
@@ -9,19 +9,30 @@ import { TypeMapper } from '../TypeMapper';
 import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
 import type { InputTypeComposer } from '../InputTypeComposer';
 import type { SchemaComposer } from '../SchemaComposer';
+import { unwrapTC, changeUnwrappedTC } from './typeHelpers';
 import type { ComposeOutputType, ComposeInputType } from './typeHelpers';
-import { inspect } from './misc';
+import { inspect, upperFirst } from './misc';
 import { UnionTypeComposer } from '../UnionTypeComposer';
 
+export type InputTypeOperation = 'create' | 'update' | 'patch';
+
 export type toInputObjectTypeOpts = {
   prefix?: string,
   postfix?: string,
+  // create separate input type for the mutation, eg. `CreateUserInput`
+  operation?: InputTypeOperation,
+  // field which is used for references to the related records, by default `id`
+  idField?: string,
 };
 
 export function toInputObjectType<TContext>(
   tc: ObjectTypeComposer<any, TContext> | InterfaceTypeComposer<any, TContext>,
   opts: toInputObjectTypeOpts = {}
 ): InputTypeComposer<TContext> {
+  if (opts.operation) {
+    return toOperationInputType(tc, opts.operation, opts);
+  }
+
   if (tc.hasInputTypeComposer()) {
     return tc.getInputTypeComposer();
   }
@@ -57,6 +68,82 @@ export function toInputObjectType<TContext>(
   return inputTypeComposer;
 }
 
+/**
+ * Input type for the mutation:
+ *  - `create` keeps required fields as is,
+ *  - `update` makes all fields optional, nested objects are replaced as a whole
+ *    so they keep required fields,
+ *  - `patch` makes all fields optional, nested objects too.
+ * Fields with `readOnly` extension (`true` or array of operations) are skipped.
+ * Fields with args and relations are skipped as computed ones, unless they have
+ * `writeOnly` extension.
+ * Fields with object types which have `id` field become references to the related records.
+ */
+function toOperationInputType<TContext>(
+  tc: ObjectTypeComposer<any, TContext> | InterfaceTypeComposer<any, TContext>,
+  operation: InputTypeOperation,
+  opts: toInputObjectTypeOpts
+): InputTypeComposer<TContext> {
+  const prefix: string = opts.prefix || '';
+  const postfix: string = opts.postfix || 'Input';
+  const idField: string = opts.idField || 'id';
+  const inputTypeName = `${prefix}${upperFirst(operation)}${tc.getTypeName()}${postfix}`;
+
+  return tc.schemaComposer.getOrCreateITC(inputTypeName, itc => {
+    tc.getFieldNames().forEach(fieldName => {
+      const readOnly = tc.getFieldExtension(fieldName, 'readOnly');
+      if (readOnly === true || (Array.isArray(readOnly) && readOnly.includes(operation))) {
+        return;
+      }
+
+      const fc = tc.getField(fieldName);
+      let fieldType: any = fc.type;
+      if (operation !== 'create' && fieldType instanceof NonNullComposer) {
+        fieldType = fieldType.ofType;
+      }
+
+      const isComputed =
+        (tc instanceof ObjectTypeComposer && !!tc.getRelations()[fieldName]) ||
+        Object.keys(fc.args || {}).length > 0;
+      if (isComputed && !tc.getFieldExtension(fieldName, 'writeOnly')) {
+        return;
+      }
+
+      const namedTC: any = unwrapTC(fieldType);
+      const isObject =
+        namedTC instanceof ObjectTypeComposer || namedTC instanceof InterfaceTypeComposer;
+      let fieldInputType;
+      if (isObject && namedTC.hasField(idField)) {
+        const idTC = unwrapTC(namedTC.getField(idField).type);
+        fieldInputType = changeUnwrappedTC(fieldType, () => idTC);
+      } else if (isObject) {
+        const nestedITC = toOperationInputType(
+          namedTC,
+          operation === 'patch' ? 'patch' : 'create',
+          opts
+        );
+        fieldInputType = changeUnwrappedTC(fieldType, () => nestedITC);
+      } else {
+        fieldInputType = convertInputObjectField(
+          fieldType,
+          { ...opts, fieldName, outputTypeName: tc.getTypeName() },
+          tc.schemaComposer
+        );
+      }
+
+      if (fieldInputType) {
+        itc.setField(
+          fieldName,
+          ({
+            type: fieldInputType,
+            description: fc.description,
+          }: any)
+        );
+      }
+    });
+  });
+}
+
 export type ConvertInputObjectFieldOpts = {
   prefix?: string,
   postfix?: string,
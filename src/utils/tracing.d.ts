@@ -0,0 +1,95 @@
+import { GraphQLResolveInfo } from 'graphql';
+import { SchemaComposer } from '../SchemaComposer';
+
+export type TracingSpan = {
+  /**
+   * `Type.field`
+   */
+  name: string;
+  /**
+   * Path of the value in the response, eg. `['users', 0, 'name']`
+   */
+  path: Array<string | number>;
+  parentType: string;
+  fieldName: string;
+  returnType: string;
+  /**
+   * Unix time in milliseconds
+   */
+  startTime: number;
+  /**
+   * Nanoseconds from the start of the request
+   */
+  startOffset: number;
+  /**
+   * Nanoseconds
+   */
+  duration: number;
+  error?: any;
+};
+
+/**
+ * https://github.com/apollographql/apollo-tracing
+ */
+export type ApolloTracing = {
+  version: 1;
+  startTime: string;
+  endTime: string;
+  duration: number;
+  execution: {
+    resolvers: Array<{
+      path: Array<string | number>;
+      parentType: string;
+      fieldName: string;
+      returnType: string;
+      startOffset: number;
+      duration: number;
+    }>;
+  };
+};
+
+export type TracingCollectorOpts<TContext> = {
+  /**
+   * Called for every resolved field, eg. to export spans to the monitoring system
+   */
+  onSpan?: (span: TracingSpan, context: TContext) => any;
+};
+
+/**
+ * Collects spans of the resolved fields per request, context is used as request id.
+ */
+export class TracingCollector<TContext> {
+  protected _opts: TracingCollectorOpts<TContext>;
+  protected _requests: WeakMap<any, any>;
+
+  constructor(opts?: TracingCollectorOpts<TContext>);
+
+  /**
+   * Mark the start of the request. Otherwise the request starts with its first resolver.
+   */
+  public startRequest(context: TContext): void;
+
+  /**
+   * Starts span of the field and returns function which should be called when
+   * the field is resolved.
+   */
+  public startSpan(context: TContext, info: GraphQLResolveInfo): (error?: any) => void;
+
+  public getSpans(context: TContext): TracingSpan[];
+
+  /**
+   * Returns spans of the request in the Apollo tracing format,
+   * which may be placed to `extensions.tracing` of the response.
+   */
+  public getApolloTracing(context: TContext): ApolloTracing | null;
+
+  public clear(context: TContext): void;
+}
+
+/**
+ * Wraps resolve methods of all fields to record their spans in the `collector`.
+ */
+export function applyTracing<TContext>(
+  sc: SchemaComposer<TContext>,
+  collector: TracingCollector<TContext>
+): void;
@@ -0,0 +1,201 @@
+/* @flow strict */
+
+import { responsePathAsArray, type GraphQLResolveInfo } from '../graphql';
+import type { SchemaComposer } from '../SchemaComposer';
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { getSchemaComposerTypes } from './schemaPrinter';
+import { isObject, isFunction } from './is';
+
+export type TracingSpan = {
+  // `Type.field`
+  name: string,
+  // path of the value in the response, eg. `['users', 0, 'name']`
+  path: $ReadOnlyArray<string | number>,
+  parentType: string,
+  fieldName: string,
+  returnType: string,
+  // unix time in milliseconds
+  startTime: number,
+  // nanoseconds from the start of the request
+  startOffset: number,
+  // nanoseconds
+  duration: number,
+  error?: mixed,
+};
+
+// https://github.com/apollographql/apollo-tracing
+export type ApolloTracing = {
+  version: 1,
+  startTime: string,
+  endTime: string,
+  duration: number,
+  execution: {
+    resolvers: Array<{
+      path: $ReadOnlyArray<string | number>,
+      parentType: string,
+      fieldName: string,
+      returnType: string,
+      startOffset: number,
+      duration: number,
+    }>,
+  },
+};
+
+export type TracingCollectorOpts<TContext> = {
+  // called for every resolved field, eg. to export spans to the monitoring system
+  onSpan?: (span: TracingSpan, context: TContext) => mixed,
+};
+
+type TracingRequest = {
+  startTime: number,
+  startHrTime: number,
+  spans: Array<TracingSpan>,
+};
+
+function hrNow(): number {
+  if (typeof process !== 'undefined' && isFunction(process.hrtime)) {
+    const [seconds, nanoseconds] = process.hrtime();
+    return seconds * 1e9 + nanoseconds;
+  }
+  return Date.now() * 1e6;
+}
+
+/**
+ * Collects spans of the resolved fields per request, context is used as request id.
+ */
+export class TracingCollector<TContext> {
+  _opts: TracingCollectorOpts<TContext>;
+  _requests: WeakMap<any, TracingRequest>;
+
+  constructor(opts: TracingCollectorOpts<TContext> = {}) {
+    this._opts = opts;
+    this._requests = new WeakMap();
+  }
+
+  /**
+   * Mark the start of the request. Otherwise the request starts with its first resolver.
+   */
+  startRequest(context: TContext): void {
+    this._createRequest(context);
+  }
+
+  _createRequest(context: TContext): TracingRequest {
+    const request = { startTime: Date.now(), startHrTime: hrNow(), spans: [] };
+    if (isObject(context)) this._requests.set(context, request);
+    return request;
+  }
+
+  /**
+   * Starts span of the field and returns function which should be called when
+   * the field is resolved.
+   */
+  startSpan(context: TContext, info: GraphQLResolveInfo): (error?: mixed) => void {
+    const request =
+      (isObject(context) && this._requests.get(context)) || this._createRequest(context);
+    const startTime = Date.now();
+    const startHrTime = hrNow();
+
+    return error => {
+      const span: TracingSpan = {
+        name: `${info.parentType.name}.${info.fieldName}`,
+        path: responsePathAsArray(info.path),
+        parentType: info.parentType.name,
+        fieldName: info.fieldName,
+        returnType: String(info.returnType),
+        startTime,
+        startOffset: startHrTime - request.startHrTime,
+        duration: hrNow() - startHrTime,
+      };
+      if (error !== undefined) span.error = error;
+      request.spans.push(span);
+      const { onSpan } = this._opts;
+      if (!onSpan) return;
+      // failures of the exporter should not change results of the query
+      try {
+        const res: any = onSpan(span, context);
+        if (res && isFunction(res.catch)) res.catch(() => {});
+      } catch (e) {
+        // ignore
+      }
+    };
+  }
+
+  getSpans(context: TContext): Array<TracingSpan> {
+    const request = isObject(context) ? this._requests.get(context) : null;
+    return request ? request.spans : [];
+  }
+
+  /**
+   * Returns spans of the request in the Apollo tracing format,
+   * which may be placed to `extensions.tracing` of the response.
+   */
+  getApolloTracing(context: TContext): ?ApolloTracing {
+    const request = isObject(context) ? this._requests.get(context) : null;
+    if (!request) return null;
+    const duration = request.spans.reduce(
+      (max, span) => Math.max(max, span.startOffset + span.duration),
+      0
+    );
+    return {
+      version: 1,
+      startTime: new Date(request.startTime).toISOString(),
+      endTime: new Date(request.startTime + Math.round(duration / 1e6)).toISOString(),
+      duration,
+      execution: {
+        resolvers: request.spans.map(span => ({
+          path: span.path,
+          parentType: span.parentType,
+          fieldName: span.fieldName,
+          returnType: span.returnType,
+          startOffset: span.startOffset,
+          duration: span.duration,
+        })),
+      },
+    };
+  }
+
+  clear(context: TContext): void {
+    if (isObject(context)) this._requests.delete(context);
+  }
+}
+
+/**
+ * Wraps resolve methods of all fields to record their spans in the `collector`.
+ */
+export function applyTracing<TContext>(
+  sc: SchemaComposer<TContext>,
+  collector: TracingCollector<TContext>
+): void {
+  getSchemaComposerTypes(sc).forEach(tc => {
+    if (!(tc instanceof ObjectTypeComposer)) return;
+    tc.getFieldNames().forEach(fieldName => {
+      tc.wrapFieldResolve(fieldName, (resolve, source, args, context, info) => {
+        // info is missing if resolver is called directly
+        if (!info) return resolve(source, args, context, info);
+        const endSpan = collector.startSpan(context, info);
+        let result;
+        try {
+          result = resolve(source, args, context, info);
+        } catch (e) {
+          endSpan(e);
+          throw e;
+        }
+        // keep sync resolvers sync
+        if (result && isFunction(result.then)) {
+          return result.then(
+            value => {
+              endSpan();
+              return value;
+            },
+            e => {
+              endSpan(e);
+              throw e;
+            }
+          );
+        }
+        endSpan();
+        return result;
+      });
+    });
+  });
+}
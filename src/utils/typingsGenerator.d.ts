@@ -0,0 +1,52 @@
+import { SchemaComposer } from '../SchemaComposer';
+import { NamedTypeComposer } from './typeHelpers';
+
+export type TypingsLanguage = 'typescript' | 'flow';
+
+export interface TypingsGeneratorOptions {
+  /**
+   * `typescript` by default
+   */
+  language?: TypingsLanguage;
+  /**
+   * Map of custom scalar names to TS/Flow types, eg. `{ Date: 'Date' }` (by default `any`)
+   */
+  scalars?: { [scalarName: string]: string };
+  /**
+   * Type names which should not be emitted
+   */
+  exclude?: string[];
+  /**
+   * Do not emit `TArgs` shapes for fields and resolvers
+   */
+  omitArgs?: boolean;
+  /**
+   * Do not emit descriptions as comments
+   */
+  omitDescriptions?: boolean;
+}
+
+/**
+ * Generate TypeScript or Flow type declarations for all types from SchemaComposer.
+ *
+ * For every field with arguments emits `${TypeName}${FieldName}Args` shape,
+ * for every resolver emits `${TypeName}${ResolverName}ResolverArgs` shape.
+ */
+export function generateTypings(sc: SchemaComposer<any>, opts?: TypingsGeneratorOptions): string;
+
+/**
+ * Returns declarations for provided type and its args shapes.
+ */
+export function generateTypeTypings(
+  tc: NamedTypeComposer<any>,
+  opts?: TypingsGeneratorOptions
+): string[];
+
+export function getFieldArgsTypeName(typeName: string, fieldName: string): string;
+
+export function getResolverArgsTypeName(typeName: string, resolverName: string): string;
+
+/**
+ * Converts wrapped GraphQL type name (eg. `[String!]`) to TS or Flow type.
+ */
+export function printTypeRef(typeName: string, opts?: TypingsGeneratorOptions): string;
@@ -0,0 +1,232 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import { ObjectTypeComposer } from '../ObjectTypeComposer';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ScalarTypeComposer } from '../ScalarTypeComposer';
+import { EnumTypeComposer } from '../EnumTypeComposer';
+import { InterfaceTypeComposer } from '../InterfaceTypeComposer';
+import { UnionTypeComposer } from '../UnionTypeComposer';
+import type { SchemaComposer } from '../SchemaComposer';
+import type { NamedTypeComposer } from './typeHelpers';
+import { getSchemaComposerTypes, isBuiltInType } from './schemaPrinter';
+import { upperFirst } from './misc';
+
+export type TypingsLanguage = 'typescript' | 'flow';
+
+export type TypingsGeneratorOptions = {
+  // `typescript` by default
+  language?: TypingsLanguage,
+  // map of custom scalar names to TS/Flow types, eg. `{ Date: 'Date' }` (by default `any`)
+  scalars?: { [scalarName: string]: string },
+  // type names which should not be emitted
+  exclude?: string[],
+  // do not emit `TArgs` shapes for fields and resolvers
+  omitArgs?: boolean,
+  // do not emit descriptions as comments
+  omitDescriptions?: boolean,
+};
+
+const BUILT_IN_SCALARS = {
+  ID: 'string',
+  String: 'string',
+  Int: 'number',
+  Float: 'number',
+  Boolean: 'boolean',
+};
+
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+
+/**
+ * Generate TypeScript or Flow type declarations for all types from SchemaComposer.
+ *
+ * For every field with arguments emits `${TypeName}${FieldName}Args` shape,
+ * for every resolver emits `${TypeName}${ResolverName}ResolverArgs` shape.
+ */
+export function generateTypings(
+  sc: SchemaComposer<any>,
+  opts: TypingsGeneratorOptions = {}
+): string {
+  const { exclude = [] } = opts;
+  const blocks: string[] = [];
+
+  getSchemaComposerTypes(sc).forEach(tc => {
+    const typeName = tc.getTypeName();
+    if (exclude.indexOf(typeName) !== -1) return;
+    if (isBuiltInType(tc)) return;
+    if (
+      ROOT_TYPE_NAMES.indexOf(typeName) !== -1 &&
+      tc instanceof ObjectTypeComposer &&
+      tc.getFieldNames().length === 0
+    ) {
+      return;
+    }
+    blocks.push(...generateTypeTypings(tc, opts));
+  });
+
+  const header =
+    opts.language === 'flow'
+      ? '/* @flow */\n// This file was generated by graphql-compose. Do not edit it manually.'
+      : '// This file was generated by graphql-compose. Do not edit it manually.';
+  return `${[header, ...blocks].join('\n\n')}\n`;
+}
+
+/**
+ * Returns declarations for provided type and its args shapes.
+ */
+export function generateTypeTypings(
+  tc: NamedTypeComposer<any>,
+  opts: TypingsGeneratorOptions = {}
+): string[] {
+  const typeName = tc.getTypeName();
+  const description = printDescription(tc.getDescription(), opts);
+
+  if (tc instanceof ObjectTypeComposer || tc instanceof InterfaceTypeComposer) {
+    const result: string[] = [];
+    const fields = tc.getFieldNames().map(fieldName => {
+      const fc = tc.getField(fieldName);
+      return printProperty(fieldName, fc.type.getTypeName(), fc.description, opts);
+    });
+    result.push(description + printShape(typeName, fields, opts));
+
+    if (!opts.omitArgs) {
+      tc.getFieldNames().forEach(fieldName => {
+        const args = tc.getFieldArgs(fieldName);
+        if (Object.keys(args).length === 0) return;
+        result.push(printArgsShape(getFieldArgsTypeName(typeName, fieldName), args, opts));
+      });
+
+      if (tc instanceof ObjectTypeComposer) {
+        tc.getResolvers().forEach((resolver, resolverName) => {
+          result.push(
+            printArgsShape(
+              getResolverArgsTypeName(typeName, resolverName),
+              resolver.getArgs(),
+              opts
+            )
+          );
+        });
+      }
+    }
+    return result;
+  } else if (tc instanceof InputTypeComposer) {
+    const fields = tc.getFieldNames().map(fieldName => {
+      const fc = tc.getField(fieldName);
+      return printProperty(
+        fieldName,
+        fc.type.getTypeName(),
+        fc.description,
+        opts,
+        fc.defaultValue !== undefined
+      );
+    });
+    return [description + printShape(typeName, fields, opts)];
+  } else if (tc instanceof EnumTypeComposer) {
+    const values = tc.getFieldNames().map(name => {
+      const { value } = tc.getField(name);
+      return JSON.stringify(value !== undefined && value !== null ? value : name);
+    });
+    return [`${description}export type ${typeName} = ${values.join(' | ') || printEmpty(opts)};`];
+  } else if (tc instanceof UnionTypeComposer) {
+    const types = tc.getTypeNames();
+    return [`${description}export type ${typeName} = ${types.join(' | ') || printEmpty(opts)};`];
+  } else if (tc instanceof ScalarTypeComposer) {
+    const scalarType = getScalarType(typeName, opts);
+    // mapping to the type with the same name (eg. `Date`) does not need an alias
+    if (scalarType === typeName) return [];
+    return [`${description}export type ${typeName} = ${scalarType};`];
+  }
+  return [];
+}
+
+export function getFieldArgsTypeName(typeName: string, fieldName: string): string {
+  return `${typeName}${upperFirst(fieldName)}Args`;
+}
+
+export function getResolverArgsTypeName(typeName: string, resolverName: string): string {
+  return `${typeName}${upperFirst(resolverName)}ResolverArgs`;
+}
+
+function getScalarType(scalarName: string, opts: TypingsGeneratorOptions): string {
+  if (opts.scalars && opts.scalars[scalarName]) return opts.scalars[scalarName];
+  return 'any';
+}
+
+function printEmpty(opts: TypingsGeneratorOptions): string {
+  return opts.language === 'flow' ? 'empty' : 'never';
+}
+
+function printShape(typeName: string, properties: string[], opts: TypingsGeneratorOptions) {
+  if (opts.language === 'flow') {
+    return `export type ${typeName} = {${printBlock(properties)}};`;
+  }
+  return `export interface ${typeName} {${printBlock(properties)}}`;
+}
+
+function printArgsShape(
+  argsTypeName: string,
+  args: { [argName: string]: any },
+  opts: TypingsGeneratorOptions
+): string {
+  const properties = Object.keys(args).map(argName => {
+    const ac = args[argName];
+    return printProperty(
+      argName,
+      ac.type.getTypeName(),
+      ac.description,
+      opts,
+      ac.defaultValue !== undefined
+    );
+  });
+  return printShape(argsTypeName, properties, opts);
+}
+
+function printBlock(items: string[]): string {
+  return items.length > 0 ? `\n${items.join('\n')}\n` : '';
+}
+
+function printProperty(
+  name: string,
+  typeName: string,
+  description: ?string,
+  opts: TypingsGeneratorOptions,
+  hasDefaultValue?: boolean
+): string {
+  const optional = !typeName.endsWith('!') || hasDefaultValue ? '?' : '';
+  const separator = opts.language === 'flow' ? ',' : ';';
+  const comment = printDescription(description, opts, '  ');
+  return `${comment}  ${name}${optional}: ${printTypeRef(typeName, opts)}${separator}`;
+}
+
+/**
+ * Converts wrapped GraphQL type name (eg. `[String!]`) to TS or Flow type.
+ */
+export function printTypeRef(typeName: string, opts: TypingsGeneratorOptions = {}): string {
+  if (typeName.endsWith('!')) {
+    return printNonNullTypeRef(typeName.slice(0, -1), opts);
+  }
+  const type = printNonNullTypeRef(typeName, opts);
+  return opts.language === 'flow' ? `?${type}` : `${type} | null`;
+}
+
+function printNonNullTypeRef(typeName: string, opts: TypingsGeneratorOptions): string {
+  if (typeName.startsWith('[')) {
+    return `Array<${printTypeRef(typeName.slice(1, -1), opts)}>`;
+  }
+  return BUILT_IN_SCALARS[typeName] || typeName;
+}
+
+function printDescription(
+  description: ?string,
+  opts: TypingsGeneratorOptions,
+  indentation: string = ''
+): string {
+  if (!description || opts.omitDescriptions) return '';
+  const lines = description.replace(/\*\//g, '*\\/').split('\n');
+  if (lines.length === 1) {
+    return `${indentation}/** ${lines[0]} */\n`;
+  }
+  return `${indentation}/**\n${lines
+    .map(line => `${indentation} * ${line}`.replace(/\s+$/, ''))
+    .join('\n')}\n${indentation} */\n`;
+}
@@ -0,0 +1,56 @@
+import { Readable } from 'stream';
+
+export interface FileUpload {
+  // readable stream with content of the file
+  stream: Readable;
+  filename: string;
+  mimetype: string;
+  encoding: string;
+}
+
+export interface MultipartRequestFields {
+  // JSON string or already parsed object
+  operations: any;
+  // JSON string or already parsed object
+  map: any;
+}
+
+// files of the multipart request by their field names, eg. `{ '0': file }`
+export interface MultipartRequestFiles {
+  [fieldName: string]: FileUpload | Promise<FileUpload>;
+}
+
+export interface GraphQLRequestParams {
+  query: string;
+  variables?: { [variableName: string]: any };
+  operationName?: string;
+}
+
+/**
+ * File which is passed to the variables of the operation.
+ * `Upload` scalar provides its `promise` to the resolvers.
+ */
+export class Upload {
+  public promise: Promise<FileUpload>;
+
+  constructor(file: FileUpload | Promise<FileUpload> | null | undefined);
+}
+
+/**
+ * Process fields of the request according to the GraphQL multipart request spec
+ * https://github.com/jaydenseric/graphql-multipart-request-spec
+ * Files from the `map` field are placed to the variables of operations as `Upload` instances.
+ * Parsing of the `multipart/form-data` body is left to the server framework.
+ *
+ * @example
+ *     // fields and files are parsed from the body, eg. via `busboy`
+ *     const params = processMultipartRequest(
+ *       { operations: fields.operations, map: fields.map },
+ *       { '0': { stream, filename, mimetype, encoding } }
+ *     );
+ *     graphql(schema, params.query, null, context, params.variables);
+ */
+export function processMultipartRequest(
+  fields: MultipartRequestFields,
+  files: MultipartRequestFiles
+): GraphQLRequestParams | GraphQLRequestParams[];
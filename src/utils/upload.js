@@ -0,0 +1,96 @@
+/* @flow strict */
+
+import type { Readable } from 'stream';
+import objectPath from 'object-path';
+import { isObject } from './is';
+
+export type FileUpload = {
+  // readable stream with content of the file
+  stream: Readable,
+  filename: string,
+  mimetype: string,
+  encoding: string,
+};
+
+export type MultipartRequestFields = {
+  // JSON string or already parsed object
+  operations: mixed,
+  // JSON string or already parsed object
+  map: mixed,
+};
+
+// files of the multipart request by their field names, eg. `{ '0': file }`
+export type MultipartRequestFiles = {
+  [fieldName: string]: FileUpload | Promise<FileUpload>,
+};
+
+export type GraphQLRequestParams = {
+  query: string,
+  variables?: { [variableName: string]: any },
+  operationName?: string,
+};
+
+/**
+ * File which is passed to the variables of the operation.
+ * `Upload` scalar provides its `promise` to the resolvers.
+ */
+export class Upload {
+  promise: Promise<FileUpload>;
+
+  constructor(file: ?(FileUpload | Promise<FileUpload>)) {
+    this.promise = file
+      ? Promise.resolve(file)
+      : Promise.reject(new Error('File missing in the request.'));
+    // avoid unhandled rejection if the variable is not used by the operation
+    this.promise.catch(() => {});
+  }
+}
+
+function parseJSON(value: mixed, fieldName: string): mixed {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Invalid JSON in the '${fieldName}' multipart field.`);
+  }
+}
+
+/**
+ * Process fields of the request according to the GraphQL multipart request spec
+ * https://github.com/jaydenseric/graphql-multipart-request-spec
+ * Files from the `map` field are placed to the variables of operations as `Upload` instances.
+ * Parsing of the `multipart/form-data` body is left to the server framework.
+ */
+export function processMultipartRequest(
+  fields: MultipartRequestFields,
+  files: MultipartRequestFiles
+): GraphQLRequestParams | Array<GraphQLRequestParams> {
+  const operations: any = parseJSON(fields.operations, 'operations');
+  if (!isObject(operations) && !Array.isArray(operations)) {
+    throw new Error("Invalid type for the 'operations' multipart field.");
+  }
+
+  const map: any = parseJSON(fields.map, 'map');
+  if (!isObject(map)) {
+    throw new Error("Invalid type for the 'map' multipart field.");
+  }
+
+  Object.keys(map).forEach(fieldName => {
+    const paths = map[fieldName];
+    if (!Array.isArray(paths) || paths.some(path => typeof path !== 'string')) {
+      throw new Error(`Invalid 'map' multipart field entry key '${fieldName}' array.`);
+    }
+
+    const upload = new Upload(files[fieldName]);
+    paths.forEach((path, idx) => {
+      if (objectPath.get(operations, path) !== null) {
+        throw new Error(
+          `Invalid object path for the 'map' multipart field entry key '${fieldName}' array index '${idx}' value '${path}'.`
+        );
+      }
+      objectPath.set(operations, path, upload);
+    });
+  });
+
+  return operations;
+}
@@ -0,0 +1,58 @@
+import { GraphQLError } from '../graphql';
+
+export interface ValidationRules {
+  /**
+   * Length rules are checked only for strings and lists, range rules only for numbers,
+   * values of other types are reported as invalid
+   */
+  minLength?: number;
+  maxLength?: number;
+  min?: number;
+  max?: number;
+  pattern?: RegExp | string;
+  /**
+   * Custom error message for any failed rule
+   */
+  message?: string;
+}
+
+/**
+ * Should synchronously return `false` or error message for invalid value
+ */
+export type ValidateFn = (value: any, args: { [argName: string]: any }, context: any) => any;
+
+export type ValidateDefinition = ValidationRules | ValidateFn;
+
+export interface ValidationErrorItem {
+  path: Array<string | number>;
+  message: string;
+  value: any;
+}
+
+/**
+ * Check value against `validate` definition.
+ * Returns error message or `null` if value is valid.
+ */
+export function validateValue(
+  value: any,
+  validate: ValidateDefinition,
+  args?: { [argName: string]: any },
+  context?: any
+): string | null;
+
+/**
+ * Validate args by `validate` property from arg configs and
+ * from field configs of nested InputTypeComposers.
+ * Null and undefined values are skipped.
+ */
+export function validateArgs(
+  args: { [argName: string]: any } | null | undefined,
+  argConfigMap: { [argName: string]: any },
+  context?: any
+): ValidationErrorItem[];
+
+/**
+ * Combine all validation failures into one GraphQLError.
+ * Paths and messages of failures are available in `extensions.validationErrors`.
+ */
+export function createValidationError(errors: ValidationErrorItem[]): GraphQLError;
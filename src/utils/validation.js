@@ -0,0 +1,188 @@
+/* @flow strict */
+/* eslint-disable no-use-before-define */
+
+import { GraphQLError } from '../graphql';
+import { InputTypeComposer } from '../InputTypeComposer';
+import { ListComposer } from '../ListComposer';
+import { NonNullComposer } from '../NonNullComposer';
+import { ThunkComposer } from '../ThunkComposer';
+import { isFunction, isObject, isString } from './is';
+import { inspect } from './misc';
+
+export type ValidationRules = {
+  // length rules are checked only for strings and lists, range rules only for numbers,
+  // values of other types are reported as invalid
+  minLength?: number,
+  maxLength?: number,
+  min?: number,
+  max?: number,
+  pattern?: RegExp | string,
+  // custom error message for any failed rule
+  message?: string,
+};
+
+// Should synchronously return `false` or error message for invalid value
+export type ValidateFn = (value: any, args: { [argName: string]: any }, context: any) => mixed;
+
+export type ValidateDefinition = ValidationRules | ValidateFn;
+
+export type ValidationErrorItem = {
+  path: Array<string | number>,
+  message: string,
+  value: any,
+};
+
+/**
+ * Check value against `validate` definition.
+ * Returns error message or `null` if value is valid.
+ */
+export function validateValue(
+  value: any,
+  validate: ValidateDefinition,
+  args?: { [argName: string]: any } = {},
+  context?: any
+): string | null {
+  if (isFunction(validate)) {
+    const res = (validate: any)(value, args, context);
+    if (isObject(res) && isFunction(res.then)) {
+      throw new Error(
+        'Validate function should return result synchronously, but returned a Promise. Check values which require async calls in the resolver.'
+      );
+    }
+    if (res === false) return 'is invalid';
+    if (isString(res)) return res;
+    return null;
+  }
+
+  if (!isObject(validate)) {
+    throw new Error(
+      `Validate definition should be an object or function, but got ${inspect(validate)}`
+    );
+  }
+
+  const rules: ValidationRules = (validate: any);
+  const error = getRulesError(value, rules);
+  if (error && rules.message) return rules.message;
+  return error;
+}
+
+function getRulesError(value: any, rules: ValidationRules): string | null {
+  const { minLength, maxLength, min, max, pattern } = rules;
+  if (
+    (minLength !== undefined || maxLength !== undefined) &&
+    !isString(value) &&
+    !Array.isArray(value)
+  ) {
+    return 'should be a string or a list to check its length';
+  }
+  if ((min !== undefined || max !== undefined) && typeof value !== 'number') {
+    return 'should be a number to check its range';
+  }
+  if (minLength !== undefined && value.length < minLength) {
+    return `length should be at least ${minLength}`;
+  }
+  if (maxLength !== undefined && value.length > maxLength) {
+    return `length should be at most ${maxLength}`;
+  }
+  if (min !== undefined && value < min) {
+    return `should be at least ${min}`;
+  }
+  if (max !== undefined && value > max) {
+    return `should be at most ${max}`;
+  }
+  if (pattern !== undefined) {
+    const regexp = isString(pattern) ? new RegExp((pattern: any)) : (pattern: any);
+    if (!regexp.test(String(value))) {
+      return `should match pattern ${String(regexp)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate args by `validate` property from arg configs and
+ * from field configs of nested InputTypeComposers.
+ * Null and undefined values are skipped.
+ */
+export function validateArgs(
+  args: ?{ [argName: string]: any },
+  argConfigMap: { [argName: string]: any },
+  context?: any
+): ValidationErrorItem[] {
+  const errors: ValidationErrorItem[] = [];
+  const values = args || {};
+  Object.keys(argConfigMap).forEach(argName => {
+    validateConfigValue(values[argName], argConfigMap[argName], [argName], values, context, errors);
+  });
+  return errors;
+}
+
+function validateConfigValue(
+  value: any,
+  config: any,
+  path: Array<string | number>,
+  args: { [argName: string]: any },
+  context: any,
+  errors: ValidationErrorItem[]
+) {
+  if (value === null || value === undefined || !config) return;
+
+  if (config.validate) {
+    const message = validateValue(value, config.validate, args, context);
+    if (message) errors.push({ path, message, value });
+  }
+
+  validateTypeValue(value, config.type, path, args, context, errors);
+}
+
+function validateTypeValue(
+  value: any,
+  type: any,
+  path: Array<string | number>,
+  args: { [argName: string]: any },
+  context: any,
+  errors: ValidationErrorItem[]
+) {
+  if (value === null || value === undefined) return;
+
+  if (type instanceof NonNullComposer || type instanceof ThunkComposer) {
+    validateTypeValue(value, type.ofType, path, args, context, errors);
+  } else if (type instanceof ListComposer) {
+    if (!Array.isArray(value)) return;
+    value.forEach((item, idx) => {
+      validateTypeValue(item, type.ofType, [...path, idx], args, context, errors);
+    });
+  } else if (type instanceof InputTypeComposer) {
+    const itc = type;
+    itc.getFieldNames().forEach(fieldName => {
+      validateConfigValue(
+        value[fieldName],
+        itc.getField(fieldName),
+        [...path, fieldName],
+        args,
+        context,
+        errors
+      );
+    });
+  }
+}
+
+/**
+ * Combine all validation failures into one GraphQLError.
+ * Paths and messages of failures are available in `extensions.validationErrors`.
+ */
+export function createValidationError(errors: ValidationErrorItem[]): GraphQLError {
+  const details = errors.map(e => `${e.path.join('.')} ${e.message}`).join('; ');
+  return new GraphQLError(
+    `Validation failed: ${details}.`,
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    {
+      code: 'BAD_USER_INPUT',
+      validationErrors: errors.map(({ path, message }) => ({ path, message })),
+    }
+  );
+}